@@ -1,36 +1,644 @@
 // validation.mjs — sandboxed commit validation
-// Exports function validate(api) -> { ok: boolean, message?: string }
+// Exports function validate(api) -> { ok: boolean, message?: string, errors: Issue[] }
+//   api = { listStaged(), readFile(path), listFiles(prefix), log(message), branch }; branch names the target
+//   branch when the host passes one (runValidation(code, changes, { branch })) and selects the validation
+//   profile. listFiles lists the resulting tree under a directory; hosts may leave it out
+//   Issue = { path, pointer, code, message, line, column }: pointer is a JSON pointer into the file's
+//   document ('' when the whole file is at fault), line/column are 1-based or null, and `message`
+//   on the result joins the issues as human-readable lines.
 // Rules:
-// - Only allow changes to:
-//    - data/**/meta.yaml (or .yml)
-//    - data/**/index.md
+// - Only allow changes to paths admitted by hooks/files.yaml (allowedPaths or infrastructurePaths),
+//   read from the pushed tree; entries may negate with "!" and carry maxSize/types limits
 // - If other paths are changed, reject with explanation
-// - For meta.yaml files, validate required fields per schema: title (string), release_date (YYYY-MM-DD), genre (array of strings)
+// - For meta.yaml files, validate against the JSON Schema (draft 2020-12) in hooks/meta.schema.yaml.
+//   The schema is read from the pushed tree on every run, so editing it changes what is accepted.
+// - Each meta.yaml must live in the directory files.yaml insertTemplate derives from its title and release_date
+// - The files.yaml `profiles` entry matching the target branch (api.branch) sets how strict meta checks are:
+//   a profile with `drafts` accepts entries marked draft: true that omit its allowMissing fields; every
+//   other branch, and any run without a branch, rejects draft entries
+// - Files under data/**/assets/ must pass the files.yaml `assets` rules: MIME type sniffed from magic bytes,
+//   per-file and per-entry size caps (the entry total counts every file of the entry in the resulting tree,
+//   or only the staged assets when the host cannot list files), image dimensions and WebVTT syntax for subtitles
+// - Staged entries carry a status (added/modified/deleted/renamed). Deleted paths and the old side of a
+//   rename are not content-checked, but no file may be left in an entry directory without a meta file
+
+const META_SCHEMA_PATH = 'hooks/meta.schema.yaml';
+const FILES_CONFIG_PATH = 'hooks/files.yaml';
+const META_FILE_PATTERNS = ['data/**/meta.yaml', 'data/**/meta.yml'];
+
+// File types are derived from the extension; rules in files.yaml list MIME types (wildcards like image/* allowed)
+const EXTENSION_TYPES = {
+  md: 'text/markdown', markdown: 'text/markdown', txt: 'text/plain', yaml: 'application/yaml', yml: 'application/yaml',
+  json: 'application/json', png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  svg: 'image/svg+xml', vtt: 'text/vtt', srt: 'application/x-subrip', mp4: 'video/mp4', webm: 'video/webm',
+};
+
+function globToRegExpSource(pattern) {
+  // Supports **, *, ?, [...] and {a,b}; "**/" also matches zero directories
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*') {
+      if (pattern[i + 1] === '*') {
+        const dir = pattern[i + 2] === '/';
+        re += dir ? '(?:.*/)?' : '.*';
+        i += dir ? 2 : 1;
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[' && pattern.indexOf(']', i + 1) > i + 1) {
+      const end = pattern.indexOf(']', i + 1);
+      const body = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      re += `[${body}]`;
+      i = end;
+    } else if (c === '{' && pattern.indexOf('}', i + 1) > i) {
+      const end = pattern.indexOf('}', i + 1);
+      re += `(?:${pattern.slice(i + 1, end).split(',').map(globToRegExpSource).join('|')})`;
+      i = end;
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return re;
+}
 
 function globMatch(pattern, path) {
-  // Minimal glob: supports ** and *
-  // Escape regex specials except *
-  const regex = pattern
-    .replace(/[.+^${}()|\[\]\\]/g, '\\$&')
-    .replace(/\*\*/g, '___ANY___')
-    .replace(/\*/g, '[^/]*')
-    .replace(/___ANY___/g, '.*');
-  return new RegExp('^' + regex + '$').test(path);
-}
-
-function isWhitelisted(p) {
-  return (
-    globMatch('data/**/meta.yaml', p) ||
-    globMatch('data/**/meta.yml', p) ||
-    globMatch('data/**/index.md', p) ||
-    globMatch('.relay/**', p) ||
-    globMatch('hooks/**', p) ||
-    globMatch('.relay.yaml', p) ||
-    globMatch('hooks/server/lib/**', p) ||
-    globMatch('*.md', p) ||
-    globMatch('tests/**', p) ||
-    globMatch('relay_index.json', p)
-  );
+  return new RegExp(`^${globToRegExpSource(pattern)}$`).test(path);
+}
+
+function isMetaFile(p) {
+  return META_FILE_PATTERNS.some((pattern) => globMatch(pattern, p));
+}
+
+function parseSize(value) {
+  // Accepts a byte count or a string such as "512KB" / "10 MB"
+  if (typeof value === 'number' && value >= 0) return value;
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+  if (!m) throw new Error(`invalid size "${value}"`);
+  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+  return Math.round(Number(m[1]) * units[(m[2] || 'B').toUpperCase()]);
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let n = bytes / 1024;
+  let u = 0;
+  while (n >= 1024 && u < units.length - 1) { n /= 1024; u++; }
+  return `${n.toFixed(n < 10 ? 1 : 0)} ${units[u]}`;
+}
+
+function compilePathRules(list, name) {
+  // Each entry is a glob string or { pattern, maxSize?, types? }; a leading "!" negates the entry
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw new Error(`${name} must be a list`);
+  return list.map((entry, idx) => {
+    const rule = typeof entry === 'string' ? { pattern: entry } : entry;
+    if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) throw new Error(`${name}[${idx}] needs a pattern`);
+    const negate = rule.pattern.startsWith('!');
+    const pattern = negate ? rule.pattern.slice(1) : rule.pattern;
+    if (rule.types !== undefined && (!Array.isArray(rule.types) || !rule.types.every((t) => typeof t === 'string'))) {
+      throw new Error(`${name}[${idx}].types must be a list of MIME types`);
+    }
+    return {
+      pattern,
+      negate,
+      regex: new RegExp(`^${globToRegExpSource(pattern)}$`),
+      maxSize: rule.maxSize === undefined ? null : parseSize(rule.maxSize),
+      types: rule.types || null,
+    };
+  });
+}
+
+function issue(path, code, message, extra = {}) {
+  return { path, pointer: extra.pointer || '', code, message, line: extra.line ?? null, column: extra.column ?? null };
+}
+
+function formatIssue(e) {
+  const at = e.line ? ` (line ${e.line}, column ${e.column})` : '';
+  return `${e.path}: ${e.pointer ? `${e.pointer} ` : ''}${e.message}${at}`;
+}
+
+function matchPathRules(rules, p) {
+  // Last matching rule wins, as in .gitignore; returns the positive rule that admits the path
+  let match = null;
+  for (const rule of rules) {
+    if (rule.regex.test(p)) match = rule.negate ? null : rule;
+  }
+  return match;
+}
+
+function loadFileRules(api) {
+  const buf = api.readFile(FILES_CONFIG_PATH);
+  if (!buf) return { ok: false, error: issue(FILES_CONFIG_PATH, 'config.unreadable', 'cannot read file') };
+  const text = decodeUtf8(buf);
+  if (!text) return { ok: false, error: issue(FILES_CONFIG_PATH, 'config.encoding', 'is not UTF-8') };
+  try {
+    const config = parseYaml(text) || {};
+    if (config.insertTemplate !== undefined && typeof config.insertTemplate !== 'string') throw new Error('insertTemplate must be a string');
+    return {
+      ok: true,
+      allowed: compilePathRules(config.allowedPaths, 'allowedPaths'),
+      infrastructure: compilePathRules(config.infrastructurePaths, 'infrastructurePaths'),
+      insertTemplate: config.insertTemplate ? compileTemplate(config.insertTemplate) : null,
+      assets: compileAssetRules(config.assets),
+      profiles: compileProfiles(config.profiles),
+    };
+  } catch (e) {
+    return { ok: false, error: issue(FILES_CONFIG_PATH, 'config.invalid', `is invalid: ${e?.message || e}`) };
+  }
+}
+
+// Validation profiles: the first files.yaml profile whose branches globs match the target branch
+// applies. Without a match, or when the host does not name the branch, the strict default applies.
+
+const STRICT_PROFILE = { name: 'strict', drafts: false, allowMissing: [] };
+
+function compileProfiles(list) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw new Error('profiles must be a list');
+  return list.map((entry, idx) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name) throw new Error(`profiles[${idx}] needs a name`);
+    if (!Array.isArray(entry.branches) || !entry.branches.every((b) => typeof b === 'string')) {
+      throw new Error(`profiles[${idx}].branches must be a list of branch globs`);
+    }
+    const drafts = entry.drafts === true ? {} : entry.drafts || null;
+    const allowMissing = drafts?.allowMissing ?? [];
+    if (!Array.isArray(allowMissing) || !allowMissing.every((f) => typeof f === 'string')) {
+      throw new Error(`profiles[${idx}].drafts.allowMissing must be a list of field names`);
+    }
+    return { name: entry.name, branches: entry.branches, drafts: !!drafts, allowMissing };
+  });
+}
+
+function profileFor(profiles, branch) {
+  if (typeof branch !== 'string' || !branch) return STRICT_PROFILE;
+  return profiles.find((profile) => profile.branches.some((pattern) => globMatch(pattern, branch))) || STRICT_PROFILE;
+}
+
+function contentTypeOf(p) {
+  const ext = (p.match(/\.([^./]+)$/) || [])[1];
+  return (ext && EXTENSION_TYPES[ext.toLowerCase()]) || 'application/octet-stream';
+}
+
+function typeAllowed(types, type) {
+  return types.some((t) => t === type || (t.endsWith('/*') && type.startsWith(t.slice(0, -1))));
+}
+
+function checkPathRules(api, rules, p) {
+  // Returns an issue, or null when the path is allowed
+  const rule = matchPathRules(rules.allowed, p) || matchPathRules(rules.infrastructure, p);
+  if (!rule) return issue(p, 'path.not_allowed', `Path not allowed by ${FILES_CONFIG_PATH}`);
+  if (rule.maxSize === null && !rule.types) return null;
+  const buf = api.readFile(p);
+  if (!buf) return issue(p, 'file.unreadable', 'cannot read file');
+  const size = buf.byteLength ?? buf.length;
+  if (rule.maxSize !== null && size > rule.maxSize) {
+    return issue(p, 'path.max_size', `${formatSize(size)} exceeds the ${formatSize(rule.maxSize)} limit for ${rule.pattern}`);
+  }
+  const type = contentTypeOf(p);
+  if (rule.types && !typeAllowed(rule.types, type)) {
+    return issue(p, 'path.type', `type ${type} is not allowed for ${rule.pattern} (allowed: ${rule.types.join(', ')})`);
+  }
+  return null;
+}
+
+// Assets (data/**/assets/**): types are sniffed from the content rather than trusted from the
+// extension, and the files.yaml `assets` section caps file and entry sizes and image dimensions.
+// Subtitles must be well-formed WebVTT.
+
+const ASSET_FILE_PATTERNS = ['data/**/assets/**'];
+
+// Magic numbers of the formats we recognise; anything else is text (if valid UTF-8) or octet-stream
+const MAGIC_TYPES = [
+  { type: 'image/png', test: (b) => startsWithBytes(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'image/jpeg', test: (b) => startsWithBytes(b, [0xff, 0xd8, 0xff]) },
+  { type: 'image/gif', test: (b) => asciiAt(b, 0, 'GIF87a') || asciiAt(b, 0, 'GIF89a') },
+  { type: 'image/webp', test: (b) => asciiAt(b, 0, 'RIFF') && asciiAt(b, 8, 'WEBP') },
+  { type: 'video/mp4', test: (b) => asciiAt(b, 4, 'ftyp') },
+  { type: 'video/webm', test: (b) => startsWithBytes(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { type: 'application/pdf', test: (b) => asciiAt(b, 0, '%PDF-') },
+  { type: 'application/zip', test: (b) => startsWithBytes(b, [0x50, 0x4b, 0x03, 0x04]) },
+  { type: 'application/x-executable', test: (b) => startsWithBytes(b, [0x7f, 0x45, 0x4c, 0x46]) || asciiAt(b, 0, 'MZ') },
+];
+
+const VTT_SETTINGS = ['vertical', 'line', 'position', 'size', 'align', 'region'];
+const VTT_TIMESTAMP = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+
+function isAssetFile(p) {
+  return ASSET_FILE_PATTERNS.some((pattern) => globMatch(pattern, p));
+}
+
+function assetEntryOf(p) {
+  return p.slice(0, p.indexOf('/assets/'));
+}
+
+function startsWithBytes(bytes, magic) {
+  return bytes.length >= magic.length && magic.every((v, i) => bytes[i] === v);
+}
+
+function asciiAt(bytes, offset, text) {
+  if (bytes.length < offset + text.length) return false;
+  for (let i = 0; i < text.length; i++) if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  return true;
+}
+
+function strictUtf8(bytes) {
+  try { return new TextDecoder('utf-8', { fatal: true }).decode(bytes); } catch { return null; }
+}
+
+function sniffContentType(bytes) {
+  const magic = MAGIC_TYPES.find((m) => m.test(bytes));
+  if (magic) return magic.type;
+  const text = strictUtf8(bytes);
+  if (text === null || text.includes('\0')) return 'application/octet-stream';
+  if (/^\uFEFF?WEBVTT(?:[ \t\n\r]|$)/.test(text)) return 'text/vtt';
+  if (/^\uFEFF?\s*(?:<\?xml[^>]*>\s*)?<svg[\s>]/i.test(text)) return 'image/svg+xml';
+  return 'text/plain';
+}
+
+function imageDimensions(type, b) {
+  // Returns { width, height } read from the image header, or null when it cannot be parsed
+  const u16be = (o) => (b[o] << 8) | b[o + 1];
+  const u16le = (o) => b[o] | (b[o + 1] << 8);
+  const u24le = (o) => b[o] | (b[o + 1] << 8) | (b[o + 2] << 16);
+  const u32be = (o) => ((b[o] << 24) >>> 0) + ((b[o + 1] << 16) | (b[o + 2] << 8) | b[o + 3]);
+  if (type === 'image/png') {
+    return b.length >= 24 && asciiAt(b, 12, 'IHDR') ? { width: u32be(16), height: u32be(20) } : null;
+  }
+  if (type === 'image/gif') {
+    return b.length >= 10 ? { width: u16le(6), height: u16le(8) } : null;
+  }
+  if (type === 'image/jpeg') {
+    let o = 2;
+    while (o + 9 < b.length) {
+      if (b[o] !== 0xff) return null;
+      const marker = b[o + 1];
+      if (marker === 0xff) { o++; continue; }
+      if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { o += 2; continue; }
+      // SOFn frames (except DHT, JPG and DAC) carry the image size
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { width: u16be(o + 7), height: u16be(o + 5) };
+      }
+      if (marker === 0xd9 || marker === 0xda) return null;
+      o += 2 + u16be(o + 2);
+    }
+    return null;
+  }
+  if (type === 'image/webp') {
+    if (asciiAt(b, 12, 'VP8X') && b.length >= 30) return { width: u24le(24) + 1, height: u24le(27) + 1 };
+    if (asciiAt(b, 12, 'VP8L') && b.length >= 25 && b[20] === 0x2f) {
+      const bits = b[21] | (b[22] << 8) | (b[23] << 16) | (b[24] << 24);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+    }
+    if (asciiAt(b, 12, 'VP8 ') && b.length >= 30 && b[23] === 0x9d && b[24] === 0x01 && b[25] === 0x2a) {
+      return { width: u16le(26) & 0x3fff, height: u16le(28) & 0x3fff };
+    }
+    return null;
+  }
+  return null;
+}
+
+function vttSeconds(stamp) {
+  const m = stamp.match(VTT_TIMESTAMP);
+  if (!m) return null;
+  return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) + Number(m[4]) / 1000;
+}
+
+function checkVtt(text) {
+  // Returns [{ line, message }] for WebVTT syntax errors
+  const errors = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  if (!/^WEBVTT(?:[ \t].*)?$/.test(lines[0])) return [{ line: 1, message: 'must start with a "WEBVTT" header line' }];
+  let i = 1;
+  while (i < lines.length && lines[i] !== '') {
+    if (lines[i].includes('-->')) errors.push({ line: i + 1, message: 'header must be followed by a blank line before the first cue' });
+    i++;
+  }
+  let lastStart = 0;
+  let seenCue = false;
+  while (i < lines.length) {
+    while (i < lines.length && lines[i] === '') i++;
+    if (i >= lines.length) break;
+    const first = i;
+    const block = [];
+    while (i < lines.length && lines[i] !== '') block.push(lines[i++]);
+    if (/^NOTE(?:[ \t]|$)/.test(block[0])) continue;
+    if (/^(?:STYLE|REGION)[ \t]*$/.test(block[0])) {
+      if (seenCue) errors.push({ line: first + 1, message: `${block[0].trim()} blocks must come before the first cue` });
+      continue;
+    }
+    let t = block[0].includes('-->') ? 0 : 1;
+    if (t === 1 && (block.length < 2 || !block[1].includes('-->'))) {
+      errors.push({ line: first + 1, message: 'expected a cue timing line ("00:00:01.000 --> 00:00:02.000")' });
+      continue;
+    }
+    const lineNo = first + t + 1;
+    const m = block[t].match(/^(\S+)[ \t]+-->[ \t]+(\S+)(.*)$/);
+    const start = m && vttSeconds(m[1]);
+    const end = m && vttSeconds(m[2]);
+    if (!m || start === null || end === null) {
+      errors.push({ line: lineNo, message: `malformed cue timing "${block[t]}"` });
+      continue;
+    }
+    if (end <= start) errors.push({ line: lineNo, message: `cue ends (${m[2]}) before it starts (${m[1]})` });
+    if (start < lastStart) errors.push({ line: lineNo, message: `cue starts (${m[1]}) before the previous cue` });
+    for (const setting of m[3].trim().split(/[ \t]+/).filter(Boolean)) {
+      const [name, value] = setting.split(':');
+      if (!VTT_SETTINGS.includes(name) || !value) errors.push({ line: lineNo, message: `unknown cue setting "${setting}"` });
+    }
+    for (t++; t < block.length; t++) {
+      if (block[t].includes('-->')) errors.push({ line: first + t + 1, message: 'cue text must not contain "-->"' });
+    }
+    lastStart = start;
+    seenCue = true;
+  }
+  return errors;
+}
+
+function compileAssetRules(config) {
+  // files.yaml `assets`: { types, maxFileSize, maxEntrySize, image: { maxWidth, maxHeight } }
+  if (config === undefined || config === null) return null;
+  if (typeof config !== 'object' || Array.isArray(config)) throw new Error('assets must be a mapping');
+  if (config.types !== undefined && (!Array.isArray(config.types) || !config.types.every((t) => typeof t === 'string'))) {
+    throw new Error('assets.types must be a list of MIME types');
+  }
+  const image = config.image || {};
+  for (const key of ['maxWidth', 'maxHeight']) {
+    if (image[key] !== undefined && !(Number.isInteger(image[key]) && image[key] > 0)) throw new Error(`assets.image.${key} must be a positive integer`);
+  }
+  return {
+    types: config.types || null,
+    maxFileSize: config.maxFileSize === undefined ? null : parseSize(config.maxFileSize),
+    maxEntrySize: config.maxEntrySize === undefined ? null : parseSize(config.maxEntrySize),
+    maxWidth: image.maxWidth ?? null,
+    maxHeight: image.maxHeight ?? null,
+  };
+}
+
+function checkAsset(p, bytes, rules) {
+  // Returns the issues for one asset file; every message names the files.yaml rule it broke
+  const errors = [];
+  const size = bytes.byteLength ?? bytes.length;
+  if (rules.maxFileSize !== null && size > rules.maxFileSize) {
+    errors.push(issue(p, 'asset.file_size', `breaks assets.maxFileSize: ${formatSize(size)} exceeds ${formatSize(rules.maxFileSize)}`));
+  }
+  const type = sniffContentType(bytes);
+  if (rules.types && !typeAllowed(rules.types, type)) {
+    errors.push(issue(p, 'asset.type', `breaks assets.types: content is ${type} (allowed: ${rules.types.join(', ')})`));
+    return errors;
+  }
+  const declared = contentTypeOf(p);
+  if (declared !== type) {
+    errors.push(issue(p, 'asset.extension', `breaks assets.types: content is ${type} but the extension says ${declared}`));
+  }
+  if (type.startsWith('image/') && type !== 'image/svg+xml') {
+    const dims = imageDimensions(type, bytes);
+    if (!dims || !dims.width || !dims.height) {
+      errors.push(issue(p, 'asset.image', `breaks assets.image: ${type} header is truncated or corrupt`));
+    } else if ((rules.maxWidth !== null && dims.width > rules.maxWidth) || (rules.maxHeight !== null && dims.height > rules.maxHeight)) {
+      errors.push(issue(p, 'asset.dimensions',
+        `breaks assets.image: ${dims.width}x${dims.height} exceeds ${rules.maxWidth ?? 'any'}x${rules.maxHeight ?? 'any'}`));
+    }
+  }
+  if (type === 'text/vtt') {
+    for (const e of checkVtt(strictUtf8(bytes))) errors.push(issue(p, 'asset.vtt', `breaks WebVTT syntax: ${e.message}`, { line: e.line, column: 1 }));
+  }
+  return errors;
+}
+
+// files.yaml insertTemplate: a JS-style template literal evaluated without eval.
+// Expressions may use meta document fields, string/number/regex/array literals, ||, &&, ??, ?:, +, !,
+// indexing, .length and a whitelist of string/array methods. Anything else is rejected at load time.
+
+const TEMPLATE_METHODS = {
+  string: ['trim', 'trimStart', 'trimEnd', 'toLowerCase', 'toUpperCase', 'replace', 'replaceAll', 'match', 'slice',
+    'substring', 'split', 'normalize', 'padStart', 'padEnd', 'startsWith', 'endsWith', 'includes', 'indexOf', 'charAt', 'at'],
+  array: ['join', 'slice', 'at', 'includes', 'indexOf'],
+  number: ['toString', 'toFixed'],
+};
+
+function compileTemplate(src) {
+  let i = 0;
+  const fail = (message, at = i) => { throw new Error(`${message} at offset ${at} of insertTemplate`); };
+  const ws = () => { while (/\s/.test(src[i] || '')) i++; };
+  const peek = (s) => { ws(); return src.startsWith(s, i); };
+  const eat = (s) => { if (!peek(s)) return false; i += s.length; return true; };
+  const expect = (s) => { if (!eat(s)) fail(`expected "${s}"`); };
+
+  function identifier() {
+    ws();
+    const m = src.slice(i).match(/^[A-Za-z_$][\w$]*/);
+    if (!m) fail('expected an identifier');
+    i += m[0].length;
+    return m[0];
+  }
+
+  function stringLiteral() {
+    const quote = src[i++];
+    let out = '';
+    while (src[i] !== quote) {
+      if (i >= src.length) fail('unterminated string literal');
+      if (src[i] === '\\') {
+        const e = src[i + 1];
+        out += { n: '\n', t: '\t', r: '\r', 0: '\0' }[e] ?? e;
+        i += 2;
+      } else {
+        out += src[i++];
+      }
+    }
+    i++;
+    return { type: 'literal', value: out };
+  }
+
+  function regexLiteral() {
+    const start = i++;
+    let inClass = false;
+    while (src[i] !== '/' || inClass) {
+      if (i >= src.length || src[i] === '\n') fail('unterminated regular expression', start);
+      if (src[i] === '\\') i++;
+      else if (src[i] === '[') inClass = true;
+      else if (src[i] === ']') inClass = false;
+      i++;
+    }
+    const source = src.slice(start + 1, i++);
+    const flags = (src.slice(i).match(/^[dgimsuy]*/) || [''])[0];
+    i += flags.length;
+    try { new RegExp(source, flags); } catch (e) { fail(`invalid regular expression: ${e.message}`, start); }
+    return { type: 'regex', source, flags };
+  }
+
+  function primary() {
+    ws();
+    const c = src[i];
+    if (c === '(') {
+      i++;
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+    if (c === '[') {
+      i++;
+      const items = [];
+      while (!eat(']')) {
+        items.push(expression());
+        if (!peek(']')) expect(',');
+      }
+      return { type: 'array', items };
+    }
+    if (c === '"' || c === "'") return stringLiteral();
+    if (c === '/') return regexLiteral();
+    const num = src.slice(i).match(/^\d+(\.\d+)?/);
+    if (num) {
+      i += num[0].length;
+      return { type: 'literal', value: Number(num[0]) };
+    }
+    const name = identifier();
+    const constants = { true: true, false: false, null: null, undefined };
+    if (Object.prototype.hasOwnProperty.call(constants, name)) return { type: 'literal', value: constants[name] };
+    return { type: 'field', name };
+  }
+
+  function postfix() {
+    let node = primary();
+    for (;;) {
+      if (eat('.')) {
+        const name = identifier();
+        if (eat('(')) {
+          const args = [];
+          while (!eat(')')) {
+            args.push(expression());
+            if (!peek(')')) expect(',');
+          }
+          if (!Object.values(TEMPLATE_METHODS).some((list) => list.includes(name))) fail(`method ${name}() is not allowed`);
+          node = { type: 'call', object: node, name, args };
+        } else {
+          if (name !== 'length') fail(`property ${name} is not allowed`);
+          node = { type: 'length', object: node };
+        }
+      } else if (eat('[')) {
+        node = { type: 'index', object: node, index: expression() };
+        expect(']');
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function unary() {
+    ws();
+    if (src[i] === '!') {
+      i++;
+      return { type: '!', arg: unary() };
+    }
+    return postfix();
+  }
+
+  function binary(next, ops) {
+    return () => {
+      let left = next();
+      for (;;) {
+        const op = ops.find((o) => peek(o));
+        if (!op) return left;
+        i += op.length;
+        left = { type: op, left, right: next() };
+      }
+    };
+  }
+  const additive = binary(unary, ['+']);
+  const logicalAnd = binary(additive, ['&&']);
+  const logicalOr = binary(logicalAnd, ['||', '??']);
+
+  function expression() {
+    const test = logicalOr();
+    ws();
+    if (src[i] !== '?' || src[i + 1] === '?') return test;
+    i++;
+    const then = expression();
+    expect(':');
+    return { type: '?:', test, then, otherwise: expression() };
+  }
+
+  const parts = [];
+  let text = '';
+  while (i < src.length) {
+    if (src.startsWith('${', i)) {
+      if (text) parts.push({ type: 'literal', value: text });
+      text = '';
+      i += 2;
+      parts.push(expression());
+      ws();
+      if (src[i] !== '}') fail('expected "}"');
+      i++;
+    } else {
+      text += src[i++];
+    }
+  }
+  if (text) parts.push({ type: 'literal', value: text });
+  return parts;
+}
+
+function evaluateTemplateNode(node, doc) {
+  const ev = (n) => evaluateTemplateNode(n, doc);
+  const describe = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'regex': return new RegExp(node.source, node.flags);
+    case 'array': return node.items.map(ev);
+    case 'field': return hasOwn(doc, node.name) ? doc[node.name] : undefined;
+    case 'length': {
+      const v = ev(node.object);
+      if (typeof v !== 'string' && !Array.isArray(v)) throw new Error(`cannot read length of ${describe(v)}`);
+      return v.length;
+    }
+    case 'index': {
+      const v = ev(node.object);
+      const idx = ev(node.index);
+      if ((typeof v !== 'string' && !Array.isArray(v)) || !Number.isInteger(idx)) throw new Error(`cannot index ${describe(v)} with ${describe(idx)}`);
+      return v[idx];
+    }
+    case 'call': {
+      const v = ev(node.object);
+      const kind = Array.isArray(v) ? 'array' : typeof v;
+      if (!TEMPLATE_METHODS[kind] || !TEMPLATE_METHODS[kind].includes(node.name)) throw new Error(`cannot call ${node.name}() on ${describe(v)}`);
+      return v[node.name](...node.args.map(ev));
+    }
+    case '!': return !ev(node.arg);
+    case '+': return ev(node.left) + ev(node.right);
+    case '&&': return ev(node.left) && ev(node.right);
+    case '||': return ev(node.left) || ev(node.right);
+    case '??': return ev(node.left) ?? ev(node.right);
+    case '?:': return ev(node.test) ? ev(node.then) : ev(node.otherwise);
+    default: throw new Error(`unknown template node ${node.type}`);
+  }
+}
+
+function renderTemplate(parts, doc) {
+  return parts.map((part) => {
+    const v = evaluateTemplateNode(part, doc);
+    return v === undefined || v === null ? '' : String(v);
+  }).join('');
+}
+
+function dirnameOf(p) {
+  return p.includes('/') ? p.slice(0, p.lastIndexOf('/')) : '';
+}
+
+function checkCanonicalPath(p, doc, template) {
+  // The entry directory must be the one insertTemplate derives from the document itself
+  let expected;
+  try {
+    expected = renderTemplate(template, doc).replace(/^\/+/, '');
+  } catch (e) {
+    return issue(p, 'path.template', `cannot derive the canonical path from insertTemplate: ${e?.message || e}`);
+  }
+  if (expected.split('/').some((segment) => !segment)) {
+    return issue(p, 'path.incomplete', `insertTemplate derives an incomplete path (${expected}); check title and release_date`);
+  }
+  if (dirnameOf(expected) === dirnameOf(p)) return null;
+  return issue(p, 'path.canonical', `entry is filed under the wrong path; expected ${expected} (move ${dirnameOf(p)}/ to ${dirnameOf(expected)}/)`);
 }
 
 function decodeUtf8(buf) {
@@ -38,53 +646,1103 @@ function decodeUtf8(buf) {
   try { return new TextDecoder('utf-8').decode(buf); } catch { return null; }
 }
 
-function parseYamlLike(text) {
-  // Extremely tiny YAML subset: try JSON parse first, else key: value lines
-  try { return JSON.parse(text); } catch { }
-  const obj = {};
-  const lines = text.split(/\r?\n/);
-  for (const line of lines) {
-    const m = line.match(/^([A-Za-z0-9_]+):\s*(.*)$/);
-    if (m) {
-      const k = m[1];
-      let v = m[2];
-      if (v === 'true') v = true; else if (v === 'false') v = false; else if (/^\d+$/.test(v)) v = Number(v);
-      obj[k] = v;
+// YAML 1.2 parser (core schema), self-contained so it runs inside the validation sandbox.
+// Handles block and flow collections, plain/quoted/literal/folded scalars, anchors, aliases,
+// "<<" merge keys and the standard !! tags. One document per file; errors carry line/column.
+// Aliases share the anchored node, but a consumer walking the result sees every copy, so the
+// nodes they add are counted and a document expanding past MAX_YAML_ALIAS_NODES is rejected.
+
+class YamlSyntaxError extends Error {
+  constructor(reason, line, column) {
+    super(`${reason} (line ${line}, column ${column})`);
+    this.name = 'YamlSyntaxError';
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const YAML_ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029',
+};
+const YAML_ESCAPE_HEX = { x: 2, u: 4, U: 8 };
+const FLOW_INDICATORS = ',[]{}';
+const MAX_YAML_ALIAS_NODES = 100000;
+
+function resolveYamlScalar(s) {
+  if (/^(?:~|null|Null|NULL)?$/.test(s)) return null;
+  if (/^(?:true|True|TRUE)$/.test(s)) return true;
+  if (/^(?:false|False|FALSE)$/.test(s)) return false;
+  if (/^[-+]?[0-9]+$/.test(s)) return Number(s);
+  if (/^0o[0-7]+$/.test(s)) return parseInt(s.slice(2), 8);
+  if (/^0x[0-9a-fA-F]+$/.test(s)) return parseInt(s.slice(2), 16);
+  if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(s)) return Number(s);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(s)) return s.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(s)) return NaN;
+  return s;
+}
+
+function parseYaml(text, options = {}) {
+  // options.locations: a Map that receives, per mapping/sequence node, the source position
+  // ({ line, column }, 1-based) of each key or item; see locateYamlPointer
+  // options.maxAliasNodes: expansion budget replacing MAX_YAML_ALIAS_NODES
+  const locations = options.locations || null;
+  const aliasBudget = options.maxAliasNodes ?? MAX_YAML_ALIAS_NODES;
+  const src = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const len = src.length;
+  const anchors = Object.create(null);
+  const nodeCounts = new WeakMap();
+  let aliasNodes = 0;
+  let pos = 0;
+
+  const isWhite = (c) => c === ' ' || c === '\t';
+  const isBlankOrEnd = (c) => c === undefined || c === ' ' || c === '\t' || c === '\n';
+  const lineStartOf = (at) => src.lastIndexOf('\n', at - 1) + 1;
+  const columnOf = (at) => at - lineStartOf(at);
+
+  function fail(reason, at = pos) {
+    const before = src.slice(0, at);
+    const line = before.split('\n').length;
+    throw new YamlSyntaxError(reason, line, columnOf(at) + 1);
+  }
+
+  function isDocMarker(at = pos) {
+    return columnOf(at) === 0 && (src.startsWith('---', at) || src.startsWith('...', at)) && isBlankOrEnd(src[at + 3]);
+  }
+
+  function skipInline() {
+    while (isWhite(src[pos])) pos++;
+  }
+
+  function skipComment() {
+    if (src[pos] === '#' && (pos === 0 || isBlankOrEnd(src[pos - 1]))) {
+      while (pos < len && src[pos] !== '\n') pos++;
+    }
+  }
+
+  function atLineEnd() {
+    return pos >= len || src[pos] === '\n';
+  }
+
+  function skipToContent() {
+    // Skip whitespace, comments and line breaks up to the next token of a block context
+    let newLine = pos === 0 || src[pos - 1] === '\n';
+    for (;;) {
+      skipInline();
+      skipComment();
+      if (src[pos] !== '\n') break;
+      pos++;
+      newLine = true;
+    }
+    if (newLine && pos < len) {
+      const tab = src.slice(lineStartOf(pos), pos).indexOf('\t');
+      if (tab >= 0) fail('tabs are not allowed in indentation', lineStartOf(pos) + tab);
+    }
+  }
+
+  function skipFlowSpace() {
+    for (;;) {
+      while (isWhite(src[pos]) || src[pos] === '\n') pos++;
+      if (src[pos] !== '#') return;
+      skipComment();
+      if (src[pos] === '#') return;
+    }
+  }
+
+  function note(node, key, at) {
+    if (!locations) return;
+    if (!locations.has(node)) locations.set(node, new Map());
+    locations.get(node).set(String(key), { line: src.slice(0, at).split('\n').length, column: columnOf(at) + 1 });
+  }
+
+  function setEntry(map, key, value, at) {
+    if (Object.prototype.hasOwnProperty.call(map, key)) fail(`duplicate mapping key "${key}"`, at);
+    Object.defineProperty(map, key, { value, enumerable: true, writable: true, configurable: true });
+    note(map, key, at);
+  }
+
+  function applyMerges(map, merges) {
+    // "<<" entries only fill keys the mapping does not define itself
+    for (const { value, at } of merges) {
+      const sources = Array.isArray(value) ? value : [value];
+      for (const source of sources) {
+        if (!source || typeof source !== 'object' || Array.isArray(source)) fail('merge key "<<" expects a mapping or a list of mappings', at);
+        for (const [k, v] of Object.entries(source)) {
+          if (!Object.prototype.hasOwnProperty.call(map, k)) setEntry(map, k, v, at);
+        }
+      }
+    }
+    return map;
+  }
+
+  function keyString(value, at) {
+    if (value !== null && typeof value === 'object') fail('complex mapping keys are not supported', at);
+    return String(value);
+  }
+
+  function parseProperties(flow) {
+    const props = { anchor: null, tag: null, at: pos };
+    for (;;) {
+      const c = src[pos];
+      if ((c !== '&' || props.anchor) && (c !== '!' || props.tag)) return props;
+      const start = pos;
+      while (pos < len && !isBlankOrEnd(src[pos]) && !(flow && FLOW_INDICATORS.includes(src[pos]))) pos++;
+      const token = src.slice(start, pos);
+      if (c === '&') {
+        if (token.length < 2) fail('anchor name expected', start);
+        props.anchor = token.slice(1);
+      } else {
+        props.tag = token;
+      }
+      skipInline();
+    }
+  }
+
+  function applyTag(tag, value, plain, at) {
+    const name = tag.startsWith('!!') ? tag.slice(2) : tag.replace(/^!<tag:yaml\.org,2002:(.*)>$/, '$1');
+    const scalar = typeof value === 'string' ? value : null;
+    switch (name) {
+      case 'str':
+        if (scalar === null) fail('!!str expects a scalar', at);
+        return scalar;
+      case 'int': {
+        const n = scalar === null ? NaN : resolveYamlScalar(scalar);
+        if (!Number.isInteger(n)) fail(`!!int expects an integer, got "${scalar}"`, at);
+        return n;
+      }
+      case 'float': {
+        const n = scalar === null ? NaN : resolveYamlScalar(scalar);
+        if (typeof n !== 'number' || (Number.isNaN(n) && !/nan$/i.test(scalar))) fail(`!!float expects a number, got "${scalar}"`, at);
+        return n;
+      }
+      case 'bool': {
+        const b = scalar === null ? null : resolveYamlScalar(scalar);
+        if (typeof b !== 'boolean') fail(`!!bool expects true or false, got "${scalar}"`, at);
+        return b;
+      }
+      case 'null':
+        if (scalar === null || resolveYamlScalar(scalar) !== null) fail('!!null expects an empty or null scalar', at);
+        return null;
+      case 'seq':
+        if (!Array.isArray(value)) fail('!!seq expects a sequence', at);
+        return value;
+      case 'map':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) fail('!!map expects a mapping', at);
+        return value;
+      default:
+        // Non-specific "!" forces a string; other local/application tags are left uninterpreted
+        if (tag === '!') return scalar === null ? value : scalar;
+        return plain ? resolveYamlScalar(value) : value;
+    }
+  }
+
+  function finishNode(props, value, plain) {
+    // `plain` marks an untagged plain scalar whose raw text still needs core schema resolution
+    let out = value;
+    if (props && props.tag) out = applyTag(props.tag, value, plain, props.at);
+    else if (plain) out = resolveYamlScalar(value);
+    if (props && props.anchor) anchors[props.anchor] = out;
+    return out;
+  }
+
+  function canStartPlain(flow) {
+    const c = src[pos];
+    if (c === undefined || c === '\n' || isWhite(c)) return false;
+    if ('[]{},#&*!|>\'"%@`'.includes(c)) return false;
+    if (c === '-' || c === '?' || c === ':') {
+      const next = src[pos + 1];
+      return !isBlankOrEnd(next) && !(flow && FLOW_INDICATORS.includes(next));
+    }
+    return true;
+  }
+
+  function readPlainLine(flow) {
+    const start = pos;
+    let end = pos;
+    while (pos < len) {
+      const c = src[pos];
+      if (c === '\n') break;
+      if (c === ':' && (isBlankOrEnd(src[pos + 1]) || (flow && FLOW_INDICATORS.includes(src[pos + 1])))) break;
+      if (flow && FLOW_INDICATORS.includes(c)) break;
+      if (c === '#' && pos > start && isWhite(src[pos - 1])) break;
+      pos++;
+      if (!isWhite(c)) end = pos;
+    }
+    pos = end;
+    return src.slice(start, end);
+  }
+
+  function parsePlain(parentIndent, flow) {
+    // Returns the raw text; multi-line plain scalars fold single breaks into spaces
+    let text = readPlainLine(flow);
+    for (;;) {
+      let q = pos;
+      while (isWhite(src[q])) q++;
+      if (src[q] !== '\n') break;
+      let breaks = 0;
+      while (src[q] === '\n') {
+        breaks++;
+        q++;
+        while (isWhite(src[q])) q++;
+      }
+      if (q >= len || src[q] === '#' || isDocMarker(q)) break;
+      if (!flow && columnOf(q) <= parentIndent) break;
+      if (flow && (FLOW_INDICATORS.includes(src[q]) || (src[q] === ':' && isBlankOrEnd(src[q + 1])))) break;
+      const save = pos;
+      pos = q;
+      const line = readPlainLine(flow);
+      if (!line) {
+        pos = save;
+        break;
+      }
+      text += breaks === 1 ? ` ${line}` : '\n'.repeat(breaks - 1) + line;
+    }
+    return text;
+  }
+
+  function foldQuotedBreak() {
+    // At a line break inside a quoted scalar: one break becomes a space, n breaks become n-1 newlines
+    let breaks = 0;
+    while (src[pos] === '\n') {
+      breaks++;
+      pos++;
+      while (isWhite(src[pos])) pos++;
+    }
+    if (isDocMarker()) fail('document marker inside a quoted scalar');
+    return breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+  }
+
+  function parseQuoted() {
+    const start = pos;
+    const quote = src[pos++];
+    let out = '';
+    for (;;) {
+      if (pos >= len) fail(`unterminated ${quote === '"' ? 'double' : 'single'}-quoted scalar`, start);
+      const c = src[pos];
+      if (c === quote) {
+        if (quote === "'" && src[pos + 1] === "'") {
+          out += "'";
+          pos += 2;
+          continue;
+        }
+        pos++;
+        return out;
+      }
+      if (c === '\\' && quote === '"') {
+        const e = src[pos + 1];
+        if (e === '\n') {
+          // Escaped line break: join without inserting a space
+          pos += 2;
+          while (isWhite(src[pos])) pos++;
+          continue;
+        }
+        if (YAML_ESCAPES[e] !== undefined) {
+          out += YAML_ESCAPES[e];
+          pos += 2;
+          continue;
+        }
+        const digits = YAML_ESCAPE_HEX[e];
+        const hex = digits ? src.slice(pos + 2, pos + 2 + digits) : '';
+        if (!digits || !new RegExp(`^[0-9a-fA-F]{${digits}}$`).test(hex)) fail(`invalid escape sequence "\\${e || ''}"`);
+        out += String.fromCodePoint(parseInt(hex, 16));
+        pos += 2 + digits;
+        continue;
+      }
+      if (isWhite(c) || c === '\n') {
+        let q = pos;
+        while (isWhite(src[q])) q++;
+        if (src[q] === '\n') {
+          pos = q;
+          out += foldQuotedBreak();
+        } else {
+          out += src.slice(pos, q);
+          pos = q;
+        }
+        continue;
+      }
+      out += c;
+      pos++;
+    }
+  }
+
+  function parseAlias(flow) {
+    const start = pos++;
+    while (pos < len && !isBlankOrEnd(src[pos]) && !(flow && FLOW_INDICATORS.includes(src[pos]))) pos++;
+    const name = src.slice(start + 1, pos);
+    if (!name) fail('alias name expected', start);
+    if (!(name in anchors)) fail(`unknown alias "*${name}"`, start);
+    aliasNodes += nodeCount(anchors[name]);
+    if (aliasNodes > aliasBudget) fail(`aliases expand to more than ${aliasBudget} nodes`, start);
+    return anchors[name];
+  }
+
+  function nodeCount(value) {
+    // Nodes in the fully expanded value; shared (aliased) children are counted once per reference
+    if (value === null || typeof value !== 'object') return 1;
+    if (nodeCounts.has(value)) return nodeCounts.get(value);
+    let count = 1;
+    for (const child of Object.values(value)) count += nodeCount(child);
+    nodeCounts.set(value, count);
+    return count;
+  }
+
+  function parseBlockScalar(parentIndent) {
+    const start = pos;
+    const folded = src[pos++] === '>';
+    let chomp = 'clip';
+    let explicit = 0;
+    for (let k = 0; k < 2; k++) {
+      const c = src[pos];
+      if ((c === '+' || c === '-') && chomp === 'clip') {
+        chomp = c === '+' ? 'keep' : 'strip';
+        pos++;
+      } else if (c >= '1' && c <= '9' && !explicit) {
+        explicit = Number(c);
+        pos++;
+      }
+    }
+    skipInline();
+    skipComment();
+    if (!atLineEnd()) fail('unexpected characters after block scalar header', start);
+
+    let indent = explicit ? Math.max(parentIndent, 0) + explicit : -1;
+    const lines = [];
+    let lastBreak = false;
+    while (pos < len) {
+      const lineStart = pos + 1;
+      if (lineStart >= len) break;
+      let q = lineStart;
+      while (src[q] === ' ') q++;
+      const lineEnd = src.indexOf('\n', lineStart) < 0 ? len : src.indexOf('\n', lineStart);
+      const blank = src.slice(q, lineEnd).trim() === '' && (indent < 0 || q - lineStart <= indent);
+      if (blank) {
+        lines.push(null);
+      } else {
+        if (indent < 0) {
+          indent = q - lineStart;
+          if (indent <= parentIndent) break;
+        }
+        if (q - lineStart < indent || isDocMarker(lineStart)) break;
+        lines.push(src.slice(lineStart + indent, lineEnd));
+      }
+      pos = lineEnd;
+      lastBreak = pos < len;
+    }
+
+    let last = lines.length - 1;
+    while (last >= 0 && lines[last] === null) last--;
+    const trailing = lines.length - 1 - last;
+    const content = lines.slice(0, last + 1);
+    let body = '';
+    if (!folded) {
+      body = content.map((l) => l === null ? '' : l).join('\n');
+    } else {
+      let prev = null;
+      let empty = 0;
+      for (const l of content) {
+        if (l === null) { empty++; continue; }
+        const more = isWhite(l[0]);
+        if (prev === null) body += '\n'.repeat(empty);
+        else if (!more && !isWhite(prev[0])) body += empty ? '\n'.repeat(empty) : ' ';
+        else body += '\n'.repeat(empty + 1);
+        body += l;
+        prev = l;
+        empty = 0;
+      }
+    }
+    if (!content.length) return chomp === 'keep' ? '\n'.repeat(trailing) : '';
+    const finalBreak = trailing > 0 || lastBreak ? '\n' : '';
+    if (chomp === 'strip') return body;
+    if (chomp === 'clip') return body + finalBreak;
+    return body + finalBreak + '\n'.repeat(trailing);
+  }
+
+  function parseFlowNode(parentIndent) {
+    const props = parseProperties(true);
+    skipFlowSpace();
+    const c = src[pos];
+    if (c === '[' || c === '{') return finishNode(props, parseFlowCollection(parentIndent), false);
+    if (c === '"' || c === "'") return finishNode(props, parseQuoted(), false);
+    if (c === '*') return parseAlias(true);
+    if (!canStartPlain(true)) {
+      if (props.anchor || props.tag) return finishNode(props, '', true);
+      fail(`unexpected "${c === '\n' ? '\\n' : c || 'end of input'}" in flow collection`);
+    }
+    return finishNode(props, parsePlain(parentIndent, true), true);
+  }
+
+  function parseFlowCollection(parentIndent) {
+    const start = pos;
+    const seq = src[pos++] === '[';
+    const close = seq ? ']' : '}';
+    const out = seq ? [] : {};
+    const merges = [];
+    for (;;) {
+      skipFlowSpace();
+      if (pos >= len) fail(`unterminated flow ${seq ? 'sequence' : 'mapping'}`, start);
+      if (src[pos] === close) {
+        pos++;
+        return seq ? out : applyMerges(out, merges);
+      }
+      const entryAt = pos;
+      if (src[pos] === '?' && isBlankOrEnd(src[pos + 1])) {
+        pos++;
+        skipFlowSpace();
+      }
+      const merge = src.startsWith('<<', pos) && /[\s:]/.test(src[pos + 2] || '');
+      const node = src[pos] === ':' ? null : parseFlowNode(parentIndent);
+      skipFlowSpace();
+      if (src[pos] === ':') {
+        pos++;
+        skipFlowSpace();
+        const value = src[pos] === ',' || src[pos] === close ? null : parseFlowNode(parentIndent);
+        const key = keyString(node, entryAt);
+        if (seq) note(out, out.push({ [key]: value }) - 1, entryAt);
+        else if (merge) merges.push({ value, at: entryAt });
+        else setEntry(out, key, value, entryAt);
+      } else if (seq) {
+        note(out, out.push(node) - 1, entryAt);
+      } else {
+        setEntry(out, keyString(node, entryAt), null, entryAt);
+      }
+      skipFlowSpace();
+      if (src[pos] === ',') {
+        pos++;
+        continue;
+      }
+      if (src[pos] !== close) fail(`expected "," or "${close}" in flow ${seq ? 'sequence' : 'mapping'}`);
+    }
+  }
+
+  function looksLikeImplicitKey(p) {
+    // Implicit keys live on one line: look for a ": " indicator outside quotes and brackets
+    while (src[p] === '&' || src[p] === '!') {
+      while (p < len && !isBlankOrEnd(src[p])) p++;
+      while (isWhite(src[p])) p++;
+    }
+    const c = src[p];
+    if (c === '"' || c === "'") {
+      for (p++; p < len && src[p] !== '\n'; p++) {
+        if (c === '"' && src[p] === '\\') { p++; continue; }
+        if (src[p] === c) {
+          if (c === "'" && src[p + 1] === "'") { p++; continue; }
+          break;
+        }
+      }
+      if (src[p] !== c) return false;
+      p++;
+    } else if (c === '[' || c === '{') {
+      let depth = 0;
+      for (; p < len && src[p] !== '\n'; p++) {
+        if (src[p] === '[' || src[p] === '{') depth++;
+        else if ((src[p] === ']' || src[p] === '}') && --depth === 0) { p++; break; }
+      }
+      if (depth) return false;
+    }
+    for (; p < len && src[p] !== '\n'; p++) {
+      if (src[p] === '#' && isWhite(src[p - 1])) return false;
+      if (src[p] === ':' && isBlankOrEnd(src[p + 1])) return true;
+    }
+    return false;
+  }
+
+  function parseImplicitKey() {
+    const at = pos;
+    const props = parseProperties(false);
+    const c = src[pos];
+    let key;
+    let merge = false;
+    if (c === '"' || c === "'") key = finishNode(props, parseQuoted(), false);
+    else if (c === '*') key = parseAlias(false);
+    else if (c === '[' || c === '{') fail('complex mapping keys are not supported');
+    else if (canStartPlain(false)) {
+      const raw = readPlainLine(false);
+      merge = raw === '<<' && !props.tag;
+      key = finishNode(props, raw, true);
+    } else if (c === ':') {
+      key = finishNode(props, '', true);
+    } else {
+      fail('expected a mapping key');
+    }
+    if (src.slice(at, pos).includes('\n')) fail('implicit mapping keys must be on a single line', at);
+    skipInline();
+    if (!(src[pos] === ':' && isBlankOrEnd(src[pos + 1]))) fail('expected ":" after mapping key');
+    return { key: keyString(key, at), merge, at };
+  }
+
+  function parseBlockMapping(indent) {
+    const map = {};
+    const merges = [];
+    for (;;) {
+      let entry;
+      if (src[pos] === '?' && isBlankOrEnd(src[pos + 1])) {
+        const at = pos++;
+        entry = { key: keyString(parseValue(indent, false, true), at), merge: false, at };
+        skipToContent();
+        if (!(columnOf(pos) === indent && src[pos] === ':' && isBlankOrEnd(src[pos + 1]))) {
+          setEntry(map, entry.key, null, at);
+          entry = null;
+        }
+      } else {
+        entry = parseImplicitKey();
+      }
+      if (entry) {
+        pos++;
+        const value = parseValue(indent, true, false);
+        if (entry.merge) merges.push({ value, at: entry.at });
+        else setEntry(map, entry.key, value, entry.at);
+        skipToContent();
+      }
+      if (pos >= len || isDocMarker()) break;
+      const col = columnOf(pos);
+      if (col < indent) break;
+      if (col > indent) fail('bad indentation of a mapping entry');
+      if (src[pos] === '-' && isBlankOrEnd(src[pos + 1])) fail('sequence entry is not allowed inside a mapping here');
+    }
+    return applyMerges(map, merges);
+  }
+
+  function parseBlockSequence(indent) {
+    const arr = [];
+    for (;;) {
+      note(arr, arr.length, pos++);
+      arr.push(parseValue(indent, false, true));
+      skipToContent();
+      if (pos >= len || isDocMarker()) break;
+      const col = columnOf(pos);
+      if (col < indent) break;
+      if (col > indent) fail('bad indentation of a sequence entry');
+      if (!(src[pos] === '-' && isBlankOrEnd(src[pos + 1]))) break;
+    }
+    return arr;
+  }
+
+  function parseBlockNode(parentIndent, allowCollection) {
+    // pos is on the first character of a node; collections opened here are indented at this column
+    const col = columnOf(pos);
+    const entry = (src[pos] === '-' || src[pos] === '?') && isBlankOrEnd(src[pos + 1]);
+    if (allowCollection && !entry && looksLikeImplicitKey(pos)) return parseBlockMapping(col);
+    const props = parseProperties(false);
+    skipComment();
+    if (props.anchor || props.tag) {
+      if (atLineEnd()) {
+        // Properties on their own line apply to the node below
+        skipToContent();
+        if (pos >= len || isDocMarker() || columnOf(pos) <= parentIndent) return finishNode(props, '', true);
+        return finishNode(props, parseBlockNode(parentIndent, true), false);
+      }
+    }
+    const c = src[pos];
+    if (c === '-' && isBlankOrEnd(src[pos + 1])) {
+      if (!allowCollection) fail('block sequence entries are not allowed here');
+      return finishNode(props, parseBlockSequence(col), false);
+    }
+    if (c === '?' && isBlankOrEnd(src[pos + 1])) {
+      if (!allowCollection) fail('explicit mapping keys are not allowed here');
+      return finishNode(props, parseBlockMapping(col), false);
+    }
+    if (c === '|' || c === '>') return finishNode(props, parseBlockScalar(parentIndent), false);
+
+    let value;
+    let plain = false;
+    if (c === '[' || c === '{') value = parseFlowCollection(parentIndent);
+    else if (c === '"' || c === "'") value = parseQuoted();
+    else if (c === '*') value = parseAlias(false);
+    else if (canStartPlain(false)) {
+      value = parsePlain(parentIndent, false);
+      plain = true;
+    } else {
+      fail(`unexpected "${c}"`);
+    }
+    skipInline();
+    skipComment();
+    if (src[pos] === ':') fail('mapping values are not allowed here');
+    if (!atLineEnd()) fail('unexpected characters after value');
+    return c === '*' ? value : finishNode(props, value, plain);
+  }
+
+  function parseValue(parentIndent, allowSeqAtIndent, allowInlineCollection) {
+    // Called just past an indicator ("key:", "-", "?" or "---"); the value may sit on the same line or below
+    skipInline();
+    skipComment();
+    if (!atLineEnd()) return parseBlockNode(parentIndent, allowInlineCollection);
+    skipToContent();
+    if (pos >= len || isDocMarker()) return null;
+    const col = columnOf(pos);
+    if (col > parentIndent) return parseBlockNode(parentIndent, true);
+    if (allowSeqAtIndent && col === parentIndent && src[pos] === '-' && isBlankOrEnd(src[pos + 1])) return parseBlockSequence(col);
+    return null;
+  }
+
+  skipToContent();
+  let directives = false;
+  while (src[pos] === '%' && columnOf(pos) === 0) {
+    directives = true;
+    while (pos < len && src[pos] !== '\n') pos++;
+    skipToContent();
+  }
+  let doc = null;
+  if (isDocMarker() && src.startsWith('---', pos)) {
+    pos += 3;
+    doc = parseValue(-1, false, false);
+  } else if (directives) {
+    fail('directives must be followed by "---"');
+  } else if (pos < len && !isDocMarker()) {
+    doc = parseBlockNode(-1, true);
+  }
+  skipToContent();
+  if (isDocMarker() && src.startsWith('...', pos)) {
+    pos += 3;
+    skipToContent();
+  }
+  if (pos < len) fail(isDocMarker() ? 'multiple YAML documents are not supported' : 'unexpected content after the document');
+  return doc;
+}
+
+function locateYamlPointer(locations, doc, pointer) {
+  // Position of the deepest key or item along a JSON pointer that exists in the source
+  let node = doc;
+  let found = null;
+  for (const raw of String(pointer || '').split('/').slice(1)) {
+    const key = raw.replace(/~1/g, '/').replace(/~0/g, '~');
+    const at = node && typeof node === 'object' ? locations.get(node)?.get(key) : undefined;
+    if (!at) break;
+    found = at;
+    node = node[key];
+  }
+  return found;
+}
+
+// JSON Schema (draft 2020-12) evaluation.
+// Covers the validation vocabulary plus the applicators: $ref/$defs, allOf/anyOf/oneOf/not,
+// if/then/else, properties/patternProperties/additionalProperties/propertyNames,
+// prefixItems/items/contains and dependentRequired/dependentSchemas.
+// Keywords we cannot evaluate make the schema load fail instead of being ignored.
+
+const UNSUPPORTED_KEYWORDS = ['unevaluatedProperties', 'unevaluatedItems', '$dynamicRef', '$recursiveRef'];
+
+const FORMAT_CHECKS = {
+  date: (s) => {
+    const m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return false;
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+  },
+  'date-time': (s) => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(s) && !isNaN(Date.parse(s)),
+  uri: (s) => /^[A-Za-z][A-Za-z0-9+.-]*:\S*$/.test(s),
+  email: (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s),
+  regex: (s) => { try { new RegExp(s, 'u'); return true; } catch { return false; } },
+};
+
+function schemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function typeMatches(type, value) {
+  const t = schemaTypeOf(value);
+  return t === type || (type === 'number' && t === 'integer');
+}
+
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  return ka.length === kb.length && ka.every((k) => hasOwn(b, k) && deepEqual(a[k], b[k]));
+}
+
+function pointerEscape(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function resolveSchemaRef(root, ref) {
+  if (!ref.startsWith('#')) throw new Error(`external $ref not supported: ${ref}`);
+  let node = root;
+  for (const part of ref.slice(1).split('/').slice(1)) {
+    const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || typeof node !== 'object' || !hasOwn(node, key)) throw new Error(`unresolvable $ref: ${ref}`);
+    node = node[key];
+  }
+  return node;
+}
+
+// Where the supported keywords hold subschemas; every other key (enum, const, default, examples,
+// annotations) holds plain data, whatever its name
+const SUBSCHEMA_KEYWORDS = ['items', 'additionalProperties', 'propertyNames', 'contains', 'not', 'if', 'then', 'else'];
+const SUBSCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const SUBSCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas'];
+// Applicators that evaluate their subschemas against the same value
+const IN_PLACE_KEYWORDS = ['not', 'if', 'then', 'else'];
+const IN_PLACE_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf'];
+
+function inPlaceSubschemas(schema) {
+  const subs = IN_PLACE_KEYWORDS.filter((k) => hasOwn(schema, k)).map((k) => schema[k]);
+  for (const k of IN_PLACE_LIST_KEYWORDS) if (Array.isArray(schema[k])) subs.push(...schema[k]);
+  if (schema.dependentSchemas && typeof schema.dependentSchemas === 'object') subs.push(...Object.values(schema.dependentSchemas));
+  return subs;
+}
+
+function checkRefCycle(schema, root, refs, acyclic) {
+  // A $ref chain that comes back to a schema without descending into the value never ends
+  if (!schema || typeof schema !== 'object' || acyclic.has(schema)) return;
+  if (typeof schema.$ref === 'string') {
+    const target = resolveSchemaRef(root, schema.$ref);
+    const chain = [...refs, { ref: schema.$ref, target }];
+    if (refs.some((r) => r.target === target)) throw new Error(`$ref cycle ${chain.map((r) => r.ref).join(' -> ')}`);
+    checkRefCycle(target, root, chain, acyclic);
+  }
+  for (const sub of inPlaceSubschemas(schema)) checkRefCycle(sub, root, refs, acyclic);
+  acyclic.add(schema);
+}
+
+function checkSchemaKeywords(schema, root, where = '#', acyclic = new WeakSet()) {
+  // Walks the schema once so a broken regex, $ref or $ref cycle rejects the schema itself, not some meta file
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return;
+  for (const k of UNSUPPORTED_KEYWORDS) {
+    if (hasOwn(schema, k)) throw new Error(`unsupported keyword ${k} at ${where}`);
+  }
+  if (typeof schema.pattern === 'string') new RegExp(schema.pattern, 'u');
+  for (const p of Object.keys(schema.patternProperties || {})) new RegExp(p, 'u');
+  if (typeof schema.$ref === 'string') checkRefCycle(schema, root, [], acyclic);
+  const walk = (sub, at) => checkSchemaKeywords(sub, root, at, acyclic);
+  for (const k of SUBSCHEMA_KEYWORDS) {
+    if (!hasOwn(schema, k)) continue;
+    // items may still be a list of schemas in older drafts
+    if (Array.isArray(schema[k])) schema[k].forEach((s, idx) => walk(s, `${where}/${k}/${idx}`));
+    else walk(schema[k], `${where}/${k}`);
+  }
+  for (const k of SUBSCHEMA_LIST_KEYWORDS) {
+    if (Array.isArray(schema[k])) schema[k].forEach((s, idx) => walk(s, `${where}/${k}/${idx}`));
+  }
+  for (const k of SUBSCHEMA_MAP_KEYWORDS) {
+    const map = schema[k];
+    if (!map || typeof map !== 'object' || Array.isArray(map)) continue;
+    for (const [name, s] of Object.entries(map)) walk(s, `${where}/${k}/${pointerEscape(name)}`);
+  }
+}
+
+function evaluateSchema(schema, value, pointer, root) {
+  // Returns every violation as { pointer, keyword, message }
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [{ pointer, keyword: 'false', message: 'is not allowed' }];
+  const errors = [];
+  const fail = (keyword, message, at = pointer) => errors.push({ pointer: at, keyword, message });
+  const sub = (s, v, p) => evaluateSchema(s, v, p, root);
+
+  if (typeof schema.$ref === 'string') errors.push(...sub(resolveSchemaRef(root, schema.$ref), value, pointer));
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(t, value))) {
+      // Further keywords only produce noise once the type is wrong
+      fail('type', `must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => deepEqual(e, value))) fail('enum', `must be one of ${JSON.stringify(schema.enum)}`);
+  if (hasOwn(schema, 'const') && !deepEqual(schema.const, value)) fail('const', `must equal ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (typeof schema.minLength === 'number' && length < schema.minLength) fail('minLength', `must have at least ${schema.minLength} characters`);
+    if (typeof schema.maxLength === 'number' && length > schema.maxLength) fail('maxLength', `must have at most ${schema.maxLength} characters`);
+    if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern, 'u').test(value)) fail('pattern', `must match pattern ${schema.pattern}`);
+    if (typeof schema.format === 'string' && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) fail('format', `must be a valid ${schema.format}`);
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    if (typeof schema.multipleOf === 'number' && !Number.isInteger(value / schema.multipleOf)) fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+  }
+
+  if (Array.isArray(value)) {
+    const prefix = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    value.forEach((item, idx) => {
+      errors.push(...sub(idx < prefix.length ? prefix[idx] : schema.items, item, `${pointer}/${idx}`));
+    });
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`);
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems === true) {
+      value.forEach((item, idx) => {
+        if (value.slice(0, idx).some((prev) => deepEqual(prev, item))) fail('uniqueItems', 'duplicates an earlier item', `${pointer}/${idx}`);
+      });
+    }
+    if (schema.contains !== undefined) {
+      const matches = value.filter((item, idx) => sub(schema.contains, item, `${pointer}/${idx}`).length === 0).length;
+      const min = typeof schema.minContains === 'number' ? schema.minContains : 1;
+      if (matches < min) fail('minContains', `must contain at least ${min} matching item(s)`);
+      if (typeof schema.maxContains === 'number' && matches > schema.maxContains) fail('maxContains', `must contain at most ${schema.maxContains} matching item(s)`);
+    }
+  }
+
+  if (schemaTypeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    const props = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([p, s]) => [new RegExp(p, 'u'), s]);
+    for (const name of Array.isArray(schema.required) ? schema.required : []) {
+      if (!hasOwn(value, name)) fail('required', 'is required', `${pointer}/${pointerEscape(name)}`);
+    }
+    for (const key of keys) {
+      const at = `${pointer}/${pointerEscape(key)}`;
+      let matched = false;
+      if (hasOwn(props, key)) {
+        matched = true;
+        errors.push(...sub(props[key], value[key], at));
+      }
+      for (const [re, s] of patterns) {
+        if (!re.test(key)) continue;
+        matched = true;
+        errors.push(...sub(s, value[key], at));
+      }
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) fail('additionalProperties', 'is not an allowed property', at);
+        else errors.push(...sub(schema.additionalProperties, value[key], at));
+      }
+      if (schema.propertyNames !== undefined && sub(schema.propertyNames, key, at).length) fail('propertyNames', 'is not an allowed property name', at);
+    }
+    if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) fail('minProperties', `must have at least ${schema.minProperties} properties`);
+    if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) fail('maxProperties', `must have at most ${schema.maxProperties} properties`);
+    for (const [key, needed] of Object.entries(schema.dependentRequired || {})) {
+      if (!hasOwn(value, key)) continue;
+      for (const name of needed) {
+        if (!hasOwn(value, name)) fail('dependentRequired', `is required when ${key} is present`, `${pointer}/${pointerEscape(name)}`);
+      }
     }
+    for (const [key, s] of Object.entries(schema.dependentSchemas || {})) {
+      if (hasOwn(value, key)) errors.push(...sub(s, value, pointer));
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) schema.allOf.forEach((s) => errors.push(...sub(s, value, pointer)));
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((s) => sub(s, value, pointer).length === 0)) fail('anyOf', 'must match at least one schema in anyOf');
+  if (Array.isArray(schema.oneOf)) {
+    const passing = schema.oneOf.filter((s) => sub(s, value, pointer).length === 0).length;
+    if (passing !== 1) fail('oneOf', `must match exactly one schema in oneOf (matched ${passing})`);
   }
-  return obj;
+  if (schema.not !== undefined && sub(schema.not, value, pointer).length === 0) fail('not', 'must not match the schema in not');
+  if (schema.if !== undefined) {
+    const branch = sub(schema.if, value, pointer).length === 0 ? schema.then : schema.else;
+    errors.push(...sub(branch, value, pointer));
+  }
+  return errors;
 }
 
-function validateMetaYaml(api, path) {
+function loadMetaSchema(api) {
+  const buf = api.readFile(META_SCHEMA_PATH);
+  if (!buf) return { ok: false, error: issue(META_SCHEMA_PATH, 'config.unreadable', 'cannot read file') };
+  const text = decodeUtf8(buf);
+  if (!text) return { ok: false, error: issue(META_SCHEMA_PATH, 'config.encoding', 'is not UTF-8') };
+  try {
+    const schema = parseYaml(text);
+    if (typeof schema !== 'boolean' && (!schema || typeof schema !== 'object' || Array.isArray(schema))) {
+      throw new Error('schema must be an object or boolean');
+    }
+    checkSchemaKeywords(schema, schema);
+    return { ok: true, schema };
+  } catch (e) {
+    return { ok: false, error: issue(META_SCHEMA_PATH, 'config.invalid', `is not a usable schema: ${e?.message || e}`) };
+  }
+}
+
+function validateMetaYaml(api, path, schema, template, profile = STRICT_PROFILE, branch = null) {
+  // Returns the issues found in one meta file
   const buf = api.readFile(path);
-  if (!buf) return { ok: false, message: `Cannot read ${path}` };
+  if (!buf) return [issue(path, 'file.unreadable', 'cannot read file')];
   const text = decodeUtf8(buf);
-  if (!text) return { ok: false, message: `${path} is not UTF-8` };
-  const doc = parseYamlLike(text);
-  if (!doc || typeof doc !== 'object') return { ok: false, message: `${path} is not valid YAML/JSON` };
-  // Checks per schema
-  if (typeof doc.title !== 'string' || !doc.title.trim()) return { ok: false, message: `${path}: missing or invalid title (string)` };
-  if (typeof doc.release_date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(doc.release_date)) return { ok: false, message: `${path}: invalid release_date (YYYY-MM-DD)` };
-  if (!Array.isArray(doc.genre) || !doc.genre.every((g) => typeof g === 'string')) return { ok: false, message: `${path}: invalid genre (array of strings)` };
-  return { ok: true };
+  if (!text) return [issue(path, 'file.encoding', 'is not UTF-8')];
+  const locations = new Map();
+  let doc;
+  try {
+    doc = parseYaml(text, { locations });
+  } catch (e) {
+    if (e instanceof YamlSyntaxError) return [issue(path, 'yaml.syntax', `invalid YAML: ${e.reason}`, e)];
+    return [issue(path, 'yaml.syntax', `invalid YAML: ${e?.message || e}`)];
+  }
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return [issue(path, 'meta.not_mapping', 'must contain a YAML mapping')];
+  const where = branch ? `branch ${branch}` : 'this branch';
+  const draft = doc.draft === true;
+  // Required fields a draft may leave out under this profile
+  const waived = (e) => e.keyword === 'required' && profile.allowMissing.some((f) => e.pointer === `/${pointerEscape(f)}`);
+  const errors = [];
+  if (draft && !profile.drafts) {
+    errors.push(issue(path, 'profile.draft', `draft entries are not accepted on ${where} (validation profile ${profile.name}); complete the entry and remove draft: true`, {
+      pointer: '/draft',
+      ...locateYamlPointer(locations, doc, '/draft'),
+    }));
+  }
+  for (const e of evaluateSchema(schema, doc, '', schema)) {
+    if (draft && profile.drafts && waived(e)) continue;
+    const hint = !draft && profile.drafts && waived(e) ? `; mark the entry draft: true to push it to ${where} without it` : '';
+    errors.push(issue(path, `schema.${e.keyword}`, `${e.message}${hint}`, {
+      pointer: e.pointer,
+      ...locateYamlPointer(locations, doc, e.pointer),
+    }));
+  }
+  if (errors.length) return errors;
+  // A draft missing fields cannot be placed yet; its canonical path is checked once they are set
+  if (draft && profile.allowMissing.some((f) => doc[f] === undefined)) return [];
+  const misplaced = template ? checkCanonicalPath(path, doc, template) : null;
+  return misplaced ? [misplaced] : [];
+}
+
+// Change status. Hosts report { path, status, oldPath } with status added/modified/deleted/renamed;
+// git letters (A, M, D, R100, ...) are accepted too and a missing status means the file was written.
+// This mirrors normalizeChange in hooks/server/lib/utils.mjs, which the sandbox cannot import.
+
+const CHANGE_STATUS_LETTERS = { A: 'added', C: 'added', M: 'modified', T: 'modified', D: 'deleted', R: 'renamed' };
+const CHANGE_STATUSES = ['added', 'modified', 'deleted', 'renamed'];
+
+function normalizeChange(change) {
+  // Returns null for an empty or unknown status
+  const raw = String(change.status ?? change.type ?? 'modified');
+  const status = CHANGE_STATUSES.includes(raw.toLowerCase())
+    ? raw.toLowerCase()
+    : /^[a-z]\d*$/i.test(raw) ? CHANGE_STATUS_LETTERS[raw[0].toUpperCase()] : undefined;
+  if (!status) return null;
+  const oldPath = change.oldPath ?? change.old_path ?? change.from ?? null;
+  return { path: change.path, status, oldPath: status === 'renamed' ? oldPath : null };
+}
+
+function hasMetaFile(api, dir) {
+  return META_FILE_PATTERNS.some((pattern) => !!api.readFile(`${dir}/${pattern.slice(pattern.lastIndexOf('/') + 1)}`));
+}
+
+function checkOrphans(api, changes) {
+  // Entry files must sit next to a meta file in the resulting tree. When a meta file is deleted or
+  // renamed away, every file left in its directory is reported; hosts without api.listFiles only
+  // let the entry's index.md be checked.
+  const errors = [];
+  const checked = new Map();
+  const metaPresent = (dir) => {
+    if (!checked.has(dir)) checked.set(dir, hasMetaFile(api, dir));
+    return checked.get(dir);
+  };
+  const entryDirOf = (p) => {
+    if (isAssetFile(p)) return assetEntryOf(p);
+    if (/^data\/.+\/index\.md$/.test(p)) return dirnameOf(p);
+    return null;
+  };
+  const gone = [];
+  const reported = new Set();
+  for (const change of changes) {
+    if (change.status === 'deleted') gone.push(change.path);
+    if (change.status === 'renamed' && change.oldPath) gone.push(change.oldPath);
+    if (change.status === 'deleted') continue;
+    const dir = entryDirOf(change.path);
+    if (dir !== null && !metaPresent(dir)) {
+      reported.add(change.path);
+      errors.push(issue(change.path, 'entry.orphan', `has no meta.yaml in ${dir}/; add one or move the file into an entry`));
+    }
+  }
+  const listed = typeof api.listFiles === 'function';
+  if (!listed && gone.some(isMetaFile)) api.log('host cannot list files (api.listFiles); only index.md is checked for files left behind by a removed meta file');
+  for (const p of gone) {
+    if (!isMetaFile(p)) continue;
+    const dir = dirnameOf(p);
+    if (metaPresent(dir)) continue;
+    const left = listed ? api.listFiles(`${dir}/`) : [`${dir}/index.md`].filter((page) => api.readFile(page));
+    for (const file of left) {
+      if (reported.has(file)) continue;
+      reported.add(file);
+      errors.push(issue(file, 'entry.orphan', `would be left without a meta file after ${p} is removed; delete or move it too`));
+    }
+  }
+  return errors;
+}
+
+function entrySizeTotals(api, stagedSizes) {
+  // Bytes of every file under each entry directory with staged assets, from the resulting tree
+  if (typeof api.listFiles !== 'function') {
+    if (Object.keys(stagedSizes).length) api.log('host cannot list files (api.listFiles); assets.maxEntrySize only counts the staged assets');
+    return stagedSizes;
+  }
+  const totals = {};
+  for (const entry of Object.keys(stagedSizes)) {
+    totals[entry] = 0;
+    for (const p of api.listFiles(`${entry}/`)) {
+      const buf = api.readFile(p);
+      if (buf) totals[entry] += buf.byteLength ?? buf.length;
+    }
+  }
+  return totals;
 }
 
 function validate(api) {
-  const staged = api.listStaged();
   const errors = [];
+  const done = () => (errors.length
+    ? { ok: false, message: errors.map(formatIssue).join('\n'), errors }
+    : { ok: true, errors });
+  const staged = [];
+  for (const change of api.listStaged()) {
+    const normalized = normalizeChange(change);
+    if (!normalized) {
+      const raw = JSON.stringify(String(change.status ?? change.type));
+      errors.push(issue(change.path, 'change.status', `has an unknown change status ${raw} (expected ${CHANGE_STATUSES.join(', ')} or a git status letter)`));
+      continue;
+    }
+    staged.push(normalized);
+  }
+  const rules = loadFileRules(api);
+  if (!rules.ok) {
+    errors.push(rules.error);
+    return done();
+  }
+  const profile = profileFor(rules.profiles, api.branch);
+  let schema;
+  const entrySizes = {};
   for (const f of staged) {
+    if (f.status === 'deleted') continue;
     const p = f.path;
-    if (!isWhitelisted(p)) {
-      errors.push(`Path not allowed: ${p}`);
+    const denied = checkPathRules(api, rules, p);
+    if (denied) {
+      errors.push(denied);
       continue;
     }
-    if (globMatch('data/**/meta.yaml', p) || globMatch('data/**/meta.yml', p)) {
-      const res = validateMetaYaml(api, p);
-      if (!res.ok) errors.push(res.message || `Invalid meta: ${p}`);
+    if (rules.assets && isAssetFile(p)) {
+      const bytes = api.readFile(p);
+      if (!bytes) {
+        errors.push(issue(p, 'file.unreadable', 'cannot read file'));
+        continue;
+      }
+      errors.push(...checkAsset(p, bytes, rules.assets));
+      const entry = assetEntryOf(p);
+      entrySizes[entry] = (entrySizes[entry] || 0) + (bytes.byteLength ?? bytes.length);
+    }
+    if (isMetaFile(p)) {
+      if (schema === undefined) {
+        const loaded = loadMetaSchema(api);
+        if (!loaded.ok) {
+          errors.push(loaded.error);
+          return done();
+        }
+        schema = loaded.schema;
+      }
+      errors.push(...validateMetaYaml(api, p, schema, rules.insertTemplate, profile, api.branch || null));
+    }
+  }
+  errors.push(...checkOrphans(api, staged));
+  const maxEntrySize = rules.assets ? rules.assets.maxEntrySize : null;
+  if (maxEntrySize !== null) {
+    for (const [entry, size] of Object.entries(entrySizeTotals(api, entrySizes))) {
+      if (size > maxEntrySize) {
+        errors.push(issue(`${entry}/assets/`, 'asset.entry_size',
+          `breaks assets.maxEntrySize: ${formatSize(size)} of entry files exceeds ${formatSize(maxEntrySize)} for ${entry}`));
+      }
     }
   }
-  if (errors.length) return { ok: false, message: errors.join('\n') };
-  return { ok: true };
+  return done();
 }
 
 // Return the validate function as the result of the script
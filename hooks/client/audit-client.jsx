@@ -0,0 +1,133 @@
+/**
+ * audit-client.jsx — Repository-owned UI for the /audit route: pages through the hook audit log
+ * Reads audit/head.json and the monthly segments it lists (written by the server hooks, see
+ * hooks/server/lib/audit.mjs), newest records first, and checks each page against the hash chain.
+ */
+
+import { parseSegment, verifyChain } from '../lib/audit-chain.mjs'
+
+const DEFAULT_PAGE_SIZE = 25
+const MAX_PAGE_SIZE = 100
+
+function shortHash(value) {
+  return value ? String(value).replace(/^sha256:/, '').slice(0, 12) : '—'
+}
+
+function commitRange(record) {
+  const from = record.old_commit ? record.old_commit.slice(0, 8) : '∅'
+  const to = record.new_commit ? record.new_commit.slice(0, 8) : 'staged'
+  return `${from}..${to}`
+}
+
+async function loadPage(fetchFile, dir, page, pageSize) {
+  const headResp = await fetchFile(`/${dir}/head.json`)
+  if (!headResp.ok) return { missing: headResp.status }
+  const head = await headResp.json()
+  const total = head.count || 0
+  const newest = total - (page - 1) * pageSize
+  if (newest < 1) return { head, total, records: [], broken: null }
+  const oldest = Math.max(1, newest - pageSize + 1)
+  // The record before the page anchors its first link
+  const from = Math.max(1, oldest - 1)
+  const loaded = []
+  for (const segment of head.segments || []) {
+    if (segment.last < from || segment.first > newest) continue
+    const resp = await fetchFile(`/${segment.path}`)
+    if (!resp.ok) throw new Error(`${segment.path} returned ${resp.status}`)
+    loaded.push(...parseSegment(await resp.text()).filter((r) => r.seq >= from && r.seq <= newest))
+  }
+  const anchor = oldest > 1 ? loaded.find((r) => r.seq === oldest - 1) || null : null
+  const shown = loaded.filter((r) => r.seq >= oldest)
+  let broken = oldest > 1 && !anchor ? { seq: oldest - 1, reason: 'record is missing' } : verifyChain(shown, anchor)
+  if (!broken && newest === total && shown[shown.length - 1]?.hash !== head.hash) {
+    broken = { seq: newest, reason: 'head.json does not point at the newest record' }
+  }
+  return { head, total, records: shown.reverse(), broken }
+}
+
+export default async function auditHook({ params, navigate, fetchFile, dir = 'audit' } = {}) {
+  const page = Math.max(1, parseInt(params?.page || '1', 10) || 1)
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params?.pageSize || String(DEFAULT_PAGE_SIZE), 10) || DEFAULT_PAGE_SIZE))
+
+  try {
+    const { missing, total, records, broken } = await loadPage(fetchFile, dir, page, pageSize)
+    if (missing) {
+      return <div className="p-4 text-gray-500">No audit log on this branch ({dir}/head.json returned {missing}); the hooks write it to the audit branch.</div>
+    }
+    const pages = Math.max(1, Math.ceil(total / pageSize))
+    const goTo = (p) => navigate && navigate(`/audit?page=${p}&pageSize=${pageSize}`)
+
+    return (
+      <div className="p-4">
+        <div className="text-sm text-gray-500 mb-3">
+          {total} hook run{total === 1 ? '' : 's'} recorded · page {page} of {pages}
+        </div>
+        {broken ? (
+          <div className="p-3 mb-3 rounded border border-red-400 text-red-600 text-sm">
+            Hash chain broken at record #{broken.seq}: {broken.reason}. The log on this peer has been altered.
+          </div>
+        ) : (
+          <div className="mb-3 text-xs text-green-600">Hash chain verified for this page</div>
+        )}
+        {records.length === 0 ? (
+          <div className="text-gray-500">No records on page {page}</div>
+        ) : (
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="text-left border-b border-[var(--border)]">
+                <th className="p-2">#</th>
+                <th className="p-2">Time</th>
+                <th className="p-2">Hook</th>
+                <th className="p-2">Branch</th>
+                <th className="p-2">Commits</th>
+                <th className="p-2">Signer</th>
+                <th className="p-2">Verdict</th>
+                <th className="p-2">Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {records.map((record) => (
+                <tr key={record.seq} className="align-top border-b border-[var(--border)]">
+                  <td className="p-2 font-mono" title={record.hash}>{record.seq}</td>
+                  <td className="p-2 whitespace-nowrap">{record.time}</td>
+                  <td className="p-2">{record.hook}</td>
+                  <td className="p-2">{record.branch}</td>
+                  <td className="p-2 font-mono">{commitRange(record)}</td>
+                  <td className="p-2 font-mono" title={record.signer?.fingerprint || ''}>
+                    {record.signer?.signed ? shortHash(record.signer.fingerprint) : 'unsigned'}
+                  </td>
+                  <td className={`p-2 font-medium ${record.verdict === 'accepted' ? 'text-green-600' : 'text-red-600'}`}>
+                    {record.verdict}
+                    {record.codes?.length ? <div className="text-xs font-normal">{record.codes.join(', ')}</div> : null}
+                  </td>
+                  <td className="p-2">
+                    <details>
+                      <summary className="cursor-pointer">{record.paths?.length || 0} path{record.paths?.length === 1 ? '' : 's'}</summary>
+                      <ul className="font-mono text-xs mt-1">
+                        {(record.paths || []).map((p) => (
+                          <li key={`${p.status}:${p.path}`}>{p.status} {p.oldPath ? `${p.oldPath} → ` : ''}{p.path}</li>
+                        ))}
+                      </ul>
+                      <ul className="text-xs mt-1 text-gray-500">
+                        {(record.stages || []).map((s) => (
+                          <li key={s.stage}>{s.stage}: {s.skipped ? 'skipped' : s.ok ? 'ok' : `${s.issues} issue${s.issues === 1 ? '' : 's'}`}</li>
+                        ))}
+                      </ul>
+                    </details>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="flex gap-2 mt-3">
+          <button disabled={page <= 1} onClick={() => goTo(page - 1)} className="px-3 py-1 rounded text-sm bg-gray-700 text-white disabled:opacity-50">Newer</button>
+          <button disabled={page >= pages} onClick={() => goTo(page + 1)} className="px-3 py-1 rounded text-sm bg-gray-700 text-white disabled:opacity-50">Older</button>
+        </div>
+      </div>
+    )
+  } catch (err) {
+    console.error('[audit-client] Error:', err)
+    return <div className="p-4 text-red-600">Error: {err instanceof Error ? err.message : String(err)}</div>
+  }
+}
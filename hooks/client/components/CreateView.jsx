@@ -4,8 +4,22 @@
  *
  * Loaded via: helpers.loadModule('./lib/components/CreateView.jsx')
  * Exported as: renderCreateView function
+ *
+ * Submits documents in the current meta format (hooks/meta.schema.yaml): schema_version, `genre`
+ * and full image URLs, so new entries need no migration.
  */
 
+// schema_version const in hooks/meta.schema.yaml
+const SCHEMA_VERSION = 3
+// TMDB image CDN sizes, as hooks/migrations/0003-image-urls.mjs maps poster_path / backdrop_path
+const TMDB_POSTER_BASE = 'https://image.tmdb.org/t/p/w500'
+const TMDB_BACKDROP_BASE = 'https://image.tmdb.org/t/p/w1280'
+
+function imageUrl(url, tmdbPath, base) {
+    if (url) return url
+    return tmdbPath ? `${base}${tmdbPath}` : ''
+}
+
 export function renderCreateView(
     prefillData,
     onBack,
@@ -59,7 +73,10 @@ export function renderCreateView(
         )
     }
 
-    const posterUrl = movie.poster_path ? `https://image.tmdb.org/t/p/w200${movie.poster_path}` : null
+    // Prefill comes from TMDB (poster_path, genres) or from an existing entry (url_poster, genre)
+    const posterUrl = imageUrl(movie.url_poster, movie.poster_path, TMDB_POSTER_BASE)
+    const backdropUrl = imageUrl(movie.url_backdrop, movie.backdrop_path, TMDB_BACKDROP_BASE)
+    const genres = movie.genre || movie.genres || []
 
     function handleSubmit(e) {
         e.preventDefault()
@@ -71,11 +88,11 @@ export function renderCreateView(
         if (data.revenue) data.revenue = parseInt(String(data.revenue), 10)
         if (data.vote_average) data.vote_average = parseFloat(String(data.vote_average))
 
-        if (data.genres) {
-            data.genres = String(data.genres).split(',').map((g) => g.trim()).filter(Boolean)
-        }
+        data.genre = String(data.genre || '').split(',').map((g) => g.trim()).filter(Boolean)
+        if (!data.url_poster) delete data.url_poster
+        if (!data.url_backdrop) delete data.url_backdrop
 
-        onSubmit(data)
+        onSubmit({ schema_version: SCHEMA_VERSION, ...data })
     }
 
     return (
@@ -110,10 +127,10 @@ export function renderCreateView(
                         <div className="flex-shrink-0">
                             <img src={posterUrl} alt={movie.title || 'Movie poster'}
                                 className="w-32 md:w-48 rounded-lg shadow-lg" />
-                            <input type="hidden" name="poster_path" value={movie.poster_path || ''} />
-                            <input type="hidden" name="backdrop_path" value={movie.backdrop_path || ''} />
                         </div>
                     )}
+                    <input type="hidden" name="url_poster" value={posterUrl} />
+                    <input type="hidden" name="url_backdrop" value={backdropUrl} />
                     <div className="flex-1 space-y-4">
                         {FormField('Title', 'title', movie.title, 'text', { placeholder: 'Movie title' })}
                         {FormField('Original Title', 'original_title', movie.original_title, 'text')}
@@ -155,8 +172,8 @@ export function renderCreateView(
 
                 {FormField(
                     'Genres (comma-separated)',
-                    'genres',
-                    (movie.genres || [])
+                    'genre',
+                    genres
                         .map((g) => (typeof g === 'object' && g && 'name' in g ? String(g.name || '') : String(g)))
                         .filter(Boolean)
                         .join(', '),
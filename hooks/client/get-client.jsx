@@ -283,6 +283,24 @@ function GetClientComponent() {
                     throw new Error('Failed to load query module: hooks/client/query-client.jsx')
                 }
 
+                // Audit log route pages through the hook audit log
+                const auditMatch = path.match(/^\/audit\/?(?:\?(.*))?$/);
+                if (auditMatch) {
+                    const auditParams = new URLSearchParams(auditMatch[1] || '');
+                    console.debug('[get-client] Audit route matched, page:', auditParams.get('page') || '1');
+                    const auditMod = await import('./audit-client.jsx');
+                    const auditElement = await auditMod.default({
+                        params: {
+                            page: auditParams.get('page') || '1',
+                            pageSize: auditParams.get('pageSize') || '25',
+                        },
+                        navigate,
+                        fetchFile: fetchRelative,
+                    });
+                    if (!cancelled) setContent(wrap(auditElement, await fetchOptions()));
+                    return;
+                }
+
                 // Default: markdown file route or 404
                 const opts = await fetchOptions();
                 const { content } = await fetchMarkdownContent(path);
@@ -8,6 +8,8 @@
  *   - /view/yts/{title} — Display a basic movie view with discovered torrent sources
  */
 
+import { normalizeInfoHash } from '../../lib/hashes.mjs'
+
 // Utilities borrowed and adapted from template-ui/site/movies/yts/query_yts.js
 function getDomainFromEnv(env) {
   const d = (env && env.RELAY_PUBLIC_YTS_DOMAIN) ? String(env.RELAY_PUBLIC_YTS_DOMAIN).trim() : ''
@@ -53,36 +55,6 @@ function extractMoviePageUrl(html, domain) {
   return null
 }
 
-function base32ToHex(s) {
-  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
-  let bits = ''
-  for (const ch of s.toUpperCase()) {
-    const v = alphabet.indexOf(ch)
-    if (v < 0) return null
-    bits += v.toString(2).padStart(5, '0')
-  }
-  let out = ''
-  for (let i = 0; i + 4 <= bits.length; i += 4) {
-    const nibble = parseInt(bits.slice(i, i + 4), 2)
-    out += nibble.toString(16)
-  }
-  if (out.length >= 40) return out.slice(0, 40)
-  return out.padEnd(40, '0')
-}
-
-function normalizeInfoHash(btih) {
-  if (!btih) return null
-  const s = String(btih).trim()
-  if (/^[a-fA-F0-9]{40}$/.test(s)) return s.toLowerCase()
-  if (/^[a-zA-Z2-7]{32}$/.test(s)) {
-    const hex = base32ToHex(s)
-    return hex ? hex.toLowerCase() : null
-  }
-  const m = s.match(/urn:btih:([^&]+)/i)
-  if (m) return normalizeInfoHash(decodeURIComponent(m[1]))
-  return null
-}
-
 function extractTorrents(html, domain) {
   const results = []
   const seen = new Set()
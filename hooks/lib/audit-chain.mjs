@@ -0,0 +1,129 @@
+/**
+ * audit-chain.mjs — Hash chain of the hook audit log, shared by the server hooks and the client /audit route
+ *
+ * Records are stored one JSON object per line in monthly segments (<dir>/<YYYY-MM>.jsonl) listed by
+ * <dir>/head.json ({ count, hash, segments: [{ path, count, first, last }] }). Every record carries
+ * `seq` (from 1), `prev` (the previous record's hash, GENESIS_HASH for the first) and `hash`: the
+ * SHA-256 of the record without `hash`, serialized with sorted keys. Changing, dropping or
+ * reordering a record breaks every later link.
+ *
+ * SHA-256 is implemented here so the chain can be built and checked synchronously both in the
+ * hooks and in the browser.
+ */
+
+export const GENESIS_HASH = `sha256:${'0'.repeat(64)}`;
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+/**
+ * Hex SHA-256 of a string (UTF-8 encoded).
+ */
+export function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const length = Math.ceil((bytes.length + 9) / 64) * 64;
+  const data = new Uint8Array(length);
+  data.set(bytes);
+  data[bytes.length] = 0x80;
+  const view = new DataView(data.buffer);
+  view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+  const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let offset = 0; offset < length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      hh = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+    [a, b, c, d, e, f, g, hh].forEach((v, i) => { h[i] = (h[i] + v) >>> 0; });
+  }
+  return h.map((v) => v.toString(16).padStart(8, '0')).join('');
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+}
+
+/**
+ * The text a record's hash covers: the record without `hash`, keys sorted, no whitespace.
+ */
+export function recordPayload(record) {
+  const { hash, ...rest } = record;
+  return JSON.stringify(sortKeys(rest));
+}
+
+export function recordHash(record) {
+  return `sha256:${sha256Hex(recordPayload(record))}`;
+}
+
+/**
+ * Links `fields` after `head` ({ count, hash } of the log so far, or null for an empty log).
+ */
+export function chainRecord(fields, head) {
+  const record = { ...fields, seq: (head?.count || 0) + 1, prev: head?.hash || GENESIS_HASH };
+  return { ...record, hash: recordHash(record) };
+}
+
+export function segmentPath(dir, time) {
+  return `${dir}/${String(time).slice(0, 7)}.jsonl`;
+}
+
+/**
+ * Records of a segment file; blank lines are ignored.
+ */
+export function parseSegment(text) {
+  return String(text || '').split('\n').filter((line) => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      throw new Error(`line ${i + 1} is not JSON: ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Checks consecutive records, oldest first. `after` is the record before the first one (null when
+ * they start the log). Returns null, or { seq, reason } for the first broken link.
+ */
+export function verifyChain(records, after = null) {
+  let prev = after;
+  for (const record of records) {
+    const expectedSeq = prev ? prev.seq + 1 : 1;
+    if (record.seq !== expectedSeq) return { seq: record.seq, reason: `expected seq ${expectedSeq}` };
+    if (record.prev !== (prev ? prev.hash : GENESIS_HASH)) return { seq: record.seq, reason: 'prev is not the previous record hash' };
+    if (record.hash !== recordHash(record)) return { seq: record.seq, reason: 'hash does not match the record content' };
+    prev = record;
+  }
+  return null;
+}
+
+/**
+ * head.json after appending `record` to the log described by `head`.
+ */
+export function advanceHead(head, record, path) {
+  const segments = [...(head?.segments || [])];
+  const last = segments[segments.length - 1];
+  if (last && last.path === path) segments[segments.length - 1] = { ...last, count: last.count + 1, last: record.seq };
+  else segments.push({ path, count: 1, first: record.seq, last: record.seq });
+  return { count: record.seq, hash: record.hash, segments };
+}
@@ -0,0 +1,345 @@
+/**
+ * hashes.mjs — BitTorrent info hash and IPFS CID parsing shared by client plugins and server hooks
+ *
+ * Info hashes:
+ *   - v1: 40 hex chars or 32 base32 chars (SHA-1, 20 bytes)
+ *   - v2: 64 hex chars or a "1220"-prefixed sha2-256 multihash (urn:btmh)
+ *   - magnet links and urn:btih:/urn:btmh: strings are unwrapped
+ * CIDs:
+ *   - v0: base58btc "Qm..." (dag-pb + sha2-256)
+ *   - v1: multibase prefix, varint version, multicodec and multihash with a checked digest length
+ */
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE36_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// multicodec table entries relevant to content addressed data
+export const CID_CODECS = {
+  0x55: 'raw',
+  0x70: 'dag-pb',
+  0x71: 'dag-cbor',
+  0x72: 'libp2p-key',
+  0x78: 'git-raw',
+  0x0129: 'dag-json',
+  0x0200: 'json',
+};
+
+// multihash function code -> required digest length in bytes (null = variable)
+export const MULTIHASH_LENGTHS = {
+  0x00: null, // identity
+  0x11: 20, // sha1
+  0x12: 32, // sha2-256
+  0x13: 64, // sha2-512
+  0x14: 64, // sha3-512
+  0x16: 32, // sha3-256
+  0x1b: 32, // keccak-256
+  0x1e: 32, // blake3
+  0xb220: 32, // blake2b-256
+  0xb240: 64, // blake2b-512
+};
+
+export function bytesToHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function hexToBytes(hex) {
+  if (!/^(?:[0-9a-fA-F]{2})*$/.test(hex)) throw new Error('invalid hex string');
+  const out = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  return out;
+}
+
+/**
+ * RFC 4648 base32 (case-insensitive, optional "=" padding). Rejects non-zero trailing bits
+ * so every byte string has exactly one accepted spelling.
+ */
+export function base32Decode(input) {
+  const s = String(input).toLowerCase().replace(/=+$/, '');
+  const out = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const ch of s) {
+    const v = BASE32_ALPHABET.indexOf(ch);
+    if (v < 0) throw new Error(`invalid base32 character "${ch}"`);
+    buffer = (buffer << 5) | v;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      out.push((buffer >> bits) & 0xff);
+    }
+  }
+  if (bits >= 5 || (buffer & ((1 << bits) - 1)) !== 0) throw new Error('invalid base32 padding bits');
+  return Uint8Array.from(out);
+}
+
+export function base32Encode(bytes) {
+  let out = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const b of bytes) {
+    buffer = (buffer << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      out += BASE32_ALPHABET[(buffer >> bits) & 31];
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  return out;
+}
+
+function baseXDecode(input, alphabet) {
+  // Big-number base conversion; leading zero digits map to leading zero bytes
+  const base = alphabet.length;
+  const bytes = [];
+  for (const ch of input) {
+    let carry = alphabet.indexOf(ch);
+    if (carry < 0) throw new Error(`invalid base${base} character "${ch}"`);
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * base;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (const ch of input) {
+    if (ch !== alphabet[0]) break;
+    bytes.push(0);
+  }
+  return Uint8Array.from(bytes.reverse());
+}
+
+function baseXEncode(bytes, alphabet) {
+  const base = alphabet.length;
+  const digits = [];
+  for (const b of bytes) {
+    let carry = b;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % base;
+      carry = (carry / base) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % base);
+      carry = (carry / base) | 0;
+    }
+  }
+  let out = '';
+  for (const b of bytes) {
+    if (b !== 0) break;
+    out += alphabet[0];
+  }
+  return out + digits.reverse().map((d) => alphabet[d]).join('');
+}
+
+export function base58Decode(input) {
+  return baseXDecode(input, BASE58_ALPHABET);
+}
+
+export function base58Encode(bytes) {
+  return baseXEncode(bytes, BASE58_ALPHABET);
+}
+
+function base64Decode(input, url) {
+  const alphabet = url
+    ? 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+    : 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const out = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const ch of input.replace(/=+$/, '')) {
+    const v = alphabet.indexOf(ch);
+    if (v < 0) throw new Error(`invalid base64 character "${ch}"`);
+    buffer = ((buffer << 6) | v) & 0xffffff;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      out.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Uint8Array.from(out);
+}
+
+/**
+ * Reads an unsigned LEB128 varint; returns [value, bytesRead].
+ */
+export function readVarint(bytes, offset = 0) {
+  let value = 0;
+  let shift = 0;
+  for (let i = offset; i < bytes.length && i < offset + 9; i++) {
+    const b = bytes[i];
+    value += (b & 0x7f) * 2 ** shift;
+    shift += 7;
+    if ((b & 0x80) === 0) {
+      if (i > offset && b === 0) throw new Error('varint is not minimally encoded');
+      return [value, i - offset + 1];
+    }
+  }
+  throw new Error('truncated varint');
+}
+
+export function encodeVarint(value) {
+  const out = [];
+  let n = value;
+  while (n >= 0x80) {
+    out.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  out.push(n);
+  return Uint8Array.from(out);
+}
+
+/**
+ * Parses a BitTorrent info hash in any accepted spelling.
+ * @returns {{ version: 1|2, hex: string }}
+ * @throws Error describing why the input is not an info hash
+ */
+export function parseInfoHash(input) {
+  let s = String(input ?? '').trim();
+  if (!s) throw new Error('empty info hash');
+  if (/^magnet:\?/i.test(s)) {
+    const params = s.slice(8).split('&').filter((p) => /^xt(\.\d+)?=/i.test(p)).map((p) => decodeURIComponent(p.slice(p.indexOf('=') + 1)));
+    const parsed = params.filter((xt) => /^urn:bt(ih|mh):/i.test(xt)).map(parseInfoHash);
+    if (!parsed.length) throw new Error('magnet link has no urn:btih or urn:btmh topic');
+    // Hybrid magnets carry both; prefer the v1 hash that every client understands
+    return parsed.find((p) => p.version === 1) || parsed[0];
+  }
+  const urn = s.match(/^urn:bt(ih|mh):(.+)$/i);
+  if (urn) {
+    s = urn[2];
+    if (urn[1].toLowerCase() === 'mh') {
+      if (!/^1220[0-9a-fA-F]{64}$/.test(s)) throw new Error('urn:btmh must be a sha2-256 multihash (1220 + 64 hex chars)');
+      return { version: 2, hex: s.slice(4).toLowerCase() };
+    }
+  }
+  if (/^[0-9a-fA-F]{40}$/.test(s)) return { version: 1, hex: s.toLowerCase() };
+  if (/^[0-9a-fA-F]{64}$/.test(s)) return { version: 2, hex: s.toLowerCase() };
+  if (/^1220[0-9a-fA-F]{64}$/.test(s)) return { version: 2, hex: s.slice(4).toLowerCase() };
+  if (/^[A-Za-z2-7]{32}$/.test(s)) return { version: 1, hex: bytesToHex(base32Decode(s)) };
+  throw new Error(`not an info hash: expected 40 hex or 32 base32 characters (v1) or 64 hex characters (v2), got ${s.length} characters`);
+}
+
+/**
+ * Lenient helper for scrapers: lowercase hex info hash, or null when the input is not one.
+ */
+export function normalizeInfoHash(input) {
+  try {
+    return parseInfoHash(input).hex;
+  } catch {
+    return null;
+  }
+}
+
+function decodeMultibase(s) {
+  const prefix = s[0];
+  const body = s.slice(1);
+  switch (prefix) {
+    case 'b': if (body !== body.toLowerCase()) throw new Error('base32 CID must be lowercase'); return base32Decode(body);
+    case 'B': if (body !== body.toUpperCase()) throw new Error('base32upper CID must be uppercase'); return base32Decode(body);
+    case 'z': return base58Decode(body);
+    case 'f': return hexToBytes(body);
+    case 'F': return hexToBytes(body);
+    case 'k': return baseXDecode(body, BASE36_ALPHABET);
+    case 'm': return base64Decode(body, false);
+    case 'u': return base64Decode(body, true);
+    default: throw new Error(`unsupported multibase prefix "${prefix}"`);
+  }
+}
+
+function decodeMultihash(bytes, offset) {
+  const [code, a] = readVarint(bytes, offset);
+  const [length, b] = readVarint(bytes, offset + a);
+  const digest = bytes.slice(offset + a + b);
+  if (!(code in MULTIHASH_LENGTHS)) throw new Error(`unknown multihash function 0x${code.toString(16)}`);
+  const expected = MULTIHASH_LENGTHS[code];
+  if (expected !== null && length !== expected) throw new Error(`multihash 0x${code.toString(16)} declares ${length} bytes, expected ${expected}`);
+  if (digest.length !== length) throw new Error(`multihash digest is ${digest.length} bytes but declares ${length}`);
+  return { code, length, digest };
+}
+
+/**
+ * Fully decodes an IPFS CID string.
+ * @returns {{ version: 0|1, codec: number, codecName: string, multihash: { code, length, digest: Uint8Array } }}
+ * @throws Error describing the first structural problem found
+ */
+export function parseCid(input) {
+  const s = String(input ?? '').trim();
+  if (!s) throw new Error('empty CID');
+  if (s.startsWith('Qm')) {
+    if (s.length !== 46) throw new Error(`CIDv0 must be 46 characters, got ${s.length}`);
+    const bytes = base58Decode(s);
+    if (bytes[0] !== 0x12 || bytes[1] !== 0x20) throw new Error('CIDv0 must be a sha2-256 multihash');
+    return { version: 0, codec: 0x70, codecName: 'dag-pb', multihash: decodeMultihash(bytes, 0) };
+  }
+  const bytes = decodeMultibase(s);
+  const [version, a] = readVarint(bytes, 0);
+  if (version === 0x12) throw new Error('CIDv0 must be written in base58btc ("Qm...")');
+  if (version !== 1) throw new Error(`unsupported CID version ${version}`);
+  const [codec, b] = readVarint(bytes, a);
+  if (!(codec in CID_CODECS)) throw new Error(`unknown multicodec 0x${codec.toString(16)}`);
+  return { version: 1, codec, codecName: CID_CODECS[codec], multihash: decodeMultihash(bytes, a + b) };
+}
+
+/**
+ * Encodes a CIDv1 as multibase base32 ("bafy..." for dag-pb).
+ */
+export function formatCidV1(codec, multihashCode, digest) {
+  const bytes = [...encodeVarint(1), ...encodeVarint(codec), ...encodeVarint(multihashCode), ...encodeVarint(digest.length), ...digest];
+  return 'b' + base32Encode(Uint8Array.from(bytes));
+}
+
+/**
+ * Canonical identity of a CID, so v0 and v1 spellings of the same content compare equal.
+ */
+export function cidKey(input) {
+  const cid = parseCid(input);
+  return `${cid.codec}:${cid.multihash.code}:${bytesToHex(cid.multihash.digest)}`;
+}
+
+/**
+ * Checks hash_torrent / hash_ipfs entries of a meta document.
+ * @returns {{ pointer: string, code: string, message: string }[]}
+ */
+export function validateHashFields(doc) {
+  const errors = [];
+  const torrents = Array.isArray(doc?.hash_torrent) ? doc.hash_torrent : [];
+  const seenTorrents = new Map();
+  torrents.forEach((entry, idx) => {
+    const pointer = `/hash_torrent/${idx}/hash`;
+    if (!entry || typeof entry.hash !== 'string') return;
+    let parsed;
+    try {
+      parsed = parseInfoHash(entry.hash);
+    } catch (e) {
+      errors.push({ pointer, code: 'hash.torrent_invalid', message: e.message });
+      return;
+    }
+    const declared = entry.version === undefined ? 1 : entry.version;
+    if (parsed.version !== declared) {
+      errors.push({ pointer, code: 'hash.torrent_version', message: `is a v${parsed.version} info hash but the entry declares version ${declared}` });
+    }
+    if (seenTorrents.has(parsed.hex)) errors.push({ pointer, code: 'hash.duplicate', message: `duplicates /hash_torrent/${seenTorrents.get(parsed.hex)}/hash` });
+    else seenTorrents.set(parsed.hex, idx);
+  });
+
+  const cids = Array.isArray(doc?.hash_ipfs) ? doc.hash_ipfs : [];
+  const seenCids = new Map();
+  cids.forEach((entry, idx) => {
+    const pointer = `/hash_ipfs/${idx}/hash`;
+    if (!entry || typeof entry.hash !== 'string') return;
+    let key;
+    try {
+      key = cidKey(entry.hash);
+    } catch (e) {
+      errors.push({ pointer, code: 'hash.cid_invalid', message: `is not a valid CID: ${e.message}` });
+      return;
+    }
+    if (seenCids.has(key)) errors.push({ pointer, code: 'hash.duplicate', message: `duplicates /hash_ipfs/${seenCids.get(key)}/hash` });
+    else seenCids.set(key, idx);
+  });
+  return errors;
+}
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// relay-local: run the repository's server hooks against a local checkout
+// Builds the `Relay` global from git (see relay-shim.mjs) and runs the hooks configured under
+// server.hooks in .relay.yaml, each in its own Node process, printing their output as they would
+// on a Relay server.
+//
+//   node hooks/local/cli.mjs [--staged | --worktree | --range <from>..<to>] [--hook <name>]...
+//                            [--branch <name>] [--message <text>] [--promoted-from <branch>] [--reindex <mode>]
+//                            [--write] [--root <dir>]
+//   node hooks/local/cli.mjs install [--force]
+//
+// --staged (default) checks the index as `git commit` would record it and runs pre-commit;
+// --worktree checks every uncommitted change; --range checks the commits a push of <from>..<to>
+// would bring and runs pre-receive; --promoted-from treats that push as a merge of <branch> (see
+// git.promotions). --reindex sets REINDEX for the index hook: `--worktree --hook index --reindex
+// migrate --write` rewrites every outdated meta file for one library migration commit (see
+// hooks/migrations/). `install` makes this the checkout's own git pre-commit hook.
+
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { createRelay, git } from './relay-shim.mjs';
+
+const SHIM_URL = pathToFileURL(fileURLToPath(new URL('./relay-shim.mjs', import.meta.url))).href;
+const RELAY_CONFIG_PATH = '.relay.yaml';
+
+const USAGE = `usage: node hooks/local/cli.mjs [--staged | --worktree | --range <from>..<to>] [--hook <name>]...
+                                [--branch <name>] [--message <text>] [--promoted-from <branch>] [--reindex <mode>]
+                                [--write] [--root <dir>]
+       node hooks/local/cli.mjs install [--force]`;
+
+export function parseArgs(argv) {
+  const opts = { mode: 'staged', hooks: [], write: false, root: null, branch: null, message: null, promotedFrom: null, reindex: null, from: null, to: null, command: 'run', force: false };
+  const value = (i, flag) => {
+    if (i >= argv.length || argv[i].startsWith('--')) throw new Error(`${flag} needs a value`);
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === 'install' && i === 0) opts.command = 'install';
+    else if (arg === '--staged') opts.mode = 'staged';
+    else if (arg === '--worktree') opts.mode = 'worktree';
+    else if (arg === '--range') {
+      const range = value(++i, arg);
+      const m = range.match(/^(.*?)\.\.(.+)$/);
+      opts.mode = 'range';
+      opts.from = m ? m[1] || null : null;
+      opts.to = m ? m[2] : range;
+    } else if (arg === '--hook') opts.hooks.push(value(++i, arg));
+    else if (arg === '--branch') opts.branch = value(++i, arg);
+    else if (arg === '--message') opts.message = value(++i, arg);
+    else if (arg === '--promoted-from') opts.promotedFrom = value(++i, arg);
+    else if (arg === '--reindex') opts.reindex = value(++i, arg);
+    else if (arg === '--root') opts.root = value(++i, arg);
+    else if (arg === '--write') opts.write = true;
+    else if (arg === '--force') opts.force = true;
+    else if (arg === '--help' || arg === '-h') opts.command = 'help';
+    else throw new Error(`unknown argument ${arg}`);
+  }
+  if (!opts.hooks.length) opts.hooks = [opts.mode === 'range' ? 'pre-receive' : 'pre-commit'];
+  return opts;
+}
+
+function hookPaths(relay) {
+  const buf = relay.git.readFile(RELAY_CONFIG_PATH);
+  const config = buf ? relay.utils.parseYaml(buf) || {} : {};
+  const hooks = config.server?.hooks || {};
+  return Object.fromEntries(Object.entries(hooks).filter(([, entry]) => entry?.path).map(([name, entry]) => [name, entry.path]));
+}
+
+function runHook(name, hookPath, shimOptions) {
+  const res = spawnSync(process.execPath, ['--import', SHIM_URL, path.join(shimOptions.root, hookPath)], {
+    cwd: shimOptions.root,
+    stdio: 'inherit',
+    env: { ...process.env, RELAY_LOCAL: JSON.stringify(shimOptions) },
+  });
+  if (res.error) throw res.error;
+  return res.status ?? 1;
+}
+
+function run(opts) {
+  const root = path.resolve(opts.root || gitRoot(process.cwd()));
+  const env = {};
+  if (opts.message !== null) env.COMMIT_MESSAGE = opts.message;
+  if (opts.promotedFrom !== null) env.PROMOTED_FROM = opts.promotedFrom;
+  if (opts.reindex !== null) env.REINDEX = opts.reindex;
+  // Push rate counters are server state; keep local runs from touching the checkout
+  env.RELAY_STATE_DIR = fs.mkdtempSync(path.join(fs.realpathSync(process.env.TMPDIR || '/tmp'), 'relay-local-'));
+  const shimOptions = { root, mode: opts.mode, from: opts.from, to: opts.to, branch: opts.branch, write: opts.write, env };
+  try {
+    const relay = createRelay(shimOptions);
+    const { changes, branch, base, head } = relay.local;
+    console.log(`[local] ${opts.mode} on ${branch}: ${changes.length} changed file${changes.length === 1 ? '' : 's'} (${base ? base.slice(0, 12) : 'no base'}..${head ? head.slice(0, 12) : opts.mode})`);
+    const configured = hookPaths(relay);
+    let failed = 0;
+    for (const name of opts.hooks) {
+      if (!configured[name]) throw new Error(`${RELAY_CONFIG_PATH} has no server.hooks.${name}.path (configured: ${Object.keys(configured).join(', ') || 'none'})`);
+      const status = runHook(name, configured[name], shimOptions);
+      console.log(`[local] ${name}: ${status === 0 ? 'passed' : `failed (exit ${status})`}`);
+      if (status !== 0) failed++;
+    }
+    return failed ? 1 : 0;
+  } finally {
+    fs.rmSync(env.RELAY_STATE_DIR, { recursive: true, force: true });
+  }
+}
+
+function gitRoot(cwd) {
+  return git(cwd, ['rev-parse', '--show-toplevel']).toString().trim();
+}
+
+function install(opts) {
+  const root = path.resolve(opts.root || gitRoot(process.cwd()));
+  const hooksDir = path.resolve(root, git(root, ['rev-parse', '--git-path', 'hooks']).toString().trim());
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) throw new Error(`git hooks path ${hooksDir} is not a directory (check core.hooksPath)`);
+  const target = path.join(hooksDir, 'pre-commit');
+  if (fs.existsSync(target) && !opts.force) throw new Error(`${target} already exists; pass --force to replace it`);
+  const script = [
+    '#!/bin/sh',
+    '# Installed by hooks/local/cli.mjs: validate staged changes with the repository hooks',
+    'exec node "$(git rev-parse --show-toplevel)/hooks/local/cli.mjs" --staged',
+    '',
+  ].join('\n');
+  fs.mkdirSync(hooksDir, { recursive: true });
+  fs.writeFileSync(target, script, { mode: 0o755 });
+  console.log(`[local] installed ${target}`);
+  return 0;
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    console.error(`${e.message}\n${USAGE}`);
+    return 2;
+  }
+  if (opts.command === 'help') {
+    console.log(USAGE);
+    return 0;
+  }
+  try {
+    return opts.command === 'install' ? install(opts) : run(opts);
+  } catch (e) {
+    console.error(`[local] ${e.message}`);
+    return 2;
+  }
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  process.exitCode = main(process.argv.slice(2));
+}
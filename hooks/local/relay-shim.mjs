@@ -0,0 +1,226 @@
+// Local stand-in for the host-provided `Relay` global
+// Lets the server hooks and .relay/validation.mjs run against a git checkout instead of a Relay
+// server. The change set comes from one of three sources:
+//  - staged:   the index against HEAD (what `git commit` would record)
+//  - worktree: the working tree, including untracked files, against HEAD
+//  - range:    the commits between two revisions, as a push of <from>..<to> would bring them
+// YAML is parsed with the parser in .relay/validation.mjs (read from the tree under test), so the
+// hooks see the same documents they would on the server. Index updates and file writes are printed
+// instead of applied unless `write` is set. Imported with RELAY_LOCAL set (see cli.mjs), the module
+// installs the shim as globalThis.Relay before the hook runs.
+
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { globMatch } from '../server/lib/glob.mjs';
+import { normalizeChange } from '../server/lib/utils.mjs';
+
+export const MODES = ['staged', 'worktree', 'range'];
+
+const VALIDATION_SCRIPT_PATH = '.relay/validation.mjs';
+const NULL_COMMIT = '0'.repeat(40);
+
+export function git(root, args, { allowFailure = false } = {}) {
+  const res = spawnSync('git', args, { cwd: root, maxBuffer: 256 * 1024 * 1024 });
+  if (res.error) throw res.error;
+  if (res.status !== 0) {
+    if (allowFailure) return null;
+    throw new Error(`git ${args.join(' ')} failed: ${res.stderr.toString().trim()}`);
+  }
+  return res.stdout;
+}
+
+function gitText(root, args, options) {
+  const out = git(root, args, options);
+  return out === null ? null : out.toString().trim();
+}
+
+function resolveCommit(root, rev) {
+  return gitText(root, ['rev-parse', '--verify', '--quiet', `${rev}^{commit}`], { allowFailure: true });
+}
+
+function parseNameStatus(buf) {
+  // `git diff --name-status -z`: STATUS\0path\0 (renames and copies: STATUS\0old\0new\0)
+  const fields = buf.toString().split('\0');
+  const changes = [];
+  for (let i = 0; i < fields.length - 1;) {
+    const letter = fields[i++];
+    if (letter[0] === 'R' || letter[0] === 'C') {
+      const oldPath = fields[i++];
+      changes.push(normalizeChange({ path: fields[i++], status: letter, oldPath }));
+    } else {
+      changes.push(normalizeChange({ path: fields[i++], status: letter }));
+    }
+  }
+  return changes;
+}
+
+function untrackedFiles(root) {
+  return git(root, ['ls-files', '-z', '--others', '--exclude-standard']).toString().split('\0').filter(Boolean);
+}
+
+/**
+ * Change records ({ path, status, oldPath }) for a mode, plus the base and head revisions.
+ */
+export function collectChanges(root, { mode, from, to }) {
+  if (mode === 'range') {
+    const head = resolveCommit(root, to || 'HEAD');
+    if (!head) throw new Error(`unknown revision ${to}`);
+    const base = from ? resolveCommit(root, from) : null;
+    if (from && !base) throw new Error(`unknown revision ${from}`);
+    const args = base ? ['diff', '--name-status', '-z', '-M', base, head] : ['show', '--format=', '--name-status', '-z', '-M', '--root', head];
+    return { changes: parseNameStatus(git(root, args)), base, head };
+  }
+  const base = resolveCommit(root, 'HEAD');
+  // Without a HEAD (first commit) everything is compared against the empty tree
+  const against = base || gitText(root, ['hash-object', '-t', 'tree', '/dev/null']);
+  if (mode === 'staged') {
+    return { changes: parseNameStatus(git(root, ['diff', '--cached', '--name-status', '-z', '-M', against])), base, head: null };
+  }
+  const changes = parseNameStatus(git(root, ['diff', '--name-status', '-z', '-M', against]));
+  for (const p of untrackedFiles(root)) changes.push({ path: p, status: 'added' });
+  return { changes, base, head: null };
+}
+
+function readBlob(root, spec) {
+  return git(root, ['cat-file', 'blob', spec], { allowFailure: true });
+}
+
+function signingIdentity(root) {
+  // What a commit made now would be signed with, from git config (no commit exists yet)
+  const sign = gitText(root, ['config', '--bool', 'commit.gpgsign'], { allowFailure: true }) === 'true';
+  if (!sign) return { valid: false };
+  const format = gitText(root, ['config', 'gpg.format'], { allowFailure: true }) || 'openpgp';
+  const key = gitText(root, ['config', 'user.signingkey'], { allowFailure: true });
+  if (format === 'ssh' && key) {
+    if (key.startsWith('key::')) return { valid: true, publicKey: key.slice(5) };
+    if (/^(ssh|ecdsa|sk)-/.test(key)) return { valid: true, publicKey: key };
+    const file = key.replace(/^~(?=\/)/, process.env.HOME || '~');
+    const pub = fs.existsSync(file) && !file.endsWith('.pub') && fs.existsSync(`${file}.pub`) ? `${file}.pub` : file;
+    if (fs.existsSync(pub)) return { valid: true, publicKey: fs.readFileSync(pub, 'utf8').trim() };
+  }
+  return { valid: true, fingerprint: key || null };
+}
+
+function commitSignature(root, commit) {
+  // %G? is G (good) or U (good, unknown validity) for a verified signature; %GF is the key fingerprint
+  const out = gitText(root, ['log', '-1', '--format=%G?%x00%GF', commit], { allowFailure: true });
+  if (!out) return { valid: false };
+  const [status, fingerprint] = out.split('\0');
+  return { valid: status === 'G' || status === 'U', fingerprint: fingerprint || null };
+}
+
+function fromSandbox(value) {
+  // Plain copies of objects created inside the vm context
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Host-side sandbox for .relay/validation.mjs: { parseYaml, runValidation } as Relay.utils provides
+ * them. parseYaml uses the parser of the tree's own validation.mjs, evaluated on first use.
+ * `listFiles(prefix)` lists the tree under validation for the script's api.listFiles.
+ */
+export function validationSandbox(readFile, log = console.log, listFiles = null) {
+  let context = null;
+  const load = () => {
+    if (!context) {
+      const code = readFile(VALIDATION_SCRIPT_PATH);
+      if (!code) throw new Error(`${VALIDATION_SCRIPT_PATH} is missing; it provides the YAML parser the hooks use`);
+      context = vm.createContext({ TextDecoder });
+      vm.runInContext(code.toString(), context, { filename: VALIDATION_SCRIPT_PATH });
+    }
+    return context;
+  };
+  return {
+    parseYaml: (buf) => fromSandbox(load().parseYaml(Buffer.isBuffer(buf) ? buf.toString('utf8') : String(buf))),
+    runValidation: (code, staged, { branch = null } = {}) => {
+      const validate = vm.runInContext(code, vm.createContext({ TextDecoder }), { filename: VALIDATION_SCRIPT_PATH });
+      const api = { listStaged: () => staged.map((c) => ({ ...c })), readFile: (p) => readFile(p), log: (m) => log(m), branch };
+      if (listFiles) api.listFiles = (prefix) => [...listFiles(prefix)];
+      return fromSandbox(validate(api));
+    },
+  };
+}
+
+/**
+ * Builds a Relay object for a checkout. Options: { root, mode, from, to, branch, write, env, log }.
+ */
+export function createRelay(options) {
+  const { mode = 'staged', write = false, log = (line) => console.log(`[local] ${line}`) } = options;
+  if (!MODES.includes(mode)) throw new Error(`unknown mode ${mode} (expected ${MODES.join(', ')})`);
+  const root = path.resolve(options.root || '.');
+  const { changes, base, head } = collectChanges(root, { ...options, mode });
+  const branch = options.branch || gitText(root, ['rev-parse', '--abbrev-ref', 'HEAD'], { allowFailure: true }) || 'main';
+  const env = {
+    BRANCH: branch,
+    OLD_COMMIT: base || NULL_COMMIT,
+    NEW_COMMIT: head || '',
+    ...options.env,
+  };
+
+  const readWorking = (p) => {
+    const file = path.join(root, p);
+    return fs.existsSync(file) && fs.statSync(file).isFile() ? fs.readFileSync(file) : null;
+  };
+  const readCurrent = mode === 'worktree' ? readWorking : mode === 'staged' ? (p) => readBlob(root, `:${p}`) : (p) => readBlob(root, `${head}:${p}`);
+  const readFile = (p, commit) => {
+    if (commit === undefined || commit === null) return readCurrent(p);
+    return /^0+$/.test(commit) ? null : readBlob(root, `${commit}:${p}`);
+  };
+  const listFiles = (prefix = '', commit) => {
+    let args;
+    if (commit) args = ['ls-tree', '-r', '--name-only', '-z', commit, '--', prefix || '.'];
+    else if (mode === 'range') args = ['ls-tree', '-r', '--name-only', '-z', head, '--', prefix || '.'];
+    else if (mode === 'staged') args = ['ls-files', '-z', '--', prefix || '.'];
+    else args = ['ls-files', '-z', '--cached', '--others', '--exclude-standard', '--', prefix || '.'];
+    const files = git(root, args).toString().split('\0').filter(Boolean);
+    return mode === 'worktree' && !commit ? files.filter((p) => readWorking(p)) : files;
+  };
+
+  const sandbox = validationSandbox(readFile, log, (prefix) => listFiles(prefix));
+
+  return {
+    local: { root, mode, base, head, branch, changes },
+    git: {
+      readFile,
+      listFiles,
+      listCommits: (from, to) => {
+        if (!to) return null;
+        const range = from ? [`${from}..${to}`] : [to];
+        const out = git(root, ['log', '--reverse', '--format=%H%x00%B%x1e', ...range]).toString();
+        return out.split('\x1e').map((s) => s.replace(/^\n/, '')).filter(Boolean).map((s) => {
+          const [id, message] = s.split('\0');
+          return { id, message: message.replace(/\n+$/, '') };
+        });
+      },
+      verifySignature: () => (head ? commitSignature(root, head) : signingIdentity(root)),
+      writeFile: (p, content) => {
+        if (!write) return log(`would write ${p} (${Buffer.byteLength(content)} bytes)`);
+        fs.mkdirSync(path.dirname(path.join(root, p)), { recursive: true });
+        fs.writeFileSync(path.join(root, p), content);
+        log(`wrote ${p}`);
+      },
+      deleteFile: (p) => {
+        if (!write) return log(`would delete ${p}`);
+        fs.rmSync(path.join(root, p), { force: true });
+        log(`deleted ${p}`);
+      },
+      // Other branches (the audit log) are never written locally
+      writeBranchFile: (target, p, content) => log(`${target}: ${p} (${Buffer.byteLength(content)} bytes, not applied locally)`),
+    },
+    utils: {
+      env: (name, def) => (env[name] !== undefined ? env[name] : process.env[name] !== undefined ? process.env[name] : def),
+      listChanged: () => changes.map((c) => ({ ...c })),
+      parseYaml: sandbox.parseYaml,
+      runValidation: sandbox.runValidation,
+      upsertIndex: (upserts, _readFile, indexBranch) => log(`index ${indexBranch}: upsert ${upserts.map((c) => c.path).join(', ')} (not applied locally)`),
+      removeFromIndex: (dirs, indexBranch) => log(`index ${indexBranch}: remove ${dirs.join(', ')} (not applied locally)`),
+      matchPath: (pattern, p) => globMatch(pattern, p),
+    },
+  };
+}
+
+if (process.env.RELAY_LOCAL) {
+  globalThis.Relay = createRelay(JSON.parse(process.env.RELAY_LOCAL));
+}
@@ -0,0 +1,12 @@
+// schema_version 2: the genre list
+// TMDB and the old create form write `genres`, often as one comma-separated string; the schema and
+// hooks/db.yaml index `genre` as a list of names.
+
+export default {
+  version: 2,
+  description: 'genres becomes the genre list',
+  steps: [
+    { op: 'rename', from: 'genres', to: 'genre' },
+    { op: 'split', field: 'genre', separator: ',' },
+  ],
+};
@@ -0,0 +1,12 @@
+// schema_version 3: image URLs
+// TMDB `poster_path` / `backdrop_path` values are paths on its image CDN (/abc.jpg); the schema
+// stores full URLs in url_poster / url_backdrop.
+
+export default {
+  version: 3,
+  description: 'TMDB poster_path and backdrop_path become url_poster and url_backdrop',
+  steps: [
+    { op: 'rename', from: 'poster_path', to: 'url_poster', prefix: 'https://image.tmdb.org/t/p/w500' },
+    { op: 'rename', from: 'backdrop_path', to: 'url_backdrop', prefix: 'https://image.tmdb.org/t/p/w1280' },
+  ],
+};
@@ -0,0 +1,10 @@
+// Ordered meta document migrations
+// Each module moves documents from schema_version `version - 1` to `version` with declarative
+// steps (see hooks/server/lib/migrations.mjs for the supported ops). Documents without
+// schema_version are version 1. Add new modules at the end and raise the schema_version const in
+// hooks/meta.schema.yaml to the last version.
+
+import genreList from './0002-genre-list.mjs';
+import imageUrls from './0003-image-urls.mjs';
+
+export const MIGRATIONS = [genreList, imageUrls];
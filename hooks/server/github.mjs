@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Relay repository GitHub webhook hook (Node module)
+// Triggered by deliveries to git.github.path in .relay.yaml (/hooks/github)
+// Responsibilities (stages declared under server.hooks.github in .relay.yaml, see lib/pipeline.mjs):
+//  - Verify the X-Hub-Signature-256 HMAC against the secret named by git.github.secretEnv
+//  - Map a push payload onto the branch, commit range and change set the pipeline checks
+//  - Run the same checks and index update as pre-receive on it
+//  - Reply with one JSON document on stdout: { ok, status, event, delivery, errors, ... }, where
+//    status is the HTTP status to answer GitHub with
+//
+// The host hands over the request through Relay.http.request() ({ headers, body }); without it the
+// CGI convention applies: headers as HTTP_* environment variables and the raw body on stdin.
+
+import fs from 'node:fs';
+import { loadGithubConfig, parseDelivery, treeChanges } from './lib/github.mjs';
+import { runHook, stageSummary } from './lib/pipeline.mjs';
+import { issue, reject } from './lib/report.mjs';
+import { env, overrideEnv } from './lib/utils.mjs';
+
+const HEADERS = ['X-Hub-Signature-256', 'X-GitHub-Event', 'X-GitHub-Delivery', 'Content-Type'];
+
+function readRequest() {
+  if (typeof Relay.http?.request === 'function') return Relay.http.request();
+  const headers = {};
+  for (const name of HEADERS) {
+    const value = env(`HTTP_${name.toUpperCase().replace(/-/g, '_')}`);
+    if (value !== undefined && value !== null) headers[name] = value;
+  }
+  return { headers, body: fs.readFileSync(0) };
+}
+
+function main() {
+  const config = loadGithubConfig();
+  const delivery = parseDelivery(readRequest(), { config, secret: env(config.secretEnv) });
+  const { status, event = null, delivery: id = null } = delivery;
+  if (delivery.action === 'reject') reject([issue('', delivery.code, delivery.message)], { status, event, delivery: id });
+  if (delivery.action !== 'run') {
+    console.log(`[github] ${event} delivery ${id}: ${delivery.reason}`);
+    console.log(JSON.stringify({ ok: true, status, event, delivery: id, ignored: delivery.action === 'ignore', reason: delivery.reason, errors: [] }));
+    return;
+  }
+
+  const { branch, before, after, message, truncated } = delivery.push;
+  overrideEnv({ BRANCH: branch, OLD_COMMIT: before || undefined, NEW_COMMIT: after, COMMIT_MESSAGE: message ?? undefined });
+  let { changes } = delivery.push;
+  if (truncated) {
+    console.warn(`[github] payload lists only part of the push; diffing ${before}..${after}`);
+    changes = treeChanges(before, after);
+  }
+  console.log(`[github] push to ${branch} (${String(before).slice(0, 12)}..${after.slice(0, 12)}): ${changes.length} changed file${changes.length === 1 ? '' : 's'}`);
+
+  const result = runHook('github', { changes, branch });
+  const extra = { event, delivery: id, branch, before, after, changes: changes.length, stages: stageSummary(result.results) };
+  if (!result.ok) reject(result.issues, { status: 422, ...extra });
+  console.log(JSON.stringify({ ok: true, status: 200, ...extra, errors: [] }));
+}
+
+try {
+  main();
+} catch (e) {
+  reject([issue('', 'hook.error', e?.message || String(e))], { status: 500 });
+}
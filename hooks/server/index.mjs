@@ -1,18 +1,56 @@
 // Relay Repository Indexing Hook (Sandboxed)
 // This script is triggered by the server's JIT indexing logic or manually.
-// It scans for meta.yaml files and updates the branch-specific index.db.
+// It scans for meta.yaml changes and updates the branch-specific index.db and relay_index.json:
+// added/modified entries are upserted, deleted ones removed and renamed ones moved.
+// With REINDEX=full it ignores the change set and rebuilds the branch from every meta file in the tree.
+// With REINDEX=migrate it first rewrites every meta file older than the current schema_version
+// (hooks/migrations/), all or none, so the host commits the library migration as one commit.
+// Changes to media/** or entry assets also refresh the IPFS manifest in hooks/root.ipfs
+// (ipfs.manifest in hooks/sources.yaml); a full rebuild hashes every file again.
 
-const { listChanged, readFromTree, upsertIndex, env } = Relay.utils;
+import { env, listChanged } from './lib/utils.mjs';
+import { reindexAll, updateIndex, updateIndexFile } from './lib/db.mjs';
+import { updateManifest } from './lib/ipfs.mjs';
+import { CURRENT_SCHEMA_VERSION, migrateLibrary } from './lib/migrations.mjs';
+import { formatIssue } from './lib/report.mjs';
+
+function logManifest(result) {
+    if (!result) return;
+    console.log(`[Index] IPFS root ${result.root} (${result.files} files, ${result.hashed.length} hashed${result.written ? '' : ', manifest unchanged'}).`);
+    if (result.car) console.log(`[Index] Wrote CAR file ${result.car}.`);
+}
 
 async function main() {
     const branch = env('BRANCH', 'main');
+    const mode = env('REINDEX', '');
+
+    if (mode === 'migrate') {
+        console.log(`[Index] Migrating meta files on branch ${branch} to schema_version ${CURRENT_SCHEMA_VERSION}...`);
+        const { migrated, issues } = migrateLibrary();
+        if (issues.length) {
+            throw new Error(`${issues.length} meta file(s) need a hand edit first, nothing was migrated:\n${issues.map(formatIssue).join('\n')}`);
+        }
+        for (const { path, from } of migrated) console.log(`[Index] ${path}: schema_version ${from} -> ${CURRENT_SCHEMA_VERSION}`);
+        console.log(`[Index] Migrated ${migrated.length} meta file(s).`);
+    }
+    if (mode === 'full' || mode === 'migrate') {
+        console.log(`[Index] Rebuilding index for branch ${branch} from the full tree...`);
+        const { upserts, removals, files } = reindexAll(branch);
+        console.log(`[Index] Rebuilt index for branch ${branch} (${upserts.length} entries, ${removals.length} stale removed, ${files.length} index files written).`);
+        logManifest(updateManifest(null));
+        return;
+    }
+    if (mode) throw new Error(`unknown REINDEX mode "${mode}" (expected "full" or "migrate")`);
+
     const changes = listChanged();
-    
+
     console.log(`[Index] Scanning ${changes.length} changes for branch ${branch}...`);
-    
-    upsertIndex(changes, (p) => readFromTree(p), branch);
-    
-    console.log(`[Index] Successfully updated index for branch ${branch}.`);
+
+    const { upserts, removals } = updateIndex(changes, branch);
+    const files = updateIndexFile(changes, branch);
+
+    console.log(`[Index] Successfully updated index for branch ${branch} (${upserts.length} upserted, ${removals.length} removed, ${files.length} index files written).`);
+    logManifest(updateManifest(changes));
 }
 
 main().catch(err => {
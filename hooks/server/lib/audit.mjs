@@ -0,0 +1,202 @@
+// Audit log of hook runs (server.audit in .relay.yaml)
+// Every pre-commit and pre-receive run whose stages include `audit` appends one record, accepted or
+// rejected: hook, branch, old and new commit, signing key fingerprint, changed paths, stage results
+// and verdict. Records are hash-chained (hooks/lib/audit-chain.mjs) and go either to a dedicated
+// branch (store: branch) or to a local file beside the server's git directory (store: file). Each
+// peer keeps its own chain, so the audit branch is not synced by autoPush. Pushes to the audit branch itself may only append records,
+// and pushes to other branches may not touch the audit directory at all.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { advanceHead, chainRecord, parseSegment, segmentPath, verifyChain } from '../../lib/audit-chain.mjs';
+import { issue } from './report.mjs';
+import { RELAY_CONFIG_PATH, fingerprintOf } from './signers.mjs';
+import { baseTree, canWriteBranch, commitSigner, env, readFromCommit, readFromTree, writeBranchFile, yamlToJson } from './utils.mjs';
+
+const WHERE = `${RELAY_CONFIG_PATH}: server.audit`;
+const STORES = ['branch', 'file'];
+
+/**
+ * { store, branch, dir, file, synced } from .relay.yaml, read from the tree before the push. `synced`
+ * is set when git.autoPush also lists the audit branch.
+ */
+export function loadAuditConfig(readFile = baseTree().read) {
+  const buf = readFile(RELAY_CONFIG_PATH);
+  const config = buf ? yamlToJson(buf) || {} : {};
+  const audit = config.server?.audit || {};
+  const store = audit.store ?? 'file';
+  if (!STORES.includes(store)) throw new Error(`${WHERE}.store must be ${STORES.join(' or ')}`);
+  return {
+    store,
+    branch: audit.branch || 'audit',
+    dir: String(audit.dir || 'audit').replace(/\/+$/, ''),
+    file: audit.file || 'relay-audit.jsonl',
+    synced: store === 'branch' && (config.git?.autoPush?.branches || []).includes(audit.branch || 'audit'),
+  };
+}
+
+/**
+ * The fields of one audit record (everything but seq/prev/hash, which appending adds).
+ */
+export function buildAuditRecord(hook, { branch, changes, ok, issues, stages, signer = commitSigner(), time = new Date().toISOString() }) {
+  return {
+    time,
+    hook,
+    branch,
+    old_commit: env('OLD_COMMIT') || null,
+    new_commit: env('NEW_COMMIT') || null,
+    signer: { signed: signer.signed, fingerprint: signer.signed ? fingerprintOf(signer) : null },
+    paths: changes.map(({ path: p, status, oldPath }) => (oldPath ? { path: p, status, oldPath } : { path: p, status })),
+    stages,
+    verdict: ok ? 'accepted' : 'rejected',
+    codes: [...new Set(issues.map((e) => e.code))],
+  };
+}
+
+function headPath(config) {
+  return `${config.dir}/head.json`;
+}
+
+function parseJsonFile(buf, where) {
+  try {
+    return JSON.parse(buf.toString());
+  } catch (e) {
+    throw new Error(`${where} is not valid JSON: ${e.message}`);
+  }
+}
+
+function appendToBranch(fields, config) {
+  const head = readFromCommit(config.branch, headPath(config));
+  const current = head ? parseJsonFile(head, `${config.branch}:${headPath(config)}`) : null;
+  const record = chainRecord(fields, current);
+  const segment = segmentPath(config.dir, record.time);
+  const existing = readFromCommit(config.branch, segment);
+  writeBranchFile(config.branch, segment, `${existing ? existing.toString() : ''}${JSON.stringify(record)}\n`);
+  writeBranchFile(config.branch, headPath(config), `${JSON.stringify(advanceHead(current, record, segment), null, 2)}\n`);
+  return record;
+}
+
+/**
+ * Absolute path of the local audit file; relative names resolve against RELAY_STATE_DIR or the git directory.
+ */
+export function auditFilePath(config) {
+  return path.resolve(env('RELAY_STATE_DIR') || env('GIT_DIR') || '.', config.file);
+}
+
+function lastLine(file) {
+  // Reads backwards from the end so appending does not cost the size of the whole log
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  try {
+    const size = fs.fstatSync(fd).size;
+    let tail = '';
+    for (let end = size; end > 0;) {
+      const start = Math.max(0, end - 65536);
+      const chunk = Buffer.alloc(end - start);
+      fs.readSync(fd, chunk, 0, chunk.length, start);
+      tail = chunk.toString('utf8') + tail;
+      const lines = tail.replace(/\n+$/, '').split('\n');
+      if (lines.length > 1 || start === 0) return lines[lines.length - 1] || null;
+      end = start;
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function appendToFile(fields, config) {
+  const file = auditFilePath(config);
+  const last = lastLine(file);
+  const previous = last ? parseJsonFile(last, `last record of ${file}`) : null;
+  const record = chainRecord(fields, previous && { count: previous.seq, hash: previous.hash });
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+  return record;
+}
+
+/**
+ * Appends a record to the configured store and returns it with seq, prev and hash. Hosts that
+ * cannot write another branch fall back to the local file.
+ */
+export function appendAuditRecord(fields, config = loadAuditConfig()) {
+  if (config.store === 'branch') {
+    if (config.synced) console.warn(`[audit] git.autoPush syncs branch ${config.branch}; every peer appends its own chain there, so they fork. Remove it from git.autoPush.branches`);
+    if (canWriteBranch()) return appendToBranch(fields, config);
+    console.warn(`[audit] host cannot write branch ${config.branch} (Relay.git.writeBranchFile); appending to ${auditFilePath(config)}`);
+  }
+  return appendToFile(fields, config);
+}
+
+function readRecords(read, head, fromSeq) {
+  // Records with seq >= fromSeq, oldest first, from the segments head.json lists
+  const records = [];
+  for (const segment of head?.segments || []) {
+    if (segment.last < fromSeq) continue;
+    const buf = read(segment.path);
+    if (!buf) throw new Error(`${segment.path} is listed in head.json but missing`);
+    records.push(...parseSegment(buf.toString()).filter((r) => r.seq >= fromSeq));
+  }
+  return records;
+}
+
+/**
+ * Issues for a push to the audit branch that rewrites, drops or mislinks records. Other branches
+ * (and every branch with the file store) carry no audit log, so any change under the audit
+ * directory there is rejected as audit.branch.
+ */
+export function findAuditLogViolations(changes, branch, {
+  config = loadAuditConfig(),
+  readBefore = baseTree().read,
+  readFile = readFromTree,
+} = {}) {
+  const prefix = `${config.dir}/`;
+  const touched = changes.filter((c) => c.path.startsWith(prefix) || (c.oldPath || '').startsWith(prefix));
+  if (!touched.length) return [];
+  if (config.store !== 'branch' || branch !== config.branch) {
+    const where = config.store === 'branch' ? `the ${config.branch} branch` : 'the server (store: file)';
+    const paths = [...new Set(touched.flatMap((c) => [c.path, c.oldPath]).filter((p) => p && p.startsWith(prefix)))];
+    return paths.map((p) => issue(p, 'audit.branch', `the audit log is kept on ${where}; ${prefix} cannot be changed on ${branch}`));
+  }
+  const errors = [];
+  for (const { path: p, status, oldPath } of touched) {
+    const gone = status === 'deleted' ? p : status === 'renamed' ? oldPath : null;
+    if (gone && gone.startsWith(prefix) && readBefore(gone)) {
+      errors.push(issue(gone, 'audit.rewrite', 'audit log files cannot be removed or renamed; the log is append-only'));
+      continue;
+    }
+    if (!p.endsWith('.jsonl') || status === 'deleted') continue;
+    const before = readBefore(p);
+    const after = readFile(p);
+    if (before && (!after || !after.toString().startsWith(before.toString()))) {
+      errors.push(issue(p, 'audit.rewrite', 'changes existing audit records; the log is append-only'));
+    }
+  }
+  if (errors.length) return errors;
+
+  const headFile = headPath(config);
+  const oldBuf = readBefore(headFile);
+  const newBuf = readFile(headFile);
+  if (!newBuf) return [issue(headFile, 'audit.head', 'is missing')];
+  try {
+    const oldHead = oldBuf ? parseJsonFile(oldBuf, headFile) : null;
+    const newHead = parseJsonFile(newBuf, headFile);
+    const known = oldHead?.count || 0;
+    const anchor = known ? readRecords(readBefore, oldHead, known)[0] : null;
+    const appended = readRecords(readFile, newHead, known + 1);
+    const broken = verifyChain(appended, anchor);
+    if (broken) return [issue(headFile, 'audit.chain', `record ${broken.seq} breaks the hash chain: ${broken.reason}`)];
+    const last = appended[appended.length - 1] || anchor;
+    if (newHead.count !== (last?.seq || 0) || (last && newHead.hash !== last.hash)) {
+      return [issue(headFile, 'audit.head', `count/hash do not match the last record (seq ${last?.seq || 0})`)];
+    }
+  } catch (e) {
+    return [issue(headFile, 'audit.chain', e.message)];
+  }
+  return [];
+}
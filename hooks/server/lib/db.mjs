@@ -0,0 +1,219 @@
+// Index helpers driven by hooks/db.yaml
+// Maps meta documents onto index rows, enforces the `unique` constraint against the entries of
+// the tree before the push and the other entries of the same push, and applies change status:
+// deleted entries leave the index and renamed ones move with their _created_at.
+// A full reindex rebuilds a branch from every meta file in the tree.
+
+import { baseTree, canListFiles, listFiles, readFromTree, removeFromIndex, upsertIndex, yamlToJson } from './utils.mjs';
+import { indexFileOptions, readIndexRows, stampRow, writeIndexRows } from './index-file.mjs';
+import { compileMapping, mapRow } from './mapping.mjs';
+import { isMetaPath, metaDirOf, readMetaDocuments } from './meta.mjs';
+import { issue } from './report.mjs';
+
+export const DB_CONFIG_PATH = 'hooks/db.yaml';
+
+export function loadDbConfig(readFile = readFromTree) {
+  const buf = readFile(DB_CONFIG_PATH);
+  if (!buf) throw new Error(`Cannot read ${DB_CONFIG_PATH}`);
+  return yamlToJson(buf) || {};
+}
+
+/**
+ * db.yaml as of the tree before the push (`base`, see baseTree), so a push cannot relax the checks
+ * it is held to. The push that adds db.yaml is checked against its own copy.
+ */
+export function loadBaseDbConfig(base, readFile = readFromTree) {
+  return loadDbConfig(base.read(DB_CONFIG_PATH) ? base.read : readFile);
+}
+
+function compiledMapping(config) {
+  return compileMapping(config.mapping || [], `${DB_CONFIG_PATH}: mapping`);
+}
+
+/**
+ * Turns a parsed meta document into an index row using the db.yaml `mapping` section.
+ * Values that do not coerce to their declared type are stored as null; findMappingErrors reports them.
+ */
+export function mapDocument(doc, config, { metaDir, branch }) {
+  return mapRow(doc, compiledMapping(config), { metaDir, branch }).row;
+}
+
+/**
+ * Returns one issue per staged meta value that cannot be coerced to its db.yaml mapping type.
+ */
+export function findMappingErrors(changes, branch, readFile = readFromTree) {
+  const docs = readMetaDocuments(changes, readFile);
+  if (!docs.length) return [];
+  const mapping = compiledMapping(loadDbConfig(readFile));
+  const errors = [];
+  for (const { path, doc, metaDir } of docs) {
+    for (const { pointer, message } of mapRow(doc, mapping, { metaDir, branch }).errors) {
+      errors.push(issue(path, 'db.mapping', message, { pointer }));
+    }
+  }
+  return errors;
+}
+
+export function readBranchIndex(branch, readFile = readFromTree, config = loadDbConfig(readFile)) {
+  return readIndexRows(indexFileOptions(config), readFile, branch);
+}
+
+/**
+ * The entries of the tree before the push (`base`, see baseTree) as [{ metaDir, row, doc }], except
+ * the directories in `skip`. Rows come from the base relay_index.json; only meta files it does not
+ * list (the index is stale or missing) are read and mapped, so a push does not parse the whole
+ * library. Hosts that cannot list files (Relay.git.listFiles) get the index rows alone, with a warning.
+ */
+export function readBaseEntries(branch, { base, config, skip = new Set(), tag = 'db' }) {
+  const indexed = new Map(readBranchIndex(branch, base.read, config).map((row) => [row._meta_dir, row]));
+  if (!base.missing && !canListFiles()) {
+    console.warn(`[${tag}] host cannot list files (Relay.git.listFiles); existing entries come from relay_index.json only`);
+    return [...indexed].filter(([metaDir]) => !skip.has(metaDir)).map(([metaDir, row]) => ({ metaDir, row, doc: null }));
+  }
+  const entries = [];
+  const seen = new Set(skip);
+  const unindexed = [];
+  for (const change of listMetaFiles(base.list)) {
+    const metaDir = metaDirOf(change.path);
+    if (seen.has(metaDir)) continue;
+    seen.add(metaDir);
+    if (indexed.has(metaDir)) entries.push({ metaDir, row: indexed.get(metaDir), doc: null });
+    else unindexed.push(change);
+  }
+  for (const { doc, metaDir } of readMetaDocuments(unindexed, base.read)) {
+    entries.push({ metaDir, row: mapDocument(doc, config, { metaDir, branch }), doc });
+  }
+  return entries;
+}
+
+/**
+ * Every meta file of a tree as a change set of additions, e.g. for a full reindex.
+ */
+export function listMetaFiles(list = listFiles) {
+  return list('data/').filter(isMetaPath).sort().map((path) => ({ path, status: 'added', oldPath: null }));
+}
+
+/**
+ * Splits a change set into meta files to (re)index and entry directories to drop.
+ * `moves` maps the new directory of a renamed entry to its old one.
+ */
+export function planIndexUpdate(changes) {
+  const upserts = [];
+  const removed = new Set();
+  const moves = new Map();
+  for (const change of changes) {
+    if (change.status === 'deleted') {
+      if (isMetaPath(change.path)) removed.add(metaDirOf(change.path));
+      continue;
+    }
+    if (change.status === 'renamed' && change.oldPath && isMetaPath(change.oldPath)) {
+      removed.add(metaDirOf(change.oldPath));
+      if (isMetaPath(change.path)) moves.set(metaDirOf(change.path), metaDirOf(change.oldPath));
+    }
+    if (isMetaPath(change.path)) upserts.push(change);
+  }
+  // meta.yml -> meta.yaml in the same directory is an update, not a removal
+  for (const { path } of upserts) removed.delete(metaDirOf(path));
+  return { upserts, removals: [...removed], moves };
+}
+
+/**
+ * Brings the host's branch database in line with a change set.
+ */
+export function updateIndex(changes, branch, readFile = readFromTree) {
+  const { upserts, removals } = planIndexUpdate(changes);
+  if (upserts.length) upsertIndex(upserts, readFile, branch);
+  removeFromIndex(removals, branch);
+  return { upserts, removals };
+}
+
+/**
+ * Returns relay_index.json rows with a change set applied to one branch.
+ */
+export function applyIndexChanges(items, changes, branch, { config, readFile = readFromTree, now = new Date().toISOString() }) {
+  const { upserts, removals, moves } = planIndexUpdate(changes);
+  const onBranch = (row) => (row._branch || 'main') === branch;
+  const previous = new Map(items.filter(onBranch).map((row) => [row._meta_dir, row]));
+  const dropped = new Set([...removals, ...upserts.map(({ path }) => metaDirOf(path))]);
+  const next = items.filter((row) => !onBranch(row) || !dropped.has(row._meta_dir));
+  for (const { doc, metaDir } of readMetaDocuments(upserts, readFile)) {
+    const before = previous.get(metaDir) || previous.get(moves.get(metaDir));
+    next.push(stampRow(mapDocument(doc, config, { metaDir, branch }), before, now));
+  }
+  return next;
+}
+
+/**
+ * Rewrites relay_index.json for a change set; returns the files written or removed.
+ */
+export function updateIndexFile(changes, branch, readFile = readFromTree) {
+  const { upserts, removals } = planIndexUpdate(changes);
+  if (!upserts.length && !removals.length) return [];
+  const config = loadDbConfig(readFile);
+  const options = indexFileOptions(config);
+  const rows = applyIndexChanges(readIndexRows(options, readFile), changes, branch, { config, readFile });
+  return writeIndexRows(rows, options, readFile);
+}
+
+/**
+ * Rebuilds a branch from every meta file in the tree (REINDEX=full): all entries are upserted,
+ * rows whose directory no longer holds a meta file are dropped, and relay_index.json is rewritten
+ * keeping each surviving row's timestamps.
+ */
+export function reindexAll(branch, { readFile = readFromTree, list = listFiles, now = new Date().toISOString() } = {}) {
+  const upserts = listMetaFiles(list);
+  const present = new Set(upserts.map(({ path }) => metaDirOf(path)));
+  const config = loadDbConfig(readFile);
+  const options = indexFileOptions(config);
+  const rows = readIndexRows(options, readFile);
+  const onBranch = (row) => (row._branch || 'main') === branch;
+  const previous = new Map(rows.filter(onBranch).map((row) => [row._meta_dir, row]));
+  const removals = [...previous.keys()].filter((dir) => !present.has(dir));
+
+  if (upserts.length) upsertIndex(upserts, readFile, branch);
+  removeFromIndex(removals, branch);
+
+  const items = rows.filter((row) => !onBranch(row));
+  for (const { doc, metaDir } of readMetaDocuments(upserts, readFile)) {
+    items.push(stampRow(mapDocument(doc, config, { metaDir, branch }), previous.get(metaDir), now));
+  }
+  const files = writeIndexRows(items, options, readFile);
+  return { upserts, removals, files };
+}
+
+function uniqueKey(row, fields) {
+  return JSON.stringify(fields.map((f) => row[f] ?? null));
+}
+
+/**
+ * Returns one issue per staged meta document that collides with an entry of the tree before
+ * the push (`base`, see baseTree) or with another document in the same push. Existing entries
+ * come from readBaseEntries; the `unique` fields from the base db.yaml.
+ */
+export function findDuplicateEntries(changes, branch, { readFile = readFromTree, base = baseTree() } = {}) {
+  const config = loadBaseDbConfig(base, readFile);
+  const fields = Array.isArray(config.unique) ? config.unique : [];
+  if (!fields.length) return [];
+
+  const staged = readMetaDocuments(changes, readFile).map(({ path, doc, metaDir }) => ({
+    path,
+    row: mapDocument(doc, config, { metaDir, branch }),
+  }));
+  if (!staged.length) return [];
+
+  // Entries in directories touched by this push are superseded by the staged documents or removed
+  const stagedDirs = new Set([...staged.map((s) => s.row._meta_dir), ...planIndexUpdate(changes).removals]);
+  const seen = new Map();
+  for (const { metaDir, row } of readBaseEntries(branch, { base, config, skip: stagedDirs, tag: 'uniqueness' })) {
+    seen.set(uniqueKey(row, fields), `${metaDir} (existing entry)`);
+  }
+
+  const errors = [];
+  for (const { path, row } of staged) {
+    const key = uniqueKey(row, fields);
+    const label = fields.filter((f) => !f.startsWith('_')).map((f) => `${f}=${JSON.stringify(row[f])}`).join(', ');
+    if (seen.has(key)) errors.push(issue(path, 'db.unique', `duplicates ${seen.get(key)} on ${label}`));
+    else seen.set(key, path);
+  }
+  return errors;
+}
@@ -0,0 +1,156 @@
+// Near-duplicate detection driven by the `duplicates` section of hooks/db.yaml
+// The `unique` constraint only catches exact title + year matches. Here titles are normalized
+// (diacritics, punctuation, leading or trailing articles, roman numerals, a trailing "(1999)") and
+// compared by edit-distance similarity, release years may differ by yearTolerance, and entries that
+// share an external ID (tmdb_id, imdb_id, ...) are duplicates whatever their titles. Per branch a
+// suspected duplicate is rejected or only warned about; branches not listed are not checked.
+
+import { loadBaseDbConfig, mapDocument, planIndexUpdate, readBaseEntries } from './db.mjs';
+import { globMatch } from './glob.mjs';
+import { readMetaDocuments } from './meta.mjs';
+import { issue } from './report.mjs';
+import { baseTree, readFromTree } from './utils.mjs';
+
+const WHERE = 'hooks/db.yaml: duplicates';
+const MODES = ['reject', 'warn', 'off'];
+
+// Articles dropped from the start ("The Matrix") or the end ("Matrix, The") of a title
+const ARTICLES = ['the', 'a', 'an', 'le', 'la', 'les', 'l', 'el', 'los', 'las', 'der', 'die', 'das', 'il', 'lo'];
+const ROMAN = /^(?=[ivxlc])(c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/;
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+
+/**
+ * Settings for `branch` ({ mode, threshold, yearTolerance, ids }), or null when it is not checked.
+ */
+export function loadDuplicateConfig(branch, config) {
+  const section = config.duplicates;
+  if (!section) return null;
+  const branches = section.branches || {};
+  if (typeof branches !== 'object' || Array.isArray(branches)) throw new Error(`${WHERE}.branches must map branch globs to ${MODES.join(' | ')}`);
+  const pattern = Object.keys(branches).find((glob) => globMatch(glob, branch));
+  const mode = pattern === undefined ? 'off' : branches[pattern];
+  if (!MODES.includes(mode)) throw new Error(`${WHERE}.branches.${pattern} must be ${MODES.join(', ')}`);
+  if (mode === 'off') return null;
+  const threshold = section.threshold ?? 0.9;
+  if (typeof threshold !== 'number' || threshold <= 0 || threshold > 1) throw new Error(`${WHERE}.threshold must be a number in (0, 1]`);
+  const yearTolerance = section.yearTolerance ?? 1;
+  if (!Number.isInteger(yearTolerance) || yearTolerance < 0) throw new Error(`${WHERE}.yearTolerance must be a non-negative integer`);
+  const ids = section.ids ?? [];
+  if (!Array.isArray(ids) || !ids.every((f) => typeof f === 'string')) throw new Error(`${WHERE}.ids must be a list of field names`);
+  return { mode, threshold, yearTolerance, ids };
+}
+
+function romanToNumber(token) {
+  let total = 0;
+  for (let i = 0; i < token.length; i++) {
+    const value = ROMAN_VALUES[token[i]];
+    const next = ROMAN_VALUES[token[i + 1]] || 0;
+    total += value < next ? -value : value;
+  }
+  return total;
+}
+
+/**
+ * Comparable form of a title: lowercase ASCII words with articles, punctuation and a trailing
+ * parenthesized year removed and roman numerals written as numbers.
+ */
+export function normalizeTitle(title) {
+  let s = String(title ?? '').normalize('NFKD').replace(/\p{M}+/gu, '').toLowerCase();
+  s = s.replace(/&/g, ' and ').replace(/[([]\s*\d{4}\s*[)\]]\s*$/, '');
+  let words = s.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  // "Matrix, The" and "The Matrix" alike; a title that is only an article keeps it
+  if (words.length > 1 && ARTICLES.includes(words[0])) words = words.slice(1);
+  if (words.length > 1 && ARTICLES.includes(words[words.length - 1]) && /,\s*\S+\s*$/.test(s)) words = words.slice(0, -1);
+  return words.map((w) => (ROMAN.test(w) ? String(romanToNumber(w)) : w)).join(' ');
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Similarity of two normalized titles in [0, 1]. Titles whose numbers differ (sequels, "Part 2"
+ * and "Part 3") never match.
+ */
+export function titleSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const numbers = (s) => (s.match(/\d+/g) || []).join(' ');
+  if (numbers(a) !== numbers(b)) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+function externalId(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return String(value).trim().toLowerCase();
+}
+
+function yearOf(row) {
+  if (Number.isInteger(row.release_year)) return row.release_year;
+  const m = String(row.release_date ?? '').match(/^\d{4}/);
+  return m ? Number(m[0]) : null;
+}
+
+/**
+ * Why two rows look like the same movie, or null. Exact title + year matches are left to db.unique.
+ */
+export function duplicateReason(row, other, { threshold, yearTolerance, ids }) {
+  for (const field of ids) {
+    const id = externalId(row[field]);
+    if (id !== null && id === externalId(other[field])) return `shares ${field} ${row[field]}`;
+  }
+  const year = yearOf(row);
+  const otherYear = yearOf(other);
+  if (row.title === other.title && year === otherYear) return null;
+  if (year !== null && otherYear !== null && Math.abs(year - otherYear) > yearTolerance) return null;
+  const similarity = titleSimilarity(normalizeTitle(row.title), normalizeTitle(other.title));
+  if (similarity < threshold) return null;
+  const years = year !== null && otherYear !== null ? `, released ${otherYear}` : '';
+  return `title ${JSON.stringify(row.title)} matches ${JSON.stringify(other.title)} (similarity ${similarity.toFixed(2)}${years})`;
+}
+
+/**
+ * Issues (duplicate.suspected) for staged meta documents that look like an existing entry of the
+ * branch or another entry of the same push. In warn mode they are printed and none are returned.
+ * Settings and existing entries come from the tree before the push (`base`): its relay_index.json
+ * rows and the meta files the index does not list (see readBaseEntries).
+ */
+export function findNearDuplicates(changes, branch, { readFile = readFromTree, base = baseTree() } = {}) {
+  const config = loadBaseDbConfig(base, readFile);
+  const settings = loadDuplicateConfig(branch, config);
+  if (!settings) return [];
+  const staged = readMetaDocuments(changes, readFile).map(({ path, doc, metaDir }) => ({
+    path,
+    row: mapDocument(doc, config, { metaDir, branch }),
+    doc,
+  }));
+  if (!staged.length) return [];
+
+  // Rows for directories touched by this push are superseded by the staged documents or removed
+  const stagedDirs = new Set([...staged.map((s) => s.row._meta_dir), ...planIndexUpdate(changes).removals]);
+  const known = readBaseEntries(branch, { base, config, skip: stagedDirs, tag: 'duplicates' })
+    .map(({ metaDir, row, doc }) => ({ label: `${metaDir} (existing entry)`, row: doc ? { ...doc, ...row } : row }));
+
+  const errors = [];
+  for (const { path, row, doc } of staged) {
+    // External IDs need not be mapped into the index row; staged documents carry them directly
+    const fields = { ...doc, ...row };
+    for (const candidate of known) {
+      const reason = duplicateReason(fields, candidate.row, settings);
+      if (reason) errors.push(issue(path, 'duplicate.suspected', `looks like a duplicate of ${candidate.label}: ${reason}`));
+    }
+    known.push({ label: path, row: fields });
+  }
+  if (settings.mode === 'warn') {
+    for (const e of errors) console.warn(`[duplicates] warning: ${e.path}: ${e.message}`);
+    return [];
+  }
+  return errors;
+}
@@ -0,0 +1,193 @@
+// Library feeds written by the post-receive hook
+// Each accepted push becomes feed entries (movie added, updated or removed) for its branch. The
+// JSON Feed file is the record of the last `limit` entries; Atom and RSS 2.0 are rendered from it,
+// so the three formats always list the same entries.
+
+import { readFromTree, writeToTree, yamlToJson } from './utils.mjs';
+import { loadDbConfig, mapDocument } from './db.mjs';
+import { summarizeChanges } from './meta.mjs';
+import { RELAY_CONFIG_PATH } from './signers.mjs';
+
+const FEED_DEFAULTS = { dir: 'feeds', limit: 50, baseUrl: '', title: null, branches: null };
+
+const ACTION_LABELS = { added: 'Added', updated: 'Updated', removed: 'Removed' };
+
+/**
+ * Feed settings from server.hooks.post-receive.feeds in .relay.yaml.
+ */
+export function loadFeedConfig(readFile = readFromTree) {
+  const buf = readFile(RELAY_CONFIG_PATH);
+  const config = buf ? yamlToJson(buf) || {} : {};
+  const feeds = { ...FEED_DEFAULTS, ...(config.server?.hooks?.['post-receive']?.feeds || {}) };
+  const where = `${RELAY_CONFIG_PATH}: server.hooks.post-receive.feeds`;
+  if (!Number.isInteger(feeds.limit) || feeds.limit < 1) throw new Error(`${where}.limit must be a positive integer`);
+  if (feeds.branches !== null && !Array.isArray(feeds.branches)) throw new Error(`${where}.branches must be a list`);
+  return {
+    ...feeds,
+    dir: String(feeds.dir).replace(/\/+$/, ''),
+    baseUrl: String(feeds.baseUrl || '').replace(/\/+$/, ''),
+    title: feeds.title || config.name || 'Relay repository',
+  };
+}
+
+export function feedPaths(config, branch) {
+  const base = `${config.dir}/${encodeURIComponent(branch)}`;
+  return { json: `${base}.json`, atom: `${base}.atom`, rss: `${base}.rss` };
+}
+
+function readMeta(dir, readFile) {
+  // Parsed meta document of an entry directory, or null
+  for (const name of ['meta.yaml', 'meta.yml']) {
+    const buf = readFile(`${dir}/${name}`);
+    if (!buf) continue;
+    try {
+      const doc = yamlToJson(buf);
+      return doc && typeof doc === 'object' && !Array.isArray(doc) ? doc : null;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+function absolute(config, url) {
+  if (!url) return null;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) || !url.startsWith('/')) return url;
+  return `${config.baseUrl}${url}`;
+}
+
+/**
+ * Feed items (JSON Feed 1.1 shape) for one push. Removed entries are described from the tree
+ * before the push (`readBefore`), the others from the pushed tree.
+ */
+export function buildFeedItems(changes, { branch, commit, now, config, readFile = readFromTree, readBefore = readFile }) {
+  const dbConfig = loadDbConfig(readFile);
+  const items = [];
+  for (const { dir, action } of summarizeChanges(changes)) {
+    const doc = readMeta(dir, action === 'removed' ? readBefore : readFile);
+    if (!doc && action !== 'removed') continue;
+    const row = doc ? mapDocument(doc, dbConfig, { metaDir: dir, branch }) : {};
+    const title = typeof row.title === 'string' ? row.title : dir.split('/').pop();
+    const year = row.release_year ?? null;
+    const label = `${ACTION_LABELS[action]}: ${title}${year ? ` (${year})` : ''}`;
+    const poster = absolute(config, typeof doc?.url_poster === 'string' ? doc.url_poster : null);
+    const item = {
+      id: `${branch}:${commit}:${dir}`,
+      url: action === 'removed' ? undefined : absolute(config, `/${dir}`),
+      title: label,
+      summary: typeof doc?.overview === 'string' ? doc.overview : undefined,
+      image: poster || undefined,
+      date_published: now,
+      tags: [action],
+      _relay: { action, branch, commit, meta_dir: dir, title, year },
+    };
+    item.content_html = itemContent(item) || `<p>${escapeXml(label)}</p>`;
+    items.push(item);
+  }
+  return items;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+function itemContent(item) {
+  // HTML body (content_html) also used by Atom and RSS
+  const parts = [];
+  if (item.image) parts.push(`<p><img src="${escapeXml(item.image)}" alt="${escapeXml(item._relay?.title || '')}"/></p>`);
+  if (item.summary) parts.push(`<p>${escapeXml(item.summary)}</p>`);
+  return parts.join('');
+}
+
+export function renderJsonFeed(feed) {
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+export function renderAtom(feed) {
+  const updated = feed.items[0]?.date_published || new Date(0).toISOString();
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.feed_url || `urn:relay:feed:${encodeURIComponent(feed._relay.branch)}`)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <updated>${escapeXml(updated)}</updated>`,
+  ];
+  lines.push(`  <author><name>${escapeXml(feed.title)}</name></author>`);
+  if (feed.home_page_url) lines.push(`  <link href="${escapeXml(feed.home_page_url)}"/>`);
+  for (const item of feed.items) {
+    lines.push('  <entry>');
+    lines.push(`    <id>urn:relay:${escapeXml(item.id)}</id>`);
+    lines.push(`    <title>${escapeXml(item.title)}</title>`);
+    lines.push(`    <updated>${escapeXml(item.date_published)}</updated>`);
+    if (item.url) lines.push(`    <link href="${escapeXml(item.url)}"/>`);
+    for (const tag of item.tags || []) lines.push(`    <category term="${escapeXml(tag)}"/>`);
+    if (item.content_html) lines.push(`    <content type="html">${escapeXml(item.content_html)}</content>`);
+    lines.push('  </entry>');
+  }
+  lines.push('</feed>');
+  return `${lines.join('\n')}\n`;
+}
+
+export function renderRss(feed) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.home_page_url || '/')}</link>`,
+    `    <description>${escapeXml(feed.description || feed.title)}</description>`,
+  ];
+  if (feed.items[0]) lines.push(`    <lastBuildDate>${new Date(feed.items[0].date_published).toUTCString()}</lastBuildDate>`);
+  for (const item of feed.items) {
+    lines.push('    <item>');
+    lines.push(`      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`);
+    lines.push(`      <title>${escapeXml(item.title)}</title>`);
+    if (item.url) lines.push(`      <link>${escapeXml(item.url)}</link>`);
+    lines.push(`      <pubDate>${new Date(item.date_published).toUTCString()}</pubDate>`);
+    for (const tag of item.tags || []) lines.push(`      <category>${escapeXml(tag)}</category>`);
+    if (item.content_html) lines.push(`      <description>${escapeXml(item.content_html)}</description>`);
+    lines.push('    </item>');
+  }
+  lines.push('  </channel>', '</rss>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Items of the branch's JSON Feed file; an unreadable file is reported and the feed starts over.
+ */
+export function readFeedItems(path, readFile = readFromTree) {
+  const buf = readFile(path);
+  if (!buf) return [];
+  try {
+    const items = JSON.parse(buf.toString('utf8'))?.items;
+    if (Array.isArray(items)) return items.filter((item) => item && typeof item === 'object' && typeof item.id === 'string');
+  } catch {
+    // reported below
+  }
+  console.warn(`[feeds] ${path} is not a JSON Feed; starting it over`);
+  return [];
+}
+
+/**
+ * Prepends a push's items to the branch feed, keeps the newest `limit` and writes the JSON Feed,
+ * Atom and RSS files. Returns the paths written (none when the push has no library changes).
+ */
+export function updateFeeds(items, { branch, config, readFile = readFromTree }) {
+  if (!items.length) return [];
+  if (config.branches && !config.branches.includes(branch)) return [];
+  const paths = feedPaths(config, branch);
+  const previous = readFeedItems(paths.json, readFile);
+  const ids = new Set(items.map((item) => item.id));
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: `${config.title} (${branch})`,
+    home_page_url: config.baseUrl ? `${config.baseUrl}/` : undefined,
+    feed_url: config.baseUrl ? `${config.baseUrl}/${paths.json}` : undefined,
+    _relay: { branch },
+    items: [...items, ...previous.filter((item) => !ids.has(item.id))].slice(0, config.limit),
+  };
+  writeToTree(paths.json, renderJsonFeed(feed));
+  writeToTree(paths.atom, renderAtom(feed));
+  writeToTree(paths.rss, renderRss(feed));
+  return [paths.json, paths.atom, paths.rss];
+}
@@ -0,0 +1,135 @@
+// GitHub webhook deliveries (git.github in .relay.yaml)
+// A delivery is accepted only when its X-Hub-Signature-256 header is the HMAC-SHA256 of the raw
+// body under the shared secret, read from the environment variable git.github.secretEnv names
+// (never from the tree). Push events are turned into the change set and commit range the hook
+// pipeline runs on; other configured events are acknowledged, everything else is ignored. Each
+// outcome carries the HTTP status the host should answer with.
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { RELAY_CONFIG_PATH } from './signers.mjs';
+import { listFiles, readFromCommit, readFromTree, yamlToJson } from './utils.mjs';
+
+const WHERE = `${RELAY_CONFIG_PATH}: git.github`;
+const ZERO_COMMIT = /^0+$/;
+// GitHub lists at most this many commits in a push payload
+export const PAYLOAD_COMMIT_LIMIT = 20;
+
+/**
+ * { enabled, path, events, secretEnv } from .relay.yaml git.github.
+ */
+export function loadGithubConfig(readFile = readFromTree) {
+  const buf = readFile(RELAY_CONFIG_PATH);
+  const config = buf ? yamlToJson(buf) || {} : {};
+  const github = config.git?.github || {};
+  const events = github.events ?? ['push'];
+  if (!Array.isArray(events) || !events.every((e) => typeof e === 'string')) throw new Error(`${WHERE}.events must be a list of event names`);
+  return {
+    enabled: github.enabled === true,
+    path: github.path || '/hooks/github',
+    events,
+    secretEnv: github.secretEnv || 'GITHUB_WEBHOOK_SECRET',
+  };
+}
+
+/**
+ * Request headers by lower-case name.
+ */
+export function normalizeHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), Array.isArray(v) ? v[0] : v]));
+}
+
+/**
+ * Whether `header` ("sha256=<hex>") signs `body` with `secret`. Compared in constant time.
+ */
+export function verifyWebhookSignature(secret, body, header) {
+  const m = /^sha256=([0-9a-f]{64})$/i.exec(String(header || '').trim());
+  if (!m) return false;
+  const expected = createHmac('sha256', secret).update(body).digest();
+  return timingSafeEqual(expected, Buffer.from(m[1], 'hex'));
+}
+
+/**
+ * Net change set of the commits in a push payload, as { path, status, oldPath }. GitHub reports
+ * renames as a removal and an addition; a file added and removed again within the push is left out.
+ */
+export function payloadChanges(payload) {
+  const status = new Map();
+  for (const commit of payload.commits || []) {
+    for (const p of commit.added || []) status.set(p, status.get(p) === 'deleted' ? 'modified' : 'added');
+    for (const p of commit.modified || []) status.set(p, status.get(p) === 'added' ? 'added' : 'modified');
+    for (const p of commit.removed || []) {
+      if (status.get(p) === 'added') status.delete(p);
+      else status.set(p, 'deleted');
+    }
+  }
+  return [...status].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).map(([path, s]) => ({ path, status: s, oldPath: null }));
+}
+
+function reply(status, fields) {
+  return { status, ...fields };
+}
+
+/**
+ * Checks a delivery ({ headers, body: Buffer }) and describes what to do with it:
+ *   { status, action: 'run', event, delivery, push: { branch, before, after, message, changes, truncated } }
+ *   { status, action: 'ignore' | 'ack', event, delivery, reason }
+ *   { status, action: 'reject', code, message }
+ */
+export function parseDelivery(request, { config, secret }) {
+  const headers = normalizeHeaders(request.headers);
+  const event = headers['x-github-event'] || null;
+  const delivery = headers['x-github-delivery'] || null;
+  const body = Buffer.isBuffer(request.body) ? request.body : Buffer.from(request.body ?? '');
+  if (!config.enabled) return reply(404, { action: 'reject', code: 'github.disabled', message: `webhooks are disabled (${WHERE}.enabled)` });
+  if (!secret) return reply(500, { action: 'reject', code: 'github.secret_missing', message: `no webhook secret in ${config.secretEnv}` });
+  if (!headers['x-hub-signature-256']) return reply(401, { action: 'reject', code: 'github.signature_missing', message: 'X-Hub-Signature-256 header is missing' });
+  if (!verifyWebhookSignature(secret, body, headers['x-hub-signature-256'])) {
+    return reply(401, { action: 'reject', code: 'github.signature_invalid', message: 'X-Hub-Signature-256 does not match the body' });
+  }
+  if (!event) return reply(400, { action: 'reject', code: 'github.event_missing', message: 'X-GitHub-Event header is missing' });
+
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf8'));
+  } catch (e) {
+    return reply(400, { action: 'reject', code: 'github.payload_invalid', message: `body is not JSON: ${e.message}` });
+  }
+  if (event === 'ping') return reply(200, { action: 'ack', event, delivery, reason: payload.zen || 'pong' });
+  if (!config.events.includes(event)) return reply(202, { action: 'ignore', event, delivery, reason: `event ${event} is not in ${WHERE}.events` });
+  if (event !== 'push') return reply(202, { action: 'ignore', event, delivery, reason: `no handler for ${event} events` });
+
+  const ref = String(payload.ref || '');
+  if (!ref.startsWith('refs/heads/')) return reply(202, { action: 'ignore', event, delivery, reason: `${ref || 'push without ref'} is not a branch` });
+  const branch = ref.slice('refs/heads/'.length);
+  if (payload.deleted || ZERO_COMMIT.test(payload.after || '')) return reply(202, { action: 'ignore', event, delivery, reason: `branch ${branch} was deleted` });
+  const commits = payload.commits || [];
+  return reply(200, {
+    action: 'run',
+    event,
+    delivery,
+    push: {
+      branch,
+      before: payload.before || null,
+      after: payload.after,
+      message: payload.head_commit?.message ?? commits[commits.length - 1]?.message ?? null,
+      changes: payloadChanges(payload),
+      truncated: commits.length >= PAYLOAD_COMMIT_LIMIT,
+    },
+  });
+}
+
+/**
+ * Change set between two commits from their trees, for pushes whose payload lists too few commits
+ * to derive it. Reads every file of both trees.
+ */
+export function treeChanges(before, after, { list = listFiles, read = readFromCommit } = {}) {
+  const old = new Set(before && !ZERO_COMMIT.test(before) ? list('', before) : []);
+  const changes = [];
+  for (const p of list('', after)) {
+    if (!old.has(p)) changes.push({ path: p, status: 'added', oldPath: null });
+    else if (!read(before, p).equals(read(after, p))) changes.push({ path: p, status: 'modified', oldPath: null });
+    old.delete(p);
+  }
+  for (const p of old) changes.push({ path: p, status: 'deleted', oldPath: null });
+  return changes.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
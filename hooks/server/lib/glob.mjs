@@ -0,0 +1,54 @@
+// Glob matching for hook configuration (.relay.yaml, files.yaml)
+// Same dialect as .relay/validation.mjs, which cannot import this module from its sandbox.
+
+export function globToRegExpSource(pattern) {
+  // Supports **, *, ?, [...] and {a,b}; "**/" also matches zero directories
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*') {
+      if (pattern[i + 1] === '*') {
+        const dir = pattern[i + 2] === '/';
+        re += dir ? '(?:.*/)?' : '.*';
+        i += dir ? 2 : 1;
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[' && pattern.indexOf(']', i + 1) > i + 1) {
+      const end = pattern.indexOf(']', i + 1);
+      const body = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      re += `[${body}]`;
+      i = end;
+    } else if (c === '{' && pattern.indexOf('}', i + 1) > i) {
+      const end = pattern.indexOf('}', i + 1);
+      re += `(?:${pattern.slice(i + 1, end).split(',').map(globToRegExpSource).join('|')})`;
+      i = end;
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return re;
+}
+
+export function globMatch(pattern, path) {
+  return new RegExp(`^${globToRegExpSource(pattern)}$`).test(path);
+}
+
+export function isGlob(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Leading directory of a glob that contains no wildcards ("" for patterns like "*.md").
+ */
+export function globBase(pattern) {
+  const parts = pattern.split('/');
+  const fixed = [];
+  for (const part of parts.slice(0, -1)) {
+    if (isGlob(part)) break;
+    fixed.push(part);
+  }
+  return fixed.join('/');
+}
@@ -0,0 +1,157 @@
+// relay_index.json: the committed, database-free copy of the branch indexes
+// The file is a build artifact of the index hook, written so the same rows always produce the
+// same bytes: object keys are sorted, rows are ordered by _branch then _meta_dir, and `hash` is
+// the SHA-256 of the canonical rows. _created_at survives updates and moves, and _updated_at only
+// changes when a row's content does. When the single file would exceed `indexFile.shardAbove`
+// (hooks/db.yaml) every branch is written to its own shard and relay_index.json lists the shards.
+
+import { createHash } from 'node:crypto';
+import { parseSize, readFromTree, removeFromTree, writeToTree } from './utils.mjs';
+
+export const INDEX_FILE_PATH = 'relay_index.json';
+export const INDEX_FORMAT = 1;
+
+const DEFAULTS = { path: INDEX_FILE_PATH, shardDir: 'relay_index', shardAbove: 1024 * 1024 };
+
+/**
+ * Location and sharding threshold from the `indexFile` section of hooks/db.yaml.
+ */
+export function indexFileOptions(dbConfig = {}) {
+  const section = dbConfig.indexFile || {};
+  return {
+    path: section.path || DEFAULTS.path,
+    shardDir: String(section.shardDir || DEFAULTS.shardDir).replace(/\/+$/, ''),
+    shardAbove: section.shardAbove === undefined ? DEFAULTS.shardAbove : parseSize(section.shardAbove, 'hooks/db.yaml: indexFile.shardAbove'),
+  };
+}
+
+function branchOf(row) {
+  return row._branch || 'main';
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const key of Object.keys(value).sort()) if (value[key] !== undefined) out[key] = sortKeys(value[key]);
+  return out;
+}
+
+/**
+ * JSON with sorted object keys, two-space indentation and a trailing newline.
+ */
+export function canonicalJson(value) {
+  return `${JSON.stringify(sortKeys(value), null, 2)}\n`;
+}
+
+export function sortRows(rows) {
+  const key = (row) => [branchOf(row), row._meta_dir || ''];
+  return [...rows].sort((a, b) => {
+    const [ab, ad] = key(a);
+    const [bb, bd] = key(b);
+    return ab < bb ? -1 : ab > bb ? 1 : ad < bd ? -1 : ad > bd ? 1 : 0;
+  });
+}
+
+export function contentHash(rows) {
+  return `sha256:${createHash('sha256').update(JSON.stringify(sortKeys(sortRows(rows)))).digest('hex')}`;
+}
+
+function withoutTimestamps({ _created_at, _updated_at, ...rest }) {
+  return JSON.stringify(sortKeys(rest));
+}
+
+/**
+ * Stamps a freshly mapped row against the row it replaces: _created_at is kept, and _updated_at
+ * only moves when the content changed. A _created_at later than _updated_at is clamped.
+ */
+export function stampRow(row, previous, now) {
+  if (!previous) return { ...row, _created_at: now, _updated_at: now };
+  const created = previous._created_at || now;
+  const unchanged = previous._updated_at && withoutTimestamps(previous) === withoutTimestamps(row);
+  const updated = unchanged ? previous._updated_at : now;
+  return { ...row, _created_at: created > updated ? updated : created, _updated_at: updated };
+}
+
+function shardPath(options, branch) {
+  return `${options.shardDir}/${encodeURIComponent(branch)}.json`;
+}
+
+function parseJson(buf, path) {
+  try {
+    return JSON.parse(buf.toString());
+  } catch (e) {
+    throw new Error(`${path} is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Reads every row of relay_index.json, following shards when the file is sharded.
+ * `branch` limits the read to one branch (and to its shard).
+ */
+export function readIndexRows(options = indexFileOptions(), readFile = readFromTree, branch = null) {
+  const buf = readFile(options.path);
+  if (!buf) return [];
+  const root = parseJson(buf, options.path);
+  let rows = root.items || [];
+  if (Array.isArray(root.shards)) {
+    rows = [];
+    for (const shard of root.shards) {
+      if (branch !== null && shard.branch !== branch) continue;
+      const part = readFile(shard.path);
+      if (!part) throw new Error(`${options.path} lists shard ${shard.path}, which does not exist`);
+      rows.push(...(parseJson(part, shard.path).items || []));
+    }
+  }
+  return branch === null ? rows : rows.filter((row) => branchOf(row) === branch);
+}
+
+/**
+ * The files relay_index.json consists of for a set of rows: { [path]: content }.
+ */
+export function renderIndexFiles(rows, options = indexFileOptions()) {
+  const sorted = sortRows(rows);
+  const hash = contentHash(sorted);
+  const single = canonicalJson({ format: INDEX_FORMAT, hash, count: sorted.length, items: sorted });
+  if (Buffer.byteLength(single) <= options.shardAbove) return { [options.path]: single };
+
+  const byBranch = new Map();
+  for (const row of sorted) {
+    if (!byBranch.has(branchOf(row))) byBranch.set(branchOf(row), []);
+    byBranch.get(branchOf(row)).push(row);
+  }
+  const files = {};
+  const shards = [];
+  for (const [branch, items] of byBranch) {
+    const path = shardPath(options, branch);
+    const shardHash = contentHash(items);
+    files[path] = canonicalJson({ format: INDEX_FORMAT, branch, hash: shardHash, count: items.length, items });
+    shards.push({ branch, path, hash: shardHash, count: items.length });
+  }
+  files[options.path] = canonicalJson({ format: INDEX_FORMAT, hash, count: sorted.length, shards });
+  return files;
+}
+
+/**
+ * Writes the rows as relay_index.json (and its shards), touching only files whose bytes change
+ * and removing shards that are no longer listed. Returns the paths written or removed.
+ */
+export function writeIndexRows(rows, options = indexFileOptions(), readFile = readFromTree) {
+  const files = renderIndexFiles(rows, options);
+  const touched = [];
+  const old = readFile(options.path);
+  const oldShards = old ? parseJson(old, options.path).shards || [] : [];
+  for (const { path } of oldShards) {
+    if (files[path] === undefined && readFile(path)) {
+      removeFromTree(path);
+      touched.push(path);
+    }
+  }
+  for (const [path, content] of Object.entries(files)) {
+    const current = readFile(path);
+    if (current && current.toString() === content) continue;
+    writeToTree(path, content);
+    touched.push(path);
+  }
+  return touched;
+}
@@ -0,0 +1,212 @@
+// The IPFS manifest of the repository's own content (ipfs.manifest in hooks/sources.yaml)
+// The index hook gives every file under the `include` globs (media/** and entry assets) its
+// UnixFS CID, computed offline by unixfs.mjs, and writes hooks/root.ipfs: the CIDs by path and
+// the CID of the directory holding them at their repository paths. Files the change set does not
+// touch keep their recorded CIDs. With `car` set the whole DAG is also written as a CARv1 file in
+// the server's git directory (or RELAY_STATE_DIR), ready for `ipfs dag import`.
+// hash_ipfs entries that name a `path` are checked against the CID of that file.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { cidKey, parseCid } from '../../lib/hashes.mjs';
+import { globBase, globMatch } from './glob.mjs';
+import { canonicalJson } from './index-file.mjs';
+import { issue } from './report.mjs';
+import { CODEC_DAG_PB, CODEC_RAW, DEFAULT_UNIXFS_OPTIONS, carFile, cidBytes, directoryDag, fileDag, formatCid } from './unixfs.mjs';
+import { env, listFiles, parseSize, readFromTree, writeToTree, yamlToJson } from './utils.mjs';
+
+export const SOURCES_PATH = 'hooks/sources.yaml';
+export const MANIFEST_FORMAT = 1;
+const WHERE = `${SOURCES_PATH}: ipfs.manifest`;
+const SHA2_256 = 0x12;
+
+export const DEFAULT_MANIFEST_CONFIG = {
+  path: 'hooks/root.ipfs',
+  include: ['media/**', 'data/**/assets/**'],
+  chunkSize: DEFAULT_UNIXFS_OPTIONS.chunkSize,
+  car: null,
+};
+
+/**
+ * { path, include, chunkSize, car } from ipfs.manifest in hooks/sources.yaml over
+ * DEFAULT_MANIFEST_CONFIG; null when the section is `false`.
+ */
+export function loadManifestConfig(readFile = readFromTree) {
+  const buf = readFile(SOURCES_PATH);
+  const sources = buf ? yamlToJson(buf) || {} : {};
+  const section = sources.ipfs?.manifest;
+  if (section === false) return null;
+  const config = { ...DEFAULT_MANIFEST_CONFIG, ...(section || {}) };
+  if (typeof config.path !== 'string' || !config.path) throw new Error(`${WHERE}.path must be a repository path`);
+  if (!Array.isArray(config.include) || !config.include.every((g) => typeof g === 'string')) throw new Error(`${WHERE}.include must be a list of globs`);
+  if (config.car !== null && (typeof config.car !== 'string' || !config.car)) throw new Error(`${WHERE}.car must be a file name`);
+  return { ...config, chunkSize: parseSize(config.chunkSize, `${WHERE}.chunkSize`) };
+}
+
+function unixfsOptions(config) {
+  return { ...DEFAULT_UNIXFS_OPTIONS, chunkSize: config.chunkSize };
+}
+
+export function isManifestContent(config, p) {
+  return p !== config.path && config.include.some((glob) => globMatch(glob, p));
+}
+
+/**
+ * Whether a change set adds, changes or removes content the manifest addresses.
+ */
+export function touchesManifest(config, changes) {
+  return changes.some(({ path: p, oldPath }) => isManifestContent(config, p) || (oldPath && isManifestContent(config, oldPath)));
+}
+
+/**
+ * The manifest at config.path, or null when it is missing, not a manifest or of another format.
+ */
+export function readManifest(config, readFile = readFromTree) {
+  const buf = readFile(config.path);
+  if (!buf) return null;
+  try {
+    const manifest = JSON.parse(buf.toString('utf8'));
+    return manifest?.format === MANIFEST_FORMAT && manifest.files && typeof manifest.files === 'object' ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+function contentPaths(config, list) {
+  const found = new Set();
+  for (const glob of config.include) {
+    for (const p of list(globBase(glob))) if (isManifestContent(config, p)) found.add(p);
+  }
+  return [...found].sort();
+}
+
+/**
+ * Builds the manifest { format, root, unixfs, files: { path: { cid, size, tsize } } }.
+ * Files listed in `previous` that are not in `changed` (a Set of paths) keep their entry when the
+ * UnixFS options are the same; `onBlock(cid, bytes)` gets every block, which needs every file read.
+ * Returns { manifest, hashed } with `hashed` the paths whose content was read.
+ */
+export function buildManifest(config, { list = listFiles, readFile = readFromTree, previous = null, changed = null, onBlock } = {}) {
+  const unixfs = unixfsOptions(config);
+  const reusable = !onBlock && changed && previous && canonicalJson(previous.unixfs) === canonicalJson(unixfs);
+  const files = {};
+  const hashed = [];
+  for (const p of contentPaths(config, list)) {
+    const known = reusable && !changed.has(p) ? previous.files[p] : null;
+    if (known) {
+      files[p] = known;
+      continue;
+    }
+    const content = readFile(p);
+    if (!content) continue;
+    const dag = fileDag(content, { ...unixfs, onBlock });
+    files[p] = { cid: formatCid(dag.cid), size: dag.size, tsize: dag.tsize };
+    hashed.push(p);
+  }
+  const links = Object.fromEntries(Object.entries(files).map(([p, f]) => [p, { cid: cidBytes(f.cid), tsize: f.tsize }]));
+  const root = directoryDag(links, { ...unixfs, onBlock });
+  return { manifest: { format: MANIFEST_FORMAT, root: formatCid(root.cid), unixfs, files }, hashed };
+}
+
+/**
+ * Absolute path of the CAR file; relative names resolve against RELAY_STATE_DIR or the git directory.
+ */
+export function carFilePath(config) {
+  return path.resolve(env('RELAY_STATE_DIR') || env('GIT_DIR') || '.', config.car);
+}
+
+/**
+ * Index-time update: rebuilds the manifest when `changes` touch its content (every file is hashed
+ * again when `changes` is null, as for REINDEX=full) and writes it only when it changed.
+ * Returns { root, files, hashed, written, car } or null when nothing had to be done.
+ */
+export function updateManifest(changes, { config = loadManifestConfig(), list = listFiles, readFile = readFromTree, write = writeToTree } = {}) {
+  if (!config) return null;
+  const current = readFile(config.path);
+  const previous = readManifest(config, readFile);
+  if (changes && previous && !touchesManifest(config, changes)) return null;
+  const blocks = config.car ? [] : null;
+  const changed = changes ? new Set(changes.flatMap(({ path: p, oldPath }) => (oldPath ? [p, oldPath] : [p]))) : null;
+  const { manifest, hashed } = buildManifest(config, {
+    list,
+    readFile,
+    previous,
+    changed,
+    onBlock: blocks ? (cid, bytes) => blocks.push({ cid, bytes }) : undefined,
+  });
+  const text = canonicalJson(manifest);
+  const written = !current || current.toString('utf8') !== text;
+  if (written) write(config.path, text);
+  let car = null;
+  if (blocks) {
+    car = carFilePath(config);
+    fs.mkdirSync(path.dirname(car), { recursive: true });
+    fs.writeFileSync(car, carFile(cidBytes(manifest.root), blocks));
+  }
+  return { root: manifest.root, files: Object.keys(manifest.files).length, hashed, written, car };
+}
+
+/**
+ * Repository path a hash_ipfs `path` names: relative to the entry directory, or to the repository
+ * root with a leading "/". null when it leaves the repository.
+ */
+export function resolveContentPath(metaDir, p) {
+  const parts = [];
+  for (const part of `${p.startsWith('/') ? '' : `${metaDir}/`}${p}`.split('/')) {
+    if (part === '' || part === '.') continue;
+    if (part === '..') {
+      if (!parts.length) return null;
+      parts.pop();
+    } else parts.push(part);
+  }
+  return parts.length ? parts.join('/') : null;
+}
+
+/**
+ * Whether `cid` addresses `content` as `ipfs add` would store it: CIDv0 with dag-pb leaves,
+ * CIDv1 with raw or dag-pb leaves, at the given chunk size. Returns { ok, computed } with
+ * `computed` the CID in the spelling of `cid`, or { ok: false, reason } when it cannot be checked.
+ */
+export function verifyContentCid(cid, content, { chunkSize = DEFAULT_UNIXFS_OPTIONS.chunkSize } = {}) {
+  const parsed = parseCid(cid);
+  if (parsed.multihash.code !== SHA2_256) return { ok: false, reason: `multihash 0x${parsed.multihash.code.toString(16)} is not sha2-256` };
+  if (parsed.codec !== CODEC_RAW && parsed.codec !== CODEC_DAG_PB) return { ok: false, reason: `${parsed.codecName} CIDs do not address UnixFS files` };
+  const layouts = parsed.version === 0 ? [{ cidVersion: 0 }] : [{ cidVersion: 1, rawLeaves: true }, { cidVersion: 1, rawLeaves: false }];
+  const key = cidKey(cid);
+  let computed = null;
+  for (const layout of layouts) {
+    const candidate = formatCid(fileDag(content, { ...DEFAULT_UNIXFS_OPTIONS, chunkSize, ...layout }).cid);
+    if (cidKey(candidate) === key) return { ok: true, computed: candidate };
+    computed = computed || candidate;
+  }
+  return { ok: false, computed };
+}
+
+/**
+ * Issues for the hash_ipfs entries of a meta document whose `path` is missing or does not match
+ * the CID: hash.cid_path, hash.cid_mismatch and hash.cid_unverifiable.
+ */
+export function findContentCidErrors(metaPath, metaDir, doc, readFile = readFromTree) {
+  const errors = [];
+  const entries = Array.isArray(doc?.hash_ipfs) ? doc.hash_ipfs : [];
+  entries.forEach((entry, idx) => {
+    if (!entry || typeof entry.hash !== 'string' || typeof entry.path !== 'string') return;
+    try {
+      parseCid(entry.hash);
+    } catch {
+      // hash.cid_invalid is reported by validateHashFields
+      return;
+    }
+    const target = resolveContentPath(metaDir, entry.path);
+    const content = target ? readFile(target) : null;
+    if (!content) {
+      errors.push(issue(metaPath, 'hash.cid_path', target ? `${target} does not exist` : `${entry.path} is outside the repository`, { pointer: `/hash_ipfs/${idx}/path` }));
+      return;
+    }
+    const result = verifyContentCid(entry.hash, content);
+    const pointer = `/hash_ipfs/${idx}/hash`;
+    if (result.reason) errors.push(issue(metaPath, 'hash.cid_unverifiable', `cannot be checked against ${target}: ${result.reason}`, { pointer }));
+    else if (!result.ok) errors.push(issue(metaPath, 'hash.cid_mismatch', `is not the CID of ${target} (${result.computed})`, { pointer }));
+  });
+  return errors;
+}
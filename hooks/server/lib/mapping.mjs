@@ -0,0 +1,203 @@
+// db.yaml `mapping` engine: turns a meta document into an index row
+// Each mapping field either reads a source (`from`) or computes a value (`derive: { fn, args }`),
+// then coerces it to the declared `type`. Sources are JSONPath-like: "$.a.b", "$.a[0]", "$.a[*].b"
+// or "$name" for context variables such as $meta_dir and $branch. Values that cannot be coerced
+// become null and are reported as errors with the JSON pointer of their source.
+
+const TYPE_PATTERN = /^(string|number|integer|boolean|date|object|any)$|^array\[(string|number|integer|boolean|date|object|any)\]$/;
+
+export class MappingError extends Error {}
+
+/**
+ * Derive functions available to `derive: { fn }`. Each receives the coerced argument values.
+ */
+export const DERIVE_FUNCTIONS = {
+  // First four-digit run, e.g. "2026-01-06" -> 2026
+  year: (value) => {
+    const m = String(value ?? '').match(/\d{4}/);
+    return m ? Number(m[0]) : null;
+  },
+  // Same spelling as the directory names from hooks/files.yaml insertTemplate
+  slug: (value) => (value == null ? null : String(value).trim().replace(/ +/g, '-').toLowerCase().replace(/[^a-z0-9-]/g, '')),
+  lowercase: (value) => (value == null ? null : Array.isArray(value) ? value.map((v) => String(v).toLowerCase()) : String(value).toLowerCase()),
+  // Items of an array (a missing value counts as none, a scalar as one)
+  count: (value) => (value == null ? 0 : Array.isArray(value) ? value.length : 1),
+};
+
+export function registerDerive(name, fn) {
+  if (typeof fn !== 'function') throw new TypeError(`derive function ${name} must be a function`);
+  DERIVE_FUNCTIONS[name] = fn;
+}
+
+function parseSource(from) {
+  // "$.a.b[0]" -> { steps: ['a', 'b', 0] }; "$name" -> { variable: 'name' }
+  if (typeof from !== 'string' || !from.startsWith('$')) throw new MappingError(`source ${JSON.stringify(from)} must start with "$"`);
+  if (from === '$') return { steps: [] };
+  if (/^\$[A-Za-z_]\w*$/.test(from)) return { variable: from.slice(1) };
+  const steps = [];
+  const re = /\.([^.[\]]+)|\[(\d+|\*|'[^']*'|"[^"]*")\]/y;
+  re.lastIndex = 1;
+  while (re.lastIndex < from.length) {
+    const at = re.lastIndex;
+    const m = re.exec(from);
+    if (!m) throw new MappingError(`source ${from} is not a supported path (at column ${at + 1})`);
+    if (m[1] !== undefined) steps.push(m[1]);
+    else if (m[2] === '*') steps.push('*');
+    else if (/^\d+$/.test(m[2])) steps.push(Number(m[2]));
+    else steps.push(m[2].slice(1, -1));
+  }
+  return { steps };
+}
+
+function escapePointer(step) {
+  return String(step).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function readPath(node, steps, pointer) {
+  // Returns { value, pointer }; a wildcard maps the remaining steps over each item
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    if (step === '*') {
+      if (!Array.isArray(node)) return { value: undefined, pointer };
+      return { value: node.map((item, j) => readPath(item, steps.slice(i + 1), `${pointer}/${j}`).value), pointer: `${pointer}/*` };
+    }
+    pointer += `/${escapePointer(step)}`;
+    if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, step)) return { value: undefined, pointer };
+    node = node[step];
+  }
+  return { value: node, pointer };
+}
+
+/**
+ * Resolves a mapping source against a document; returns { value, pointer }.
+ */
+export function readSource(doc, from, context = {}) {
+  const source = parseSource(from);
+  if (source.variable) return { value: context[source.variable], pointer: '' };
+  return readPath(doc, source.steps, '');
+}
+
+function coerceScalar(value, type) {
+  // Returns the coerced value or throws MappingError
+  switch (type) {
+    case 'any':
+      return value;
+    case 'string':
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      if (value instanceof Date) return value.toISOString();
+      break;
+    case 'number':
+    case 'integer': {
+      const n = typeof value === 'number' ? value : typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+      if (Number.isFinite(n) && (type === 'number' || Number.isInteger(n))) return n;
+      break;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      break;
+    case 'date': {
+      // YYYY, YYYY-MM or YYYY-MM-DD, optionally with a time; kept as the ISO date string
+      const s = value instanceof Date ? value.toISOString() : String(value);
+      const m = typeof value === 'number' || typeof value === 'string' || value instanceof Date ? s.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/) : null;
+      if (m && (!m[2] || (m[2] >= '01' && m[2] <= '12')) && (!m[3] || (m[3] >= '01' && m[3] <= '31'))) return [m[1], m[2], m[3]].filter(Boolean).join('-');
+      break;
+    }
+    case 'object':
+      if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+      break;
+  }
+  throw new MappingError(`cannot be read as ${type}: ${JSON.stringify(value)}`);
+}
+
+/**
+ * Coerces a value to a db.yaml type (string, number, integer, boolean, date, object, any or
+ * array[<type>]). null and undefined stay null; a scalar given for an array type is wrapped.
+ */
+export function coerce(value, type = 'any') {
+  const m = TYPE_PATTERN.exec(type);
+  if (!m) throw new Error(`unknown type "${type}"`);
+  if (value === undefined || value === null) return null;
+  if (!m[2]) return coerceScalar(value, m[1]);
+  const items = Array.isArray(value) ? value : [value];
+  return items.map((item, i) => {
+    try {
+      return item === null || item === undefined ? null : coerceScalar(item, m[2]);
+    } catch (e) {
+      throw new MappingError(`item ${i} ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Checks the mapping section itself (names, sources, types and derive functions); throws on the first problem.
+ */
+export function compileMapping(mapping, where = 'mapping') {
+  if (!Array.isArray(mapping)) throw new Error(`${where} must be a list`);
+  return mapping.map((field, i) => {
+    const at = `${where}[${i}]${field?.name ? ` (${field.name})` : ''}`;
+    if (!field || typeof field.name !== 'string' || !field.name) throw new Error(`${at}: name is required`);
+    if (field.name.startsWith('_')) throw new Error(`${at}: names starting with "_" are reserved for system fields`);
+    if (!!field.from === !!field.derive) throw new Error(`${at}: exactly one of from or derive is required`);
+    const check = (type) => {
+      if (type !== undefined && !TYPE_PATTERN.test(type)) throw new Error(`${at}: unknown type "${type}"`);
+    };
+    const source = (from) => {
+      try {
+        parseSource(from);
+      } catch (e) {
+        throw new Error(`${at}: ${e.message}`);
+      }
+    };
+    check(field.type);
+    if (field.from) {
+      source(field.from);
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(DERIVE_FUNCTIONS, field.derive.fn)) {
+        throw new Error(`${at}: unknown derive function "${field.derive.fn}" (known: ${Object.keys(DERIVE_FUNCTIONS).join(', ')})`);
+      }
+      for (const arg of field.derive.args || []) {
+        source(arg?.from);
+        check(arg.type);
+      }
+    }
+    return field;
+  });
+}
+
+/**
+ * Maps a document to an index row. Returns { row, errors } where each error is
+ * { field, pointer, message } for a value that did not coerce to its type.
+ */
+export function mapRow(doc, mapping, { metaDir, branch } = {}) {
+  const context = { meta_dir: metaDir, branch };
+  const row = { _branch: branch, _meta_dir: metaDir };
+  const errors = [];
+  const read = (field, from, type) => {
+    const { value, pointer } = readSource(doc, from, context);
+    try {
+      return coerce(value, type);
+    } catch (e) {
+      if (!(e instanceof MappingError)) throw e;
+      errors.push({ field: field.name, pointer, message: `${e.message} (mapped to ${field.name})` });
+      return null;
+    }
+  };
+  for (const field of mapping) {
+    if (field.derive) {
+      const args = (field.derive.args || []).map((arg) => read(field, arg.from, arg.type));
+      const value = DERIVE_FUNCTIONS[field.derive.fn](...args);
+      try {
+        row[field.name] = field.type ? coerce(value, field.type) : value ?? null;
+      } catch (e) {
+        if (!(e instanceof MappingError)) throw e;
+        errors.push({ field: field.name, pointer: '', message: `derived ${field.name} ${e.message}` });
+        row[field.name] = null;
+      }
+    } else {
+      row[field.name] = read(field, field.from, field.type);
+    }
+  }
+  return { row, errors };
+}
@@ -0,0 +1,266 @@
+// Safety and link checks for data/**/index.md pages
+// Pages are rendered by MarkdownRenderer in get-client.jsx, so raw HTML must not be able to run
+// script: <script>, <iframe> and similar tags, on* attributes and javascript: URLs are rejected, and
+// JSX components are limited to the ones declared under `markdown.components` in hooks/files.yaml.
+// Relative links and images must point at files that exist in the pushed tree.
+
+import { readFromTree, yamlToJson } from './utils.mjs';
+import { issue } from './report.mjs';
+
+export const FILES_CONFIG_PATH = 'hooks/files.yaml';
+
+const INDEX_PATH = /^data\/.+\/index\.md$/;
+
+// Raw HTML elements that can execute script, embed other documents or rewrite the page
+const BLOCKED_TAGS = new Set([
+  'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'meta', 'link', 'form', 'style', 'svg',
+]);
+
+// Attributes whose value is a URL the client resolves against the page
+const URL_ATTRIBUTES = new Set(['src', 'href', 'poster']);
+
+const SAFE_DATA_URL = /^data:image\/(?:png|gif|jpeg|webp)[;,]/;
+
+export function isIndexPath(p) {
+  return INDEX_PATH.test(p);
+}
+
+export function loadMarkdownConfig(readFile = readFromTree) {
+  const buf = readFile(FILES_CONFIG_PATH);
+  const config = buf ? yamlToJson(buf) || {} : {};
+  const components = config.markdown?.components || {};
+  if (typeof components !== 'object' || Array.isArray(components)) {
+    throw new Error(`${FILES_CONFIG_PATH}: markdown.components must map component names to their allowed props`);
+  }
+  return { components };
+}
+
+function decodeEntities(s) {
+  // Browsers decode entities in attribute values and URLs, so "&#106;avascript:" must count too
+  return s
+    .replace(/&#x([0-9a-f]+);?/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);?/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&tab;|&newline;/gi, '')
+    .replace(/&amp;/gi, '&');
+}
+
+function unsafeScheme(url) {
+  // Returns the offending scheme, or null
+  const s = decodeEntities(url).replace(/[\u0000- \u007f]/g, '').toLowerCase();
+  const m = s.match(/^([a-z][a-z0-9+.-]*):/);
+  if (!m) return null;
+  if (m[1] === 'javascript' || m[1] === 'vbscript') return m[1];
+  if (m[1] === 'data' && !SAFE_DATA_URL.test(s)) return 'data';
+  return null;
+}
+
+function maskCode(text) {
+  // Blank out code blocks, code spans and HTML comments (keeping offsets and newlines) —
+  // their content is shown as text, not rendered
+  const out = text.split('');
+  const blank = (from, to) => {
+    for (let i = from; i < to; i++) if (out[i] !== '\n') out[i] = ' ';
+  };
+  let fence = null;
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const m = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (fence) {
+      blank(offset, offset + line.length);
+      if (m && m[1][0] === fence[0] && m[1].length >= fence.length && !line.slice(m[0].length).trim()) fence = null;
+    } else if (m && !(m[1][0] === '`' && line.slice(m[0].length).includes('`'))) {
+      fence = m[1];
+      blank(offset, offset + line.length);
+    }
+    offset += line.length + 1;
+  }
+  let masked = out.join('');
+  // A comment that opens a line is an HTML block and may run past blank lines; inline comments and
+  // code spans end with their paragraph, so anything after a blank line is rendered again
+  for (const m of masked.matchAll(/^ {0,3}<!--[\s\S]*?-->/gm)) blank(m.index, m.index + m[0].length);
+  masked = out.join('');
+  for (const re of [/<!--[\s\S]*?-->/g, /(`+)(?:[^`]|[^`][\s\S]*?[^`])\1(?!`)/g]) {
+    let start = 0;
+    for (const end of [...[...masked.matchAll(/\n[ \t]*\n/g)].map((sep) => sep.index), masked.length]) {
+      for (const m of masked.slice(start, end).matchAll(re)) blank(start + m.index, start + m.index + m[0].length);
+      start = end + 1;
+    }
+    masked = out.join('');
+  }
+  return masked;
+}
+
+function* scanTags(src) {
+  // Yields { at, closing, name, attrs: [{ name, value, at, expression }] } for every tag-like token
+  const re = /<(\/?)([A-Za-z][\w.:-]*)/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const tag = { at: m.index, closing: !!m[1], name: m[2], attrs: [] };
+    let i = re.lastIndex;
+    for (;;) {
+      while (/\s/.test(src[i] || '')) i++;
+      if (i >= src.length || src[i] === '>' || src[i] === '<' || src.startsWith('/>', i)) break;
+      const name = /^[^\s=>/"'<]+/.exec(src.slice(i, i + 256));
+      if (!name) {
+        i++;
+        continue;
+      }
+      const attr = { name: name[0], value: null, at: i, expression: false };
+      i += name[0].length;
+      let j = i;
+      while (/\s/.test(src[j] || '')) j++;
+      if (src[j] === '=') {
+        j++;
+        while (/\s/.test(src[j] || '')) j++;
+        const q = src[j];
+        if (q === '"' || q === "'") {
+          const end = src.indexOf(q, j + 1);
+          const stop = end < 0 ? src.length : end;
+          attr.value = src.slice(j + 1, stop);
+          i = stop + 1;
+        } else if (q === '{') {
+          let depth = 0;
+          let k = j;
+          for (; k < src.length; k++) {
+            if (src[k] === '{') depth++;
+            else if (src[k] === '}' && --depth === 0) break;
+          }
+          attr.value = src.slice(j + 1, k);
+          attr.expression = true;
+          i = k + 1;
+        } else {
+          const bare = /^[^\s>]*/.exec(src.slice(j))[0];
+          attr.value = bare;
+          i = j + bare.length;
+        }
+      }
+      tag.attrs.push(attr);
+    }
+    re.lastIndex = Math.max(re.lastIndex, i);
+    yield tag;
+  }
+}
+
+function resolveRelative(dir, url) {
+  // Returns { path, directory } for a link into the tree, { outside: true } when it climbs above
+  // the repository root, or null for absolute URLs, site routes and fragments
+  let target = url.trim().replace(/^<(.*)>$/, '$1');
+  if (!target || /^[a-z][a-z0-9+.-]*:/i.test(target) || /^[/#?]/.test(target)) return null;
+  target = target.split('#')[0].split('?')[0];
+  try { target = decodeURIComponent(target); } catch { /* keep the raw spelling */ }
+  const parts = dir ? dir.split('/') : [];
+  for (const seg of target.split('/')) {
+    if (seg === '..') {
+      if (!parts.length) return { outside: true };
+      parts.pop();
+    } else if (seg && seg !== '.') {
+      parts.push(seg);
+    }
+  }
+  return { path: parts.join('/'), directory: !target || target.endsWith('/') || /(^|\/)\.\.?$/.test(target) };
+}
+
+/**
+ * Returns the issues found in one index.md page.
+ */
+export function checkMarkdown(path, text, { components }, readFile = readFromTree) {
+  const errors = [];
+  const src = maskCode(text);
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+  const where = (at) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= at) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: at - lineStarts[lo] + 1 };
+  };
+  const report = (at, code, message) => errors.push(issue(path, code, message, where(at)));
+  const dir = path.slice(0, path.lastIndexOf('/'));
+  const exists = (p) => !!readFile(p);
+
+  const checkUrl = (at, url, kind) => {
+    const scheme = unsafeScheme(url);
+    if (scheme) {
+      report(at, 'markdown.url_scheme', `${kind} uses a ${scheme}: URL`);
+      return;
+    }
+    const target = resolveRelative(dir, url);
+    if (!target || (target.directory && !target.path)) return;
+    const code = kind === 'image' ? 'markdown.broken_image' : 'markdown.broken_link';
+    if (target.outside) report(at, code, `${kind} ${url} points outside the repository`);
+    else if (target.directory ? !(exists(`${target.path}/index.md`) || exists(`${target.path}/meta.yaml`)) : !exists(target.path)) {
+      report(at, code, `${kind} ${url} points to ${target.path || '/'}, which does not exist`);
+    }
+  };
+
+  // Autolinks first, so "<https://...>" is not mistaken for a tag
+  const rest = src.replace(/<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*)>/gi, (whole, url, at) => {
+    checkUrl(at, url, 'link');
+    return ' '.repeat(whole.length);
+  });
+
+  for (const tag of scanTags(rest)) {
+    if (tag.closing) continue;
+    const lower = tag.name.toLowerCase();
+    // HTML tag names are case-insensitive, so <IFRAME> is still an iframe
+    if (BLOCKED_TAGS.has(lower)) {
+      report(tag.at, 'markdown.blocked_tag', `<${lower}> is not allowed in markdown`);
+      continue;
+    }
+    const component = /^[A-Z]/.test(tag.name);
+    if (component && !Object.prototype.hasOwnProperty.call(components, tag.name)) {
+      const allowed = Object.keys(components);
+      report(tag.at, 'markdown.component', `component <${tag.name}> is not allowed (allowed: ${allowed.join(', ') || 'none'})`);
+      continue;
+    }
+    const props = component ? components[tag.name] || [] : null;
+    for (const attr of tag.attrs) {
+      if (/^on/i.test(attr.name)) {
+        report(attr.at, 'markdown.event_handler', `event handler attribute ${attr.name} on <${tag.name}> is not allowed`);
+        continue;
+      }
+      if (props && !props.includes(attr.name)) {
+        report(attr.at, 'markdown.component_prop', `<${tag.name}> does not accept prop ${attr.name} (allowed: ${props.join(', ') || 'none'})`);
+        continue;
+      }
+      if (attr.value === null) continue;
+      if (/(?:javascript|vbscript)\s*:/i.test(decodeEntities(attr.value).replace(/[\u0000- ]/g, ''))) {
+        report(attr.at, 'markdown.url_scheme', `attribute ${attr.name} on <${tag.name}> contains a script URL`);
+        continue;
+      }
+      if (!attr.expression && URL_ATTRIBUTES.has(attr.name.toLowerCase())) {
+        checkUrl(attr.at, attr.value, lower === 'img' || attr.name === 'poster' ? 'image' : 'link');
+      }
+    }
+  }
+
+  // Inline links and images: [text](url "title") / ![alt](url)
+  const inline = /(!?)\[(?:[^\[\]\n]|\[[^\]\n]*\])*\]\(\s*(<[^>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+  for (const m of rest.matchAll(inline)) checkUrl(m.index, m[2], m[1] ? 'image' : 'link');
+
+  // Reference definitions: [id]: url
+  for (const m of rest.matchAll(/^ {0,3}\[[^\]\n]+\]:[ \t]*(<[^>\n]*>|\S+)/gm)) checkUrl(m.index, m[1], 'link');
+
+  return errors.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Returns the issues found in the index.md pages of a change set.
+ */
+export function findMarkdownIssues(changes, readFile = readFromTree) {
+  const pages = changes.filter(({ path }) => isIndexPath(path));
+  if (!pages.length) return [];
+  const config = loadMarkdownConfig(readFile);
+  const errors = [];
+  for (const { path } of pages) {
+    const buf = readFile(path);
+    if (!buf) continue;
+    errors.push(...checkMarkdown(path, buf.toString('utf8'), config, readFile));
+  }
+  return errors;
+}
@@ -0,0 +1,75 @@
+// Helpers for staged meta documents (data/**/meta.yaml)
+// Reads and parses the meta files of a change set and runs content checks that
+// JSON Schema cannot express, such as decoding torrent info hashes and IPFS CIDs and checking
+// a CID against the file its hash_ipfs entry names.
+
+import { readFromTree, yamlToJson } from './utils.mjs';
+import { validateHashFields } from '../../lib/hashes.mjs';
+import { findContentCidErrors } from './ipfs.mjs';
+import { issue } from './report.mjs';
+
+const META_PATH = /^data\/.+\/meta\.ya?ml$/;
+const INDEX_PAGE = /^(data\/.+)\/index\.md$/;
+
+export function isMetaPath(p) {
+  return META_PATH.test(p);
+}
+
+export function metaDirOf(p) {
+  return p.slice(0, p.lastIndexOf('/'));
+}
+
+/**
+ * Parsed meta documents of a change set. Unreadable or non-mapping files are skipped;
+ * validation.mjs has already rejected them.
+ */
+export function readMetaDocuments(changes, readFile = readFromTree) {
+  const docs = [];
+  for (const { path } of changes) {
+    if (!isMetaPath(path)) continue;
+    const buf = readFile(path);
+    if (!buf) continue;
+    let doc;
+    try { doc = yamlToJson(buf); } catch { continue; }
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) continue;
+    docs.push({ path, doc, metaDir: metaDirOf(path) });
+  }
+  return docs;
+}
+
+/**
+ * Entry directories touched by a change set with what happened to each: added, updated or removed.
+ * A rename is an update at the new directory; an edited index.md updates its entry.
+ */
+export function summarizeChanges(changes) {
+  const actions = new Map();
+  const set = (dir, action) => {
+    // added/removed win over an incidental update of the same entry
+    if (!actions.has(dir) || actions.get(dir) === 'updated') actions.set(dir, action);
+  };
+  for (const { path, status, oldPath } of changes) {
+    if (isMetaPath(path)) {
+      if (status === 'deleted') set(metaDirOf(path), 'removed');
+      else if (status === 'added') set(metaDirOf(path), 'added');
+      else set(metaDirOf(path), 'updated');
+      if (status === 'renamed' && oldPath && isMetaPath(oldPath) && metaDirOf(oldPath) !== metaDirOf(path)) actions.delete(metaDirOf(oldPath));
+      continue;
+    }
+    const page = INDEX_PAGE.exec(path);
+    if (page && status !== 'deleted') set(page[1], 'updated');
+  }
+  return [...actions].map(([dir, action]) => ({ dir, action })).sort((a, b) => (a.dir < b.dir ? -1 : a.dir > b.dir ? 1 : 0));
+}
+
+/**
+ * Returns one issue per malformed or duplicated hash_torrent / hash_ipfs entry, and per
+ * hash_ipfs entry whose CID is not that of the file its `path` names.
+ */
+export function findHashErrors(changes, readFile = readFromTree) {
+  const errors = [];
+  for (const { path, doc, metaDir } of readMetaDocuments(changes, readFile)) {
+    for (const { pointer, code, message } of validateHashFields(doc)) errors.push(issue(path, code, message, { pointer }));
+    errors.push(...findContentCidErrors(path, metaDir, doc, readFile));
+  }
+  return errors;
+}
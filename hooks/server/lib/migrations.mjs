@@ -0,0 +1,207 @@
+// Versioned meta documents (schema_version) and the migrations in hooks/migrations/
+// A document without schema_version is version 1; the current version is that of the last
+// migration. Migration steps are declarative:
+//   { op: rename, from, to, prefix? }  move a field, prefixing string values that start with "/"
+//   { op: split, field, separator }    turn a string into a list of trimmed, non-empty parts
+//   { op: default, field, value }      set a field the document leaves out
+// pre-commit rewrites outdated staged documents (migrate stage), pre-receive rejects them with
+// the steps they need (outdated stage), and REINDEX=migrate rewrites the whole library at once.
+
+import { MIGRATIONS } from '../../migrations/index.mjs';
+import { isMetaPath, readMetaDocuments } from './meta.mjs';
+import { issue } from './report.mjs';
+import { listFiles, readFromTree, writeToTree, yamlToJson } from './utils.mjs';
+import { toYaml } from './yaml-writer.mjs';
+
+const WHERE = 'hooks/migrations';
+const OPS = {
+  rename: ['from', 'to'],
+  split: ['field', 'separator'],
+  default: ['field', 'value'],
+};
+export const MIGRATE_COMMAND = 'node hooks/local/cli.mjs --worktree --hook index --reindex migrate --write';
+
+/**
+ * Checks that migrations run 2, 3, ... without gaps and only use known ops. Returns the list.
+ */
+export function checkMigrations(list) {
+  list.forEach((m, i) => {
+    const where = `${WHERE}: migration ${i + 1}`;
+    if (m?.version !== i + 2) throw new Error(`${where} must have version ${i + 2} (migrations are ordered and start at 2)`);
+    if (!Array.isArray(m.steps) || !m.steps.length) throw new Error(`${where} (version ${m.version}) needs a list of steps`);
+    for (const step of m.steps) {
+      const fields = OPS[step?.op];
+      if (!fields) throw new Error(`${where} (version ${m.version}) has unknown op ${step?.op} (known: ${Object.keys(OPS).join(', ')})`);
+      const missing = fields.filter((f) => step[f] === undefined);
+      if (missing.length) throw new Error(`${where} (version ${m.version}) ${step.op} step needs ${missing.join(', ')}`);
+    }
+  });
+  return list;
+}
+
+export const CURRENT_SCHEMA_VERSION = checkMigrations(MIGRATIONS).length + 1;
+
+/**
+ * schema_version of a document: 1 when it is left out, null when it is not a positive integer.
+ */
+export function documentVersion(doc) {
+  const v = doc.schema_version;
+  if (v === undefined || v === null) return 1;
+  return Number.isInteger(v) && v >= 1 ? v : null;
+}
+
+export function describeStep(step) {
+  if (step.op === 'rename') return `${step.from} renamed to ${step.to}${step.prefix ? ` (paths prefixed with ${step.prefix})` : ''}`;
+  if (step.op === 'split') return `${step.field} split on ${JSON.stringify(step.separator)}`;
+  return `${step.field} defaults to ${JSON.stringify(step.value)}`;
+}
+
+export function pendingMigrations(version, list = MIGRATIONS) {
+  return list.filter((m) => m.version > version);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function applyStep(doc, step) {
+  // Returns [doc, conflict message or null]; renamed fields keep their position
+  if (step.op === 'rename') {
+    if (!Object.prototype.hasOwnProperty.call(doc, step.from)) return [doc, null];
+    let value = doc[step.from];
+    if (step.prefix && typeof value === 'string' && value.startsWith('/')) value = `${step.prefix}${value}`;
+    if (doc[step.to] !== undefined && !sameValue(doc[step.to], value)) {
+      return [doc, `both ${step.from} and ${step.to} are set; keep one of them`];
+    }
+    const out = {};
+    for (const [k, v] of Object.entries(doc)) {
+      if (k === step.from) out[step.to] = value;
+      else if (k !== step.to) out[k] = v;
+    }
+    return [out, null];
+  }
+  if (step.op === 'split') {
+    const value = doc[step.field];
+    if (typeof value !== 'string') return [doc, null];
+    return [{ ...doc, [step.field]: value.split(step.separator).map((s) => s.trim()).filter(Boolean) }, null];
+  }
+  if (doc[step.field] !== undefined) return [doc, null];
+  return [{ ...doc, [step.field]: step.value }, null];
+}
+
+/**
+ * Runs the migrations a document needs. Returns { doc, from, to, applied, conflicts, error }:
+ * `doc` is the migrated document with schema_version first, `applied` the migrations run and
+ * `conflicts` [{ pointer, message }] the steps that need a hand edit. `error` is set (and nothing
+ * is run) when schema_version is invalid or newer than the current version.
+ */
+export function migrateDocument(doc, list = MIGRATIONS) {
+  const current = list.length + 1;
+  const from = documentVersion(doc);
+  if (from === null) return { doc, from, to: from, applied: [], conflicts: [], error: `must be an integer from 1 to ${current}` };
+  if (from > current) return { doc, from, to: from, applied: [], conflicts: [], error: `${from} is newer than this repository's schema (${current}); update hooks/ first` };
+  const applied = pendingMigrations(from, list);
+  const conflicts = [];
+  let out = doc;
+  for (const migration of applied) {
+    for (const step of migration.steps) {
+      const [next, conflict] = applyStep(out, step);
+      if (conflict) conflicts.push({ pointer: `/${step.op === 'rename' ? step.from : step.field}`, message: `migration ${migration.version} (${migration.description}): ${conflict}` });
+      out = next;
+    }
+  }
+  const { schema_version: _, ...rest } = out;
+  return { doc: { schema_version: current, ...rest }, from, to: current, applied, conflicts, error: null };
+}
+
+function pendingSteps(applied) {
+  return applied.map((m) => `${m.version}: ${m.steps.map(describeStep).join(', ')}`).join('; ');
+}
+
+function documentIssues(path, result) {
+  if (result.error) return [issue(path, 'meta.schema_version', result.error, { pointer: '/schema_version' })];
+  return result.conflicts.map((c) => issue(path, 'migration.conflict', c.message, { pointer: c.pointer }));
+}
+
+/**
+ * migrate stage: rewrites staged meta documents older than the current schema_version in place.
+ * A host that does not apply the write (local dry runs) gets meta.outdated instead.
+ */
+export function migrateStagedDocuments(changes, { readFile = readFromTree, write = writeToTree } = {}) {
+  const errors = [];
+  for (const { path, doc } of readMetaDocuments(changes, readFile)) {
+    const result = migrateDocument(doc);
+    if (result.error || result.conflicts.length) {
+      errors.push(...documentIssues(path, result));
+      continue;
+    }
+    if (!result.applied.length) continue;
+    const text = toYaml(result.doc);
+    write(path, text);
+    if (readFile(path)?.toString() !== text) {
+      errors.push(issue(path, 'meta.outdated', `schema_version ${result.from} is older than ${result.to} and the migrated file was not written; apply ${pendingSteps(result.applied)}`, { pointer: '/schema_version' }));
+      continue;
+    }
+    console.log(`[migrate] ${path}: schema_version ${result.from} -> ${result.to} (${result.applied.map((m) => m.description).join('; ')})`);
+  }
+  return errors;
+}
+
+/**
+ * outdated stage: one meta.outdated issue per pushed meta document older than the current
+ * schema_version, naming the steps it needs and how to run them.
+ */
+export function findOutdatedDocuments(changes, readFile = readFromTree) {
+  const errors = [];
+  for (const { path, doc } of readMetaDocuments(changes, readFile)) {
+    const result = migrateDocument(doc);
+    if (result.error) {
+      errors.push(...documentIssues(path, result));
+      continue;
+    }
+    if (!result.applied.length) continue;
+    const how = result.conflicts.length ? 'edit it by hand' : `commit it through pre-commit or run ${MIGRATE_COMMAND}`;
+    errors.push(issue(path, 'meta.outdated', `schema_version ${result.from} is older than ${result.to}; ${how} to apply ${pendingSteps(result.applied)}`, { pointer: '/schema_version' }));
+  }
+  return errors;
+}
+
+/**
+ * Whether a modified meta file only applies the pending migrations to its previous version, so
+ * push limits need not count it as an edited entry.
+ */
+export function isMigrationOnly(path, readBefore, readAfter = readFromTree) {
+  if (!isMetaPath(path)) return false;
+  const parse = (buf) => {
+    try {
+      return buf ? yamlToJson(buf) : null;
+    } catch {
+      return null;
+    }
+  };
+  const before = parse(readBefore(path));
+  const after = parse(readAfter(path));
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object') return false;
+  const result = migrateDocument(before);
+  return !result.error && !result.conflicts.length && result.applied.length > 0 && sameValue(result.doc, after);
+}
+
+/**
+ * REINDEX=migrate: migrates every meta document in the tree. Nothing is written unless all of
+ * them migrate cleanly, so the library moves to the new version in a single commit.
+ * Returns { migrated: [{ path, from }], issues }.
+ */
+export function migrateLibrary({ list = listFiles, readFile = readFromTree, write = writeToTree } = {}) {
+  const changes = list('data/').filter(isMetaPath).sort().map((path) => ({ path, status: 'modified' }));
+  const planned = [];
+  const issues = [];
+  for (const { path, doc } of readMetaDocuments(changes, readFile)) {
+    const result = migrateDocument(doc);
+    const found = documentIssues(path, result);
+    if (found.length) issues.push(...found);
+    else if (result.applied.length) planned.push({ path, from: result.from, text: toYaml(result.doc) });
+  }
+  if (issues.length) return { migrated: [], issues };
+  for (const { path, text } of planned) write(path, text);
+  return { migrated: planned.map(({ path, from }) => ({ path, from })), issues };
+}
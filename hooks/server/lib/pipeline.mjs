@@ -0,0 +1,156 @@
+// Staged hook pipeline shared by pre-commit and pre-receive
+// .relay.yaml declares the ordered stages of each hook (server.hooks.<hook>.stages) and whether a
+// failing stage stops the run or every error is collected first (server.hooks.<hook>.onError:
+// stop | collect). Check stages return issues; effect stages (index, quota) only run once every
+// check before them has passed. Listing `audit` records the run in the audit log whatever its
+// outcome (see audit.mjs). The configuration is read from the tree before the push, so a push
+// cannot switch its own checks off.
+
+import { appendAuditRecord, buildAuditRecord, findAuditLogViolations, loadAuditConfig } from './audit.mjs';
+import { findDuplicateEntries, findMappingErrors, updateIndex } from './db.mjs';
+import { findNearDuplicates } from './duplicates.mjs';
+import { findMarkdownIssues } from './markdown.mjs';
+import { findHashErrors } from './meta.mjs';
+import { findOutdatedDocuments, migrateStagedDocuments } from './migrations.mjs';
+import { findPolicyViolations, recordPush } from './policy.mjs';
+import { findPromotionBlockers } from './promotion.mjs';
+import { issue, validationIssues } from './report.mjs';
+import { findSecrets } from './secrets.mjs';
+import { RELAY_CONFIG_PATH, findSignerViolations } from './signers.mjs';
+import { baseTree, commitSigner, env, pushedCommits, readFromTree, runValidation, yamlToJson } from './utils.mjs';
+
+export const VALIDATION_SCRIPT_PATH = '.relay/validation.mjs';
+
+export const STAGES = {
+  // Protected paths must be signed by one of their allowed keys
+  signature: { kind: 'check', run: (ctx) => findSignerViolations(ctx.changes, ctx.branch, commitSigner(), ctx.base) },
+  // git.policies: commit message format, entries and bytes per push, pushes per key per hour
+  policy: { kind: 'check', run: (ctx) => findPolicyViolations(ctx.changes, ctx.branch) },
+  // git.secrets: private keys, tokens and high-entropy strings in the lines each pushed commit adds
+  secrets: { kind: 'check', run: (ctx) => findSecrets(ctx.changes, { commits: pushedCommits(), from: env('OLD_COMMIT') }) },
+  // git.promotions: a merge into the target branch re-validates each promoted entry at its profile
+  promotion: { kind: 'check', run: (ctx) => findPromotionBlockers(ctx.changes, ctx.branch) },
+  // Rewrites staged meta documents older than the current schema_version (hooks/migrations/)
+  migrate: { kind: 'check', run: (ctx) => migrateStagedDocuments(ctx.changes) },
+  // Rejects pushed meta documents older than the current schema_version, naming their migrations
+  outdated: { kind: 'check', run: (ctx) => findOutdatedDocuments(ctx.changes) },
+  // Sandboxed .relay/validation.mjs: whitelist, schema, canonical path, assets, orphans
+  validation: {
+    kind: 'check',
+    run: (ctx) => {
+      const code = readFromTree(VALIDATION_SCRIPT_PATH);
+      return code ? validationIssues(runValidation(code.toString(), ctx.changes, { branch: ctx.branch })) : [];
+    },
+  },
+  // hash_torrent / hash_ipfs decoding and per-array duplicates
+  hashes: { kind: 'check', run: (ctx) => findHashErrors(ctx.changes) },
+  // Unsafe HTML, unapproved components and broken relative links in index.md
+  markdown: { kind: 'check', run: (ctx) => findMarkdownIssues(ctx.changes) },
+  // Values that do not coerce to their db.yaml mapping type
+  mapping: { kind: 'check', run: (ctx) => findMappingErrors(ctx.changes, ctx.branch) },
+  // db.yaml unique constraint against the entries before the push and the rest of the change set
+  uniqueness: { kind: 'check', run: (ctx) => findDuplicateEntries(ctx.changes, ctx.branch, { base: ctx.base }) },
+  // Fuzzy title + year and shared external ID matches; rejected or warned about per db.yaml branch
+  duplicates: { kind: 'check', run: (ctx) => findNearDuplicates(ctx.changes, ctx.branch, { base: ctx.base }) },
+  // Upsert written entries, drop deleted ones, move renamed ones
+  index: {
+    kind: 'effect',
+    run: (ctx) => {
+      updateIndex(ctx.changes, ctx.branch);
+      return [];
+    },
+  },
+  // Counts the accepted push towards git.policies.maxPushesPerHour
+  quota: {
+    kind: 'effect',
+    run: (ctx) => {
+      recordPush(ctx.branch);
+      return [];
+    },
+  },
+  // Pushes to the audit log branch may only append hash-chained records; other branches may not touch it
+  auditlog: { kind: 'check', run: (ctx) => findAuditLogViolations(ctx.changes, ctx.branch) },
+  // Appends the run, accepted or rejected, to the audit log after every other stage (see runHook)
+  audit: { kind: 'audit' },
+};
+
+export const DEFAULT_STAGES = {
+  'pre-commit': ['migrate', 'validation', 'hashes', 'markdown', 'mapping', 'uniqueness', 'index', 'audit'],
+  'pre-receive': ['signature', 'policy', 'secrets', 'auditlog', 'promotion', 'outdated', 'validation', 'hashes', 'markdown', 'mapping', 'uniqueness', 'duplicates', 'index', 'quota', 'audit'],
+};
+// GitHub push deliveries (github.mjs) are checked like pushes to this server
+DEFAULT_STAGES.github = DEFAULT_STAGES['pre-receive'];
+
+/**
+ * Stage list and error mode for a hook from .relay.yaml, falling back to DEFAULT_STAGES.
+ */
+export function loadPipelineConfig(hook, readFile = readFromTree) {
+  const buf = readFile(RELAY_CONFIG_PATH);
+  const config = buf ? yamlToJson(buf) || {} : {};
+  const entry = config.server?.hooks?.[hook] || {};
+  const stages = entry.stages ?? DEFAULT_STAGES[hook] ?? [];
+  const onError = entry.onError ?? 'stop';
+  const where = `${RELAY_CONFIG_PATH}: server.hooks.${hook}`;
+  if (!Array.isArray(stages)) throw new Error(`${where}.stages must be a list`);
+  const unknown = stages.filter((name) => !Object.prototype.hasOwnProperty.call(STAGES, name));
+  if (unknown.length) throw new Error(`${where}.stages has unknown stage(s) ${unknown.join(', ')} (known: ${Object.keys(STAGES).join(', ')})`);
+  if (onError !== 'stop' && onError !== 'collect') throw new Error(`${where}.onError must be "stop" or "collect"`);
+  return { stages, onError };
+}
+
+/**
+ * Runs the stages in order. Returns { ok, issues, results } where each result is
+ * { stage, ok, skipped, issues }; a stage that throws reports a stage.error issue.
+ */
+export function runPipeline(ctx, { stages, onError }) {
+  const results = [];
+  let failed = false;
+  for (const name of stages) {
+    const stage = STAGES[name];
+    if (stage.kind === 'audit') continue;
+    if (failed && (onError === 'stop' || stage.kind === 'effect')) {
+      results.push({ stage: name, ok: false, skipped: true, issues: [] });
+      continue;
+    }
+    let issues;
+    try {
+      issues = stage.run(ctx) || [];
+    } catch (e) {
+      issues = [issue('', 'stage.error', `${name} stage failed: ${e?.message || e}`)];
+    }
+    results.push({ stage: name, ok: issues.length === 0, skipped: false, issues });
+    if (issues.length) failed = true;
+  }
+  return { ok: !failed, issues: results.flatMap((r) => r.issues), results };
+}
+
+/**
+ * Per-stage outcome for the JSON report: { stage, ok, skipped, issues: count }.
+ */
+export function stageSummary(results) {
+  return results.map(({ stage, ok, skipped, issues }) => ({ stage, ok, skipped, issues: issues.length }));
+}
+
+function auditRun(hook, { branch, changes, base, result }) {
+  // A failing audit log must not change the verdict; it is reported instead
+  try {
+    const config = loadAuditConfig(base.read);
+    // Syncing the audit branch itself is not recorded in it
+    if (config.store === 'branch' && branch === config.branch) return;
+    const fields = buildAuditRecord(hook, { branch, changes, ok: result.ok, issues: result.issues, stages: stageSummary(result.results) });
+    const record = appendAuditRecord(fields, config);
+    console.log(`[audit] ${hook} ${branch} #${record.seq} ${record.verdict}: ${record.hash}`);
+  } catch (e) {
+    console.error(`[audit] cannot append the audit record: ${e?.message || e}`);
+  }
+}
+
+/**
+ * Loads the configuration for `hook` and runs its pipeline over the host's change set.
+ */
+export function runHook(hook, { changes, branch = env('BRANCH', 'main'), base = baseTree() }) {
+  const config = loadPipelineConfig(hook, base.read);
+  const result = runPipeline({ hook, branch, changes, base }, config);
+  if (config.stages.includes('audit')) auditRun(hook, { branch, changes, base, result });
+  return result;
+}
@@ -0,0 +1,205 @@
+// Push policies from git.policies in .relay.yaml
+// Limits what one push may carry so a single bad actor or runaway import script cannot flood the
+// branches autoPush syncs to peers: a commit message format, a maximum number of entries and
+// bytes per push, and a maximum number of pushes per signing key per hour. Pushes without a signing
+// key are counted per pusher (PUSHER, set by the host to the authenticated user) and are not limited
+// when the host does not say who pushed. The hourly counts live in a state file next to the
+// repository (not in the tree), updated under a lock. Every violation names its rule.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { summarizeChanges } from './meta.mjs';
+import { isMigrationOnly } from './migrations.mjs';
+import { issue } from './report.mjs';
+import { RELAY_CONFIG_PATH, fingerprintOf } from './signers.mjs';
+import { baseTree, commitSigner, env, parseSize, pushedCommits, readFromTree, yamlToJson } from './utils.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+// A lock older than this is left over from a crashed hook
+const STALE_LOCK_MS = 30 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const WHERE = `${RELAY_CONFIG_PATH}: git.policies`;
+
+/**
+ * The policies that apply to `branch`, or null when none do. Read from the tree before the push,
+ * so a push cannot loosen its own limits.
+ */
+export function loadPolicies(branch, readFile = baseTree().read) {
+  const buf = readFile(RELAY_CONFIG_PATH);
+  const config = buf ? yamlToJson(buf) || {} : {};
+  const policies = config.git?.policies;
+  if (!policies) return null;
+  if (policies.branches !== undefined && !Array.isArray(policies.branches)) throw new Error(`${WHERE}.branches must be a list`);
+  if (policies.branches && !policies.branches.includes(branch)) return null;
+  const positive = (name) => {
+    const value = policies[name];
+    if (value === undefined) return null;
+    if (!Number.isInteger(value) || value < 1) throw new Error(`${WHERE}.${name} must be a positive integer`);
+    return value;
+  };
+  let commitMessage = null;
+  if (policies.commitMessage) {
+    const { pattern, description } = typeof policies.commitMessage === 'string' ? { pattern: policies.commitMessage } : policies.commitMessage;
+    try {
+      commitMessage = { pattern: new RegExp(pattern), description: description || `match /${pattern}/` };
+    } catch (e) {
+      throw new Error(`${WHERE}.commitMessage.pattern is not a valid regular expression: ${e.message}`);
+    }
+  }
+  return {
+    commitMessage,
+    maxEntriesPerPush: positive('maxEntriesPerPush'),
+    maxBytesPerPush: policies.maxBytesPerPush === undefined ? null : parseSize(policies.maxBytesPerPush, `${WHERE}.maxBytesPerPush`),
+    maxPushesPerHour: positive('maxPushesPerHour'),
+    stateFile: policies.stateFile || 'relay-push-rate.json',
+  };
+}
+
+function violation(rule, code, message, file = '') {
+  return issue(file, `policy.${code}`, `violates git.policies.${rule}: ${message}`);
+}
+
+function formatBytes(n) {
+  return n >= 1024 ** 2 ? `${(n / 1024 ** 2).toFixed(1)}MB` : n >= 1024 ? `${(n / 1024).toFixed(1)}KB` : `${n}B`;
+}
+
+function rateKey(signer) {
+  // null when the push cannot be told apart from other pushers' and is not counted
+  const fingerprint = signer.signed ? fingerprintOf(signer) : null;
+  if (fingerprint) return fingerprint;
+  const pusher = env('PUSHER');
+  return pusher ? `pusher:${pusher}` : null;
+}
+
+/**
+ * Path of the rate state file; relative names resolve against RELAY_STATE_DIR or the git directory.
+ */
+export function stateFilePath(policies) {
+  return path.resolve(env('RELAY_STATE_DIR') || env('GIT_DIR') || '.', policies.stateFile);
+}
+
+export function readRateState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw new Error(`cannot read push rate state ${file}: ${e.message}`);
+  }
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Runs fn while holding `${file}.lock`, so concurrent hooks do not lose each other's updates.
+ */
+export function withFileLock(file, fn, { timeout = LOCK_TIMEOUT_MS } = {}) {
+  const lock = `${file}.lock`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  for (const deadline = Date.now() + timeout; ;) {
+    try {
+      fs.closeSync(fs.openSync(lock, 'wx'));
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      try {
+        if (Date.now() - fs.statSync(lock).mtimeMs > STALE_LOCK_MS) fs.rmSync(lock, { force: true });
+      } catch { /* released meanwhile */ }
+      if (Date.now() > deadline) throw new Error(`cannot lock ${file}: ${lock} is held by another hook`);
+      sleep(25);
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+function recentPushes(state, key, now) {
+  return (state[key] || []).filter((t) => now - t < HOUR_MS);
+}
+
+/**
+ * Returns one issue per policy the push breaks.
+ */
+export function findPolicyViolations(changes, branch, {
+  policies = loadPolicies(branch),
+  commits = pushedCommits(),
+  signer = commitSigner(),
+  readFile = readFromTree,
+  readBefore = null,
+  now = Date.now(),
+} = {}) {
+  if (!policies) return [];
+  const errors = [];
+
+  if (policies.commitMessage) {
+    if (!commits) {
+      console.warn('[policy] host reports no commit messages; git.policies.commitMessage not checked');
+    } else {
+      for (const { id, message } of commits) {
+        const subject = String(message || '').split('\n')[0];
+        if (!policies.commitMessage.pattern.test(subject)) {
+          errors.push(violation('commitMessage', 'commit_message', `commit ${String(id).slice(0, 12)} "${subject}" must ${policies.commitMessage.description}`));
+        }
+      }
+    }
+  }
+
+  if (policies.maxEntriesPerPush) {
+    // A signed library migration (REINDEX=migrate) rewrites every entry without editing any
+    const before = signer.signed ? readBefore || baseTree().read : null;
+    const edited = before ? changes.filter((c) => c.status !== 'modified' || !isMigrationOnly(c.path, before, readFile)) : changes;
+    const entries = summarizeChanges(edited).length;
+    if (entries > policies.maxEntriesPerPush) {
+      errors.push(violation('maxEntriesPerPush', 'max_entries', `push changes ${entries} entries (max ${policies.maxEntriesPerPush})`));
+    }
+  }
+
+  if (policies.maxBytesPerPush) {
+    let bytes = 0;
+    for (const { path: file, status } of changes) {
+      if (status === 'deleted') continue;
+      bytes += readFile(file)?.length || 0;
+    }
+    if (bytes > policies.maxBytesPerPush) {
+      errors.push(violation('maxBytesPerPush', 'max_bytes', `push writes ${formatBytes(bytes)} (max ${formatBytes(policies.maxBytesPerPush)})`));
+    }
+  }
+
+  const key = policies.maxPushesPerHour ? rateKey(signer) : null;
+  if (policies.maxPushesPerHour && !key) {
+    console.warn('[policy] unsigned push and the host sets no PUSHER; git.policies.maxPushesPerHour not applied');
+  } else if (policies.maxPushesPerHour) {
+    const count = recentPushes(readRateState(stateFilePath(policies)), key, now).length;
+    if (count >= policies.maxPushesPerHour) {
+      errors.push(violation('maxPushesPerHour', 'rate_limit', `${key} already pushed ${count} times in the last hour (max ${policies.maxPushesPerHour})`));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Counts an accepted push against its signing key (or pusher) and drops entries older than an hour.
+ * The state file is rewritten atomically under a lock.
+ */
+export function recordPush(branch, { policies = loadPolicies(branch), signer = commitSigner(), now = Date.now() } = {}) {
+  if (!policies?.maxPushesPerHour) return;
+  const key = rateKey(signer);
+  if (!key) return;
+  const file = stateFilePath(policies);
+  withFileLock(file, () => {
+    const state = readRateState(file);
+    const next = {};
+    for (const k of Object.keys(state)) {
+      const recent = recentPushes(state, k, now);
+      if (recent.length) next[k] = recent;
+    }
+    next[key] = [...(next[key] || []), now];
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(next));
+    fs.renameSync(tmp, file);
+  });
+}
@@ -0,0 +1,104 @@
+// Promotion checks from git.promotions in .relay.yaml
+// A push that merges one branch into another (staging into main) promotes every entry it touches.
+// Each promoted entry is re-validated as a whole, every file in its directory and not only the ones
+// the merge changed, at the target branch's validation profile, and every finding is listed as a
+// blocker of the merge. A push is a promotion when one of its commits merges the source branch (git's
+// and GitHub's merge subjects) or the host sets PROMOTED_FROM to it.
+
+import { findMappingErrors } from './db.mjs';
+import { findMarkdownIssues } from './markdown.mjs';
+import { findHashErrors, summarizeChanges } from './meta.mjs';
+import { issue, validationIssues } from './report.mjs';
+import { RELAY_CONFIG_PATH } from './signers.mjs';
+import { baseTree, env, listFiles, pushedCommits, readFromTree, runValidation, yamlToJson } from './utils.mjs';
+
+const WHERE = `${RELAY_CONFIG_PATH}: git.promotions`;
+const VALIDATION_SCRIPT_PATH = '.relay/validation.mjs';
+
+// Subjects of merge commits: `git merge`, `git pull` and GitHub pull requests
+const MERGE_SUBJECTS = [
+  /^Merge (?:remote-tracking )?branch '(?:[^'/]+\/)?([^']+)'/,
+  /^Merge pull request #\d+ from [^/\s]+\/(\S+)/,
+];
+
+/**
+ * Promotions ({ from, to }) into `branch`, read from the tree before the push.
+ */
+export function loadPromotions(branch, readFile = baseTree().read) {
+  const buf = readFile(RELAY_CONFIG_PATH);
+  const config = buf ? yamlToJson(buf) || {} : {};
+  const list = config.git?.promotions ?? [];
+  if (!Array.isArray(list)) throw new Error(`${WHERE} must be a list`);
+  return list.map((entry, idx) => {
+    if (!entry || typeof entry.from !== 'string' || typeof entry.to !== 'string') throw new Error(`${WHERE}[${idx}] needs from and to branch names`);
+    return { from: entry.from, to: entry.to };
+  }).filter((p) => p.to === branch);
+}
+
+/**
+ * Branch merged by a commit message, or null when it is not a merge subject.
+ */
+export function mergedBranch(message) {
+  const subject = String(message || '').split('\n')[0];
+  for (const pattern of MERGE_SUBJECTS) {
+    const m = subject.match(pattern);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+/**
+ * The promotion a push performs, or null when it merges none of the configured source branches.
+ */
+export function detectPromotion(promotions, commits, promotedFrom = env('PROMOTED_FROM')) {
+  const merged = new Set((commits || []).map((c) => mergedBranch(c.message)).filter(Boolean));
+  if (promotedFrom) merged.add(promotedFrom);
+  return promotions.find((p) => merged.has(p.from)) || null;
+}
+
+/**
+ * Entry directories a change set promotes; removed entries have nothing left to check.
+ */
+export function promotedEntries(changes) {
+  return summarizeChanges(changes).filter(({ action }) => action !== 'removed').map(({ dir }) => dir);
+}
+
+function entryFindings(dir, branch, { readFile, list }) {
+  const files = list(dir).map((p) => ({ path: p, status: 'modified', oldPath: null }));
+  if (!files.length) return [];
+  const code = readFile(VALIDATION_SCRIPT_PATH);
+  return [
+    ...(code ? validationIssues(runValidation(code.toString(), files, { branch })) : []),
+    ...findHashErrors(files, readFile),
+    ...findMarkdownIssues(files, readFile),
+    ...findMappingErrors(files, branch, readFile),
+  ];
+}
+
+/**
+ * One promotion.blocked issue per finding in the entries a promotion into `branch` brings along;
+ * no issues when the push is not a promotion.
+ */
+export function findPromotionBlockers(changes, branch, {
+  promotions = loadPromotions(branch),
+  commits = pushedCommits(),
+  readFile = readFromTree,
+  list = (prefix) => listFiles(prefix),
+} = {}) {
+  const promotion = detectPromotion(promotions, commits);
+  if (!promotion) return [];
+  const entries = promotedEntries(changes);
+  const blockers = [];
+  const blocked = [];
+  for (const dir of entries) {
+    const findings = entryFindings(dir, branch, { readFile, list });
+    if (findings.length) blocked.push(dir);
+    for (const e of findings) {
+      blockers.push(issue(e.path, 'promotion.blocked', `blocks merging ${promotion.from} into ${promotion.to} (${e.code}): ${e.message}`, e));
+    }
+  }
+  if (blocked.length) {
+    console.error(`[promotion] merging ${promotion.from} into ${promotion.to} is blocked by ${blocked.length}/${entries.length} promoted entries: ${blocked.join(', ')}`);
+  }
+  return blockers;
+}
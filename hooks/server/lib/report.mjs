@@ -0,0 +1,34 @@
+// Structured hook results
+// Every failure is an issue { path, pointer, code, message, line, column } — the same shape
+// .relay/validation.mjs returns. Hooks print the human-readable lines to stderr and a single
+// JSON document ({ ok, errors }) to stdout so tooling can map failures back to fields.
+
+export function issue(path, code, message, extra = {}) {
+  return { path, pointer: extra.pointer || '', code, message, line: extra.line ?? null, column: extra.column ?? null };
+}
+
+export function formatIssue(e) {
+  const at = e.line ? ` (line ${e.line}, column ${e.column})` : '';
+  const where = e.path ? `${e.path}: ` : '';
+  return `${where}${e.pointer ? `${e.pointer} ` : ''}${e.message}${at}`;
+}
+
+/**
+ * Issues from a runValidation result. Validation scripts that predate structured results
+ * only return { ok, message }; their message becomes a single issue.
+ */
+export function validationIssues(result) {
+  if (!result || result.ok !== false) return [];
+  if (Array.isArray(result.errors) && result.errors.length) return result.errors.map((e) => issue(e.path || '', e.code || 'validation', e.message, e));
+  return [issue('', 'validation', result.message || 'validation failed')];
+}
+
+/**
+ * Prints the issues in both forms and exits with status 1. `extra` fields (e.g. per-stage
+ * results) are added to the JSON document.
+ */
+export function reject(issues, extra = {}) {
+  console.error(issues.map(formatIssue).join('\n'));
+  console.log(JSON.stringify({ ok: false, errors: issues, ...extra }));
+  process.exit(1);
+}
@@ -0,0 +1,270 @@
+// Secret and credential scanning (git.secrets in .relay.yaml)
+// Lines a push adds to text files are checked for PEM private keys, JWTs, TMDB, GitHub and AWS
+// credentials and high-entropy tokens; binary files and files over maxFileSize are searched for
+// private keys only. Values the client publishes on purpose (env.json entries named RELAY_PUBLIC_*)
+// are skipped by name, and allowPaths skips whole files, except that private keys are reported
+// everywhere. A push of several commits is scanned commit by commit, so a secret one commit adds
+// and a later one removes is still reported. Findings name the detector and show only a redacted
+// prefix of the secret.
+
+import { parseCid } from '../../lib/hashes.mjs';
+import { treeChanges } from './github.mjs';
+import { globMatch } from './glob.mjs';
+import { issue } from './report.mjs';
+import { RELAY_CONFIG_PATH, parsePublicKeys } from './signers.mjs';
+import { baseTree, canListFiles, parseSize, readFromCommit, readFromTree, yamlToJson } from './utils.mjs';
+
+const WHERE = `${RELAY_CONFIG_PATH}: git.secrets`;
+
+export const DEFAULT_SECRETS_CONFIG = {
+  allowNames: ['RELAY_PUBLIC_*'],
+  allowPaths: ['.ssh/*.pub'],
+  entropy: { minLength: 32, threshold: 4.3 },
+  maxFileSize: 1024 * 1024,
+};
+
+function decodeJsonPart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// A TMDB API read access token is a JWT for a 32-hex API key with the api_read scope
+function jwtKind(token) {
+  const [header, payload] = token.split('.');
+  if (!decodeJsonPart(header)?.alg) return null;
+  const claims = decodeJsonPart(payload);
+  if (!claims || typeof claims !== 'object') return null;
+  return /^[0-9a-f]{32}$/.test(claims.aud || '') && Array.isArray(claims.scopes) ? 'tmdb_read_token' : 'jwt';
+}
+
+/**
+ * Detectors in reporting order: { id, label, pattern, group?, check?, showMatch? }. `group`
+ * selects the secret within the match; `check(secret)` may reject a match or rename its detector;
+ * `showMatch` reports the match unredacted (a PEM header is not itself secret).
+ */
+export const DETECTORS = [
+  { id: 'pem_private_key', label: 'PEM private key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g, showMatch: true },
+  { id: 'jwt', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{16,}/g, check: jwtKind },
+  { id: 'tmdb_api_key', label: 'TMDB API key', pattern: /(?:tmdb|themoviedb|api_key)[\w.-]{0,30}["']?\s*[:=]\s*["']?([0-9a-f]{32})\b|[?&]api_key=([0-9a-f]{32})\b/gi, group: true },
+  { id: 'github_token', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{80,})\b/g },
+  { id: 'aws_access_key_id', label: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16}\b/g },
+  { id: 'aws_secret_access_key', label: 'AWS secret access key', pattern: /aws[\w.-]{0,20}?(?:secret|private)[\w.-]{0,20}?["']?\s*[:=]\s*["']?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi, group: true },
+];
+
+const PEM_DETECTOR = DETECTORS.find((d) => d.id === 'pem_private_key');
+// At most this many bytes of a private key's body tell it apart from keys already in the file
+const PEM_BODY_PREFIX = 64;
+// Chunks overlap by this much so a PEM header across a chunk boundary is still found
+const CHUNK_OVERLAP = 256;
+
+const LABELS = { tmdb_read_token: 'TMDB API read access token', high_entropy: 'high-entropy token' };
+for (const d of DETECTORS) LABELS[d.id] = d.label;
+
+/**
+ * Settings from .relay.yaml git.secrets over DEFAULT_SECRETS_CONFIG, read from the tree before the
+ * push so a push cannot allowlist its own secrets. `enabled: false` turns scanning off.
+ */
+export function loadSecretsConfig(readFile = baseTree().read) {
+  const buf = readFile(RELAY_CONFIG_PATH);
+  const config = buf ? yamlToJson(buf) || {} : {};
+  const section = config.git?.secrets || {};
+  if (section.enabled === false) return null;
+  const list = (name) => {
+    const value = section[name] ?? DEFAULT_SECRETS_CONFIG[name];
+    if (!Array.isArray(value) || !value.every((v) => typeof v === 'string')) throw new Error(`${WHERE}.${name} must be a list of globs`);
+    return value;
+  };
+  const entropy = { ...DEFAULT_SECRETS_CONFIG.entropy, ...(section.entropy || {}) };
+  if (!Number.isInteger(entropy.minLength) || entropy.minLength < 8) throw new Error(`${WHERE}.entropy.minLength must be an integer of at least 8`);
+  if (typeof entropy.threshold !== 'number' || entropy.threshold <= 0) throw new Error(`${WHERE}.entropy.threshold must be a positive number (bits per character)`);
+  return {
+    allowNames: list('allowNames'),
+    allowPaths: list('allowPaths'),
+    entropy,
+    maxFileSize: section.maxFileSize === undefined ? DEFAULT_SECRETS_CONFIG.maxFileSize : parseSize(section.maxFileSize, `${WHERE}.maxFileSize`),
+  };
+}
+
+/**
+ * Shannon entropy of a string in bits per character.
+ */
+export function shannonEntropy(s) {
+  const counts = new Map();
+  for (const c of s) counts.set(c, (counts.get(c) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) {
+    const p = n / s.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+function isCid(token) {
+  try {
+    parseCid(token);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isAlphabet(token) {
+  // Encoding tables such as "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdef..." are mostly runs of consecutive characters
+  let steps = 0;
+  for (let i = 1; i < token.length; i++) if (token.charCodeAt(i) - token.charCodeAt(i - 1) === 1) steps++;
+  return steps > token.length / 2;
+}
+
+function highEntropyTokens(line, { minLength, threshold }) {
+  // URLs and public SSH keys are skipped; the named detectors still see them
+  if (parsePublicKeys(line).length) return [];
+  const masked = line.replace(/[a-z][a-z0-9+.-]*:\/\/[^\s"'<>)]*/gi, (url) => ' '.repeat(url.length));
+  const found = [];
+  for (const m of masked.matchAll(new RegExp(`[A-Za-z0-9+/_=-]{${minLength},}`, 'g'))) {
+    const token = m[0].replace(/=+$/, '');
+    // Only mixed-case alphanumerics: hex digests, info hashes and base32 CIDs are not secrets
+    if (!/[a-z]/.test(token) || !/[A-Z]/.test(token) || !/\d/.test(token)) continue;
+    const before = masked.slice(Math.max(0, m.index - 8), m.index);
+    if (/base64,$|sha(?:256|384|512)-$/.test(before) || isAlphabet(token) || isCid(token)) continue;
+    if (shannonEntropy(token) >= threshold) found.push({ index: m.index, secret: token });
+  }
+  return found;
+}
+
+function assignedName(line) {
+  // KEY=..., export KEY=..., "KEY": ..., key: ...
+  const m = line.match(/^\s*(?:export\s+)?["']?([A-Za-z_][\w.-]*)["']?\s*[:=]/);
+  return m ? m[1] : null;
+}
+
+function redact(secret) {
+  return `${secret.slice(0, 4)}… (${secret.length} characters)`;
+}
+
+/**
+ * Findings [{ detector, label, line, column, shown }] in the given lines ({ text, number }).
+ * With `privateKeysOnly` only PEM private keys are looked for.
+ */
+export function scanLines(lines, config, { privateKeysOnly = false } = {}) {
+  const findings = [];
+  for (const { text, number } of lines) {
+    const name = assignedName(text);
+    const allowedName = name && config.allowNames.some((glob) => globMatch(glob, name));
+    const hits = [];
+    for (const detector of DETECTORS) {
+      if (detector.id !== 'pem_private_key' && (privateKeysOnly || allowedName)) continue;
+      for (const m of text.matchAll(detector.pattern)) {
+        const secret = detector.group ? m.slice(1).find(Boolean) : m[0];
+        const id = detector.check ? detector.check(secret) : detector.id;
+        if (!id) continue;
+        hits.push({ detector: id, index: m.index + m[0].indexOf(secret), secret, shown: detector.showMatch ? secret : redact(secret) });
+      }
+    }
+    if (!privateKeysOnly && !allowedName) {
+      for (const t of highEntropyTokens(text, config.entropy)) {
+        // A token a named detector already reported is not reported again
+        if (!hits.some((h) => t.index < h.index + h.secret.length && h.index < t.index + t.secret.length)) hits.push({ detector: 'high_entropy', ...t, shown: redact(t.secret) });
+      }
+    }
+    for (const h of hits.sort((a, b) => a.index - b.index)) {
+      findings.push({ detector: h.detector, label: LABELS[h.detector], line: number, column: h.index + 1, shown: h.shown });
+    }
+  }
+  return findings;
+}
+
+function isBinary(buf) {
+  return buf.subarray(0, 8000).includes(0);
+}
+
+function addedLines(text, previous) {
+  // Lines the push adds: every line of a new file, lines not present before in an edited one
+  const before = new Set(previous ? previous.split(/\r?\n/) : []);
+  return text.split(/\r?\n/).map((line, i) => ({ text: line, number: i + 1 })).filter((l) => l.text.trim() && !before.has(l.text));
+}
+
+// A PEM header with the start of the key body's first line
+function keyPrefix(buf, offset, headerLength) {
+  let start = offset + headerLength;
+  while (buf[start] === 0x0d || buf[start] === 0x0a) start++;
+  let end = start;
+  while (end < buf.length && end - start < PEM_BODY_PREFIX && buf[end] !== 0x0d && buf[end] !== 0x0a) end++;
+  return buf.subarray(offset, end);
+}
+
+/**
+ * PEM private keys in a binary or oversized file, searched in `chunkSize` pieces rather than line
+ * by line. A key whose header and start of body were already in `previous` is not reported again.
+ */
+export function scanPrivateKeys(buf, previous, chunkSize) {
+  const size = Math.max(Math.floor(chunkSize), CHUNK_OVERLAP);
+  const findings = [];
+  let line = 1;
+  let lineStart = 0;
+  for (let start = 0; start < buf.length; start += size) {
+    const chunk = buf.toString('latin1', start, Math.min(buf.length, start + size + CHUNK_OVERLAP));
+    for (const m of chunk.matchAll(PEM_DETECTOR.pattern)) {
+      // A match in the overlap belongs to the next chunk
+      if (m.index >= size) continue;
+      const offset = start + m.index;
+      for (let nl = buf.indexOf(0x0a, lineStart); nl !== -1 && nl < offset; nl = buf.indexOf(0x0a, lineStart)) {
+        line++;
+        lineStart = nl + 1;
+      }
+      if (previous && previous.includes(keyPrefix(buf, offset, m[0].length))) continue;
+      findings.push({ detector: PEM_DETECTOR.id, label: PEM_DETECTOR.label, line, column: offset - lineStart + 1, shown: m[0] });
+    }
+  }
+  return findings;
+}
+
+function scanFile(path, buf, previous, config) {
+  if (buf.length > config.maxFileSize || isBinary(buf)) return scanPrivateKeys(buf, previous, config.maxFileSize);
+  const lines = addedLines(buf.toString('utf8'), previous ? previous.toString('utf8') : null);
+  return scanLines(lines, config, { privateKeysOnly: config.allowPaths.some((glob) => globMatch(glob, path)) });
+}
+
+/**
+ * Issues (secret.<detector>) for credentials a push adds. With more than one pushed commit
+ * (`commits`, oldest first, applied on top of `from`) each commit is diffed against its parent and
+ * scanned on its own; otherwise, or when the host cannot list a commit's tree, only the net change
+ * set is. `readBefore` reads the tree the push (or its first commit) is compared with.
+ */
+export function findSecrets(changes, {
+  config = loadSecretsConfig(),
+  readFile = readFromTree,
+  readBefore = baseTree().read,
+  commits = null,
+  from = null,
+} = {}) {
+  if (!config) return [];
+  const errors = [];
+  const scan = (stepChanges, read, readPrevious, commit) => {
+    for (const { path, status, oldPath } of stepChanges) {
+      if (status === 'deleted') continue;
+      const buf = read(path);
+      if (!buf) continue;
+      const previous = status === 'added' && !commit ? null : readPrevious(oldPath || path);
+      const where = commit ? ` in commit ${commit.slice(0, 12)}` : '';
+      for (const f of scanFile(path, buf, previous, config)) {
+        errors.push(issue(path, `secret.${f.detector}`, `${f.label} ${f.shown} found by the ${f.detector} detector${where}; remove it from the pushed commits and revoke it`, { line: f.line, column: f.column }));
+      }
+    }
+  };
+  if (!commits || commits.length < 2) {
+    scan(changes, readFile, readBefore);
+  } else if (!canListFiles()) {
+    console.warn('[secrets] host cannot list files (Relay.git.listFiles); only the net change of the push is scanned, not each commit');
+    scan(changes, readFile, readBefore);
+  } else {
+    commits.forEach(({ id }, i) => {
+      const parent = i ? commits[i - 1].id : from;
+      const readParent = i ? (p) => readFromCommit(parent, p) : readBefore;
+      scan(treeChanges(parent, id), (p) => readFromCommit(id, p), readParent, id);
+    });
+  }
+  return errors;
+}
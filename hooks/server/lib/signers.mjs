@@ -0,0 +1,149 @@
+// Protected paths and signer allowlists (.relay.yaml git.protectedPaths)
+// A change to a protected path must come in a commit signed by one of the public keys listed for
+// it under .ssh/. Both the rules and the keys are read from the tree before the push, so a push
+// cannot authorise itself by adding its own key or loosening the rules. A new branch is checked
+// against the default branch; the very first push of the default branch needs RELAY_BOOTSTRAP.
+
+import { createHash } from 'node:crypto';
+import { baseTree, yamlToJson } from './utils.mjs';
+import { globBase, globMatch, isGlob } from './glob.mjs';
+import { issue } from './report.mjs';
+
+export const RELAY_CONFIG_PATH = '.relay.yaml';
+
+// Applies when .relay.yaml declares no protectedPaths: the validator, the hooks, the keys themselves
+// and the files the hooks generate (index and feeds), which content pushes have no reason to touch
+export const DEFAULT_PROTECTED_PATHS = [{ paths: ['hooks/server/**', '.relay/**', '.relay.yaml', '.ssh/**', 'relay_index.json', 'relay_index/**', 'feeds/**'] }];
+
+// GPG signers are reported by fingerprint (40 hex digits) or long key id (16), without SHA256:.
+// Only full fingerprints are matched: 64-bit key ids can be forged by brute force.
+const GPG_KEY_ID = /^(?:0x)?([0-9A-F]{16}|[0-9A-F]{40})$/i;
+const GPG_LONG_KEY_ID = /^[0-9A-F]{16}$/;
+
+const KEY_TYPE = /^(?:ssh-(?:rsa|dss|ed25519)|ecdsa-sha2-nistp(?:256|384|521)|sk-(?:ssh-ed25519|ecdsa-sha2-nistp256)@openssh\.com)$/;
+
+function fingerprintBlob(bytes) {
+  return `SHA256:${createHash('sha256').update(bytes).digest('base64').replace(/=+$/, '')}`;
+}
+
+/**
+ * Parses OpenSSH public keys (one per line, authorized_keys options allowed) into
+ * { type, fingerprint, comment } records with `ssh-keygen -l` style SHA256 fingerprints.
+ */
+export function parsePublicKeys(text) {
+  const keys = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const tokens = line.trim().split(/\s+/);
+    if (!tokens[0] || tokens[0].startsWith('#')) continue;
+    const at = tokens.findIndex((t) => KEY_TYPE.test(t));
+    if (at < 0 || !tokens[at + 1]) continue;
+    const bytes = Buffer.from(tokens[at + 1], 'base64');
+    // The blob starts with the length-prefixed key type; anything else is not a key
+    if (bytes.length < 4 || bytes.toString('latin1', 4, 4 + bytes.readUInt32BE(0)) !== tokens[at]) continue;
+    keys.push({ type: tokens[at], fingerprint: fingerprintBlob(bytes), comment: tokens.slice(at + 2).join(' ') });
+  }
+  return keys;
+}
+
+/**
+ * Parses GPG fingerprints, one per line as `gpg --fingerprint` prints them (spaces between the
+ * groups allowed, anything after the 40 hex digits is a comment), into { type: 'gpg', fingerprint, comment }.
+ */
+export function parseGpgFingerprints(text) {
+  const keys = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const m = line.trim().match(/^((?:[0-9A-F]{4} {0,2}){10})(?:\s+(.*))?$/i);
+    if (m) keys.push({ type: 'gpg', fingerprint: m[1].replace(/ /g, '').toUpperCase(), comment: m[2] || '' });
+  }
+  return keys;
+}
+
+/**
+ * Fingerprint of a signer reported as "SHA256:...", as an OpenSSH public key line or, for GPG
+ * signatures, as a hex fingerprint or key id (returned upper-case, without a prefix).
+ */
+export function fingerprintOf(signer) {
+  if (signer.fingerprint) {
+    const gpg = String(signer.fingerprint).replace(/\s+/g, '').match(GPG_KEY_ID);
+    if (gpg) return gpg[1].toUpperCase();
+    return signer.fingerprint.startsWith('SHA256:') ? signer.fingerprint : `SHA256:${signer.fingerprint}`;
+  }
+  if (signer.publicKey) return parsePublicKeys(signer.publicKey)[0]?.fingerprint || null;
+  return null;
+}
+
+/**
+ * Protected path rules for a branch. An entry without allowedKeys uses the keys of the
+ * branch rule in git.branchRules (or its default).
+ */
+export function loadProtectedPaths(config, branch) {
+  const git = config?.git || {};
+  const rules = git.branchRules || {};
+  const branchRule = (rules.branches || []).find((b) => b.name === branch)?.rule || {};
+  const fallbackKeys = branchRule.allowedKeys || rules.default?.allowedKeys || [];
+  const list = git.protectedPaths === undefined ? DEFAULT_PROTECTED_PATHS : git.protectedPaths;
+  if (!Array.isArray(list)) throw new Error(`${RELAY_CONFIG_PATH}: git.protectedPaths must be a list`);
+  return list.map((entry, idx) => {
+    const paths = typeof entry?.paths === 'string' ? [entry.paths] : entry?.paths;
+    if (!Array.isArray(paths) || !paths.length) throw new Error(`${RELAY_CONFIG_PATH}: git.protectedPaths[${idx}].paths must list globs`);
+    const allowedKeys = entry.allowedKeys ?? fallbackKeys;
+    if (!Array.isArray(allowedKeys)) throw new Error(`${RELAY_CONFIG_PATH}: git.protectedPaths[${idx}].allowedKeys must be a list`);
+    return { paths, allowedKeys };
+  });
+}
+
+/**
+ * Public keys and GPG fingerprints named by allowedKeys entries (paths or globs under .ssh/).
+ */
+export function loadAllowedKeys(patterns, tree) {
+  const keys = [];
+  for (const pattern of patterns) {
+    if (!pattern.startsWith('.ssh/')) throw new Error(`${RELAY_CONFIG_PATH}: allowed key ${pattern} must be under .ssh/`);
+    const files = isGlob(pattern) ? tree.list(globBase(pattern)).filter((p) => globMatch(pattern, p)) : [pattern];
+    for (const file of files) {
+      const buf = tree.read(file);
+      if (!buf) continue;
+      const text = buf.toString();
+      keys.push(...[...parsePublicKeys(text), ...parseGpgFingerprints(text)].map((key) => ({ ...key, path: file })));
+    }
+  }
+  return keys;
+}
+
+/**
+ * Returns one issue per protected path in the change set that the commit's signer may not touch.
+ * Deletions and both sides of a rename count as touching a path.
+ */
+export function findSignerViolations(changes, branch, signer, tree = baseTree()) {
+  const buf = tree.read(RELAY_CONFIG_PATH);
+  const rules = loadProtectedPaths(buf ? yamlToJson(buf) || {} : {}, branch);
+  const fingerprint = signer.signed ? fingerprintOf(signer) : null;
+  const keysFor = new Map();
+  const touched = [...new Set(changes.flatMap((c) => [c.path, c.oldPath]).filter(Boolean))];
+  const errors = [];
+  for (const p of touched) {
+    const rule = rules.find((r) => r.paths.some((g) => globMatch(g, p)));
+    if (!rule) continue;
+    if (tree.missing) {
+      errors.push(issue(p, 'signature.no_base', 'is protected and the branch has no history to read signers from; bootstrap the first push with RELAY_BOOTSTRAP=1'));
+      continue;
+    }
+    if (!signer.signed) {
+      errors.push(issue(p, 'signature.required', 'CRITICAL: Infrastructure changes require a GPG/SSH signed commit.'));
+      continue;
+    }
+    const cacheKey = JSON.stringify(rule.allowedKeys);
+    if (!keysFor.has(cacheKey)) keysFor.set(cacheKey, loadAllowedKeys(rule.allowedKeys, tree));
+    const keys = keysFor.get(cacheKey);
+    if (!keys.length) {
+      errors.push(issue(p, 'signature.no_keys', `is protected but no public keys match allowedKeys (${rule.allowedKeys.join(', ') || 'none'})`));
+    } else if (!fingerprint) {
+      errors.push(issue(p, 'signature.unknown_key', 'is protected but the host did not report which key signed the commit'));
+    } else if (GPG_LONG_KEY_ID.test(fingerprint)) {
+      errors.push(issue(p, 'signature.unknown_key', `is protected but the host reported only the GPG key id ${fingerprint}; the full 40-digit fingerprint is needed`));
+    } else if (!keys.some((key) => key.fingerprint === fingerprint)) {
+      errors.push(issue(p, 'signature.key_not_allowed', `is protected; commit signed with ${fingerprint}, which is not one of ${rule.allowedKeys.join(', ')}`));
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,174 @@
+// UnixFS DAGs and CIDs computed offline, the way `ipfs add` builds them
+// Files are cut into fixed-size chunks and linked in a balanced tree of at most maxLinks
+// children per dag-pb node; directories list their children sorted by name. The defaults
+// match `ipfs add --cid-version=1` (raw leaves, 256 KiB chunks, 174 links), and with
+// cidVersion 0 leaves are dag-pb nodes as in a plain `ipfs add`. Directories are never
+// sharded (HAMT), so very large directories get a different CID than the IPFS node's.
+
+import { createHash } from 'node:crypto';
+import { base32Decode, base32Encode, base58Decode, base58Encode, encodeVarint } from '../../lib/hashes.mjs';
+
+export const CODEC_RAW = 0x55;
+export const CODEC_DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+export const DEFAULT_UNIXFS_OPTIONS = { cidVersion: 1, rawLeaves: true, chunkSize: 256 * 1024, maxLinks: 174 };
+
+function concat(parts) {
+  return Buffer.concat(parts.map((p) => (Buffer.isBuffer(p) ? p : Buffer.from(p))));
+}
+
+// protobuf wire format: varint fields (type 0) and length-delimited fields (type 2)
+function varintField(number, value) {
+  return concat([encodeVarint(number << 3), encodeVarint(value)]);
+}
+
+function bytesField(number, bytes) {
+  return concat([encodeVarint((number << 3) | 2), encodeVarint(bytes.length), bytes]);
+}
+
+function unixfsData({ type, data, filesize, blocksizes = [] }) {
+  const parts = [varintField(1, type)];
+  if (data && data.length) parts.push(bytesField(2, data));
+  if (filesize !== undefined) parts.push(varintField(3, filesize));
+  for (const size of blocksizes) parts.push(varintField(4, size));
+  return concat(parts);
+}
+
+function dagPbNode(links, data) {
+  // Links come before Data in the canonical encoding; an empty name is still written
+  const parts = links.map((link) => bytesField(2, concat([bytesField(1, link.cid), bytesField(2, Buffer.from(link.name, 'utf8')), varintField(3, link.tsize)])));
+  parts.push(bytesField(1, data));
+  return concat(parts);
+}
+
+/**
+ * Binary CID of a block: CIDv0 (bare sha2-256 multihash, dag-pb only) or CIDv1.
+ */
+export function blockCid(codec, bytes, cidVersion = 1) {
+  const digest = createHash('sha256').update(bytes).digest();
+  const multihash = concat([encodeVarint(SHA2_256), encodeVarint(digest.length), digest]);
+  if (cidVersion === 0) {
+    if (codec !== CODEC_DAG_PB) throw new Error('CIDv0 can only address dag-pb blocks');
+    return multihash;
+  }
+  return concat([encodeVarint(1), encodeVarint(codec), multihash]);
+}
+
+/**
+ * String form of a binary CID: base58btc for v0, base32 ("b...") for v1.
+ */
+export function formatCid(cid) {
+  return cid[0] === SHA2_256 ? base58Encode(cid) : `b${base32Encode(cid)}`;
+}
+
+/**
+ * Binary form of a CID string written by formatCid.
+ */
+export function cidBytes(cid) {
+  if (cid.startsWith('Qm')) return Buffer.from(base58Decode(cid));
+  if (cid.startsWith('b')) return Buffer.from(base32Decode(cid.slice(1)));
+  throw new Error(`${cid} is neither a base58btc CIDv0 nor a base32 CIDv1`);
+}
+
+function options(given) {
+  const o = { ...DEFAULT_UNIXFS_OPTIONS, ...given };
+  if (o.cidVersion !== 0 && o.cidVersion !== 1) throw new Error('cidVersion must be 0 or 1');
+  if (!Number.isInteger(o.chunkSize) || o.chunkSize < 1) throw new Error('chunkSize must be a positive integer');
+  if (!Number.isInteger(o.maxLinks) || o.maxLinks < 2) throw new Error('maxLinks must be an integer of at least 2');
+  // CIDv0 cannot address raw blocks
+  if (o.cidVersion === 0) o.rawLeaves = false;
+  return o;
+}
+
+function emit(codec, bytes, o, onBlock) {
+  const cid = blockCid(codec, bytes, o.cidVersion);
+  if (onBlock) onBlock(cid, bytes);
+  return cid;
+}
+
+/**
+ * UnixFS file DAG of `content`. Returns { cid, size, tsize }: `size` is the file length and
+ * `tsize` the bytes of every block in the DAG (the Tsize a parent link records). `onBlock(cid, bytes)`
+ * sees each block, children before parents.
+ */
+export function fileDag(content, { onBlock, ...given } = {}) {
+  const o = options(given);
+  const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  let level = [];
+  for (let offset = 0; offset < bytes.length || level.length === 0; offset += o.chunkSize) {
+    const chunk = bytes.subarray(offset, offset + o.chunkSize);
+    const block = o.rawLeaves ? chunk : dagPbNode([], unixfsData({ type: UNIXFS_FILE, data: chunk, filesize: chunk.length }));
+    level.push({ cid: emit(o.rawLeaves ? CODEC_RAW : CODEC_DAG_PB, block, o, onBlock), size: chunk.length, tsize: block.length });
+  }
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += o.maxLinks) {
+      const group = level.slice(i, i + o.maxLinks);
+      const size = group.reduce((sum, c) => sum + c.size, 0);
+      const block = dagPbNode(
+        group.map((c) => ({ cid: c.cid, name: '', tsize: c.tsize })),
+        unixfsData({ type: UNIXFS_FILE, filesize: size, blocksizes: group.map((c) => c.size) }),
+      );
+      next.push({ cid: emit(CODEC_DAG_PB, block, o, onBlock), size, tsize: group.reduce((sum, c) => sum + c.tsize, block.length) });
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+/**
+ * UnixFS directory node over `entries` ({ name: { cid, tsize } }). Returns { cid, tsize }.
+ */
+export function directoryNode(entries, { onBlock, ...given } = {}) {
+  const o = options(given);
+  const names = Object.keys(entries).sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b)));
+  const block = dagPbNode(names.map((name) => ({ cid: entries[name].cid, name, tsize: entries[name].tsize })), unixfsData({ type: UNIXFS_DIRECTORY }));
+  return { cid: emit(CODEC_DAG_PB, block, o, onBlock), tsize: names.reduce((sum, n) => sum + entries[n].tsize, block.length) };
+}
+
+/**
+ * Root directory DAG of files by path ({ 'a/b.txt': { cid, tsize } }); intermediate directories
+ * are created from the path segments. Returns { cid, tsize }.
+ */
+export function directoryDag(files, opts = {}) {
+  const root = new Map();
+  for (const [path, file] of Object.entries(files)) {
+    const parts = path.split('/');
+    let dir = root;
+    for (const part of parts.slice(0, -1)) {
+      if (!dir.has(part)) dir.set(part, new Map());
+      dir = dir.get(part);
+      if (!(dir instanceof Map)) throw new Error(`${path}: ${part} is both a file and a directory`);
+    }
+    const name = parts[parts.length - 1];
+    if (dir.has(name)) throw new Error(`${path}: ${name} is both a file and a directory`);
+    dir.set(name, file);
+  }
+  const build = (dir) => directoryNode(Object.fromEntries([...dir].map(([name, child]) => [name, child instanceof Map ? build(child) : child])), opts);
+  return build(root);
+}
+
+/**
+ * CARv1 archive bytes of `blocks` ([{ cid, bytes }], in any order) with a single root.
+ */
+export function carFile(root, blocks) {
+  // dag-cbor header { roots: [CID], version: 1 }; CIDs are tag 42 over a 0x00-prefixed byte string
+  const link = concat([[0x00], root]);
+  const header = concat([
+    [0xa2, 0x65], Buffer.from('roots'), [0x81, 0xd8, 0x2a],
+    link.length < 24 ? [0x40 + link.length] : [0x58, link.length], link,
+    [0x67], Buffer.from('version'), [0x01],
+  ]);
+  const parts = [encodeVarint(header.length), header];
+  const seen = new Set();
+  for (const { cid, bytes } of blocks) {
+    const key = cid.toString('hex');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    parts.push(encodeVarint(cid.length + bytes.length), cid, bytes);
+  }
+  return concat(parts);
+}
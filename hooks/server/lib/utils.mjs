@@ -2,22 +2,146 @@
 // Provides common functions for git operations, validation, and index management
 // uses the global 'Relay' object provided by the host.
 
+// Values that take precedence over the host's environment (see overrideEnv)
+const envOverrides = new Map();
+
 export function env(name, def) {
+  if (envOverrides.has(name)) return envOverrides.get(name);
   return Relay.utils.env(name, def);
 }
 
+/**
+ * Overrides environment values for the rest of the run, e.g. BRANCH, OLD_COMMIT and NEW_COMMIT
+ * taken from a webhook payload instead of the host's own push.
+ */
+export function overrideEnv(values) {
+  for (const [name, value] of Object.entries(values)) {
+    if (value === undefined) envOverrides.delete(name);
+    else envOverrides.set(name, value);
+  }
+}
+
+// git status letters -> change status
+export const CHANGE_STATUS_LETTERS = { A: 'added', C: 'added', M: 'modified', T: 'modified', D: 'deleted', R: 'renamed' };
+export const CHANGE_STATUSES = ['added', 'modified', 'deleted', 'renamed'];
+
+/**
+ * Normalizes a host change record to { path, status, oldPath }.
+ * status is added | modified | deleted | renamed; git letters (A, M, D, R100, ...) are accepted
+ * and a missing status means the file was written. oldPath is set for renames only.
+ * Throws on an empty or unknown status.
+ */
+export function normalizeChange(change) {
+  const raw = String(change.status ?? change.type ?? 'modified');
+  const status = CHANGE_STATUSES.includes(raw.toLowerCase())
+    ? raw.toLowerCase()
+    : /^[a-z]\d*$/i.test(raw) ? CHANGE_STATUS_LETTERS[raw[0].toUpperCase()] : undefined;
+  if (!status) throw new Error(`${change.path}: unknown change status ${JSON.stringify(raw)} (expected ${CHANGE_STATUSES.join(', ')} or a git status letter)`);
+  const oldPath = change.oldPath ?? change.old_path ?? change.from ?? null;
+  return { ...change, path: change.path, status, oldPath: status === 'renamed' ? oldPath : null };
+}
+
 export function listChanged() {
-  return Relay.utils.listChanged();
+  return Relay.utils.listChanged().map(normalizeChange);
 }
 
 export function readFromTree(filePath) {
   return Relay.git.readFile(filePath);
 }
 
+/**
+ * Reads a file as of another commit (e.g. OLD_COMMIT, the tree before the push).
+ */
+export function readFromCommit(commit, filePath) {
+  return Relay.git.readFile(filePath, commit);
+}
+
+/**
+ * Whether the host can list repository files (Relay.git.listFiles); baseline hosts cannot.
+ */
+export function canListFiles() {
+  return typeof Relay.git.listFiles === 'function';
+}
+
+/**
+ * Lists repository paths under a directory prefix in the pushed tree, or in `commit` when given.
+ */
+export function listFiles(prefix = '', commit = undefined) {
+  if (typeof Relay.git.listFiles !== 'function') throw new Error('host cannot list repository files (Relay.git.listFiles)');
+  return Relay.git.listFiles(prefix, commit);
+}
+
+/**
+ * Reader ({ read, list }) for the tree the push is applied to (OLD_COMMIT). The first push of a branch
+ * has none and reads the default branch (DEFAULT_BRANCH, main) instead; the first push of the default
+ * branch itself gets an empty tree marked `missing`, unless RELAY_BOOTSTRAP is set to trust the pushed
+ * tree once. The tree being pushed never supplies its own rules otherwise.
+ */
+export function baseTree() {
+  const base = env('OLD_COMMIT');
+  if (base && !/^0+$/.test(base)) return { read: (p) => readFromCommit(base, p), list: (prefix) => listFiles(prefix, base) };
+  const defaultBranch = env('DEFAULT_BRANCH', 'main');
+  if (env('BRANCH', 'main') !== defaultBranch) {
+    return { read: (p) => readFromCommit(defaultBranch, p), list: (prefix) => listFiles(prefix, defaultBranch) };
+  }
+  if (env('RELAY_BOOTSTRAP')) return { read: readFromTree, list: (prefix) => listFiles(prefix) };
+  return { read: () => null, list: () => [], missing: true };
+}
+
+export function writeToTree(filePath, content) {
+  return Relay.git.writeFile(filePath, content);
+}
+
+/**
+ * Deletes a generated file from the tree. Hosts without file removal keep it and a warning names it.
+ */
+export function removeFromTree(filePath) {
+  if (typeof Relay.git.deleteFile !== 'function') {
+    console.warn(`[index] host cannot delete files; stale ${filePath} kept`);
+    return;
+  }
+  return Relay.git.deleteFile(filePath);
+}
+
+/**
+ * Whether the host can write files on a branch other than the one being pushed (Relay.git.writeBranchFile).
+ */
+export function canWriteBranch() {
+  return typeof Relay.git.writeBranchFile === 'function';
+}
+
+/**
+ * Writes a file on another branch, e.g. the audit log branch, as a commit of its own.
+ */
+export function writeBranchFile(branch, filePath, content) {
+  return Relay.git.writeBranchFile(branch, filePath, content);
+}
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * Bytes for a configured size: a number or a string such as 512KB or 2MB.
+ */
+export function parseSize(value, where) {
+  if (typeof value === 'number' && value > 0) return value;
+  const m = String(value).trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/);
+  if (!m) throw new Error(`${where} must be a size such as 512KB or 2MB`);
+  return Math.round(Number(m[1]) * SIZE_UNITS[m[2] || 'B']);
+}
+
 export function yamlToJson(buf) {
   return Relay.utils.parseYaml(buf);
 }
 
+/**
+ * Runs .relay/validation.mjs source in the host sandbox; returns its { ok, message, errors } result.
+ * `branch` is handed to the script as api.branch to select its validation profile; hosts that drop
+ * the option validate at the strict default.
+ */
+export function runValidation(code, changes, { branch } = {}) {
+  return Relay.utils.runValidation(code, changes, { branch });
+}
+
 /**
  * Updates the branch-specific database with changes in meta.yaml files.
  */
@@ -25,10 +149,51 @@ export function upsertIndex(changes, readFileFn, branch = 'main') {
   return Relay.utils.upsertIndex(changes, readFileFn, branch);
 }
 
+/**
+ * Removes the rows of deleted entries (by meta directory) from the branch-specific database.
+ * Hosts without index removal keep the rows and a warning names them.
+ */
+export function removeFromIndex(metaDirs, branch = 'main') {
+  if (!metaDirs.length) return;
+  if (typeof Relay.utils.removeFromIndex !== 'function') {
+    console.warn(`[index] host cannot remove index rows; ${metaDirs.length} stale entr${metaDirs.length === 1 ? 'y' : 'ies'} kept: ${metaDirs.join(', ')}`);
+    return;
+  }
+  return Relay.utils.removeFromIndex(metaDirs, branch);
+}
+
+/**
+ * Commits of the push as [{ id, message }], oldest first. Hosts without Relay.git.listCommits
+ * report the pushed commit from COMMIT_MESSAGE; null when no message is available at all.
+ */
+export function pushedCommits() {
+  const from = env('OLD_COMMIT');
+  const to = env('NEW_COMMIT');
+  if (typeof Relay.git.listCommits === 'function') return Relay.git.listCommits(from && !/^0+$/.test(from) ? from : null, to);
+  const message = env('COMMIT_MESSAGE');
+  return message === undefined || message === null ? null : [{ id: to || 'HEAD', message }];
+}
+
 export function verifyCommit() {
   return Relay.git.verifySignature();
 }
 
+/**
+ * Signature of the pushed commit as { signed, publicKey, fingerprint }. Hosts that only report
+ * a boolean yield no key material, which cannot satisfy a signer allowlist.
+ */
+export function commitSigner() {
+  const result = Relay.git.verifySignature();
+  if (result && typeof result === 'object') {
+    return {
+      signed: !!(result.valid ?? result.verified ?? result.signed),
+      publicKey: result.publicKey || result.key || null,
+      fingerprint: result.fingerprint || null,
+    };
+  }
+  return { signed: !!result, publicKey: null, fingerprint: null };
+}
+
 export function matchPath(pattern, p) {
   return Relay.utils.matchPath(pattern, p);
 }
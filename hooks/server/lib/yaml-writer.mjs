@@ -0,0 +1,92 @@
+// YAML output for documents the hooks rewrite (migrated meta.yaml files)
+// Parsing goes through the host (Relay.utils.parseYaml); this writes the plain data it returns:
+// mappings in key order, lists of scalars in flow style (genre: ["Action", "Drama"]) and lists of
+// mappings as block sequences, the layout of the hand-written files. Strings are quoted whenever a
+// plain scalar could read back as something else; comments of the original file are not kept.
+
+const PLAIN_KEY = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+// Scalars a YAML 1.1 or 1.2 reader would not take as a string
+const RESERVED = /^(?:~|null|true|false|yes|no|on|off|y|n|\.nan|[-+]?\.inf)$/i;
+
+function plainSafe(s, flow) {
+  if (!s || s !== s.trim() || /[\n\r\t]/.test(s)) return false;
+  if (RESERVED.test(s)) return false;
+  // Numbers, dates and times all start with a digit, sign or dot
+  if (/^[-+.\d]/.test(s)) return false;
+  if (/^[?:,[\]{}#&*!|>'"%@`]/.test(s)) return false;
+  if (/:(?:\s|$)|\s#/.test(s)) return false;
+  return !(flow && /[,[\]{}]/.test(s));
+}
+
+function scalar(value, flow = false) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return Number.isNaN(value) ? '.nan' : value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  const s = String(value);
+  // JSON string escapes are valid in double-quoted YAML
+  return plainSafe(s, flow) ? s : JSON.stringify(s);
+}
+
+function key(k) {
+  return PLAIN_KEY.test(k) && !RESERVED.test(k) ? k : JSON.stringify(k);
+}
+
+function isMapping(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function flow(value) {
+  if (Array.isArray(value)) return `[${value.map(flow).join(', ')}]`;
+  if (isMapping(value)) return `{ ${Object.entries(value).map(([k, v]) => `${key(k)}: ${flow(v)}`).join(', ')} }`;
+  return scalar(value, true);
+}
+
+function inline(value) {
+  // Values that fit after "key: " or "- "
+  if (Array.isArray(value)) return value.length === 0 || !value.some((v) => isMapping(v) || Array.isArray(v)) ? flow(value) : null;
+  if (isMapping(value)) return Object.keys(value).length ? null : '{}';
+  return scalar(value);
+}
+
+function mappingLines(obj, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+  for (const [k, v] of Object.entries(obj)) {
+    if (v === undefined) continue;
+    const one = inline(v);
+    if (one !== null) lines.push(`${pad}${key(k)}: ${one}`);
+    else {
+      lines.push(`${pad}${key(k)}:`);
+      lines.push(...(Array.isArray(v) ? sequenceLines(v, indent + 2) : mappingLines(v, indent + 2)));
+    }
+  }
+  return lines;
+}
+
+function sequenceLines(list, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+  for (const item of list) {
+    const one = inline(item);
+    if (one !== null) {
+      lines.push(`${pad}- ${one}`);
+      continue;
+    }
+    const nested = Array.isArray(item) ? sequenceLines(item, indent + 2) : mappingLines(item, indent + 2);
+    // The first line of the item shares the dash
+    lines.push(`${pad}- ${nested[0].slice(indent + 2)}`, ...nested.slice(1));
+  }
+  return lines;
+}
+
+/**
+ * YAML text for a JSON-compatible value; a mapping at the top level is written as a block.
+ */
+export function toYaml(value) {
+  if (isMapping(value)) return Object.keys(value).length ? `${mappingLines(value, 0).join('\n')}\n` : '{}\n';
+  if (Array.isArray(value) && inline(value) === null) return `${sequenceLines(value, 0).join('\n')}\n`;
+  return `${inline(value)}\n`;
+}
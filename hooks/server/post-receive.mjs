@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// Relay repository post-receive hook (Node module)
+// Triggered after a push has been accepted; it cannot reject anything.
+// Responsibilities:
+//  - Turn the push's added, updated and removed movies into feed entries for its branch
+//  - Write Atom, RSS 2.0 and JSON Feed files (server.hooks.post-receive.feeds in .relay.yaml)
+
+import { buildFeedItems, loadFeedConfig, updateFeeds } from './lib/feeds.mjs';
+import { baseTree, env, listChanged } from './lib/utils.mjs';
+
+function main() {
+  const branch = env('BRANCH', 'main');
+  const config = loadFeedConfig();
+  const items = buildFeedItems(listChanged(), {
+    branch,
+    commit: env('NEW_COMMIT', 'HEAD'),
+    now: new Date().toISOString(),
+    config,
+    readBefore: baseTree().read,
+  });
+  const written = updateFeeds(items, { branch, config });
+  console.log(`[feeds] ${items.length} entr${items.length === 1 ? 'y' : 'ies'} for ${branch}${written.length ? `: ${written.join(', ')}` : ' (no feed written)'}`);
+}
+
+try {
+  main();
+} catch (e) {
+  // The push is already accepted; report and move on
+  console.error(`[feeds] ${e?.message || e}`);
+  process.exit(1);
+}
@@ -1,35 +1,28 @@
 #!/usr/bin/env node
 // Relay repository pre-commit hook (Node module)
 // Triggered by server PUT operations before committing new files
-// Responsibilities:
+// Responsibilities (stages declared under server.hooks.pre-commit in .relay.yaml, see lib/pipeline.mjs):
+//  - Migrate staged meta files older than the current schema_version (hooks/migrations/)
 //  - Run validation.mjs in a restricted sandbox to enforce whitelist + validation
 //  - Validate file format and allowed paths
+//  - Check torrent info hashes and IPFS CIDs in meta files
+//  - Reject unsafe HTML and broken relative links in index.md pages
+//  - Reject entries that break the db.yaml unique constraint
+//  - Report failures as human-readable lines on stderr and JSON issues on stdout
 
-const { env, listChanged, readFromTree, upsertIndex } = Relay.utils;
+import { runHook, stageSummary } from './lib/pipeline.mjs';
+import { issue, reject } from './lib/report.mjs';
+import { env, listChanged } from './lib/utils.mjs';
 
 const NEW_COMMIT = env('NEW_COMMIT');
-const BRANCH = env('BRANCH', 'main');
 
 if (!NEW_COMMIT) {
   // Continue
 }
 
 function main() {
-  const changes = listChanged();
-
-  // Run validation sandbox via Relay global
-  const validationCode = readFromTree('.relay/validation.mjs');
-
-  if (validationCode) {
-    const result = Relay.utils.runValidation(validationCode.toString(), changes);
-    if (result && result.ok === false) {
-      console.error(result.message || 'validation failed');
-      process.exit(1);
-    }
-  }
-
-  // Maintain index for meta.yaml changes
-  upsertIndex(changes, (p) => readFromTree(p), BRANCH);
+  const result = runHook('pre-commit', { changes: listChanged() });
+  if (!result.ok) reject(result.issues, { stages: stageSummary(result.results) });
 
   console.log('pre-commit validation passed');
 }
@@ -37,6 +30,5 @@ function main() {
 try {
   main();
 } catch (e) {
-  console.error(e?.message || String(e));
-  process.exit(1);
+  reject([issue('', 'hook.error', e?.message || String(e))]);
 }
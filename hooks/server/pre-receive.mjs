@@ -1,51 +1,32 @@
 #!/usr/bin/env node
 // Relay repository pre-receive hook (Node module)
 // Triggered by git push/receive operations before accepting commits
-// Responsibilities:
+// Responsibilities (stages declared under server.hooks.pre-receive in .relay.yaml, see lib/pipeline.mjs):
 //  - Validate commits meet repository requirements
-//  - If this commit changes hooks/pre-commit.mjs or hooks/pre-receive.mjs, require a signed commit
+//  - Changes to .relay.yaml git.protectedPaths must be signed by one of the keys allowed for that path
+//  - Reject private keys, credentials and high-entropy tokens in added lines (git.secrets)
+//  - Reject meta files older than the current schema_version (hooks/migrations/)
 //  - Run validation.mjs in a restricted sandbox to enforce whitelist + validation
-//  - Maintain a lightweight JSON index (relay_index.json) for changed meta.yaml
+//  - Check torrent info hashes and IPFS CIDs in meta files
+//  - Reject unsafe HTML and broken relative links in index.md pages
+//  - Reject entries that break the db.yaml unique constraint
+//  - Maintain the branch index for changed meta.yaml
+//  - Append the run, accepted or rejected, to the hash-chained audit log
+//  - Report failures as human-readable lines on stderr and JSON issues on stdout
 
-const { env, listChanged, readFromTree, upsertIndex } = Relay.utils;
+import { runHook, stageSummary } from './lib/pipeline.mjs';
+import { issue, reject } from './lib/report.mjs';
+import { env, listChanged } from './lib/utils.mjs';
 
 const NEW_COMMIT = env('NEW_COMMIT');
-const BRANCH = env('BRANCH', 'main');
 
 if (!NEW_COMMIT) {
   // Continue
 }
 
 function main() {
-  const changes = listChanged();
-  const signed = Relay.git.verifySignature();
-
-  // Infrastructure protection
-  const criticalChanges = changes.filter(ch =>
-    ch.path === 'hooks/server/pre-commit.mjs' ||
-    ch.path === 'hooks/server/pre-receive.mjs' ||
-    ch.path === '.relay.yaml' ||
-    ch.path === '.relay/validation.mjs'
-  );
-
-  if (criticalChanges.length > 0 && !signed) {
-    console.error('CRITICAL: Infrastructure changes require a GPG/SSH signed commit.');
-    process.exit(1);
-  }
-
-  // Run validation sandbox via Relay global
-  const validationCode = readFromTree('.relay/validation.mjs');
-
-  if (validationCode) {
-    const result = Relay.utils.runValidation(validationCode.toString(), changes);
-    if (result && result.ok === false) {
-      console.error(result.message || 'validation failed');
-      process.exit(1);
-    }
-  }
-
-  // Maintain index for meta.yaml changes
-  upsertIndex(changes, (p) => readFromTree(p), BRANCH);
+  const result = runHook('pre-receive', { changes: listChanged() });
+  if (!result.ok) reject(result.issues, { stages: stageSummary(result.results) });
 
   console.log('pre-receive validation passed');
 }
@@ -53,6 +34,5 @@ function main() {
 try {
   main();
 } catch (e) {
-  console.error(e?.message || String(e));
-  process.exit(1);
+  reject([issue('', 'hook.error', e?.message || String(e))]);
 }
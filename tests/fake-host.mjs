@@ -0,0 +1,211 @@
+// In-repo fake of the Relay host for hook tests
+// Implements the Relay API the hooks use (git.readFile/listFiles/listCommits/verifySignature/
+// writeFile/deleteFile/writeBranchFile, utils.env/listChanged/parseYaml/runValidation/upsertIndex/
+// removeFromIndex/matchPath and http.request) over in-memory trees, so hooks run offline without a Relay server.
+//
+// A scenario describes one push:
+//   { fixture, files, base, changes, branch, signer, commits, env, request, without }
+// The pushed tree is this repository's working tree with tests/fixtures/<fixture>/ laid over it and
+// `files` ({ path: content | null }) over that; the tree before the push (OLD_COMMIT) is the
+// repository plus `base`, which is also what the default branch (main) holds. `changes` lists the staged paths (strings or { path, status, oldPath }),
+// defaulting to every fixture and `files` path. `signer` is what verifySignature reports.
+// `commits` ([{ id, message, files }]) is what listCommits returns; a commit with `files` holds the
+// tree before the push with those files over it, any other commit the pushed tree.
+// `request` ({ headers, body }) is the webhook delivery http.request() returns. `without` names host
+// functions (e.g. 'git.listFiles') to leave out, as hosts with the baseline API do.
+// Index updates and file writes are recorded as effects instead of being applied.
+//
+// runHook() runs a hook script in a child process with this module preloaded, since hooks end
+// with process.exit; the child reads its scenario from FAKE_RELAY and appends effects to
+// FAKE_RELAY_EFFECTS.
+
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import vm from 'node:vm';
+import { validationSandbox } from '../hooks/local/relay-shim.mjs';
+import { globMatch } from '../hooks/server/lib/glob.mjs';
+
+export const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const FIXTURES_DIR = path.join(REPO_ROOT, 'tests/fixtures');
+
+export const OLD_COMMIT = '1111111111111111111111111111111111111111';
+export const NEW_COMMIT = '2222222222222222222222222222222222222222';
+
+// Repository paths that are never part of a tree the hooks see
+const IGNORED = /^(?:\.git|\.idea|node_modules|tests\/fixtures)(?:\/|$)/;
+
+function walk(dir, prefix = '') {
+  const out = [];
+  if (!fs.existsSync(dir)) return out;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (IGNORED.test(rel)) continue;
+    if (entry.isDirectory()) out.push(...walk(path.join(dir, entry.name), rel));
+    else if (entry.isFile()) out.push(rel);
+  }
+  return out;
+}
+
+function toBuffer(content) {
+  if (content === null || content === undefined) return null;
+  if (typeof content === 'object' && !Buffer.isBuffer(content) && content.base64 !== undefined) return Buffer.from(content.base64, 'base64');
+  return Buffer.from(content);
+}
+
+function normalizeChanges(changes) {
+  return changes.map((c) => (typeof c === 'string' ? { path: c, status: 'added' } : { status: 'modified', ...c }));
+}
+
+/**
+ * Builds the Relay object for a scenario. `record(effect)` receives every write-like call.
+ */
+export function createFakeHost(scenario = {}, record = () => {}) {
+  const { fixture = null, files = {}, base = {}, branch = 'main', signer = true, commits = null, env = {}, request = null, without = [] } = scenario;
+  const fixtureDir = fixture ? path.join(FIXTURES_DIR, fixture) : null;
+  if (fixtureDir && !fs.existsSync(fixtureDir)) throw new Error(`unknown fixture ${fixture}`);
+  const fixtureFiles = fixtureDir ? walk(fixtureDir) : [];
+  const changes = normalizeChanges(scenario.changes || [...new Set([...fixtureFiles, ...Object.keys(files)])]);
+  const deleted = new Set(changes.filter((c) => c.status === 'deleted').map((c) => c.path));
+  for (const c of changes) if (c.status === 'renamed' && c.oldPath) deleted.add(c.oldPath);
+  const written = {};
+  // Files written on other branches (the audit log), readable as readFile(path, branch)
+  const branchFiles = {};
+
+  const readRepo = (p) => {
+    const file = path.join(REPO_ROOT, p);
+    return !IGNORED.test(p) && fs.existsSync(file) && fs.statSync(file).isFile() ? fs.readFileSync(file) : null;
+  };
+  const readPushed = (p) => {
+    if (Object.prototype.hasOwnProperty.call(written, p)) return written[p];
+    if (Object.prototype.hasOwnProperty.call(files, p)) return toBuffer(files[p]);
+    if (deleted.has(p)) return null;
+    if (fixtureDir && fixtureFiles.includes(p)) return fs.readFileSync(path.join(fixtureDir, p));
+    return readRepo(p);
+  };
+  const readBase = (p) => (Object.prototype.hasOwnProperty.call(base, p) ? toBuffer(base[p]) : readRepo(p));
+  const isBase = (commit) => commit === OLD_COMMIT || commit === (env.DEFAULT_BRANCH || 'main');
+  const pushedCommit = (commit) => (commits || []).find((c) => c.id === commit) || null;
+  const readCommit = (p, { files: tree }) => {
+    if (!tree) return readPushed(p);
+    return Object.prototype.hasOwnProperty.call(tree, p) ? toBuffer(tree[p]) : readBase(p);
+  };
+  const readOther = (p, commit) => {
+    if (isBase(commit)) return readBase(p);
+    if (pushedCommit(commit)) return readCommit(p, pushedCommit(commit));
+    return branchFiles[`${commit}:${p}`] || null;
+  };
+  const readFile = (p, commit) => (commit && commit !== NEW_COMMIT ? readOther(p, commit) : readPushed(p));
+
+  const listFiles = (prefix = '', commit) => {
+    const inPrefix = (p) => !prefix || p === prefix || p.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`);
+    const repo = walk(REPO_ROOT);
+    const tree = pushedCommit(commit)?.files;
+    if (tree) return [...new Set([...repo, ...Object.keys(base), ...Object.keys(tree)])].filter((p) => inPrefix(p) && readCommit(p, { files: tree })).sort();
+    const candidates = isBase(commit)
+      ? [...repo, ...Object.keys(base)]
+      : [...repo, ...fixtureFiles, ...Object.keys(files), ...Object.keys(written)];
+    const read = isBase(commit) ? readBase : readPushed;
+    return [...new Set(candidates)].filter((p) => inPrefix(p) && read(p)).sort();
+  };
+
+  const sandbox = validationSandbox((p) => readPushed(p), () => {}, without.includes('git.listFiles') ? undefined : (prefix) => listFiles(prefix));
+  const vars = { BRANCH: branch, OLD_COMMIT, NEW_COMMIT, ...env };
+
+  const host = {
+    git: {
+      readFile,
+      listFiles,
+      listCommits: () => commits,
+      verifySignature: () => signer,
+      writeFile: (p, content) => {
+        written[p] = Buffer.from(content);
+        record({ op: 'writeFile', path: p, content: String(content) });
+      },
+      deleteFile: (p) => {
+        written[p] = null;
+        record({ op: 'deleteFile', path: p });
+      },
+      writeBranchFile: (target, p, content) => {
+        branchFiles[`${target}:${p}`] = Buffer.from(content);
+        record({ op: 'writeBranchFile', branch: target, path: p, content: String(content) });
+      },
+    },
+    http: request ? { request: () => ({ headers: { ...request.headers }, body: toBuffer(request.body) }) } : undefined,
+    utils: {
+      env: (name, def) => (vars[name] !== undefined ? vars[name] : def),
+      listChanged: () => changes.map((c) => ({ ...c })),
+      parseYaml: sandbox.parseYaml,
+      runValidation: sandbox.runValidation,
+      upsertIndex: (upserts, _readFile, indexBranch) => record({ op: 'upsertIndex', branch: indexBranch, paths: upserts.map((c) => c.path) }),
+      removeFromIndex: (dirs, indexBranch) => record({ op: 'removeFromIndex', branch: indexBranch, dirs: [...dirs] }),
+      matchPath: (pattern, p) => globMatch(pattern, p),
+    },
+  };
+  for (const name of without) {
+    const [group, fn] = name.split('.');
+    delete host[group][fn];
+  }
+  return host;
+}
+
+/**
+ * The top-level functions of .relay/validation.mjs (parseYaml, evaluateSchema, ...) for unit tests,
+ * evaluated in a vm context as the host does. Results are returned as plain copies; `raw` is the
+ * context itself, for values (compiled rules, templates) passed back into the script.
+ */
+export function validationScript() {
+  const context = vm.createContext({ TextDecoder });
+  vm.runInContext(fs.readFileSync(path.join(REPO_ROOT, '.relay/validation.mjs'), 'utf8'), context, { filename: '.relay/validation.mjs' });
+  const plain = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+  return new Proxy(context, {
+    get: (ctx, name) => (name === 'raw' ? ctx : typeof ctx[name] === 'function' ? (...args) => plain(ctx[name](...args)) : ctx[name]),
+  });
+}
+
+function lastJsonLine(text) {
+  // The structured result hooks print on stdout
+  const lines = text.trim().split('\n').reverse();
+  for (const line of lines) {
+    if (!line.startsWith('{')) continue;
+    try {
+      return JSON.parse(line);
+    } catch { /* not the result line */ }
+  }
+  return null;
+}
+
+/**
+ * Runs a hook script (repository-relative path) for a scenario.
+ * Returns { status, stdout, stderr, result, effects }.
+ */
+export function runHook(hookPath, scenario = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-fake-host-'));
+  try {
+    const scenarioFile = path.join(dir, 'scenario.json');
+    const effectsFile = path.join(dir, 'effects.jsonl');
+    fs.writeFileSync(scenarioFile, JSON.stringify(scenario));
+    const res = spawnSync(process.execPath, ['--import', pathToFileURL(fileURLToPath(import.meta.url)).href, path.join(REPO_ROOT, hookPath)], {
+      cwd: dir,
+      encoding: 'utf8',
+      env: { ...process.env, FAKE_RELAY: scenarioFile, FAKE_RELAY_EFFECTS: effectsFile, RELAY_STATE_DIR: dir },
+      timeout: 60000,
+    });
+    const effects = fs.existsSync(effectsFile)
+      ? fs.readFileSync(effectsFile, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line))
+      : [];
+    return { status: res.status, stdout: res.stdout, stderr: res.stderr, result: lastJsonLine(res.stdout), effects };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+if (process.env.FAKE_RELAY) {
+  const scenario = JSON.parse(fs.readFileSync(process.env.FAKE_RELAY, 'utf8'));
+  const effectsFile = process.env.FAKE_RELAY_EFFECTS;
+  globalThis.Relay = createFakeHost(scenario, (effect) => {
+    if (effectsFile) fs.appendFileSync(effectsFile, `${JSON.stringify(effect)}\n`);
+  });
+}
@@ -0,0 +1,98 @@
+// Unit tests for the audit log hash chain (hooks/lib/audit-chain.mjs) and its local file store
+// and branch checks (hooks/server/lib/audit.mjs)
+// Run with: node --test tests/test_audit.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { GENESIS_HASH, advanceHead, chainRecord, parseSegment, recordPayload, verifyChain } from '../hooks/lib/audit-chain.mjs';
+import { appendAuditRecord, findAuditLogViolations, loadAuditConfig } from '../hooks/server/lib/audit.mjs';
+import { REPO_ROOT, createFakeHost } from './fake-host.mjs';
+
+function chain(n) {
+    const records = [];
+    let head = null;
+    for (let i = 0; i < n; i++) {
+        records.push(chainRecord({ time: `2026-10-0${i + 1}T00:00:00.000Z`, hook: 'pre-receive', verdict: 'accepted' }, head));
+        head = advanceHead(head, records[i], 'audit/2026-10.jsonl');
+    }
+    return { records, head };
+}
+
+test('links records by seq and previous hash', () => {
+    const { records, head } = chain(3);
+    assert.deepEqual(records.map((r) => r.seq), [1, 2, 3]);
+    assert.equal(records[0].prev, GENESIS_HASH);
+    assert.equal(records[2].prev, records[1].hash);
+    assert.deepEqual(head, { count: 3, hash: records[2].hash, segments: [{ path: 'audit/2026-10.jsonl', count: 3, first: 1, last: 3 }] });
+    assert.equal(recordPayload({ b: 1, a: { d: 2, c: 3 }, hash: 'x' }), '{"a":{"c":3,"d":2},"b":1}');
+    assert.equal(verifyChain(records), null);
+    assert.equal(verifyChain(records.slice(1), records[0]), null);
+});
+
+test('finds the first tampered, dropped or reordered record', () => {
+    const { records } = chain(3);
+    assert.deepEqual(verifyChain([records[0], { ...records[1], verdict: 'rejected' }, records[2]]), { seq: 2, reason: 'hash does not match the record content' });
+    assert.deepEqual(verifyChain([records[0], records[2]]), { seq: 3, reason: 'expected seq 2' });
+    assert.deepEqual(verifyChain([records[1]]), { seq: 2, reason: 'expected seq 1' });
+});
+
+test('file store appends to the chain of the existing file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-audit-'));
+    globalThis.Relay = createFakeHost({ env: { RELAY_STATE_DIR: dir, NEW_COMMIT: 'abc' } });
+    try {
+        const config = { store: 'file', file: 'audit.jsonl' };
+        appendAuditRecord({ time: '2026-10-01T00:00:00.000Z', verdict: 'accepted' }, config);
+        const second = appendAuditRecord({ time: '2026-10-02T00:00:00.000Z', verdict: 'rejected' }, config);
+        const records = parseSegment(fs.readFileSync(path.join(dir, 'audit.jsonl'), 'utf8'));
+        assert.equal(second.seq, 2);
+        assert.deepEqual(records[1], second);
+        assert.equal(verifyChain(records), null);
+    } finally {
+        delete globalThis.Relay;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('audit directory cannot be changed outside the audit branch', () => {
+    const branchStore = { store: 'branch', branch: 'audit', dir: 'audit', file: 'relay-audit.jsonl' };
+    const none = () => null;
+    const check = (changes, branch, config = branchStore) => findAuditLogViolations(changes, branch, { config, readBefore: none, readFile: none })
+        .map((e) => [e.path, e.code]);
+    assert.deepEqual(check([{ path: 'data/2026/x/meta.yaml', status: 'added' }], 'main'), []);
+    assert.deepEqual(check([{ path: 'audit/head.json', status: 'added' }], 'main'), [['audit/head.json', 'audit.branch']]);
+    assert.deepEqual(check([{ path: 'old/2026-10.jsonl', status: 'renamed', oldPath: 'audit/2026-10.jsonl' }], 'develop'), [['audit/2026-10.jsonl', 'audit.branch']]);
+    // With the file store no branch carries the log
+    const fileStore = { ...branchStore, store: 'file' };
+    const [issue] = findAuditLogViolations([{ path: 'audit/head.json', status: 'added' }], 'audit', { config: fileStore, readBefore: none, readFile: none });
+    assert.equal(issue.code, 'audit.branch');
+    assert.match(issue.message, /kept on the server \(store: file\)/);
+});
+
+test('the audit branch is kept out of autoPush, since every peer appends its own chain', (t) => {
+    const relayYaml = (text) => (p) => (p === '.relay.yaml' ? Buffer.from(text) : null);
+    globalThis.Relay = createFakeHost();
+    try {
+        const repo = loadAuditConfig((p) => fs.readFileSync(path.join(REPO_ROOT, p)));
+        assert.deepEqual(repo, { store: 'branch', branch: 'audit', dir: 'audit', file: 'relay-audit.jsonl', synced: false });
+        const synced = loadAuditConfig(relayYaml('server:\n  audit:\n    store: branch\ngit:\n  autoPush:\n    branches: [main, audit]\n'));
+        assert.equal(synced.synced, true);
+        assert.equal(loadAuditConfig(relayYaml('git:\n  autoPush:\n    branches: [audit]\n')).synced, false);
+    } finally {
+        delete globalThis.Relay;
+    }
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-audit-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const warn = t.mock.method(console, 'warn', () => {});
+    const effects = [];
+    globalThis.Relay = createFakeHost({ env: { RELAY_STATE_DIR: dir } }, (e) => effects.push(e));
+    try {
+        appendAuditRecord({ time: '2026-10-01T00:00:00.000Z', verdict: 'accepted' }, { store: 'branch', branch: 'audit', dir: 'audit', synced: true });
+    } finally {
+        delete globalThis.Relay;
+    }
+    assert.match(warn.mock.calls[0].arguments[0], /git\.autoPush syncs branch audit; every peer appends its own chain there/);
+    assert.deepEqual(effects.map((e) => e.path), ['audit/2026-10.jsonl', 'audit/head.json']);
+});
@@ -0,0 +1,39 @@
+// Unit tests for change records (normalizeChange in hooks/server/lib/utils.mjs and its copy in .relay/validation.mjs)
+// Run with: node --test tests/test_changes.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { normalizeChange } from '../hooks/server/lib/utils.mjs';
+import { REPO_ROOT, validationScript } from './fake-host.mjs';
+
+const v = validationScript();
+
+test('statuses, git letters and a missing status', () => {
+    assert.deepEqual(normalizeChange({ path: 'a', status: 'Deleted' }), { path: 'a', status: 'deleted', oldPath: null });
+    assert.deepEqual(normalizeChange({ path: 'a', status: 'R100', oldPath: 'b' }), { path: 'a', status: 'renamed', oldPath: 'b' });
+    assert.deepEqual(normalizeChange({ path: 'a', type: 'C75', from: 'b' }), { path: 'a', type: 'C75', from: 'b', status: 'added', oldPath: null });
+    assert.deepEqual(normalizeChange({ path: 'a' }), { path: 'a', status: 'modified', oldPath: null });
+    assert.deepEqual(v.normalizeChange({ path: 'a', status: 'M' }), { path: 'a', status: 'modified', oldPath: null });
+});
+
+test('empty and unknown statuses are rejected', () => {
+    for (const status of ['', 'U', 'copied', 'R1x']) {
+        const message = `a: unknown change status ${JSON.stringify(status)} (expected added, modified, deleted, renamed or a git status letter)`;
+        assert.throws(() => normalizeChange({ path: 'a', status }), { message }, status);
+        assert.equal(v.normalizeChange({ path: 'a', status }), null, status);
+    }
+});
+
+test('validate reports unknown statuses and checks the other changes', () => {
+    const files = { 'hooks/files.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/files.yaml')), 'bad.bin': 'x' };
+    const api = {
+        listStaged: () => [{ path: 'data/2026/x/index.md', status: '' }, { path: 'bad.bin', status: 'A' }],
+        readFile: (p) => (files[p] === undefined ? null : Buffer.from(files[p])),
+        log: () => {},
+    };
+    const result = v.validate(api);
+    assert.deepEqual(result.errors.map((e) => [e.path, e.code]), [['data/2026/x/index.md', 'change.status'], ['bad.bin', 'path.not_allowed']]);
+    assert.match(result.message, /^data\/2026\/x\/index\.md: has an unknown change status "" \(expected added, modified, deleted, renamed or a git status letter\)/);
+});
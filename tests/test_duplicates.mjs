@@ -0,0 +1,47 @@
+// Unit tests for hooks/server/lib/duplicates.mjs (near-duplicate detection)
+// Run with: node --test tests/test_duplicates.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { duplicateReason, loadDuplicateConfig, normalizeTitle, titleSimilarity } from '../hooks/server/lib/duplicates.mjs';
+
+const SETTINGS = { mode: 'reject', threshold: 0.9, yearTolerance: 1, ids: ['tmdb_id', 'imdb_id'] };
+
+test('normalizes articles, punctuation, diacritics, roman numerals and trailing years', () => {
+    assert.equal(normalizeTitle('The Matrix'), 'matrix');
+    assert.equal(normalizeTitle('Matrix, The'), 'matrix');
+    assert.equal(normalizeTitle('the-matrix (1999)'), 'matrix');
+    assert.equal(normalizeTitle('Amélie'), 'amelie');
+    assert.equal(normalizeTitle('Rocky IV'), 'rocky 4');
+    assert.equal(normalizeTitle('Fast & Furious'), 'fast and furious');
+    assert.equal(normalizeTitle('2001: A Space Odyssey'), '2001 a space odyssey');
+    assert.equal(normalizeTitle('The'), 'the');
+});
+
+test('titles with different numbers never match', () => {
+    assert.equal(titleSimilarity(normalizeTitle('Rocky II'), normalizeTitle('Rocky 3')), 0);
+    assert.equal(titleSimilarity(normalizeTitle('Rocky II'), normalizeTitle('Rocky 2')), 1);
+    assert.ok(titleSimilarity('matrix', 'matrx') >= 0.8);
+});
+
+test('matches fuzzy titles within the year tolerance', () => {
+    const existing = { title: 'The Matrix', release_year: 1999 };
+    assert.match(duplicateReason({ title: 'Matrix, The', release_year: 2000 }, existing, SETTINGS), /similarity 1\.00, released 1999/);
+    assert.equal(duplicateReason({ title: 'Matrix, The', release_year: 2001 }, existing, SETTINGS), null);
+    assert.equal(duplicateReason({ title: 'The Matrix Reloaded', release_year: 1999 }, existing, SETTINGS), null);
+    // Exact title and year collisions belong to db.unique
+    assert.equal(duplicateReason({ title: 'The Matrix', release_year: 1999 }, existing, SETTINGS), null);
+});
+
+test('shared external IDs match regardless of title and year', () => {
+    assert.equal(duplicateReason({ title: 'A', release_year: 1950, tmdb_id: 603 }, { title: 'B', release_year: 2020, tmdb_id: '603' }, SETTINGS), 'shares tmdb_id 603');
+    assert.equal(duplicateReason({ title: 'A', imdb_id: null }, { title: 'B', imdb_id: null }, SETTINGS), null);
+});
+
+test('branch modes come from the first matching glob', () => {
+    const config = { duplicates: { branches: { main: 'reject', 'feature/*': 'warn' } } };
+    assert.equal(loadDuplicateConfig('main', config).mode, 'reject');
+    assert.equal(loadDuplicateConfig('feature/x', config).mode, 'warn');
+    assert.equal(loadDuplicateConfig('develop', config), null);
+    assert.throws(() => loadDuplicateConfig('main', { duplicates: { branches: { main: 'block' } } }), /must be reject, warn, off/);
+});
@@ -0,0 +1,137 @@
+// Unit tests for hooks/server/lib/feeds.mjs (post-receive feeds)
+// Run with: node --test tests/test_feeds.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFeedItems, renderAtom, renderRss, updateFeeds } from '../hooks/server/lib/feeds.mjs';
+import { summarizeChanges } from '../hooks/server/lib/meta.mjs';
+import { createFakeHost } from './fake-host.mjs';
+
+const CONFIG = { dir: 'feeds', limit: 3, baseUrl: 'https://relay.example', title: 'Movies', branches: null };
+
+function item(n, branch = 'main') {
+    return { id: `${branch}:c${n}:data/2026/m${n}`, title: `Added: M${n}`, date_published: `2026-01-0${n}T00:00:00.000Z`, tags: ['added'] };
+}
+
+// Runs fn with a fake host whose pushed tree holds `files`; returns the JSON Feed files written by path
+function withHost(files, fn) {
+    const written = {};
+    globalThis.Relay = createFakeHost({ files, changes: [] }, (e) => {
+        if (e.op === 'writeFile' && e.path.endsWith('.json')) written[e.path] = JSON.parse(e.content);
+    });
+    try {
+        fn();
+        return written;
+    } finally {
+        delete globalThis.Relay;
+    }
+}
+
+function ids(feed) {
+    return feed.items.map((i) => i.id);
+}
+
+test('summarizes a push per entry directory', () => {
+    const changes = [
+        { path: 'data/2001/a/meta.yaml', status: 'added' },
+        { path: 'data/2001/a/index.md', status: 'added' },
+        { path: 'data/2002/b/index.md', status: 'modified' },
+        { path: 'data/2003/c/meta.yaml', status: 'deleted' },
+        { path: 'data/2004/new/meta.yaml', status: 'renamed', oldPath: 'data/2004/old/meta.yaml' },
+        { path: 'data/2005/d/assets/poster.png', status: 'added' },
+    ];
+    assert.deepEqual(summarizeChanges(changes), [
+        { dir: 'data/2001/a', action: 'added' },
+        { dir: 'data/2002/b', action: 'updated' },
+        { dir: 'data/2003/c', action: 'removed' },
+        { dir: 'data/2004/new', action: 'updated' },
+    ]);
+});
+
+test('renders Atom and RSS with escaped content', () => {
+    const feed = {
+        title: 'Movies & more (main)',
+        _relay: { branch: 'main' },
+        items: [{
+            id: 'main:abc:data/2001/a',
+            url: '/data/2001/a',
+            title: 'Added: <A> (2001)',
+            date_published: '2026-01-06T16:47:40.315Z',
+            tags: ['added'],
+            content_html: '<p>x</p>',
+        }],
+    };
+    const atom = renderAtom(feed);
+    assert.match(atom, /<title>Movies &amp; more \(main\)<\/title>/);
+    assert.match(atom, /<entry>\n {4}<id>urn:relay:main:abc:data\/2001\/a<\/id>\n {4}<title>Added: &lt;A&gt; \(2001\)<\/title>/);
+    assert.match(atom, /<content type="html">&lt;p&gt;x&lt;\/p&gt;<\/content>/);
+    const rss = renderRss(feed);
+    assert.match(rss, /<pubDate>Tue, 06 Jan 2026 16:47:40 GMT<\/pubDate>/);
+    assert.match(rss, /<link>\/data\/2001\/a<\/link>/);
+});
+
+test('builds one item per entry directory of a push', () => {
+    const files = {
+        'data/2026/a/meta.yaml': 'title: A\nrelease_date: "2026-01-06"\noverview: First & only\n',
+        'data/2026/b/meta.yaml': 'title: B\nrelease_date: "2025-03-01"\n',
+    };
+    withHost(files, () => {
+        const changes = [
+            { path: 'data/2026/a/meta.yaml', status: 'added' },
+            { path: 'data/2026/b/meta.yaml', status: 'modified' },
+            { path: 'data/2026/c/meta.yaml', status: 'deleted' },
+        ];
+        const items = buildFeedItems(changes, { branch: 'main', commit: 'c1', now: '2026-01-06T00:00:00.000Z', config: CONFIG });
+        assert.deepEqual(items.map((i) => [i.id, i.title, i.url]), [
+            ['main:c1:data/2026/a', 'Added: A (2026)', 'https://relay.example/data/2026/a'],
+            ['main:c1:data/2026/b', 'Updated: B (2025)', 'https://relay.example/data/2026/b'],
+            ['main:c1:data/2026/c', 'Removed: c', undefined],
+        ]);
+        assert.equal(items[0].content_html, '<p>First &amp; only</p>');
+    });
+});
+
+test('keeps the newest entries up to the limit', () => {
+    const written = withHost({}, () => {
+        updateFeeds([item(1), item(2)], { branch: 'main', config: CONFIG });
+        updateFeeds([item(3), item(4)], { branch: 'main', config: CONFIG });
+    });
+    assert.deepEqual(ids(written['feeds/main.json']), ['main:c3:data/2026/m3', 'main:c4:data/2026/m4', 'main:c1:data/2026/m1']);
+});
+
+test('keeps a separate feed per branch', () => {
+    let paths;
+    const written = withHost({}, () => {
+        updateFeeds([item(1)], { branch: 'main', config: CONFIG });
+        paths = updateFeeds([item(2, 'fix/typo')], { branch: 'fix/typo', config: CONFIG });
+        assert.deepEqual(updateFeeds([item(3, 'dev')], { branch: 'dev', config: { ...CONFIG, branches: ['main'] } }), []);
+    });
+    assert.deepEqual(paths, ['feeds/fix%2Ftypo.json', 'feeds/fix%2Ftypo.atom', 'feeds/fix%2Ftypo.rss']);
+    assert.deepEqual(Object.keys(written).sort(), ['feeds/fix%2Ftypo.json', 'feeds/main.json']);
+    assert.deepEqual(ids(written['feeds/main.json']), ['main:c1:data/2026/m1']);
+    assert.equal(written['feeds/fix%2Ftypo.json'].title, 'Movies (fix/typo)');
+    assert.deepEqual(ids(written['feeds/fix%2Ftypo.json']), ['fix/typo:c2:data/2026/m2']);
+});
+
+test('merges with the feed file already in the tree', () => {
+    const existing = { version: 'https://jsonfeed.org/version/1.1', items: [item(2), item(1)] };
+    const written = withHost({ 'feeds/main.json': JSON.stringify(existing) }, () => {
+        // The same item again replaces its older copy
+        updateFeeds([item(3), { ...item(1), title: 'Added: M1 again' }], { branch: 'main', config: { ...CONFIG, limit: 50 } });
+    });
+    const feed = written['feeds/main.json'];
+    assert.deepEqual(ids(feed), ['main:c3:data/2026/m3', 'main:c1:data/2026/m1', 'main:c2:data/2026/m2']);
+    assert.equal(feed.items[1].title, 'Added: M1 again');
+});
+
+test('starts a corrupt feed file over instead of failing', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    for (const content of ['{"items": [', '"items"', '{"items": {"id": 1}}']) {
+        const written = withHost({ 'feeds/main.json': content }, () => {
+            updateFeeds([item(1)], { branch: 'main', config: CONFIG });
+        });
+        assert.deepEqual(ids(written['feeds/main.json']), ['main:c1:data/2026/m1'], content);
+    }
+    assert.equal(warn.mock.callCount(), 3);
+    assert.match(warn.mock.calls[0].arguments[0], /feeds\/main\.json is not a JSON Feed; starting it over/);
+});
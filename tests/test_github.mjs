@@ -0,0 +1,78 @@
+// Unit tests for hooks/server/lib/github.mjs (GitHub webhook deliveries)
+// Run with: node --test tests/test_github.mjs
+// tests/fixtures/github/ holds recorded deliveries with their commit IDs replaced by the fake
+// host's OLD_COMMIT and NEW_COMMIT; the tests sign each body with their own secret.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseDelivery, payloadChanges, treeChanges, verifyWebhookSignature } from '../hooks/server/lib/github.mjs';
+import { FIXTURES_DIR } from './fake-host.mjs';
+
+const SECRET = 'webhook-test-secret';
+const CONFIG = { enabled: true, path: '/hooks/github', events: ['push'], secretEnv: 'GITHUB_WEBHOOK_SECRET' };
+const PUSH = fs.readFileSync(path.join(FIXTURES_DIR, 'github/push.json'), 'utf8');
+const PING = fs.readFileSync(path.join(FIXTURES_DIR, 'github/ping.json'), 'utf8');
+
+function request(event, body, secret = SECRET) {
+    const signature = `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+    return { headers: { 'X-GitHub-Event': event, 'X-GitHub-Delivery': 'd3a1f2c0-0000-4000-8000-000000000001', 'X-Hub-Signature-256': signature }, body: Buffer.from(body) };
+}
+
+test('verifies the X-Hub-Signature-256 HMAC of the raw body', () => {
+    const { headers } = request('push', PUSH);
+    assert.equal(verifyWebhookSignature(SECRET, Buffer.from(PUSH), headers['X-Hub-Signature-256']), true);
+    assert.equal(verifyWebhookSignature(SECRET, Buffer.from(`${PUSH} `), headers['X-Hub-Signature-256']), false);
+    assert.equal(verifyWebhookSignature('other', Buffer.from(PUSH), headers['X-Hub-Signature-256']), false);
+    assert.equal(verifyWebhookSignature(SECRET, Buffer.from(PUSH), 'sha1=abc'), false);
+});
+
+test('nets the commits of a push payload into one change set', () => {
+    assert.deepEqual(payloadChanges(JSON.parse(PUSH)), [
+        { path: 'data/2026/test-movie/index.md', status: 'added', oldPath: null },
+        { path: 'data/2026/test-movie/meta.yaml', status: 'added', oldPath: null },
+    ]);
+    assert.deepEqual(payloadChanges({ commits: [{ removed: ['a'] }, { added: ['a'] }] }), [{ path: 'a', status: 'modified', oldPath: null }]);
+});
+
+test('maps a signed push onto its branch, range and changes', () => {
+    const delivery = parseDelivery(request('push', PUSH), { config: CONFIG, secret: SECRET });
+    assert.equal(delivery.status, 200);
+    assert.equal(delivery.action, 'run');
+    assert.deepEqual({ ...delivery.push, changes: delivery.push.changes.length }, {
+        branch: 'main',
+        before: '1'.repeat(40),
+        after: '2'.repeat(40),
+        message: 'add: Test Movie (2026) page',
+        changes: 2,
+        truncated: false,
+    });
+});
+
+test('answers every other delivery with a status and reason', () => {
+    const outcome = (req, options = {}) => {
+        const d = parseDelivery(req, { config: CONFIG, secret: SECRET, ...options });
+        return [d.status, d.action, d.code || d.reason];
+    };
+    const payload = JSON.parse(PUSH);
+    assert.deepEqual(outcome(request('push', PUSH, 'wrong')), [401, 'reject', 'github.signature_invalid']);
+    assert.deepEqual(outcome({ headers: { 'X-GitHub-Event': 'push' }, body: PUSH }), [401, 'reject', 'github.signature_missing']);
+    assert.deepEqual(outcome(request('push', PUSH), { secret: undefined }), [500, 'reject', 'github.secret_missing']);
+    assert.deepEqual(outcome(request('push', PUSH), { config: { ...CONFIG, enabled: false } }), [404, 'reject', 'github.disabled']);
+    assert.deepEqual(outcome(request('push', '{')), [400, 'reject', 'github.payload_invalid']);
+    assert.deepEqual(outcome(request('ping', PING)), [200, 'ack', 'Keep it logically awesome.']);
+    assert.deepEqual(outcome(request('issues', '{}')), [202, 'ignore', 'event issues is not in .relay.yaml: git.github.events']);
+    assert.deepEqual(outcome(request('push', JSON.stringify({ ...payload, ref: 'refs/tags/v1.0.0' }))), [202, 'ignore', 'refs/tags/v1.0.0 is not a branch']);
+    assert.deepEqual(outcome(request('push', JSON.stringify({ ...payload, deleted: true, after: '0'.repeat(40) }))), [202, 'ignore', 'branch main was deleted']);
+});
+
+test('diffs the trees when the payload lists only part of the push', () => {
+    const trees = { old: { a: 'x', b: 'y', c: 'z' }, new: { a: 'x', b: 'y2', d: 'w' } };
+    const changes = treeChanges('old', 'new', {
+        list: (_prefix, commit) => Object.keys(trees[commit]),
+        read: (commit, p) => Buffer.from(trees[commit][p]),
+    });
+    assert.deepEqual(changes.map((c) => [c.path, c.status]), [['b', 'modified'], ['c', 'deleted'], ['d', 'added']]);
+});
@@ -0,0 +1,102 @@
+// Unit tests for hooks/lib/hashes.mjs (info hashes and IPFS CIDs)
+// Run with: node --test tests/test_hashes.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    base32Decode,
+    base32Encode,
+    cidKey,
+    formatCidV1,
+    normalizeInfoHash,
+    parseCid,
+    parseInfoHash,
+    validateHashFields,
+} from '../hooks/lib/hashes.mjs';
+
+const V1_HEX = 'dd8255ecdc7ca55fb0bbf81323d87062db1f6d1c';
+const V1_BASE32 = '3wbfl3g4pssv7mf37ajshwdqmlnr63i4';
+const V2_HEX = 'a'.repeat(64);
+const CID_V0 = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+const CID_V1 = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+
+test('base32 round-trips and rejects stray bits', () => {
+    const bytes = Uint8Array.from([0xff, 0x00, 0x10, 0x7f, 0x80]);
+    assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+    assert.equal(base32Encode(base32Decode(V1_BASE32)), V1_BASE32);
+    assert.throws(() => base32Decode('ab'), /padding bits/);
+    assert.throws(() => base32Decode('a1'), /invalid base32 character/);
+});
+
+test('info hashes are normalized from hex, base32, urns and magnets', () => {
+    const cases = [
+        [V1_HEX, { version: 1, hex: V1_HEX }],
+        [V1_HEX.toUpperCase(), { version: 1, hex: V1_HEX }],
+        [V1_BASE32, { version: 1, hex: V1_HEX }],
+        [V1_BASE32.toUpperCase(), { version: 1, hex: V1_HEX }],
+        [`urn:btih:${V1_BASE32}`, { version: 1, hex: V1_HEX }],
+        [`magnet:?xt=urn:btih:${V1_HEX}&dn=Big+Buck+Bunny`, { version: 1, hex: V1_HEX }],
+        [V2_HEX, { version: 2, hex: V2_HEX }],
+        [`urn:btmh:1220${V2_HEX}`, { version: 2, hex: V2_HEX }],
+        [`magnet:?xt=urn:btmh:1220${V2_HEX}&xt=urn:btih:${V1_HEX}`, { version: 1, hex: V1_HEX }],
+    ];
+    for (const [input, expected] of cases) assert.deepEqual(parseInfoHash(input), expected, input);
+});
+
+test('malformed info hashes are rejected', () => {
+    for (const input of ['', V1_HEX.slice(1), `${V1_HEX}0`, V1_BASE32.slice(1), 'g'.repeat(40), `urn:btmh:1114${V2_HEX}`]) {
+        assert.throws(() => parseInfoHash(input), undefined, input);
+        assert.equal(normalizeInfoHash(input), null, input);
+    }
+});
+
+test('CIDv0 and CIDv1 decode to the same content', () => {
+    const v0 = parseCid(CID_V0);
+    assert.equal(v0.version, 0);
+    assert.equal(v0.codecName, 'dag-pb');
+    assert.equal(v0.multihash.code, 0x12);
+    assert.equal(v0.multihash.length, 32);
+    assert.equal(formatCidV1(v0.codec, v0.multihash.code, v0.multihash.digest), CID_V1);
+    assert.equal(parseCid(CID_V1).version, 1);
+    assert.equal(cidKey(CID_V0), cidKey(CID_V1));
+    assert.equal(cidKey(CID_V1.toUpperCase()), cidKey(CID_V1));
+});
+
+test('CIDs with bad multibase, codec or multihash length are rejected', () => {
+    const digest = parseCid(CID_V1).multihash.digest;
+    const cases = [
+        ['xabc', /multibase prefix/],
+        ['bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho3', /base32|digest/],
+        [formatCidV1(0x9999, 0x12, digest), /unknown multicodec/],
+        [formatCidV1(0x70, 0x12, digest.slice(0, 20)), /declares 20 bytes, expected 32/],
+        [formatCidV1(0x70, 0x4242, digest), /unknown multihash/],
+        [CID_V0.replace('Y', '0'), /invalid base58 character/],
+    ];
+    for (const [input, pattern] of cases) assert.throws(() => parseCid(input), pattern, input);
+});
+
+test('validateHashFields reports version mismatches and duplicates with pointers', () => {
+    const errors = validateHashFields({
+        hash_torrent: [
+            { hash: V1_HEX },
+            { hash: V1_BASE32, description: 'same torrent, base32' },
+            { hash: V2_HEX },
+            { hash: V2_HEX.slice(0, 40), version: 2 },
+            { hash: 'not-a-hash' },
+        ],
+        hash_ipfs: [{ hash: CID_V0 }, { hash: CID_V1 }, { hash: 'bnot' }],
+    });
+    assert.deepEqual(errors.map((e) => e.pointer), [
+        '/hash_torrent/1/hash',
+        '/hash_torrent/2/hash',
+        '/hash_torrent/3/hash',
+        '/hash_torrent/4/hash',
+        '/hash_ipfs/1/hash',
+        '/hash_ipfs/2/hash',
+    ]);
+    assert.match(errors[0].message, /duplicates \/hash_torrent\/0\/hash/);
+    assert.match(errors[1].message, /v2 info hash but the entry declares version 1/);
+    assert.match(errors[2].message, /v1 info hash but the entry declares version 2/);
+    assert.match(errors[4].message, /duplicates \/hash_ipfs\/0\/hash/);
+    assert.deepEqual(validateHashFields({ hash_torrent: [{ hash: V2_HEX, version: 2 }], hash_ipfs: [{ hash: CID_V1 }] }), []);
+});
@@ -1,74 +1,761 @@
-// Integration test for relay-template server hooks
-// Simulates the pre-receive execution environment
+// Integration tests for relay-template server hooks
+// Runs the hook scripts against the in-repo fake host (tests/fake-host.mjs) and the fixture
+// library in tests/fixtures/, so no Relay server or network is needed.
+// Run with: node --test tests/test_hooks.mjs
 
-import { spawnSync } from 'node:child_process';
-import path from 'node:path';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
 import fs from 'node:fs';
-import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { FIXTURES_DIR, NEW_COMMIT, REPO_ROOT, runHook } from './fake-host.mjs';
+import { advanceHead, chainRecord, parseSegment, verifyChain } from '../hooks/lib/audit-chain.mjs';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const REPO_ROOT = path.resolve(__dirname, '..');
-const HOOK_PATH = path.join(REPO_ROOT, 'hooks/server/pre-receive.mjs');
-const RELAY_HOST_PATH = path.resolve(REPO_ROOT, '../relay-server/src/git/RelayHost.mjs');
+const PRE_RECEIVE = 'hooks/server/pre-receive.mjs';
+const PRE_COMMIT = 'hooks/server/pre-commit.mjs';
+const INDEX = 'hooks/server/index.mjs';
+const GITHUB = 'hooks/server/github.mjs';
 
-// Mock context that would normally come from relay-hook-handler
-const mockContext = {
-    branch: 'main',
-    repo_path: REPO_ROOT,
-    old_commit: '0000000000000000000000000000000000000000',
-    new_commit: '4b4942c4f28a57933a20992d7a97ce307a585ab6',
-    files: {
-        '.relay/validation.mjs': Buffer.from(fs.readFileSync(path.join(REPO_ROOT, '.relay/validation.mjs'))).toString('base64'),
-        'data/2026/test-movie/meta.yaml': Buffer.from('title: Test Movie\nrelease_date: "2026-01-06"\ngenre: ["Action"]\n').toString('base64'),
-        'ipfs.yaml': Buffer.from('collections:\n  index:\n    - field: "torrent_cid"\n      type: "cid-v1"').toString('base64')
-    },
-    is_verified: true
+const TEST_MOVIE = 'data/2026/test-movie/meta.yaml';
+const DRAFT_MOVIE = 'data/2026/draft-movie/meta.yaml';
+const ADMIN_KEY = fs.readFileSync(path.join(REPO_ROOT, '.ssh/id_rsa.pub'), 'utf8').trim();
+// An ed25519 key that is not in .ssh/ before the push
+const INTRUDER_KEY = `ssh-ed25519 ${Buffer.concat([Buffer.from([0, 0, 0, 11]), Buffer.from('ssh-ed25519'), Buffer.from([0, 0, 0, 32]), Buffer.alloc(32, 7)]).toString('base64')} intruder`;
+const NULL_COMMIT = '0'.repeat(40);
+const GPG_FINGERPRINT = '4A3F9B2C7D1E6F0812345678ABCDEF0123456789';
+const RELAY_YAML = fs.readFileSync(path.join(REPO_ROOT, '.relay.yaml'), 'utf8');
+// The tree before the push: The Matrix and its relay_index.json rows on main and develop
+const MATRIX_INDEX = {
+    'data/1999/the-matrix/meta.yaml': 'schema_version: 3\ntitle: The Matrix\nrelease_date: "1999-03-31"\ngenre: ["Sci-Fi"]\nimdb_id: tt0133093\n',
+    'relay_index.json': JSON.stringify({
+        format: 1,
+        items: ['main', 'develop'].map((branch) => ({ _branch: branch, _meta_dir: 'data/1999/the-matrix', title: 'The Matrix', release_year: 1999, imdb_id: 'tt0133093' })),
+    }),
 };
-
-function runHook(context) {
-    console.log('--- Running Pre-Receive Hook via RelayHost Mock ---');
-    const child = spawnSync('node', [RELAY_HOST_PATH, HOOK_PATH], {
-        input: JSON.stringify(context),
-        env: {
-            ...process.env,
-            GIT_DIR: REPO_ROOT,
-            OLD_COMMIT: context.old_commit,
-            NEW_COMMIT: context.new_commit,
-            BRANCH: context.branch
-        },
-        encoding: 'utf8'
-    });
-
-    return child;
-}
-
-// Test 1: Successful Validation
-console.log('Test 1: Valid changes...');
-const res1 = runHook(mockContext);
-console.log('Stdout:', res1.stdout);
-console.log('Stderr:', res1.stderr);
-if (res1.status === 0 && res1.stdout.includes('pre-receive validation passed')) {
-    console.log('✅ Test 1 Passed');
-} else {
-    console.error('❌ Test 1 Failed');
-    process.exit(1);
+// relay_index.json before the push with data/2026/legacy-test on main, indexed under `title`
+function legacyIndex(title) {
+    return JSON.stringify({ format: 1, items: [{ _branch: 'main', _meta_dir: 'data/2026/legacy-test', title, release_year: 2026 }] });
 }
-
-// Test 2: Validation Failure (Invalid Path)
-console.log('\nTest 2: Invalid path rejection...');
-const failContext = {
-    ...mockContext,
-    files: {
-        ...mockContext.files,
-        'unauthorized.file': 'should be rejected'
+// A push to the audit branch: `before` records exist and one more is appended; edit() may tamper
+// with the pushed records
+function auditPush(before, edit) {
+    let head = null;
+    const records = [];
+    for (let i = 0; i <= before; i++) {
+        records.push(chainRecord({ time: '2026-10-01T00:00:00.000Z', hook: 'pre-receive', branch: 'main', verdict: i % 2 ? 'rejected' : 'accepted' }, head));
+        head = advanceHead(head, records[i], 'audit/2026-10.jsonl');
     }
-};
-const res2 = runHook(failContext);
-if (res2.status !== 0 && res2.stderr.includes('Path not allowed')) {
-    console.log('✅ Test 2 Passed (Correctly Rejected)');
-} else {
-    console.error('❌ Test 2 Failed:', res2.stderr);
-    process.exit(1);
+    const lines = (list) => list.map((r) => `${JSON.stringify(r)}\n`).join('');
+    const oldHead = records.slice(0, before).reduce((h, r) => advanceHead(h, r, 'audit/2026-10.jsonl'), null);
+    return {
+        base: { 'audit/2026-10.jsonl': lines(records.slice(0, before)), 'audit/head.json': JSON.stringify(oldHead) },
+        files: { 'audit/2026-10.jsonl': lines(edit(records)), 'audit/head.json': JSON.stringify(head) },
+        changes: [{ path: 'audit/2026-10.jsonl', status: 'modified' }, { path: 'audit/head.json', status: 'modified' }],
+        commits: GOOD_COMMITS,
+    };
+}
+const GOOD_COMMITS = [{ id: 'a'.repeat(40), message: 'add: Test Movie (2026)' }];
+// hooks/files.yaml with a 1 KB entry size cap, and subtitles of about `bytes` bytes
+const SMALL_ENTRY_CAP = { 'hooks/files.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/files.yaml'), 'utf8').replace('maxEntrySize: 50MB', 'maxEntrySize: 1KB') };
+const EN_VTT = 'data/2026/test-movie/assets/en.vtt';
+const DE_VTT = 'data/2026/test-movie/assets/de.vtt';
+function subtitles(bytes) {
+    return `WEBVTT\n\n00:00.000 --> 00:01.000\n${'x'.repeat(bytes - 36)}\n`;
+}
+const TEST_MOVIE_META = fs.readFileSync(path.join(FIXTURES_DIR, 'library', TEST_MOVIE), 'utf8');
+// A meta file in the format before schema_version (version 1)
+const OLD_FORMAT = 'data/2026/old-format/meta.yaml';
+const OLD_FORMAT_FILES = { [OLD_FORMAT]: 'title: Old Format\nrelease_date: "2026-05-01"\ngenres: Action, Drama\nposter_path: /old.jpg\n' };
+// hooks/client/env.json with the public TMDB values and one key that is not meant to be published
+const ENV_JSON = fs.readFileSync(path.join(REPO_ROOT, 'hooks/client/env.json'), 'utf8');
+const LEAKED_ENV_JSON = ENV_JSON.replace('{\n', `{\n  "TMDB_API_KEY": "${'0123456789abcdef'.repeat(2)}",\n`);
+// A push whose first commit leaks a key into env.json and whose second takes it out again
+const LEAK_AND_REVERT = [
+    { id: 'c'.repeat(40), message: 'chore: client settings', files: { 'hooks/client/env.json': LEAKED_ENV_JSON } },
+    { id: 'd'.repeat(40), message: 'chore: drop the server key' },
+];
+// CIDs hooks/root.ipfs records for the subtitles in media/, and a meta file naming them
+const MEDIA_CIDS = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, 'hooks/root.ipfs'), 'utf8')).files;
+const SUBTITLES = 'media/cc0-videos/flower.vtt';
+function withIpfsHash(hash) {
+    return { [TEST_MOVIE]: `schema_version: 3\ntitle: Test Movie\nrelease_date: "2026-01-06"\ngenre: ["Action"]\nhash_ipfs:\n  - hash: ${hash}\n    path: /${SUBTITLES}\n` };
 }
+// A GitHub delivery of a recorded payload (tests/fixtures/github/), signed with `secret`
+const WEBHOOK_SECRET = 'webhook-test-secret';
+function githubDelivery(event, name, { secret = WEBHOOK_SECRET, edit = (p) => p } = {}) {
+    const body = JSON.stringify(edit(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `github/${name}.json`), 'utf8'))));
+    return {
+        headers: { 'X-GitHub-Event': event, 'X-GitHub-Delivery': `delivery-${name}`, 'X-Hub-Signature-256': `sha256=${createHmac('sha256', secret).update(body).digest('hex')}` },
+        body,
+    };
+}
+const MIGRATED = 'schema_version: 3\ntitle: Old Format\nrelease_date: "2026-05-01"\ngenre: [Action, Drama]\nurl_poster: https://image.tmdb.org/t/p/w500/old.jpg\n';
+
+const CASES = [
+    {
+        name: 'valid meta.yaml passes pre-receive and is indexed',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: [TEST_MOVIE, 'data/2026/test-movie/index.md'], commits: GOOD_COMMITS },
+        status: 0,
+        stdout: 'pre-receive validation passed',
+        effects: [{ op: 'upsertIndex', branch: 'main', paths: [TEST_MOVIE] }],
+    },
+    {
+        name: 'file outside hooks/files.yaml is rejected',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', files: { 'unauthorized.file': 'should be rejected' }, changes: [TEST_MOVIE, 'unauthorized.file'], commits: GOOD_COMMITS },
+        status: 1,
+        stderr: 'Path not allowed',
+        codes: ['path.not_allowed'],
+        effects: [],
+    },
+    {
+        name: 'schema violations are reported with their pointer',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: ['data/2026/no-genre/meta.yaml'], commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['schema.required'],
+        pointers: ['/genre'],
+    },
+    {
+        name: 'meta.yaml outside its canonical directory is rejected',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: ['data/2020/elsewhere/meta.yaml'], commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['path.canonical'],
+    },
+    {
+        name: 'invalid IPFS CID is rejected',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: ['data/2026/bad-hash/meta.yaml'], commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['hash.cid_invalid'],
+    },
+    {
+        name: 'script tags in index.md are rejected',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: ['data/2026/unsafe-page/meta.yaml', 'data/2026/unsafe-page/index.md'], commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['markdown.blocked_tag'],
+    },
+    {
+        name: 'unsigned change to a protected path is rejected',
+        hook: PRE_RECEIVE,
+        scenario: { files: { 'hooks/db.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/db.yaml'), 'utf8') }, signer: false, commits: [{ id: 'b'.repeat(40), message: 'chore: touch db.yaml' }] },
+        status: 1,
+        codes: ['signature.required'],
+    },
+    {
+        name: 'protected path signed by a key that is not allowed is rejected',
+        hook: PRE_RECEIVE,
+        scenario: { files: { 'hooks/db.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/db.yaml'), 'utf8') }, signer: { valid: true, fingerprint: 'SHA256:notthekey' }, commits: [{ id: 'b'.repeat(40), message: 'chore: touch db.yaml' }] },
+        status: 1,
+        codes: ['signature.key_not_allowed'],
+    },
+    {
+        name: 'protected path signed by an allowed key passes',
+        hook: PRE_RECEIVE,
+        scenario: { files: { 'hooks/db.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/db.yaml'), 'utf8') }, signer: { valid: true, publicKey: ADMIN_KEY }, commits: [{ id: 'b'.repeat(40), message: 'chore: touch db.yaml' }] },
+        status: 0,
+        stdout: 'pre-receive validation passed',
+    },
+    {
+        name: 'protected path signed with a listed GPG key passes',
+        hook: PRE_RECEIVE,
+        scenario: {
+            // As gpg --fingerprint prints it, next to the SSH key
+            base: { '.ssh/id_rsa.pub': `${ADMIN_KEY}\n${GPG_FINGERPRINT.match(/.{4}/g).join(' ').replace(/^((?:\S+ ){4}\S+) /, '$1  ')}  maintainer\n` },
+            files: { 'hooks/db.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/db.yaml'), 'utf8') },
+            signer: { valid: true, fingerprint: GPG_FINGERPRINT.toLowerCase() },
+            commits: [{ id: 'b'.repeat(40), message: 'chore: touch db.yaml' }],
+        },
+        status: 0,
+    },
+    {
+        name: 'a GPG long key id does not match the listed fingerprint it ends with',
+        hook: PRE_RECEIVE,
+        scenario: {
+            base: { '.ssh/id_rsa.pub': `${ADMIN_KEY}\n${GPG_FINGERPRINT}\n` },
+            files: { 'hooks/db.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/db.yaml'), 'utf8') },
+            signer: { valid: true, fingerprint: `0x${GPG_FINGERPRINT.slice(-16)}` },
+            commits: [{ id: 'b'.repeat(40), message: 'chore: touch db.yaml' }],
+        },
+        status: 1,
+        codes: ['signature.unknown_key'],
+        stderr: `reported only the GPG key id ${GPG_FINGERPRINT.slice(-16)}; the full 40-digit fingerprint is needed`,
+    },
+    {
+        name: 'protected path signed with an unlisted GPG key is rejected without an SSH prefix',
+        hook: PRE_RECEIVE,
+        scenario: {
+            base: { '.ssh/id_rsa.pub': `${ADMIN_KEY}\n${GPG_FINGERPRINT}\n` },
+            files: { 'hooks/db.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/db.yaml'), 'utf8') },
+            signer: { valid: true, fingerprint: '0x0123456789ABCDEF0123456789ABCDEF01234567' },
+            commits: [{ id: 'b'.repeat(40), message: 'chore: touch db.yaml' }],
+        },
+        status: 1,
+        codes: ['signature.key_not_allowed'],
+        stderr: 'commit signed with 0123456789ABCDEF0123456789ABCDEF01234567, which is not one of',
+    },
+    {
+        name: 'first push of a branch reads signers from the default branch',
+        hook: PRE_RECEIVE,
+        scenario: {
+            branch: 'feature',
+            env: { OLD_COMMIT: NULL_COMMIT },
+            files: { '.ssh/intruder.pub': INTRUDER_KEY, 'hooks/db.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/db.yaml'), 'utf8') },
+            signer: { valid: true, publicKey: INTRUDER_KEY },
+            commits: [{ id: 'b'.repeat(40), message: 'chore: add my key' }],
+        },
+        status: 1,
+        codes: ['signature.key_not_allowed'],
+        check: ({ result }) => {
+            assert.deepEqual(result.errors.map((e) => e.path).sort(), ['.ssh/intruder.pub', 'hooks/db.yaml']);
+        },
+    },
+    {
+        name: 'first push of the default branch cannot touch protected paths without a bootstrap',
+        hook: PRE_RECEIVE,
+        scenario: { env: { OLD_COMMIT: NULL_COMMIT }, files: { '.relay.yaml': RELAY_YAML }, signer: { valid: true, publicKey: ADMIN_KEY }, commits: [{ id: 'b'.repeat(40), message: 'chore: touch .relay.yaml' }] },
+        status: 1,
+        codes: ['signature.no_base'],
+        stderr: 'bootstrap the first push with RELAY_BOOTSTRAP=1',
+    },
+    {
+        name: 'RELAY_BOOTSTRAP trusts the first push of the default branch',
+        hook: PRE_RECEIVE,
+        scenario: { env: { OLD_COMMIT: NULL_COMMIT, RELAY_BOOTSTRAP: '1' }, files: { '.relay.yaml': RELAY_YAML }, signer: { valid: true, publicKey: ADMIN_KEY }, commits: [{ id: 'b'.repeat(40), message: 'chore: touch .relay.yaml' }] },
+        status: 0,
+    },
+    {
+        name: 'commit message policy names its rule',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: [TEST_MOVIE], commits: [{ id: 'c'.repeat(40), message: 'stuff' }] },
+        status: 1,
+        codes: ['policy.commit_message'],
+        stderr: 'violates git.policies.commitMessage',
+    },
+    {
+        name: 'develop accepts a draft without genre',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: [DRAFT_MOVIE], branch: 'develop', commits: GOOD_COMMITS },
+        status: 0,
+        effects: [{ op: 'upsertIndex', branch: 'develop', paths: [DRAFT_MOVIE] }],
+    },
+    {
+        name: 'develop asks for draft: true when a draft field is missing',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: ['data/2026/no-genre/meta.yaml'], branch: 'develop', commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['schema.required'],
+        stderr: 'mark the entry draft: true',
+    },
+    {
+        name: 'main rejects draft entries',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: [DRAFT_MOVIE], commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['profile.draft', 'schema.required'],
+        pointers: ['/draft', '/genre'],
+    },
+    {
+        name: 'merging staging into main re-validates the whole promoted entry',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: ['data/2026/draft-movie/index.md'], commits: [{ id: 'e'.repeat(40), message: "Merge branch 'staging'" }] },
+        status: 1,
+        codes: ['promotion.blocked'],
+        stderr: 'merging staging into main is blocked by 1/1 promoted entries: data/2026/draft-movie',
+        check: ({ result }) => {
+            assert.ok(result.errors.every((e) => e.path === DRAFT_MOVIE && e.message.startsWith('blocks merging staging into main')));
+        },
+    },
+    {
+        name: 'complete entries promote cleanly',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: ['data/2026/test-movie/index.md'], env: { PROMOTED_FROM: 'staging' }, commits: GOOD_COMMITS },
+        status: 0,
+    },
+    {
+        name: 'near-duplicate title is rejected on main with the existing path',
+        hook: PRE_RECEIVE,
+        scenario: { base: MATRIX_INDEX, files: { 'data/1999/matrix-the/meta.yaml': 'schema_version: 3\ntitle: Matrix, The\nrelease_date: "1999-03-31"\ngenre: ["Sci-Fi"]\n' }, commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['duplicate.suspected'],
+        stderr: 'looks like a duplicate of data/1999/the-matrix (existing entry)',
+    },
+    {
+        name: 'shared imdb_id is a duplicate whatever the title',
+        hook: PRE_RECEIVE,
+        scenario: { base: MATRIX_INDEX, files: { 'data/2000/matrix-redux/meta.yaml': 'schema_version: 3\ntitle: Matrix Redux\nrelease_date: "2000-01-01"\ngenre: ["Sci-Fi"]\nimdb_id: tt0133093\n' }, commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['duplicate.suspected'],
+        stderr: 'shares imdb_id tt0133093',
+    },
+    {
+        name: 'near-duplicates are only warned about on develop',
+        hook: PRE_RECEIVE,
+        scenario: { branch: 'develop', base: MATRIX_INDEX, files: { 'data/1999/the-matrix-1999/meta.yaml': 'schema_version: 3\ntitle: the-matrix (1999)\nrelease_date: "1999-03-31"\ngenre: ["Sci-Fi"]\n' }, commits: GOOD_COMMITS },
+        status: 0,
+        stderr: '[duplicates] warning: data/1999/the-matrix-1999/meta.yaml: looks like a duplicate of data/1999/the-matrix (existing entry)',
+    },
+    {
+        name: 'near-duplicates are found among meta files relay_index.json does not list',
+        hook: PRE_RECEIVE,
+        scenario: {
+            base: { 'data/1999/the-matrix/meta.yaml': 'schema_version: 3\ntitle: The Matrix\nrelease_date: "1999-03-31"\ngenre: ["Sci-Fi"]\n' },
+            files: { 'data/1999/matrix-the/meta.yaml': 'schema_version: 3\ntitle: Matrix, The\nrelease_date: "1999-04-01"\ngenre: ["Sci-Fi"]\n' },
+            commits: GOOD_COMMITS,
+        },
+        status: 1,
+        codes: ['duplicate.suspected'],
+        stderr: 'looks like a duplicate of data/1999/the-matrix (existing entry)',
+    },
+    {
+        name: 'external IDs of unindexed meta files are compared too',
+        hook: PRE_RECEIVE,
+        scenario: {
+            base: { 'data/1999/the-matrix/meta.yaml': 'schema_version: 3\ntitle: The Matrix\nrelease_date: "1999-03-31"\ngenre: ["Sci-Fi"]\nimdb_id: tt0133093\n' },
+            files: { 'data/2000/matrix-redux/meta.yaml': 'schema_version: 3\ntitle: Matrix Redux\nrelease_date: "2000-01-01"\ngenre: ["Sci-Fi"]\nimdb_id: tt0133093\n' },
+            commits: GOOD_COMMITS,
+        },
+        status: 1,
+        codes: ['duplicate.suspected'],
+        stderr: 'shares imdb_id tt0133093',
+    },
+    {
+        name: 'a pushed relay_index.json does not hide an existing entry from the duplicates check',
+        hook: PRE_RECEIVE,
+        scenario: {
+            base: MATRIX_INDEX,
+            files: { 'relay_index.json': JSON.stringify({ format: 1, items: [] }), 'data/1999/matrix-the/meta.yaml': 'schema_version: 3\ntitle: Matrix, The\nrelease_date: "1999-03-31"\ngenre: ["Sci-Fi"]\n' },
+            signer: { valid: true, publicKey: ADMIN_KEY },
+            commits: GOOD_COMMITS,
+        },
+        status: 1,
+        codes: ['duplicate.suspected'],
+    },
+    {
+        name: 'a pushed db.yaml does not switch off the duplicates check',
+        hook: PRE_RECEIVE,
+        scenario: {
+            base: MATRIX_INDEX,
+            files: {
+                'hooks/db.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/db.yaml'), 'utf8').replace('main: reject', 'main: "off"'),
+                'data/1999/matrix-the/meta.yaml': 'schema_version: 3\ntitle: Matrix, The\nrelease_date: "1999-03-31"\ngenre: ["Sci-Fi"]\n',
+            },
+            signer: { valid: true, publicKey: ADMIN_KEY },
+            commits: GOOD_COMMITS,
+        },
+        status: 1,
+        codes: ['duplicate.suspected'],
+    },
+    {
+        name: 'unsigned changes to generated index and feed files are rejected',
+        hook: PRE_RECEIVE,
+        scenario: { files: { 'relay_index.json': JSON.stringify({ format: 1, items: [] }), 'relay_index/main.json': '{}', 'feeds/main.json': 'garbage' }, signer: false, commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['signature.required'],
+        check: ({ result }) => {
+            assert.deepEqual(result.errors.map((e) => e.path).sort(), ['feeds/main.json', 'relay_index.json', 'relay_index/main.json']);
+        },
+    },
+    {
+        name: 'accepted push is appended to the audit log branch',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: [TEST_MOVIE], commits: GOOD_COMMITS, signer: { valid: true, publicKey: ADMIN_KEY } },
+        status: 0,
+        check: ({ effects }) => {
+            const [segment, head] = effects.filter((e) => e.op === 'writeBranchFile');
+            assert.equal(segment.branch, 'audit');
+            assert.match(segment.path, /^audit\/\d{4}-\d{2}\.jsonl$/);
+            const [record] = parseSegment(segment.content);
+            assert.equal(verifyChain([record]), null);
+            assert.equal(record.verdict, 'accepted');
+            assert.equal(record.hook, 'pre-receive');
+            assert.equal(record.new_commit, NEW_COMMIT);
+            assert.match(record.signer.fingerprint, /^SHA256:/);
+            assert.deepEqual(record.paths, [{ path: TEST_MOVIE, status: 'added' }]);
+            assert.deepEqual(JSON.parse(head.content), { count: 1, hash: record.hash, segments: [{ path: segment.path, count: 1, first: 1, last: 1 }] });
+        },
+    },
+    {
+        name: 'rejected push is audited with its stage results',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: ['data/2026/bad-hash/meta.yaml'], commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['hash.cid_invalid'],
+        check: ({ effects }) => {
+            const [record] = parseSegment(effects.find((e) => e.op === 'writeBranchFile').content);
+            assert.equal(record.verdict, 'rejected');
+            assert.deepEqual(record.codes, ['hash.cid_invalid']);
+            assert.deepEqual(record.stages.find((st) => st.stage === 'hashes'), { stage: 'hashes', ok: false, skipped: false, issues: 1 });
+        },
+    },
+    {
+        name: 'audit branch accepts appended records',
+        hook: PRE_RECEIVE,
+        scenario: { branch: 'audit', ...auditPush(2, (records) => records) },
+        status: 0,
+        effects: [],
+    },
+    {
+        name: 'audit branch rejects rewritten records',
+        hook: PRE_RECEIVE,
+        scenario: { branch: 'audit', ...auditPush(2, ([first, ...rest]) => [{ ...first, branch: 'develop' }, ...rest]) },
+        status: 1,
+        codes: ['audit.rewrite'],
+    },
+    {
+        name: 'audit branch rejects records that break the chain',
+        hook: PRE_RECEIVE,
+        scenario: { branch: 'audit', ...auditPush(2, ([first, second, appended]) => [first, second, { ...appended, branch: 'develop' }]) },
+        status: 1,
+        codes: ['audit.chain'],
+    },
+    {
+        name: 'audit log files cannot be pushed to a content branch',
+        hook: PRE_RECEIVE,
+        scenario: { ...auditPush(2, (records) => records), branch: 'main' },
+        status: 1,
+        codes: ['audit.branch'],
+        check: ({ result }) => {
+            assert.deepEqual(result.errors.map((e) => e.path).sort(), ['audit/2026-10.jsonl', 'audit/head.json']);
+            assert.match(result.errors[0].message, /the audit log is kept on the audit branch; audit\/ cannot be changed on main/);
+        },
+    },
+    {
+        name: 'deleted entry is removed from the index',
+        hook: PRE_RECEIVE,
+        scenario: {
+            base: { 'data/2025/old-movie/meta.yaml': 'title: Old Movie\nrelease_date: "2025-01-01"\ngenre: ["Drama"]\n' },
+            changes: [{ path: 'data/2025/old-movie/meta.yaml', status: 'deleted' }],
+            commits: [{ id: 'd'.repeat(40), message: 'remove: data/2025/old-movie' }],
+        },
+        status: 0,
+        effects: [{ op: 'removeFromIndex', branch: 'main', dirs: ['data/2025/old-movie'] }],
+    },
+    {
+        name: 'pre-commit collects errors from every check stage',
+        hook: PRE_COMMIT,
+        scenario: { fixture: 'library', changes: ['data/2026/bad-hash/meta.yaml', 'data/2026/unsafe-page/index.md', 'data/2026/unsafe-page/meta.yaml'] },
+        status: 1,
+        codes: ['hash.cid_invalid', 'markdown.blocked_tag'],
+    },
+    {
+        name: 'pre-commit migrates an outdated meta.yaml before validating it',
+        hook: PRE_COMMIT,
+        scenario: { files: OLD_FORMAT_FILES },
+        status: 0,
+        stdout: `[migrate] ${OLD_FORMAT}: schema_version 1 -> 3`,
+        effects: [{ op: 'upsertIndex', branch: 'main', paths: [OLD_FORMAT] }],
+        check: ({ effects }) => {
+            assert.deepEqual(effects.filter((e) => e.op === 'writeFile' && e.path === OLD_FORMAT).map((e) => e.content), [MIGRATED]);
+        },
+    },
+    {
+        name: 'pre-commit reports fields a migration cannot merge',
+        hook: PRE_COMMIT,
+        scenario: { files: { [OLD_FORMAT]: 'title: Old Format\nrelease_date: "2026-05-01"\ngenres: [Action]\ngenre: [Drama]\n' } },
+        status: 1,
+        codes: ['migration.conflict', 'schema.required'],
+        stderr: 'both genres and genre are set',
+    },
+    {
+        name: 'pre-receive rejects an outdated meta.yaml with the migrations it needs',
+        hook: PRE_RECEIVE,
+        scenario: { files: OLD_FORMAT_FILES, commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['meta.outdated'],
+        pointers: ['/schema_version'],
+        stderr: 'schema_version 1 is older than 3; commit it through pre-commit or run node hooks/local/cli.mjs',
+    },
+    {
+        name: 'pre-receive rejects a schema_version newer than the repository',
+        hook: PRE_RECEIVE,
+        scenario: { files: { [OLD_FORMAT]: `schema_version: 9\n${MIGRATED.split('\n').slice(1).join('\n')}` }, commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['meta.schema_version'],
+    },
+    {
+        name: 'REINDEX=migrate rewrites outdated meta files and rebuilds the index',
+        hook: INDEX,
+        scenario: { fixture: 'library', files: OLD_FORMAT_FILES, changes: [], env: { REINDEX: 'migrate' } },
+        status: 0,
+        stdout: 'Migrated 1 meta file(s).',
+        check: ({ effects }) => {
+            const writes = effects.filter((e) => e.op === 'writeFile' && e.path.startsWith('data/'));
+            assert.deepEqual(writes.map((e) => [e.path, e.content]), [[OLD_FORMAT, MIGRATED]]);
+            const index = JSON.parse(effects.find((e) => e.op === 'writeFile' && e.path === 'relay_index.json').content);
+            assert.deepEqual(index.items.find((r) => r._meta_dir === 'data/2026/old-format').genre, ['Action', 'Drama']);
+        },
+    },
+    {
+        name: 'a private key pushed next to the public key is rejected',
+        hook: PRE_RECEIVE,
+        scenario: {
+            files: { '.ssh/id_ed25519': `${'-----BEGIN ' + 'OPENSSH PRIVATE KEY-----'}\nb3BlbnNzaC1rZXktdjEAAAAA\n-----END OPENSSH PRIVATE KEY-----\n` },
+            signer: { valid: true, publicKey: ADMIN_KEY },
+            commits: [{ id: 'e'.repeat(40), message: 'chore: add deploy key' }],
+        },
+        status: 1,
+        codes: ['secret.pem_private_key'],
+        stderr: '.ssh/id_ed25519: PEM private key -----BEGIN ' + 'OPENSSH PRIVATE KEY----- found by the pem_private_key detector',
+        check: ({ result }) => assert.deepEqual([result.errors[0].line, result.errors[0].column], [1, 1]),
+    },
+    {
+        name: 'RELAY_PUBLIC_* values pass the secret scan, other keys in env.json do not',
+        hook: PRE_RECEIVE,
+        scenario: {
+            files: { 'hooks/client/env.json': LEAKED_ENV_JSON },
+            base: { 'hooks/client/env.json': '{\n}\n' },
+            signer: { valid: true, publicKey: ADMIN_KEY },
+            commits: [{ id: 'e'.repeat(40), message: 'chore: client settings' }],
+        },
+        status: 1,
+        codes: ['secret.tmdb_api_key'],
+        check: ({ result }) => assert.deepEqual(result.errors.map((e) => [e.path, e.line]), [['hooks/client/env.json', 2]]),
+    },
+    {
+        name: 'the published client env.json passes the secret scan',
+        hook: PRE_RECEIVE,
+        scenario: {
+            files: { 'hooks/client/env.json': ENV_JSON },
+            base: { 'hooks/client/env.json': '{\n}\n' },
+            signer: { valid: true, publicKey: ADMIN_KEY },
+            commits: [{ id: 'e'.repeat(40), message: 'chore: client settings' }],
+        },
+        status: 0,
+        stdout: 'pre-receive validation passed',
+    },
+    {
+        name: 'a key one pushed commit adds and the next removes is still rejected',
+        hook: PRE_RECEIVE,
+        scenario: {
+            files: { 'hooks/client/env.json': ENV_JSON },
+            base: { 'hooks/client/env.json': '{\n}\n' },
+            signer: { valid: true, publicKey: ADMIN_KEY },
+            commits: LEAK_AND_REVERT,
+        },
+        status: 1,
+        codes: ['secret.tmdb_api_key'],
+        stderr: `found by the tmdb_api_key detector in commit ${'c'.repeat(12)}`,
+        check: ({ result }) => assert.deepEqual(result.errors.map((e) => [e.path, e.line]), [['hooks/client/env.json', 2]]),
+    },
+    {
+        name: 'without listFiles only the net change of a multi-commit push is scanned',
+        hook: PRE_RECEIVE,
+        scenario: {
+            files: { 'hooks/client/env.json': ENV_JSON },
+            base: { 'hooks/client/env.json': '{\n}\n' },
+            signer: { valid: true, publicKey: ADMIN_KEY },
+            commits: LEAK_AND_REVERT,
+            without: ['git.listFiles'],
+        },
+        status: 0,
+        stderr: '[secrets] host cannot list files (Relay.git.listFiles); only the net change of the push is scanned',
+    },
+    {
+        name: 'github: a signed push runs the pipeline and indexes the pushed entry',
+        hook: GITHUB,
+        scenario: { fixture: 'library', changes: [], request: githubDelivery('push', 'push'), env: { GITHUB_WEBHOOK_SECRET: WEBHOOK_SECRET }, commits: GOOD_COMMITS },
+        status: 0,
+        stdout: '[github] push to main (111111111111..222222222222): 2 changed files',
+        effects: [{ op: 'upsertIndex', branch: 'main', paths: [TEST_MOVIE] }],
+        check: ({ result }) => {
+            assert.deepEqual([result.ok, result.status, result.event, result.delivery, result.branch, result.changes], [true, 200, 'push', 'delivery-push', 'main', 2]);
+            assert.ok(result.stages.every((s) => s.ok));
+        },
+    },
+    {
+        name: 'github: a delivery signed with another secret is refused',
+        hook: GITHUB,
+        scenario: { fixture: 'library', changes: [], request: githubDelivery('push', 'push', { secret: 'not-the-secret' }), env: { GITHUB_WEBHOOK_SECRET: WEBHOOK_SECRET } },
+        status: 1,
+        codes: ['github.signature_invalid'],
+        effects: [],
+        check: ({ result }) => assert.equal(result.status, 401),
+    },
+    {
+        name: 'github: a pushed entry that fails validation is reported with 422',
+        hook: GITHUB,
+        scenario: {
+            fixture: 'library',
+            changes: [],
+            request: githubDelivery('push', 'push', {
+                edit: (p) => ({ ...p, commits: [{ ...p.commits[0], added: ['data/2026/no-genre/meta.yaml'] }], head_commit: null }),
+            }),
+            env: { GITHUB_WEBHOOK_SECRET: WEBHOOK_SECRET },
+            commits: GOOD_COMMITS,
+        },
+        status: 1,
+        codes: ['schema.required'],
+        pointers: ['/genre'],
+        check: ({ result }) => assert.deepEqual([result.status, result.branch], [422, 'main']),
+    },
+    {
+        name: 'github: ping is answered and a tag push is ignored',
+        hook: GITHUB,
+        scenario: { request: githubDelivery('ping', 'ping'), env: { GITHUB_WEBHOOK_SECRET: WEBHOOK_SECRET } },
+        status: 0,
+        stdout: '[github] ping delivery delivery-ping: Keep it logically awesome.',
+        check: () => {
+            const res = runHook(GITHUB, { request: githubDelivery('push', 'push', { edit: (p) => ({ ...p, ref: 'refs/tags/v1.0.0' }) }), env: { GITHUB_WEBHOOK_SECRET: WEBHOOK_SECRET } });
+            assert.equal(res.status, 0, res.stderr);
+            assert.deepEqual([res.result.status, res.result.ignored, res.result.reason], [202, true, 'refs/tags/v1.0.0 is not a branch']);
+        },
+    },
+    {
+        name: 'a hash_ipfs CID matching its path is accepted',
+        hook: PRE_COMMIT,
+        scenario: { fixture: 'library', files: withIpfsHash(MEDIA_CIDS[SUBTITLES].cid), changes: [TEST_MOVIE] },
+        status: 0,
+    },
+    {
+        name: 'a hash_ipfs CID of other content is rejected',
+        hook: PRE_COMMIT,
+        scenario: { fixture: 'library', files: withIpfsHash(MEDIA_CIDS['media/cc0-videos/flower.mp4'].cid), changes: [TEST_MOVIE] },
+        status: 1,
+        codes: ['hash.cid_mismatch'],
+        pointers: ['/hash_ipfs/0/hash'],
+        stderr: `is not the CID of ${SUBTITLES} (${MEDIA_CIDS[SUBTITLES].cid})`,
+    },
+    {
+        name: 'index hook adds new entry assets to hooks/root.ipfs',
+        hook: INDEX,
+        scenario: { fixture: 'library', files: { 'data/2026/test-movie/assets/en.vtt': 'WEBVTT\n\n00:00.000 --> 00:01.000\nHello\n' }, changes: ['data/2026/test-movie/assets/en.vtt'] },
+        status: 0,
+        stdout: '(3 files, 1 hashed).',
+        check: ({ effects }) => {
+            const manifest = JSON.parse(effects.find((e) => e.op === 'writeFile' && e.path === 'hooks/root.ipfs').content);
+            assert.deepEqual(Object.keys(manifest.files), ['data/2026/test-movie/assets/en.vtt', 'media/cc0-videos/flower.mp4', SUBTITLES]);
+            assert.equal(manifest.files[SUBTITLES].cid, MEDIA_CIDS[SUBTITLES].cid);
+            assert.match(manifest.root, /^bafybei/);
+        },
+    },
+    {
+        name: 'unique constraint matches existing entries filed under another directory',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: [TEST_MOVIE], base: { 'data/2026/legacy-test/meta.yaml': TEST_MOVIE_META }, commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['db.unique'],
+        stderr: `${TEST_MOVIE}: duplicates data/2026/legacy-test (existing entry) on title="Test Movie", release_year=2026`,
+    },
+    {
+        name: 'unique constraint ignores entries the push moves away',
+        hook: PRE_RECEIVE,
+        scenario: {
+            fixture: 'library',
+            changes: [{ path: TEST_MOVIE, status: 'renamed', oldPath: 'data/2026/legacy-test/meta.yaml' }],
+            base: { 'data/2026/legacy-test/meta.yaml': TEST_MOVIE_META },
+            commits: GOOD_COMMITS,
+        },
+        status: 0,
+    },
+    {
+        name: 'unique constraint reads only the meta files relay_index.json does not list',
+        hook: PRE_RECEIVE,
+        scenario: {
+            fixture: 'library',
+            changes: [TEST_MOVIE],
+            // The indexed row stands for its meta file, which is not parsed again
+            base: { 'data/2026/legacy-test/meta.yaml': TEST_MOVIE_META, 'relay_index.json': legacyIndex('Legacy Test') },
+            commits: GOOD_COMMITS,
+        },
+        status: 0,
+    },
+    {
+        name: 'unique constraint falls back to relay_index.json on hosts that cannot list files',
+        hook: PRE_RECEIVE,
+        scenario: { fixture: 'library', changes: [TEST_MOVIE], base: { 'relay_index.json': legacyIndex('Test Movie') }, without: ['git.listFiles'], commits: GOOD_COMMITS },
+        status: 1,
+        codes: ['db.unique'],
+        stderr: '[uniqueness] host cannot list files (Relay.git.listFiles); existing entries come from relay_index.json only',
+    },
+    {
+        name: 'entry size cap counts the assets already in the entry',
+        hook: PRE_COMMIT,
+        scenario: { fixture: 'library', files: { ...SMALL_ENTRY_CAP, [EN_VTT]: subtitles(600), [DE_VTT]: subtitles(600) }, changes: [DE_VTT] },
+        status: 1,
+        codes: ['asset.entry_size'],
+        stderr: 'data/2026/test-movie/assets/: breaks assets.maxEntrySize: 1.3 KB of entry files exceeds 1.0 KB for data/2026/test-movie',
+    },
+    {
+        name: 'entry size cap does not count assets the change deletes',
+        hook: PRE_COMMIT,
+        scenario: {
+            fixture: 'library',
+            files: { ...SMALL_ENTRY_CAP, [DE_VTT]: subtitles(600) },
+            changes: [DE_VTT, { path: EN_VTT, status: 'deleted' }],
+            base: { [EN_VTT]: subtitles(600) },
+        },
+        status: 0,
+    },
+    {
+        name: 'deleting a meta file rejects the assets left in its entry',
+        hook: PRE_COMMIT,
+        scenario: { fixture: 'orphaned', changes: [{ path: TEST_MOVIE, status: 'deleted' }], base: { [TEST_MOVIE]: TEST_MOVIE_META } },
+        status: 1,
+        codes: ['entry.orphan'],
+        stderr: `data/2026/test-movie/assets/poster.jpg: would be left without a meta file after ${TEST_MOVIE} is removed; delete or move it too`,
+    },
+    {
+        name: 'deleting a whole entry leaves no orphans',
+        hook: PRE_COMMIT,
+        scenario: {
+            fixture: 'orphaned',
+            changes: [{ path: TEST_MOVIE, status: 'deleted' }, { path: 'data/2026/test-movie/assets/poster.jpg', status: 'deleted' }],
+            base: { [TEST_MOVIE]: TEST_MOVIE_META },
+        },
+        status: 0,
+    },
+    {
+        name: 'renaming a meta file away rejects the files left behind',
+        hook: PRE_COMMIT,
+        scenario: {
+            fixture: 'orphaned',
+            files: { 'data/2026/test-movie/index.md': '# Test Movie\n', 'data/2026/test-movie-2/meta.yaml': TEST_MOVIE_META.replace('Test Movie', 'Test Movie 2') },
+            changes: [{ path: 'data/2026/test-movie-2/meta.yaml', status: 'renamed', oldPath: TEST_MOVIE }],
+            base: { [TEST_MOVIE]: TEST_MOVIE_META },
+        },
+        status: 1,
+        codes: ['entry.orphan'],
+        check: ({ result }) => {
+            assert.deepEqual(result.errors.map((e) => e.path), ['data/2026/test-movie/assets/poster.jpg', 'data/2026/test-movie/index.md']);
+        },
+    },
+    {
+        name: 'index hook writes the entry to relay_index.json',
+        hook: INDEX,
+        scenario: { fixture: 'library', changes: [TEST_MOVIE], branch: 'develop' },
+        status: 0,
+        check: ({ effects }) => {
+            const write = effects.find((e) => e.op === 'writeFile' && e.path === 'relay_index.json');
+            assert.ok(write, 'relay_index.json written');
+            const index = JSON.parse(write.content);
+            const row = index.items.find((r) => r._meta_dir === 'data/2026/test-movie');
+            assert.equal(row._branch, 'develop');
+            assert.equal(row.title, 'Test Movie');
+            assert.equal(row.release_year, 2026);
+        },
+    },
+];
 
-console.log('\nAll integration tests passed!');
+for (const c of CASES) {
+    test(c.name, () => {
+        const res = runHook(c.hook, c.scenario);
+        const output = `stdout:\n${res.stdout}\nstderr:\n${res.stderr}`;
+        assert.equal(res.status, c.status, output);
+        if (c.stdout) assert.ok(res.stdout.includes(c.stdout), output);
+        if (c.stderr) assert.ok(res.stderr.includes(c.stderr), output);
+        if (c.codes) {
+            assert.equal(res.result?.ok, false, output);
+            assert.deepEqual([...new Set(res.result.errors.map((e) => e.code))].sort(), [...c.codes].sort(), output);
+        }
+        if (c.pointers) assert.deepEqual(res.result.errors.map((e) => e.pointer), c.pointers, output);
+        if (c.effects) {
+            const index = res.effects.filter((e) => e.op === 'upsertIndex' || e.op === 'removeFromIndex');
+            assert.deepEqual(index, c.effects, output);
+        }
+        c.check?.(res);
+    });
+}
@@ -0,0 +1,42 @@
+// Unit tests for hooks/server/lib/index-file.mjs (relay_index.json rendering)
+// Run with: node --test tests/test_index_file.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalJson, contentHash, indexFileOptions, renderIndexFiles, stampRow } from '../hooks/server/lib/index-file.mjs';
+
+const ROWS = [
+    { title: 'B', _meta_dir: 'data/2002/b', _branch: 'main', _created_at: '2026-01-01T00:00:00.000Z', _updated_at: '2026-01-01T00:00:00.000Z' },
+    { _meta_dir: 'data/2001/a', title: 'A', _branch: 'main', _created_at: '2026-01-01T00:00:00.000Z', _updated_at: '2026-01-01T00:00:00.000Z' },
+    { _meta_dir: 'data/2001/a', title: 'A', _branch: 'develop', _created_at: '2026-01-01T00:00:00.000Z', _updated_at: '2026-01-01T00:00:00.000Z' },
+];
+
+test('renders the same bytes regardless of row and key order', () => {
+    const options = indexFileOptions();
+    const a = renderIndexFiles(ROWS, options);
+    const b = renderIndexFiles([...ROWS].reverse().map((row) => Object.fromEntries(Object.entries(row).reverse())), options);
+    assert.deepEqual(a, b);
+    const data = JSON.parse(a['relay_index.json']);
+    assert.deepEqual(data.items.map((row) => `${row._branch}:${row._meta_dir}`), ['develop:data/2001/a', 'main:data/2001/a', 'main:data/2002/b']);
+    assert.equal(data.hash, contentHash(ROWS));
+    assert.equal(canonicalJson({ b: 1, a: { d: 2, c: 3 } }), '{\n  "a": {\n    "c": 3,\n    "d": 2\n  },\n  "b": 1\n}\n');
+});
+
+test('shards per branch above the size threshold', () => {
+    const options = indexFileOptions({ indexFile: { shardAbove: '200B' } });
+    const files = renderIndexFiles(ROWS, options);
+    assert.deepEqual(Object.keys(files).sort(), ['relay_index.json', 'relay_index/develop.json', 'relay_index/main.json']);
+    const root = JSON.parse(files['relay_index.json']);
+    assert.equal(root.hash, contentHash(ROWS));
+    assert.deepEqual(root.shards.map((s) => [s.branch, s.count]), [['develop', 1], ['main', 2]]);
+    assert.equal(JSON.parse(files['relay_index/main.json']).hash, root.shards[1].hash);
+    assert.throws(() => indexFileOptions({ indexFile: { shardAbove: 'big' } }), /must be a size/);
+});
+
+test('keeps timestamps stable unless the content changes', () => {
+    const before = { _meta_dir: 'd', title: 'A', _created_at: '2026-01-06T16:47:40.318Z', _updated_at: '2026-01-06T16:47:40.315Z' };
+    const now = '2026-02-01T00:00:00.000Z';
+    assert.deepEqual(stampRow({ _meta_dir: 'd', title: 'A' }, before, now), { ...before, _created_at: '2026-01-06T16:47:40.315Z' });
+    assert.deepEqual(stampRow({ _meta_dir: 'd', title: 'B' }, before, now), { _meta_dir: 'd', title: 'B', _created_at: '2026-01-06T16:47:40.318Z', _updated_at: now });
+    assert.deepEqual(stampRow({ _meta_dir: 'd' }, undefined, now), { _meta_dir: 'd', _created_at: now, _updated_at: now });
+});
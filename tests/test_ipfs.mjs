@@ -0,0 +1,167 @@
+// Unit tests for hooks/server/lib/unixfs.mjs and ipfs.mjs (offline UnixFS CIDs and the root.ipfs manifest)
+// Run with: node --test tests/test_ipfs.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { readVarint } from '../hooks/lib/hashes.mjs';
+import { buildManifest, findContentCidErrors, loadManifestConfig, resolveContentPath, updateManifest, verifyContentCid } from '../hooks/server/lib/ipfs.mjs';
+import { carFile, directoryDag, directoryNode, fileDag, formatCid } from '../hooks/server/lib/unixfs.mjs';
+import { REPO_ROOT, createFakeHost } from './fake-host.mjs';
+
+const CONFIG = { path: 'hooks/root.ipfs', include: ['media/**', 'data/**/assets/**'], chunkSize: 256 * 1024, car: null };
+
+function repoRead(p) {
+    const file = path.join(REPO_ROOT, p);
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+}
+
+function memoryTree(files) {
+    const list = (prefix) => Object.keys(files).filter((p) => !prefix || p.startsWith(`${prefix}/`)).sort();
+    const readFile = (p) => (files[p] === undefined ? null : Buffer.from(files[p]));
+    return { list, readFile };
+}
+
+test('matches the CIDs ipfs add gives well-known content', () => {
+    assert.equal(formatCid(fileDag('').cid), 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku');
+    assert.equal(formatCid(fileDag('', { cidVersion: 0 }).cid), 'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH');
+    assert.equal(formatCid(fileDag('hello world\n', { cidVersion: 0 }).cid), 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o');
+    assert.equal(formatCid(directoryNode({}).cid), 'bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354');
+    assert.equal(formatCid(directoryNode({}, { cidVersion: 0 }).cid), 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn');
+});
+
+test('chunks files into a balanced tree whose tsize counts every block', () => {
+    const blocks = [];
+    const dag = fileDag('abcdefghij', { chunkSize: 2, maxLinks: 2, onBlock: (cid, bytes) => blocks.push({ cid, bytes }) });
+    // 5 raw leaves, 3 + 2 + 1 parent nodes
+    assert.equal(blocks.length, 11);
+    assert.equal(dag.size, 10);
+    assert.equal(dag.tsize, blocks.reduce((sum, b) => sum + b.bytes.length, 0));
+    assert.deepEqual(blocks[blocks.length - 1].cid, dag.cid);
+    assert.equal(formatCid(fileDag('ab', { chunkSize: 2 }).cid).slice(0, 6), 'bafkre');
+    assert.equal(formatCid(fileDag('abc', { chunkSize: 2 }).cid).slice(0, 6), 'bafybe');
+});
+
+test('directories nest by path and do not depend on insertion order', () => {
+    const a = fileDag('a');
+    const b = fileDag('b');
+    const one = directoryDag({ 'x/a.txt': a, 'x/y/b.txt': b });
+    const two = directoryDag({ 'x/y/b.txt': b, 'x/a.txt': a });
+    assert.deepEqual(one, two);
+    const inner = directoryNode({ 'a.txt': a, y: directoryNode({ 'b.txt': b }) });
+    assert.deepEqual(one.cid, directoryNode({ x: inner }).cid);
+    assert.throws(() => directoryDag({ x: a, 'x/a.txt': a }), /both a file and a directory/);
+});
+
+test('CAR files list the root and every block once under its own CID', () => {
+    const blocks = [];
+    const dag = fileDag('abcdefghij', { chunkSize: 4, onBlock: (cid, bytes) => blocks.push({ cid, bytes }) });
+    const car = carFile(dag.cid, [...blocks, blocks[0]]);
+    const [headerLength, h] = readVarint(car, 0);
+    const header = car.subarray(h, h + headerLength);
+    assert.ok(header.includes(Buffer.concat([Buffer.from([0x00]), dag.cid])));
+    assert.ok(header.includes(Buffer.from('version')));
+    const sections = [];
+    for (let offset = h + headerLength; offset < car.length;) {
+        const [length, n] = readVarint(car, offset);
+        const section = car.subarray(offset + n, offset + n + length);
+        const [, a] = readVarint(section, 0);
+        const [, b] = readVarint(section, a);
+        const cid = section.subarray(0, a + b + 34);
+        const bytes = section.subarray(a + b + 34);
+        assert.deepEqual(cid.subarray(-32), createHash('sha256').update(bytes).digest());
+        sections.push(formatCid(cid));
+        offset += n + length;
+    }
+    assert.deepEqual(sections, blocks.map((blk) => formatCid(blk.cid)));
+});
+
+test('hooks/root.ipfs is the manifest of the media in the repository', () => {
+    globalThis.Relay = createFakeHost();
+    try {
+        const config = loadManifestConfig(repoRead);
+        assert.deepEqual(config, CONFIG);
+        const { manifest } = buildManifest(config, { readFile: repoRead });
+        assert.deepEqual(JSON.parse(repoRead(config.path)), manifest);
+        assert.equal(manifest.files['media/cc0-videos/flower.vtt'].size, 77);
+    } finally {
+        delete globalThis.Relay;
+    }
+});
+
+test('unchanged files keep their recorded CIDs', () => {
+    const tree = memoryTree({ 'media/a.txt': 'a', 'media/b.txt': 'b', 'data/2026/x/assets/c.vtt': 'WEBVTT\n', 'data/2026/x/meta.yaml': 'title: X\n' });
+    const { manifest: previous, hashed } = buildManifest(CONFIG, tree);
+    assert.deepEqual(hashed, ['data/2026/x/assets/c.vtt', 'media/a.txt', 'media/b.txt']);
+    const stale = { ...previous, files: { ...previous.files, 'media/a.txt': { cid: formatCid(fileDag('old').cid), size: 3, tsize: 3 } } };
+    const next = buildManifest(CONFIG, { ...tree, previous: stale, changed: new Set(['media/b.txt']) });
+    assert.deepEqual(next.hashed, ['media/b.txt']);
+    assert.equal(next.manifest.files['media/a.txt'].size, 3);
+    assert.notEqual(next.manifest.root, previous.root);
+    // Other UnixFS options invalidate every entry
+    const rechunked = buildManifest({ ...CONFIG, chunkSize: 1024 }, { ...tree, previous, changed: new Set() });
+    assert.equal(rechunked.hashed.length, 3);
+});
+
+test('updateManifest writes the manifest and the CAR file only when asked to', () => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-ipfs-'));
+    globalThis.Relay = createFakeHost({ env: { RELAY_STATE_DIR: stateDir } });
+    try {
+        const files = { 'media/a.txt': 'a' };
+        const writes = [];
+        const tree = memoryTree(files);
+        const write = (p, text) => {
+            writes.push(p);
+            files[p] = text;
+        };
+        const options = { ...tree, config: { ...CONFIG, car: 'root.car' }, write };
+        const first = updateManifest([{ path: 'media/a.txt', status: 'added' }], options);
+        assert.deepEqual(writes, ['hooks/root.ipfs']);
+        assert.equal(first.car, path.join(stateDir, 'root.car'));
+        assert.ok(fs.readFileSync(first.car).includes(Buffer.from('a')));
+        assert.equal(updateManifest([{ path: 'data/2026/x/meta.yaml', status: 'modified' }], options), null);
+        assert.equal(updateManifest(null, options).written, false);
+        assert.deepEqual(writes, ['hooks/root.ipfs']);
+    } finally {
+        delete globalThis.Relay;
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+});
+
+test('hash_ipfs CIDs are checked in every layout ipfs add produces', () => {
+    const content = Buffer.alloc(300 * 1024, 7);
+    const raw = formatCid(fileDag(content).cid);
+    const dagPb = formatCid(fileDag(content, { rawLeaves: false }).cid);
+    const v0 = formatCid(fileDag(content, { cidVersion: 0 }).cid);
+    for (const cid of [raw, dagPb, v0]) assert.equal(verifyContentCid(cid, content).ok, true, cid);
+    assert.deepEqual(verifyContentCid(raw, Buffer.from('other')), { ok: false, computed: formatCid(fileDag('other').cid) });
+    // identity multihash
+    assert.match(verifyContentCid('bafkqaaa', content).reason, /not sha2-256/);
+});
+
+test('hash_ipfs paths resolve inside the repository', () => {
+    assert.equal(resolveContentPath('data/2026/x', 'assets/a.vtt'), 'data/2026/x/assets/a.vtt');
+    assert.equal(resolveContentPath('data/2026/x', './assets/../poster.jpg'), 'data/2026/x/poster.jpg');
+    assert.equal(resolveContentPath('data/2026/x', '/media/a.mp4'), 'media/a.mp4');
+    assert.equal(resolveContentPath('data/2026/x', '../../../../etc/passwd'), null);
+});
+
+test('reports hash_ipfs entries that do not match their file', () => {
+    const { readFile } = memoryTree({ 'data/2026/x/assets/a.vtt': 'WEBVTT\n' });
+    const cid = formatCid(fileDag('WEBVTT\n').cid);
+    const doc = {
+        hash_ipfs: [
+            { hash: cid, path: 'assets/a.vtt' },
+            { hash: formatCid(fileDag('other').cid), path: 'assets/a.vtt' },
+            { hash: cid, path: 'assets/missing.vtt' },
+            { hash: 'not-a-cid', path: 'assets/a.vtt' },
+            { hash: cid },
+        ],
+    };
+    const errors = findContentCidErrors('data/2026/x/meta.yaml', 'data/2026/x', doc, readFile);
+    assert.deepEqual(errors.map((e) => [e.code, e.pointer]), [['hash.cid_mismatch', '/hash_ipfs/1/hash'], ['hash.cid_path', '/hash_ipfs/2/path']]);
+    assert.match(errors[0].message, new RegExp(`is not the CID of data/2026/x/assets/a.vtt \\(${cid}\\)`));
+});
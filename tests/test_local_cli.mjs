@@ -0,0 +1,86 @@
+// Integration tests for hooks/local/cli.mjs (hooks run against a local checkout)
+// Run with: node --test tests/test_local_cli.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const COPIED = ['.relay.yaml', '.relay', '.ssh', 'hooks/server', 'hooks/lib', 'hooks/local', 'hooks/migrations', 'hooks/files.yaml', 'hooks/db.yaml', 'hooks/meta.schema.yaml'];
+const META = 'schema_version: 3\ntitle: X\nrelease_date: "2001-01-01"\ngenre: [A]\n';
+
+function sh(cwd, cmd, args) {
+    const res = spawnSync(cmd, args, { cwd, encoding: 'utf8', env: { ...process.env, GIT_CONFIG_COUNT: '0' } });
+    return { status: res.status, out: `${res.stdout}${res.stderr}` };
+}
+
+function checkout() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-cli-'));
+    for (const rel of COPIED) fs.cpSync(path.join(REPO_ROOT, rel), path.join(dir, rel), { recursive: true });
+    const git = (...args) => sh(dir, 'git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', '-c', 'commit.gpgsign=false', ...args]);
+    git('init', '-q', '-b', 'main');
+    git('add', '-A');
+    git('commit', '-qm', 'chore: base');
+    const write = (rel, content) => {
+        fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+        fs.writeFileSync(path.join(dir, rel), content);
+    };
+    const cli = (...args) => sh(dir, process.execPath, [path.join(dir, 'hooks/local/cli.mjs'), ...args]);
+    return { dir, git, write, cli };
+}
+
+test('rejects a staged file outside hooks/files.yaml and passes once it is unstaged', (t) => {
+    const repo = checkout();
+    t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+    repo.write('data/2001/x/meta.yaml', META);
+    repo.write('bad.bin', 'x');
+    repo.git('add', '-A');
+    let res = repo.cli('--staged');
+    assert.equal(res.status, 1, res.out);
+    assert.match(res.out, /bad\.bin: Path not allowed/);
+    assert.match(res.out, /\[local\] pre-commit: failed/);
+
+    repo.git('rm', '-q', '--cached', 'bad.bin');
+    res = repo.cli('--staged');
+    assert.equal(res.status, 0, res.out);
+    assert.match(res.out, /pre-commit validation passed/);
+    assert.match(res.out, /upsert data\/2001\/x\/meta\.yaml \(not applied locally\)/);
+});
+
+test('checks a commit range with pre-receive, including commit message policy', (t) => {
+    const repo = checkout();
+    t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+    repo.write('data/2001/x/meta.yaml', META);
+    repo.git('add', '-A');
+    repo.git('commit', '-qm', 'whatever');
+    let res = repo.cli('--range', 'HEAD~1..HEAD');
+    assert.equal(res.status, 1, res.out);
+    assert.match(res.out, /violates git\.policies\.commitMessage/);
+
+    repo.git('commit', '-q', '--amend', '-m', 'add: X (2001)');
+    res = repo.cli('--range', 'HEAD~1..HEAD');
+    assert.equal(res.status, 0, res.out);
+    assert.match(res.out, /pre-receive validation passed/);
+});
+
+test('migrates every outdated meta file of the checkout with --reindex migrate', (t) => {
+    const repo = checkout();
+    t.after(() => fs.rmSync(repo.dir, { recursive: true, force: true }));
+    repo.write('data/2001/x/meta.yaml', META);
+    repo.write('data/2002/y/meta.yaml', 'title: Y\nrelease_date: "2002-01-01"\ngenres: Drama, Crime\nposter_path: /y.jpg\n');
+    repo.git('add', '-A');
+    repo.git('commit', '-qm', 'add: X and Y');
+    const res = repo.cli('--worktree', '--hook', 'index', '--reindex', 'migrate', '--write');
+    assert.equal(res.status, 0, res.out);
+    assert.match(res.out, /data\/2002\/y\/meta\.yaml: schema_version 1 -> 3/);
+    assert.match(res.out, /Migrated 1 meta file/);
+    assert.equal(fs.readFileSync(path.join(repo.dir, 'data/2001/x/meta.yaml'), 'utf8'), META);
+    assert.equal(
+        fs.readFileSync(path.join(repo.dir, 'data/2002/y/meta.yaml'), 'utf8'),
+        'schema_version: 3\ntitle: "Y"\nrelease_date: "2002-01-01"\ngenre: [Drama, Crime]\nurl_poster: https://image.tmdb.org/t/p/w500/y.jpg\n',
+    );
+});
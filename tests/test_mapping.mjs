@@ -0,0 +1,75 @@
+// Unit tests for hooks/server/lib/mapping.mjs (db.yaml mapping engine)
+// Run with: node --test tests/test_mapping.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DERIVE_FUNCTIONS, coerce, compileMapping, mapRow, readSource } from '../hooks/server/lib/mapping.mjs';
+
+const MAPPING = compileMapping([
+    { name: 'title', from: '$.title', type: 'string' },
+    { name: 'release_date', from: '$.release_date', type: 'date' },
+    { name: 'release_year', derive: { fn: 'year', args: [{ from: '$.release_date', type: 'string' }] } },
+    { name: 'slug', derive: { fn: 'slug', args: [{ from: '$.title' }] } },
+    { name: 'genre', from: '$.genre', type: 'array[string]' },
+    { name: 'genre_count', derive: { fn: 'count', args: [{ from: '$.genre' }] }, type: 'integer' },
+    { name: 'first_seeder', from: '$.hash_torrent[0].seeders', type: 'integer' },
+    { name: 'meta_dir', from: '$meta_dir', type: 'string' },
+]);
+
+test('maps a meta document to an index row', () => {
+    const doc = {
+        title: 'The Movie: Part 2',
+        release_date: '2026-01-06',
+        genre: ['Action', 'Drama'],
+        hash_torrent: [{ seeders: '12' }],
+    };
+    const { row, errors } = mapRow(doc, MAPPING, { metaDir: 'data/2026/the-movie-part-2', branch: 'main' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(row, {
+        _branch: 'main',
+        _meta_dir: 'data/2026/the-movie-part-2',
+        title: 'The Movie: Part 2',
+        release_date: '2026-01-06',
+        release_year: 2026,
+        slug: 'the-movie-part-2',
+        genre: ['Action', 'Drama'],
+        genre_count: 2,
+        first_seeder: 12,
+        meta_dir: 'data/2026/the-movie-part-2',
+    });
+});
+
+test('missing values map to null and uncoercible ones are reported with their pointer', () => {
+    const { row, errors } = mapRow({ title: { en: 'x' }, release_date: '2026-13-01', genre: ['Action', {}] }, MAPPING, { metaDir: 'd', branch: 'main' });
+    assert.equal(row.title, null);
+    assert.equal(row.release_date, null);
+    assert.equal(row.genre, null);
+    assert.equal(row.first_seeder, null);
+    assert.deepEqual(errors.map((e) => e.pointer), ['/title', '/release_date', '/genre']);
+    assert.match(errors[2].message, /item 1 cannot be read as string/);
+});
+
+test('coerces scalars and arrays', () => {
+    assert.equal(coerce(2026, 'string'), '2026');
+    assert.equal(coerce('3.5', 'number'), 3.5);
+    assert.throws(() => coerce('3.5', 'integer'), /cannot be read as integer/);
+    assert.equal(coerce('false', 'boolean'), false);
+    assert.equal(coerce(2026, 'date'), '2026');
+    assert.deepEqual(coerce('Action', 'array[string]'), ['Action']);
+    assert.throws(() => coerce('x', 'array[strin]'), /unknown type/);
+});
+
+test('reads JSONPath-like sources', () => {
+    const doc = { a: { 'b.c': [{ d: 1 }, { d: 2 }] } };
+    assert.deepEqual(readSource(doc, "$.a['b.c'][*].d"), { value: [1, 2], pointer: '/a/b.c/*' });
+    assert.deepEqual(readSource(doc, '$.a.x'), { value: undefined, pointer: '/a/x' });
+    assert.deepEqual(readSource(doc, '$branch', { branch: 'main' }), { value: 'main', pointer: '' });
+});
+
+test('rejects broken mapping configuration', () => {
+    assert.throws(() => compileMapping([{ name: 'x', derive: { fn: 'nope' } }]), /unknown derive function "nope"/);
+    assert.throws(() => compileMapping([{ name: 'x', from: 'title' }]), /must start with "\$"/);
+    assert.throws(() => compileMapping([{ name: '_branch', from: '$.x' }]), /reserved/);
+    assert.throws(() => compileMapping([{ name: 'x', from: '$.x', type: 'text' }]), /unknown type/);
+    assert.deepEqual(Object.keys(DERIVE_FUNCTIONS).sort(), ['count', 'lowercase', 'slug', 'year']);
+});
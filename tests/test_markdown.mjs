@@ -0,0 +1,90 @@
+// Unit tests for hooks/server/lib/markdown.mjs (unsafe HTML, components and relative links in index.md)
+// Run with: node --test tests/test_markdown.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { checkMarkdown, findMarkdownIssues, loadMarkdownConfig } from '../hooks/server/lib/markdown.mjs';
+import { REPO_ROOT, createFakeHost } from './fake-host.mjs';
+
+const PAGE = 'data/2026/x/index.md';
+const CONFIG = { components: { VideoPlayer: ['src', 'subtitles', 'poster', 'controls'] } };
+const TREE = new Set([PAGE, 'data/2026/x/meta.yaml', 'data/2026/x/assets/poster.jpg', 'data/2020/elsewhere/meta.yaml', 'media/a.mp4']);
+const readFile = (p) => (TREE.has(p) ? Buffer.from('x') : null);
+
+function check(text) {
+    return checkMarkdown(PAGE, text, CONFIG, readFile).map((e) => `${e.line}:${e.column} ${e.code}`);
+}
+
+test('script-capable tags are blocked whatever their case', () => {
+    assert.deepEqual(check('<script>alert(1)</script>\n\ntext <IFRAME src="x"></IFRAME> <svg onload=x>'), [
+        '1:1 markdown.blocked_tag',
+        '3:6 markdown.blocked_tag',
+        '3:32 markdown.blocked_tag',
+    ]);
+    const [blocked] = checkMarkdown(PAGE, '<Style>', CONFIG, readFile);
+    assert.equal(blocked.message, '<style> is not allowed in markdown');
+});
+
+test('on* attributes are rejected on any tag', () => {
+    assert.deepEqual(check('<img src="assets/poster.jpg" onerror="x">\n<div\n  ONCLICK={go}>'), ['1:30 markdown.event_handler', '3:3 markdown.event_handler']);
+    assert.deepEqual(check('<VideoPlayer src="/media/a.mp4" onPlay={x} />'), ['1:33 markdown.event_handler']);
+});
+
+test('javascript:, vbscript: and non-image data: URLs are rejected, however they are spelled', () => {
+    assert.deepEqual(check('[a](javascript:alert(1))'), ['1:1 markdown.url_scheme']);
+    assert.deepEqual(check('<a href="&#106;ava&#x73;cript&colon;x">a</a>'), ['1:4 markdown.url_scheme']);
+    assert.deepEqual(check('<a href=" java\tscript:x">a</a>'), ['1:4 markdown.url_scheme']);
+    assert.deepEqual(check('<https://example.com> <vbscript:msgbox>'), ['1:23 markdown.url_scheme']);
+    assert.deepEqual(check('![a](data:text/html;base64,PHNjcmlwdD4=)\n![b](data:image/png;base64,iVBORw0KGgo=)'), ['1:1 markdown.url_scheme']);
+    assert.deepEqual(check('<VideoPlayer poster={"javascript:x"} />'), ['1:14 markdown.url_scheme']);
+    assert.deepEqual(check('[ok](https://example.com/javascript:x)'), []);
+});
+
+test('only declared components and props are allowed', () => {
+    assert.deepEqual(check('<VideoPlayer src="/media/a.mp4" controls />'), []);
+    const errors = checkMarkdown(PAGE, '<Tracker id="1" />\n<VideoPlayer src="/media/a.mp4" autoPlay />', CONFIG, readFile);
+    assert.deepEqual(errors.map((e) => [e.code, e.message]), [
+        ['markdown.component', 'component <Tracker> is not allowed (allowed: VideoPlayer)'],
+        ['markdown.component_prop', '<VideoPlayer> does not accept prop autoPlay (allowed: src, subtitles, poster, controls)'],
+    ]);
+    assert.equal(checkMarkdown(PAGE, '<Tracker />', { components: {} }, readFile)[0].message, 'component <Tracker> is not allowed (allowed: none)');
+});
+
+test('relative links and images must exist in the tree', () => {
+    assert.deepEqual(check('![p](assets/poster.jpg) [m](./meta.yaml) [e](../../2020/elsewhere/) [r](/browse) [f](#cast)'), []);
+    const errors = checkMarkdown(PAGE, '![p](assets/missing.jpg)\n[e](../../2020/nowhere/)\n[u](../../../../etc/passwd)\n[ref]: <assets/x%20y.vtt>', CONFIG, readFile);
+    assert.deepEqual(errors.map((e) => [e.code, e.message]), [
+        ['markdown.broken_image', 'image assets/missing.jpg points to data/2026/x/assets/missing.jpg, which does not exist'],
+        ['markdown.broken_link', 'link ../../2020/nowhere/ points to data/2020/nowhere, which does not exist'],
+        ['markdown.broken_link', 'link ../../../../etc/passwd points outside the repository'],
+        ['markdown.broken_link', 'link <assets/x%20y.vtt> points to data/2026/x/assets/x y.vtt, which does not exist'],
+    ]);
+    assert.deepEqual(check('<img src="assets/gone.png">'), ['1:6 markdown.broken_image']);
+});
+
+test('code blocks, code spans and comments are not checked', () => {
+    assert.deepEqual(check('```html\n<script>x</script>\n```\n\n`<iframe>` <!-- <Tracker /> [x](missing.md) -->\n\n~~~\n[a](javascript:x)\n~~~'), []);
+});
+
+test('code spans and inline comments end at a blank line', () => {
+    assert.deepEqual(check('a ` b\n\n<script>alert(1)</script>\n\nc ` d'), ['3:1 markdown.blocked_tag']);
+    assert.deepEqual(check('a <!-- b\n\n<script>alert(1)</script>\n\n--> c'), ['3:1 markdown.blocked_tag']);
+    // Within a paragraph a span may still cross a line break, and a comment opening a line may cross blank lines
+    assert.deepEqual(check('a `<script>\nx</script>` b\n\n<!--\n\n<script>x</script>\n\n-->'), []);
+});
+
+test('findMarkdownIssues checks the index.md pages of a change set with the files.yaml components', () => {
+    globalThis.Relay = createFakeHost();
+    try {
+        const files = { [PAGE]: '<VideoPlayer src="/media/a.mp4" autoPlay />\n<Tracker />', 'hooks/files.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/files.yaml')) };
+        const read = (p) => (files[p] === undefined ? null : Buffer.from(files[p]));
+        assert.deepEqual(Object.keys(loadMarkdownConfig(read).components), ['VideoPlayer']);
+        const errors = findMarkdownIssues([{ path: PAGE, status: 'added' }, { path: 'data/2026/x/meta.yaml', status: 'added' }], read);
+        assert.deepEqual(errors.map((e) => e.code), ['markdown.component']);
+        assert.deepEqual(findMarkdownIssues([{ path: 'README.md', status: 'modified' }], read), []);
+    } finally {
+        delete globalThis.Relay;
+    }
+});
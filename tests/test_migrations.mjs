@@ -0,0 +1,94 @@
+// Unit tests for hooks/server/lib/migrations.mjs and yaml-writer.mjs (schema_version migrations)
+// Run with: node --test tests/test_migrations.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { CURRENT_SCHEMA_VERSION, checkMigrations, documentVersion, migrateDocument, migrateLibrary } from '../hooks/server/lib/migrations.mjs';
+import { toYaml } from '../hooks/server/lib/yaml-writer.mjs';
+import { REPO_ROOT, createFakeHost } from './fake-host.mjs';
+
+const RENAME = { version: 2, description: 'rename', steps: [{ op: 'rename', from: 'a', to: 'b' }] };
+const SPLIT = { version: 3, description: 'split', steps: [{ op: 'split', field: 'b', separator: '|' }] };
+const DEFAULT = { version: 4, description: 'default', steps: [{ op: 'default', field: 'c', value: [] }] };
+
+test('the schema const matches the last migration', () => {
+    const schema = fs.readFileSync(path.join(REPO_ROOT, 'hooks/meta.schema.yaml'), 'utf8');
+    assert.match(schema, new RegExp(`schema_version:\\n\\s+type: integer\\n\\s+const: ${CURRENT_SCHEMA_VERSION}\\n`));
+});
+
+test('migrations must be consecutive and use known ops', () => {
+    assert.equal(checkMigrations([RENAME, SPLIT]).length, 2);
+    assert.throws(() => checkMigrations([SPLIT]), /must have version 2/);
+    assert.throws(() => checkMigrations([{ ...RENAME, steps: [{ op: 'drop', field: 'a' }] }]), /unknown op drop/);
+    assert.throws(() => checkMigrations([{ ...RENAME, steps: [{ op: 'rename', from: 'a' }] }]), /rename step needs to/);
+});
+
+test('runs the pending migrations in order and keeps field positions', () => {
+    const result = migrateDocument({ title: 'T', a: 'x | y |', z: 1 }, [RENAME, SPLIT, DEFAULT]);
+    assert.deepEqual(result.applied.map((m) => m.version), [2, 3, 4]);
+    assert.deepEqual(Object.entries(result.doc), [['schema_version', 4], ['title', 'T'], ['b', ['x', 'y']], ['z', 1], ['c', []]]);
+    assert.deepEqual(migrateDocument({ schema_version: 3, b: 'p|q', c: 'kept' }, [RENAME, SPLIT, DEFAULT]).doc, { schema_version: 4, b: 'p|q', c: 'kept' });
+});
+
+test('reports conflicts and invalid versions instead of guessing', () => {
+    const conflict = migrateDocument({ a: 'x', b: 'y' }, [RENAME]);
+    assert.deepEqual(conflict.conflicts, [{ pointer: '/a', message: 'migration 2 (rename): both a and b are set; keep one of them' }]);
+    assert.deepEqual(migrateDocument({ a: 'x', b: 'x' }, [RENAME]).conflicts, []);
+    assert.match(migrateDocument({ schema_version: 7 }, [RENAME]).error, /7 is newer than this repository's schema \(2\)/);
+    assert.equal(documentVersion({ schema_version: '2' }), null);
+    assert.equal(documentVersion({}), 1);
+});
+
+test('prefixes TMDB image paths but keeps full URLs', () => {
+    const { doc } = migrateDocument({ poster_path: '/p.jpg', backdrop_path: 'https://example.com/b.jpg', genres: 'Action' });
+    assert.deepEqual(doc, { schema_version: CURRENT_SCHEMA_VERSION, url_poster: 'https://image.tmdb.org/t/p/w500/p.jpg', url_backdrop: 'https://example.com/b.jpg', genre: ['Action'] });
+});
+
+test('writes YAML that reads back to the same document', () => {
+    const { utils } = createFakeHost();
+    const doc = {
+        schema_version: 3,
+        title: 'Matrix, The: #1',
+        release_date: '1999-03-31',
+        genre: ['Sci-Fi', 'Action, Drama', 'yes'],
+        overview: 'Line one\nline "two"',
+        tmdb_id: 603,
+        draft: false,
+        note: null,
+        hash_ipfs: [{ hash: 'bafy', description: '1080p' }],
+        extra: { nested: { list: [] } },
+    };
+    const text = toYaml(doc);
+    assert.match(text, /^schema_version: 3\ntitle: "Matrix, The: #1"\nrelease_date: "1999-03-31"\ngenre: \[Sci-Fi, "Action, Drama", "yes"\]\n/);
+    assert.match(text, /\nhash_ipfs:\n {2}- hash: bafy\n {4}description: "1080p"\n/);
+    assert.deepEqual(utils.parseYaml(Buffer.from(text)), doc);
+});
+
+test('migrates the library all or nothing', () => {
+    const files = {
+        'data/2001/a/meta.yaml': 'title: A\ngenres: [X]\n',
+        'data/2002/b/meta.yaml': `schema_version: ${CURRENT_SCHEMA_VERSION}\ntitle: B\n`,
+        'data/2003/c/meta.yaml': 'title: C\ngenres: [X]\ngenre: [Y]\n',
+    };
+    const { utils } = createFakeHost();
+    globalThis.Relay = { utils };
+    try {
+        const written = {};
+        const run = (names) => migrateLibrary({
+            list: () => names,
+            readFile: (p) => (files[p] ? Buffer.from(files[p]) : null),
+            write: (p, text) => { written[p] = text; },
+        });
+        const failed = run(Object.keys(files));
+        assert.deepEqual(failed.issues.map((e) => [e.path, e.code]), [['data/2003/c/meta.yaml', 'migration.conflict']]);
+        assert.deepEqual(written, {});
+
+        const ok = run(Object.keys(files).slice(0, 2));
+        assert.deepEqual(ok.migrated, [{ path: 'data/2001/a/meta.yaml', from: 1 }]);
+        assert.deepEqual(written, { 'data/2001/a/meta.yaml': `schema_version: ${CURRENT_SCHEMA_VERSION}\ntitle: A\ngenre: [X]\n` });
+    } finally {
+        delete globalThis.Relay;
+    }
+});
@@ -0,0 +1,89 @@
+// Unit tests for the files.yaml path rules in .relay/validation.mjs (globMatch, checkPathRules)
+// Run with: node --test tests/test_paths.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { REPO_ROOT, validationScript } from './fake-host.mjs';
+
+const v = validationScript();
+
+function memoryApi(files) {
+    return { readFile: (p) => (files[p] === undefined ? null : Buffer.from(files[p])) };
+}
+
+function rules(allowed, infrastructure = []) {
+    return { allowed: v.raw.compilePathRules(allowed, 'allowedPaths'), infrastructure: v.raw.compilePathRules(infrastructure, 'infrastructurePaths') };
+}
+
+function codeOf(api, compiled, p) {
+    return v.checkPathRules(api, compiled, p)?.code ?? null;
+}
+
+test('glob syntax', () => {
+    assert.equal(v.globMatch('data/*/meta.yaml', 'data/2026/meta.yaml'), true);
+    assert.equal(v.globMatch('data/*/meta.yaml', 'data/2026/x/meta.yaml'), false);
+    assert.equal(v.globMatch('data/**/meta.yaml', 'data/meta.yaml'), true);
+    assert.equal(v.globMatch('data/**/meta.yaml', 'data/2026/x/meta.yaml'), true);
+    assert.equal(v.globMatch('data/**', 'data/2026/x/assets/a.png'), true);
+    assert.equal(v.globMatch('meta.y?ml', 'meta.yml'), false);
+    assert.equal(v.globMatch('meta.y?l', 'meta.yml'), true);
+    assert.equal(v.globMatch('feeds/*.{json,atom}', 'feeds/main.atom'), true);
+    assert.equal(v.globMatch('feeds/*.{json,atom}', 'feeds/main.rss'), false);
+    assert.equal(v.globMatch('v[0-9].txt', 'v1.txt'), true);
+    assert.equal(v.globMatch('v[!0-9].txt', 'v1.txt'), false);
+    // Regular expression characters are literal
+    assert.equal(v.globMatch('a+b.md', 'a+b.md'), true);
+    assert.equal(v.globMatch('a+b.md', 'aab.md'), false);
+});
+
+test('the last matching rule wins and negations exclude again', () => {
+    const compiled = rules(['data/**', '!data/**/.*', 'data/**/.keep'], ['hooks/**']);
+    const api = memoryApi({});
+    assert.equal(codeOf(api, compiled, 'data/2026/x/meta.yaml'), null);
+    assert.equal(codeOf(api, compiled, 'data/2026/x/.DS_Store'), 'path.not_allowed');
+    assert.equal(codeOf(api, compiled, 'data/2026/x/.keep'), null);
+    assert.equal(codeOf(api, compiled, 'hooks/pre-receive.mjs'), null);
+    assert.equal(codeOf(api, compiled, 'src/app.js'), 'path.not_allowed');
+    assert.match(v.checkPathRules(api, compiled, 'src/app.js').message, /^Path not allowed by hooks\/files\.yaml$/);
+});
+
+test('maxSize and types limit the files a rule admits', () => {
+    const compiled = rules([{ pattern: 'data/**/index.md', maxSize: '1KB', types: ['text/*'] }, { pattern: 'data/**/notes.*', types: ['text/markdown'] }]);
+    const api = memoryApi({ 'data/x/index.md': 'x'.repeat(1024), 'data/y/index.md': 'x'.repeat(1025), 'data/x/notes.md': '# n', 'data/x/notes.json': '{}' });
+    assert.equal(codeOf(api, compiled, 'data/x/index.md'), null);
+    const tooBig = v.checkPathRules(api, compiled, 'data/y/index.md');
+    assert.equal(tooBig.code, 'path.max_size');
+    assert.equal(tooBig.message, '1.0 KB exceeds the 1.0 KB limit for data/**/index.md');
+    assert.equal(codeOf(api, compiled, 'data/x/notes.md'), null);
+    const wrongType = v.checkPathRules(api, compiled, 'data/x/notes.json');
+    assert.equal(wrongType.code, 'path.type');
+    assert.equal(wrongType.message, 'type application/json is not allowed for data/**/notes.* (allowed: text/markdown)');
+    // Limits need the content; plain globs do not
+    assert.equal(codeOf(api, compiled, 'data/z/index.md'), 'file.unreadable');
+});
+
+test('rule lists are checked when compiled', () => {
+    assert.deepEqual(v.compilePathRules(undefined, 'allowedPaths'), []);
+    assert.throws(() => v.compilePathRules('data/**', 'allowedPaths'), /allowedPaths must be a list/);
+    assert.throws(() => v.compilePathRules([{ maxSize: 1 }], 'allowedPaths'), /allowedPaths\[0\] needs a pattern/);
+    assert.throws(() => v.compilePathRules([{ pattern: 'a', types: 'text/plain' }], 'allowedPaths'), /allowedPaths\[0\]\.types must be a list of MIME types/);
+    assert.throws(() => v.compilePathRules([{ pattern: 'a', maxSize: '10 parsecs' }], 'allowedPaths'), /invalid size "10 parsecs"/);
+    assert.equal(v.parseSize('1.5 MB'), 1572864);
+    assert.equal(v.parseSize(0), 0);
+});
+
+test('hooks/files.yaml admits entries and rejects dotfiles and oversized pages', () => {
+    const files = { 'hooks/files.yaml': fs.readFileSync(path.join(REPO_ROOT, 'hooks/files.yaml')), 'data/2026/x/index.md': 'x'.repeat(256 * 1024 + 1) };
+    const loaded = v.raw.loadFileRules(memoryApi(files));
+    assert.equal(loaded.ok, true);
+    const api = memoryApi(files);
+    const compiled = { allowed: loaded.allowed, infrastructure: loaded.infrastructure };
+    assert.equal(codeOf(api, compiled, 'data/2026/x/meta.yaml'), null);
+    assert.equal(codeOf(api, compiled, 'data/2026/x/assets/poster.jpg'), null);
+    assert.equal(codeOf(api, compiled, 'data/2026/x/.env'), 'path.not_allowed');
+    assert.equal(codeOf(api, compiled, 'data/2026/x/index.md'), 'path.max_size');
+    assert.equal(codeOf(api, compiled, 'README.md'), null);
+    assert.equal(codeOf(api, compiled, 'docs/guide.md'), 'path.not_allowed');
+});
@@ -0,0 +1,118 @@
+// Unit tests for hooks/server/lib/pipeline.mjs (stage configuration, ordering and onError)
+// Run with: node --test tests/test_pipeline.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { DEFAULT_STAGES, STAGES, loadPipelineConfig, runPipeline, stageSummary } from '../hooks/server/lib/pipeline.mjs';
+import { issue } from '../hooks/server/lib/report.mjs';
+import { REPO_ROOT, createFakeHost } from './fake-host.mjs';
+
+// Stages registered for one test. Check stages record `name:branch` and report `found` when their
+// name is in `failing`; `types` returns null when it passes and `boom` always throws.
+function withStages(t, failing = []) {
+    const calls = [];
+    const check = (name, found, passed = []) => ({
+        kind: 'check',
+        run: (ctx) => {
+            calls.push(`${name}:${ctx.branch}`);
+            return failing.includes(name) ? found : passed;
+        },
+    });
+    const stages = {
+        lint: check('lint', [issue('a.md', 'lint.bad', 'bad')]),
+        types: check('types', [issue('b.md', 'types.bad', 'bad'), issue('c.md', 'types.bad', 'bad')], null),
+        boom: {
+            kind: 'check',
+            run: () => {
+                throw new Error('disk on fire');
+            },
+        },
+        write: {
+            kind: 'effect',
+            run: () => {
+                calls.push('write');
+                return [];
+            },
+        },
+        log: { kind: 'audit' },
+    };
+    Object.assign(STAGES, stages);
+    t.after(() => {
+        for (const name of Object.keys(stages)) delete STAGES[name];
+    });
+    return calls;
+}
+
+function relayYaml(text) {
+    return (p) => (p === '.relay.yaml' ? Buffer.from(text) : null);
+}
+
+test('stages run in the configured order and effects run once every check passed', (t) => {
+    const calls = withStages(t);
+    const result = runPipeline({ branch: 'main', changes: [] }, { stages: ['types', 'write', 'lint', 'log'], onError: 'stop' });
+    assert.deepEqual(calls, ['types:main', 'write', 'lint:main']);
+    assert.equal(result.ok, true);
+    assert.deepEqual(stageSummary(result.results), [
+        { stage: 'types', ok: true, skipped: false, issues: 0 },
+        { stage: 'write', ok: true, skipped: false, issues: 0 },
+        { stage: 'lint', ok: true, skipped: false, issues: 0 },
+    ]);
+});
+
+test('onError stop skips every stage after the first failure', (t) => {
+    const calls = withStages(t, ['lint']);
+    const result = runPipeline({ branch: 'main' }, { stages: ['lint', 'types', 'write'], onError: 'stop' });
+    assert.deepEqual(calls, ['lint:main']);
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.issues.map((e) => e.code), ['lint.bad']);
+    assert.deepEqual(stageSummary(result.results).map((r) => [r.stage, r.ok, r.skipped]), [['lint', false, false], ['types', false, true], ['write', false, true]]);
+});
+
+test('onError collect runs every check but no effect after a failure', (t) => {
+    const calls = withStages(t, ['lint', 'types']);
+    const result = runPipeline({ branch: 'develop' }, { stages: ['lint', 'write', 'types'], onError: 'collect' });
+    assert.deepEqual(calls, ['lint:develop', 'types:develop']);
+    assert.deepEqual(result.issues.map((e) => `${e.path} ${e.code}`), ['a.md lint.bad', 'b.md types.bad', 'c.md types.bad']);
+    assert.deepEqual(stageSummary(result.results), [
+        { stage: 'lint', ok: false, skipped: false, issues: 1 },
+        { stage: 'write', ok: false, skipped: true, issues: 0 },
+        { stage: 'types', ok: false, skipped: false, issues: 2 },
+    ]);
+});
+
+test('a stage that throws is reported as stage.error and counts as a failure', (t) => {
+    const calls = withStages(t);
+    const collected = runPipeline({ branch: 'main' }, { stages: ['boom', 'lint', 'write'], onError: 'collect' });
+    assert.deepEqual(calls, ['lint:main']);
+    assert.deepEqual(collected.issues, [issue('', 'stage.error', 'boom stage failed: disk on fire')]);
+    assert.equal(collected.results[2].skipped, true);
+    assert.equal(runPipeline({ branch: 'main' }, { stages: ['boom', 'lint'], onError: 'stop' }).results[1].skipped, true);
+});
+
+test('stage lists come from .relay.yaml and default per hook', () => {
+    globalThis.Relay = createFakeHost();
+    try {
+        assert.deepEqual(loadPipelineConfig('pre-commit', () => null), { stages: DEFAULT_STAGES['pre-commit'], onError: 'stop' });
+        assert.deepEqual(loadPipelineConfig('post-receive', () => null), { stages: [], onError: 'stop' });
+        const read = relayYaml('server:\n  hooks:\n    pre-commit:\n      stages: [ validation, index ]\n      onError: collect\n');
+        assert.deepEqual(loadPipelineConfig('pre-commit', read), { stages: ['validation', 'index'], onError: 'collect' });
+        assert.throws(() => loadPipelineConfig('pre-commit', relayYaml('server:\n  hooks:\n    pre-commit:\n      stages: [ validation, lint ]\n')),
+            /^Error: \.relay\.yaml: server\.hooks\.pre-commit\.stages has unknown stage\(s\) lint \(known: signature, /);
+        assert.throws(() => loadPipelineConfig('pre-commit', relayYaml('server:\n  hooks:\n    pre-commit:\n      stages: validation\n')), /stages must be a list/);
+        assert.throws(() => loadPipelineConfig('pre-commit', relayYaml('server:\n  hooks:\n    pre-commit:\n      onError: ignore\n')), /onError must be "stop" or "collect"/);
+    } finally {
+        delete globalThis.Relay;
+    }
+});
+
+test('.relay.yaml declares the default stage lists', () => {
+    globalThis.Relay = createFakeHost();
+    try {
+        const read = (p) => fs.readFileSync(path.join(REPO_ROOT, p));
+        for (const hook of ['pre-commit', 'pre-receive', 'github']) assert.deepEqual(loadPipelineConfig(hook, read).stages, DEFAULT_STAGES[hook], hook);
+    } finally {
+        delete globalThis.Relay;
+    }
+});
@@ -0,0 +1,114 @@
+// Unit tests for hooks/server/lib/policy.mjs (git.policies push limits)
+// Run with: node --test tests/test_policy.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { findPolicyViolations, readRateState, recordPush, withFileLock } from '../hooks/server/lib/policy.mjs';
+import { createFakeHost } from './fake-host.mjs';
+
+const POLICIES = {
+    commitMessage: { pattern: /^(add|fix): /, description: 'start with add: or fix:' },
+    maxEntriesPerPush: 1,
+    maxBytesPerPush: 10,
+    maxPushesPerHour: null,
+};
+
+const CHANGES = [
+    { path: 'data/2001/a/meta.yaml', status: 'added' },
+    { path: 'data/2002/b/meta.yaml', status: 'modified' },
+    { path: 'data/2003/c/meta.yaml', status: 'deleted' },
+];
+
+function check(overrides = {}) {
+    return findPolicyViolations(CHANGES, 'main', {
+        policies: POLICIES,
+        commits: [{ id: 'a'.repeat(40), message: 'add: A\n\nbody' }, { id: 'b'.repeat(40), message: 'oops' }],
+        signer: { signed: false },
+        readFile: (p) => (p === 'data/2001/a/meta.yaml' ? Buffer.alloc(8) : Buffer.alloc(4)),
+        ...overrides,
+    });
+}
+
+test('reports every broken rule by name', () => {
+    const errors = check();
+    assert.deepEqual(errors.map((e) => e.code), ['policy.commit_message', 'policy.max_entries', 'policy.max_bytes']);
+    assert.match(errors[0].message, /^violates git\.policies\.commitMessage: commit bbbbbbbbbbbb "oops" must start with add: or fix:/);
+    assert.match(errors[1].message, /3 entries \(max 1\)/);
+    assert.match(errors[2].message, /writes 12B \(max 10B\)/);
+});
+
+test('passes a push within the limits and skips rules that are not configured', () => {
+    assert.deepEqual(check({ policies: { ...POLICIES, maxEntriesPerPush: 3, maxBytesPerPush: 12 }, commits: [{ id: 'c', message: 'fix: typo' }] }), []);
+    assert.deepEqual(check({ policies: null }), []);
+});
+
+test('does not count entries a signed push only migrates to the current schema_version', () => {
+    const before = { 'data/2002/b/meta.yaml': 'title: B\nrelease_date: "2002-01-01"\ngenres: Drama, Action\n' };
+    const migrated = 'schema_version: 3\ntitle: B\nrelease_date: "2002-01-01"\ngenre: [Drama, Action]\n';
+    const edited = 'schema_version: 3\ntitle: B2\nrelease_date: "2002-01-01"\ngenre: [Drama, Action]\n';
+    const run = (after, signed) => check({
+        policies: { ...POLICIES, commitMessage: null, maxBytesPerPush: null, maxEntriesPerPush: 2 },
+        signer: { signed },
+        readBefore: (p) => before[p] || null,
+        readFile: (p) => (p === 'data/2002/b/meta.yaml' ? after : null),
+    }).map((e) => e.code);
+    // Meta files are parsed by the host
+    globalThis.Relay = createFakeHost();
+    try {
+        assert.deepEqual(run(migrated, true), []);
+        assert.deepEqual(run(migrated, false), ['policy.max_entries']);
+        assert.deepEqual(run(edited, true), ['policy.max_entries']);
+    } finally {
+        delete globalThis.Relay;
+    }
+});
+
+test('rate limits signed pushes per key and unsigned pushes per pusher', (t) => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-policy-'));
+    t.after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+    const warn = t.mock.method(console, 'warn', () => {});
+    const policies = { ...POLICIES, commitMessage: null, maxEntriesPerPush: null, maxBytesPerPush: null, maxPushesPerHour: 1, stateFile: 'rate.json' };
+    const rate = (signer, env = {}) => {
+        globalThis.Relay = createFakeHost({ env: { RELAY_STATE_DIR: stateDir, ...env } });
+        try {
+            const errors = findPolicyViolations(CHANGES, 'main', { policies, signer, commits: [] }).map((e) => e.message);
+            if (!errors.length) recordPush('main', { policies, signer });
+            return errors;
+        } finally {
+            delete globalThis.Relay;
+        }
+    };
+    const unsigned = { signed: false };
+    assert.deepEqual(rate(unsigned, { PUSHER: 'alice' }), []);
+    assert.match(rate(unsigned, { PUSHER: 'alice' })[0], /pusher:alice already pushed 1 times/);
+    // Another unsigned pusher, and a signed one, have their own counts
+    assert.deepEqual(rate(unsigned, { PUSHER: 'bob' }), []);
+    assert.deepEqual(rate({ signed: true, fingerprint: 'SHA256:abc' }, { PUSHER: 'alice' }), []);
+    // Without PUSHER unsigned pushes are not counted at all
+    assert.deepEqual(rate(unsigned), []);
+    assert.deepEqual(rate(unsigned), []);
+    assert.equal(warn.mock.callCount(), 2);
+    assert.deepEqual(Object.keys(readRateState(path.join(stateDir, 'rate.json'))).sort(), ['SHA256:abc', 'pusher:alice', 'pusher:bob']);
+    assert.deepEqual(fs.readdirSync(stateDir), ['rate.json']);
+});
+
+test('the state file lock waits for its holder and clears stale locks', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-lock-'));
+    try {
+        const file = path.join(dir, 'rate.json');
+        withFileLock(file, () => {
+            assert.ok(fs.existsSync(`${file}.lock`));
+            assert.throws(() => withFileLock(file, () => {}, { timeout: 50 }), /is held by another hook/);
+        });
+        assert.equal(fs.existsSync(`${file}.lock`), false);
+        fs.writeFileSync(`${file}.lock`, '');
+        const old = new Date(Date.now() - 60 * 1000);
+        fs.utimesSync(`${file}.lock`, old, old);
+        assert.equal(withFileLock(file, () => 'ran'), 'ran');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,115 @@
+// Unit tests for the JSON Schema evaluator in .relay/validation.mjs (evaluateSchema, loadMetaSchema)
+// Run with: node --test tests/test_schema.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validationScript } from './fake-host.mjs';
+
+const v = validationScript();
+
+function check(schema, value) {
+    return v.evaluateSchema(schema, value, '', schema).map((e) => `${e.pointer} ${e.keyword}`);
+}
+
+function schemaApi(text) {
+    return { readFile: (p) => (p === 'hooks/meta.schema.yaml' ? Buffer.from(text) : null) };
+}
+
+test('boolean schemas and type mismatches', () => {
+    assert.deepEqual(check(true, 1), []);
+    assert.deepEqual(check(false, 1), [' false']);
+    // Once the type is wrong the other keywords are not evaluated
+    assert.deepEqual(check({ type: 'string', minLength: 3 }, 1), [' type']);
+    assert.deepEqual(check({ type: 'number' }, 2), []);
+    assert.deepEqual(check({ type: 'integer' }, 2.5), [' type']);
+    assert.deepEqual(check({ type: ['string', 'null'] }, null), []);
+});
+
+test('$ref resolves local definitions and reports at the referring pointer', () => {
+    const schema = {
+        $defs: { year: { type: 'integer', minimum: 1888 } },
+        properties: { release: { $ref: '#/$defs/year' }, 'a/b': { $ref: '#/$defs/year' } },
+    };
+    assert.deepEqual(check(schema, { release: 1850, 'a/b': 'x' }), ['/release minimum', '/a~1b type']);
+    assert.deepEqual(check(schema, { release: 1999 }), []);
+});
+
+test('oneOf, anyOf, not and if/then/else', () => {
+    const oneOf = { oneOf: [{ type: 'integer' }, { minimum: 0 }] };
+    assert.deepEqual(check(oneOf, -1), []);
+    assert.deepEqual(check(oneOf, 5), [' oneOf']);
+    assert.deepEqual(check(oneOf, -0.5), [' oneOf']);
+    assert.deepEqual(check({ anyOf: [{ type: 'string' }, { type: 'null' }] }, 1), [' anyOf']);
+    assert.deepEqual(check({ not: { const: 'x' } }, 'x'), [' not']);
+    const conditional = { if: { properties: { kind: { const: 'series' } } }, then: { required: ['seasons'] }, else: { required: ['runtime'] } };
+    assert.deepEqual(check(conditional, { kind: 'series' }), ['/seasons required']);
+    assert.deepEqual(check(conditional, { kind: 'movie' }), ['/runtime required']);
+});
+
+test('object keywords', () => {
+    const schema = {
+        properties: { title: { type: 'string' }, imdb_id: { type: 'string' } },
+        patternProperties: { '^x-': { type: 'string' } },
+        additionalProperties: false,
+        dependentRequired: { imdb_id: ['title'] },
+        propertyNames: { maxLength: 8 },
+    };
+    assert.deepEqual(check(schema, { title: 'T', 'x-note': 'ok' }), []);
+    assert.deepEqual(check(schema, { 'x-note': 1, extra: true, imdb_id: 'tt1' }), ['/x-note type', '/extra additionalProperties', '/title dependentRequired']);
+    assert.deepEqual(check(schema, { title: 'T', longer_name: 1 }), ['/longer_name additionalProperties', '/longer_name propertyNames']);
+});
+
+test('array and string keywords', () => {
+    assert.deepEqual(check({ items: { type: 'string' }, uniqueItems: true, minItems: 3 }, ['a', 'a']), [' minItems', '/1 uniqueItems']);
+    assert.deepEqual(check({ prefixItems: [{ type: 'integer' }], items: { type: 'string' } }, [1, 'a', 2]), ['/2 type']);
+    assert.deepEqual(check({ contains: { const: 'Drama' }, maxContains: 1 }, ['Drama', 'Drama']), [' maxContains']);
+    assert.deepEqual(check({ pattern: '^\\d{4}$', maxLength: 3 }, '19x9'), [' maxLength', ' pattern']);
+    // Length counts code points, not UTF-16 units
+    assert.deepEqual(check({ maxLength: 2 }, '🎬🎬'), []);
+    assert.deepEqual(check({ format: 'date' }, '2026-02-30'), [' format']);
+});
+
+test('unsupported keywords, external and broken $refs reject the schema itself', () => {
+    assert.throws(() => v.checkSchemaKeywords({ properties: { a: { unevaluatedProperties: false } } }, {}), /unsupported keyword unevaluatedProperties at #\/properties\/a/);
+    assert.throws(() => v.checkSchemaKeywords({ $ref: 'https://example.com/s.json' }, {}), /external \$ref not supported/);
+    const broken = { properties: { a: { $ref: '#/$defs/missing' } } };
+    assert.throws(() => v.checkSchemaKeywords(broken, broken), /unresolvable \$ref: #\/\$defs\/missing/);
+    assert.throws(() => v.checkSchemaKeywords({ pattern: '(' }, {}), /Invalid regular expression/);
+    // enum and const values are data, not schemas
+    assert.doesNotThrow(() => v.checkSchemaKeywords({ const: { unevaluatedProperties: 1 } }, {}));
+});
+
+test('properties named like data keywords are still checked as schemas', () => {
+    for (const name of ['enum', 'const', 'default', 'examples']) {
+        const schema = { properties: { [name]: { pattern: '(' } } };
+        assert.throws(() => v.checkSchemaKeywords(schema, schema), /Invalid regular expression/, name);
+        const nested = { $defs: { [name]: { properties: { a: { unevaluatedItems: false } } } } };
+        assert.throws(() => v.checkSchemaKeywords(nested, nested), new RegExp(`unsupported keyword unevaluatedItems at #/\\$defs/${name}/properties/a`));
+    }
+    // Data under default and examples is never taken for a schema
+    assert.doesNotThrow(() => v.checkSchemaKeywords({ default: { pattern: '(' }, examples: [{ $ref: '#/nowhere' }] }, {}));
+});
+
+test('$ref cycles reject the schema instead of recursing forever', () => {
+    const self = { $ref: '#' };
+    assert.throws(() => v.checkSchemaKeywords(self, self), /\$ref cycle # -> #/);
+    const loop = { $defs: { a: { $ref: '#/$defs/b' }, b: { allOf: [{ $ref: '#/$defs/a' }] } }, properties: { x: { $ref: '#/$defs/a' } } };
+    assert.throws(() => v.checkSchemaKeywords(loop, loop), /\$ref cycle #\/\$defs\/a -> #\/\$defs\/b -> #\/\$defs\/a/);
+    const bad = v.loadMetaSchema(schemaApi('type: object\nanyOf:\n  - $ref: "#"\n'));
+    assert.equal(bad.error.code, 'config.invalid');
+    assert.match(bad.error.message, /\$ref cycle # -> #/);
+    // Recursion through properties or items descends into the value and ends
+    const tree = { type: 'object', properties: { children: { type: 'array', items: { $ref: '#' } } } };
+    assert.doesNotThrow(() => v.checkSchemaKeywords(tree, tree));
+    assert.deepEqual(check(tree, { children: [{ children: [1] }] }), ['/children/0/children/0 type']);
+});
+
+test('loadMetaSchema reports an unusable schema as a config issue', () => {
+    const bad = v.loadMetaSchema(schemaApi('type: object\nunevaluatedProperties: false\n'));
+    assert.equal(bad.ok, false);
+    assert.equal(bad.error.code, 'config.invalid');
+    assert.match(bad.error.message, /unsupported keyword unevaluatedProperties at #/);
+    assert.equal(v.loadMetaSchema(schemaApi('- a\n')).error.code, 'config.invalid');
+    assert.equal(v.loadMetaSchema({ readFile: () => null }).error.code, 'config.unreadable');
+    assert.deepEqual(v.loadMetaSchema(schemaApi('type: object\nrequired: [title]\n')).schema, { type: 'object', required: ['title'] });
+});
@@ -0,0 +1,91 @@
+// Unit tests for hooks/server/lib/secrets.mjs (git.secrets scanning)
+// Run with: node --test tests/test_secrets.mjs
+// Sample credentials are assembled at runtime so this file does not trip the scanner itself.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { DEFAULT_SECRETS_CONFIG, findSecrets, scanLines, scanPrivateKeys, shannonEntropy } from '../hooks/server/lib/secrets.mjs';
+import { REPO_ROOT } from './fake-host.mjs';
+
+const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const jwt = (payload) => [b64({ alg: 'HS256' }), b64(payload), 'obigCfEofv' + '-sNknDAJpB54KIW'].join('.');
+const SAMPLES = {
+    pem_private_key: '-----BEGIN ' + 'OPENSSH PRIVATE KEY-----',
+    jwt: `token = ${jwt({ sub: 'user-1', iat: 1700000000 })}`,
+    tmdb_read_token: `bearer: ${jwt({ aud: 'd0'.repeat(16), scopes: ['api_read'] })}`,
+    tmdb_api_key: `TMDB_KEY="${'d05391cb'.repeat(4)}"`,
+    github_token: `const token = "${'ghp_' + 'a1B2c3D4e5'.repeat(4)}";`,
+    aws_access_key_id: `aws_access_key_id = ${'AKIA' + 'IOSFODNN7EXAMPLE'}`,
+    aws_secret_access_key: `aws_secret_access_key = ${'wJalrXUtnFEMI/K7MDENG/' + 'bPxRfiCYEXAMPLEKEY'}`,
+    high_entropy: `session: ${'Zx9Qw3Lm8Tr2' + 'Vb6Np4Ks1Jh5Gd0Fy7Ce'}`,
+};
+
+function scan(text, options) {
+    return scanLines(text.split('\n').map((line, i) => ({ text: line, number: i + 1 })), DEFAULT_SECRETS_CONFIG, options);
+}
+
+test('each detector reports its own sample with line and column', () => {
+    for (const [id, sample] of Object.entries(SAMPLES)) {
+        const findings = scan(`first line\n${sample}`);
+        assert.deepEqual(findings.map((f) => [f.detector, f.line]), [[id, 2]], id);
+        assert.ok(findings[0].column >= 1, id);
+        if (id !== 'pem_private_key') assert.ok(!findings[0].shown.includes(sample.slice(-8)), id);
+    }
+    assert.equal(scan(SAMPLES.github_token)[0].column, 16);
+});
+
+test('skips allowlisted names, public keys, URLs, digests and CIDs', () => {
+    const adminKey = fs.readFileSync(path.join(REPO_ROOT, '.ssh/id_rsa.pub'), 'utf8');
+    const clean = [
+        `  "RELAY_PUBLIC_TMDB_READ_ACCESS_ID": "${jwt({ aud: 'd0'.repeat(16), scopes: ['api_read'] })}",`,
+        adminKey,
+        'url_poster: https://image.tmdb.org/t/p/w500/kqjL17yufvn9OVLyXYpvtyrFfak.jpg',
+        `hash: ${'9f86d081884c7d659a2feaa0c55ad015'.repeat(2)}`,
+        '  - hash: QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG',
+        "const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';",
+    ].join('\n');
+    assert.deepEqual(scan(clean), []);
+    // Private keys are reported even where everything else is allowed
+    assert.deepEqual(scan(`${SAMPLES.aws_access_key_id}\n${SAMPLES.pem_private_key}`, { privateKeysOnly: true }).map((f) => f.detector), ['pem_private_key']);
+});
+
+test('only scans the lines a push adds to text files', () => {
+    const before = { 'notes.md': `${SAMPLES.aws_access_key_id}\n` };
+    const after = {
+        'notes.md': `${SAMPLES.aws_access_key_id}\nnew line\n${SAMPLES.github_token}\n`,
+        'image.png': Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0]), Buffer.from(SAMPLES.pem_private_key)]),
+        '.ssh/new.pub': `${SAMPLES.high_entropy}\n`,
+    };
+    const errors = findSecrets(Object.keys(after).map((p) => ({ path: p, status: p === 'notes.md' ? 'modified' : 'added', oldPath: null })), {
+        config: DEFAULT_SECRETS_CONFIG,
+        readFile: (p) => Buffer.from(after[p]),
+        readBefore: (p) => (before[p] ? Buffer.from(before[p]) : null),
+    });
+    assert.deepEqual(errors.map((e) => [e.path, e.code, e.line]), [['notes.md', 'secret.github_token', 3], ['image.png', 'secret.pem_private_key', 1]]);
+    assert.match(errors[0].message, /^GitHub token ghp_… \(44 characters\) found by the github_token detector/);
+});
+
+test('binary and oversized files are searched for private keys in chunks', () => {
+    const config = { ...DEFAULT_SECRETS_CONFIG, maxFileSize: 1024 };
+    const key = (body) => `${SAMPLES.pem_private_key}\n${body}\n`;
+    // The header straddles the first chunk boundary; the token is only looked for in small text files
+    const padded = `${'x'.repeat(967)}\n${SAMPLES.high_entropy}\n${key('b3BlbnNzaC1rZXktdjEAAAAA')}`;
+    assert.deepEqual(scanPrivateKeys(Buffer.from(padded), null, config.maxFileSize).map((f) => [f.line, f.column]), [[3, 1]]);
+    const binary = (...parts) => Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0]), ...parts.map((p) => Buffer.from(p))]);
+    const before = { 'big.txt': '', 'blob.bin': binary(key('old-key-body-aaaaaaaaaaaaaaaa')) };
+    const after = { 'big.txt': padded, 'blob.bin': binary(key('old-key-body-aaaaaaaaaaaaaaaa'), key('new-key-body-bbbbbbbbbbbbbbbb')) };
+    const errors = findSecrets(Object.keys(after).map((p) => ({ path: p, status: 'modified', oldPath: null })), {
+        config,
+        readFile: (p) => Buffer.from(after[p]),
+        readBefore: (p) => Buffer.from(before[p]),
+    });
+    // The key already in blob.bin is not reported again
+    assert.deepEqual(errors.map((e) => [e.path, e.code, e.line]), [['big.txt', 'secret.pem_private_key', 3], ['blob.bin', 'secret.pem_private_key', 3]]);
+});
+
+test('entropy is measured in bits per character', () => {
+    assert.equal(shannonEntropy('aaaa'), 0);
+    assert.equal(shannonEntropy('abcd'), 2);
+});
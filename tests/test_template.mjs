@@ -0,0 +1,77 @@
+// Unit tests for insertTemplate in .relay/validation.mjs (compileTemplate, evaluateTemplateNode, checkCanonicalPath)
+// Run with: node --test tests/test_template.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { REPO_ROOT, validationScript } from './fake-host.mjs';
+
+const v = validationScript();
+const INSERT_TEMPLATE = v.parseYaml(fs.readFileSync(path.join(REPO_ROOT, 'hooks/files.yaml'), 'utf8')).insertTemplate;
+
+function render(src, doc) {
+    return v.renderTemplate(v.raw.compileTemplate(src), doc);
+}
+
+function canonical(p, doc) {
+    const found = v.checkCanonicalPath(p, doc, v.raw.compileTemplate(INSERT_TEMPLATE));
+    return found && { code: found.code, message: found.message };
+}
+
+test('hooks/files.yaml derives the entry path from title and release year', () => {
+    assert.equal(render(INSERT_TEMPLATE, { title: '  The Big  Lebowski ', release_date: '1998-03-06' }), '/data/1998/the-big-lebowski/meta.yaml');
+    assert.equal(canonical('data/1998/the-big-lebowski/meta.yaml', { title: 'The Big Lebowski', release_date: '1998-03-06' }), null);
+    assert.deepEqual(canonical('data/1998/lebowski/meta.yaml', { title: 'The Big Lebowski', release_date: '1998-03-06' }), {
+        code: 'path.canonical',
+        message: 'entry is filed under the wrong path; expected data/1998/the-big-lebowski/meta.yaml (move data/1998/lebowski/ to data/1998/the-big-lebowski/)',
+    });
+});
+
+test('non-ASCII titles keep only their ASCII letters and digits', () => {
+    assert.equal(render(INSERT_TEMPLATE, { title: "Le Fabuleux Destin d'Amélie Poulain", release_date: '2001' }), '/data/2001/le-fabuleux-destin-damlie-poulain/meta.yaml');
+    assert.equal(render(INSERT_TEMPLATE, { title: 'Crouching Tiger — 卧虎藏龙 2', release_date: '2000' }), '/data/2000/crouching-tiger---2/meta.yaml');
+    // A title with no ASCII left derives an empty directory name
+    assert.deepEqual(canonical('data/2001/sen-to-chihiro/meta.yaml', { title: '千と千尋の神隠し', release_date: '2001-07-20' }), {
+        code: 'path.incomplete',
+        message: 'insertTemplate derives an incomplete path (data/2001//meta.yaml); check title and release_date',
+    });
+});
+
+test('missing fields', () => {
+    // Methods are called on both fields directly, so neither may be missing
+    assert.deepEqual(canonical('data/x/meta.yaml', { title: 'X' }), {
+        code: 'path.template',
+        message: 'cannot derive the canonical path from insertTemplate: cannot call match() on undefined',
+    });
+    assert.deepEqual(canonical('data/2026/x/meta.yaml', { release_date: '2026' }), {
+        code: 'path.template',
+        message: 'cannot derive the canonical path from insertTemplate: cannot call trim() on undefined',
+    });
+    assert.equal(render('${title ?? "untitled"}-${year}', { title: null }), 'untitled-');
+    // A year without a month and day still matches; an unmatched one leaves an empty segment
+    assert.equal(canonical('data/2026/x/meta.yaml', { title: 'X', release_date: '2026' }), null);
+    assert.equal(canonical('data/x/meta.yaml', { title: 'X', release_date: 'TBA' }).code, 'path.incomplete');
+    // Inherited properties are not fields
+    assert.equal(render('${constructor}', {}), '');
+});
+
+test('expressions evaluate without eval', () => {
+    const doc = { title: 'Alien', genre: ['Horror', 'Sci-Fi'], runtime: 117 };
+    assert.equal(render('${genre.join("+").toLowerCase()}', doc), 'horror+sci-fi');
+    assert.equal(render("${genre[1]}|${title[0]}|${runtime.toFixed(1)}|${!draft ? 'final' : 'draft'}", doc), 'Sci-Fi|A|117.0|final');
+    assert.equal(render('${[title, runtime].join(" ")}', doc), 'Alien 117');
+    assert.throws(() => render('${title.at(1).length.toFixed()}', { title: 7 }), /cannot call at\(\) on number/);
+    assert.throws(() => render('${genre[title]}', doc), /cannot index array with string/);
+});
+
+test('expressions outside the template language are rejected when compiled', () => {
+    assert.throws(() => v.compileTemplate('${title.constructor}'), /property constructor is not allowed at offset 19 of insertTemplate/);
+    assert.throws(() => v.compileTemplate('${title.toString.call(1)}'), /property toString is not allowed/);
+    assert.throws(() => v.compileTemplate('${title.__proto__}'), /property __proto__ is not allowed/);
+    assert.throws(() => v.compileTemplate('${eval("1")}'), /expected "}" at offset 6 of insertTemplate/);
+    assert.throws(() => v.compileTemplate('${title.exec()}'), /method exec\(\) is not allowed/);
+    assert.throws(() => v.compileTemplate('${title = 1}'), /expected "}"/);
+    assert.throws(() => v.compileTemplate('${title.match(/(/)}'), /invalid regular expression/);
+    assert.throws(() => v.compileTemplate('${"open}'), /unterminated string literal/);
+});
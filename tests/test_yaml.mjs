@@ -0,0 +1,94 @@
+// Unit tests for the YAML parser in .relay/validation.mjs (parseYaml, validateMetaYaml's yaml.syntax issues)
+// Run with: node --test tests/test_yaml.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validationScript } from './fake-host.mjs';
+
+const v = validationScript();
+
+function syntaxError(text, options) {
+    try {
+        v.parseYaml(text, options);
+    } catch (e) {
+        return { name: e.name, reason: e.reason, line: e.line, column: e.column };
+    }
+    assert.fail(`parsed: ${text}`);
+}
+
+// A document of `levels` anchors, each a list of `width` aliases of the previous one
+function aliasBomb(levels, width) {
+    const lines = [`l0: &l0 [${Array(width).fill('x').join(', ')}]`];
+    for (let i = 1; i < levels; i++) lines.push(`l${i}: &l${i} [${Array(width).fill(`*l${i - 1}`).join(', ')}]`);
+    return lines.join('\n');
+}
+
+test('plain scalars resolve with the core schema', () => {
+    const doc = v.parseYaml('a: 1\nb: -0.5e2\nc: 0x1F\nd: true\ne: ~\nf: null\ng: 2026-10-19\nh: yes\ni: "1"\nj: !!str 2\n');
+    assert.deepEqual(doc, { a: 1, b: -50, c: 31, d: true, e: null, f: null, g: '2026-10-19', h: 'yes', i: '1', j: '2' });
+});
+
+test('quoted, multi-line and block scalars', () => {
+    const doc = v.parseYaml([
+        'single: \'it\'\'s\'',
+        'double: "tab\\tsnow \\u2603"',
+        'plain: first',
+        '  second',
+        'literal: |',
+        '  line one',
+        '   indented',
+        'folded: >-',
+        '  one',
+        '  two',
+        '',
+        '  three',
+        'keep: |+',
+        '  kept',
+        '',
+        'title: Amélie — 天使',
+    ].join('\n'));
+    assert.deepEqual(doc, {
+        single: "it's",
+        double: 'tab\tsnow ☃',
+        plain: 'first second',
+        literal: 'line one\n indented\n',
+        folded: 'one two\nthree',
+        keep: 'kept\n\n',
+        title: 'Amélie — 天使',
+    });
+});
+
+test('flow collections and nested block collections', () => {
+    assert.deepEqual(v.parseYaml('a: [1, "two", {b: c, d: [e]}]\nf: {}\ng: []\n'), { a: [1, 'two', { b: 'c', d: ['e'] }], f: {}, g: [] });
+    assert.deepEqual(v.parseYaml('- a\n- - b\n  - c\n- d: 1\n  e: 2\n'), ['a', ['b', 'c'], { d: 1, e: 2 }]);
+});
+
+test('anchors, aliases and merge keys', () => {
+    const doc = v.parseYaml('base: &base {lang: en, year: 1999}\ncopy: *base\nentry:\n  <<: *base\n  year: 2000\nlist: [&x one, *x]\n');
+    assert.deepEqual(doc, { base: { lang: 'en', year: 1999 }, copy: { lang: 'en', year: 1999 }, entry: { lang: 'en', year: 2000 }, list: ['one', 'one'] });
+    assert.deepEqual(syntaxError('a: *missing\n'), { name: 'YamlSyntaxError', reason: 'unknown alias "*missing"', line: 1, column: 4 });
+});
+
+test('syntax errors carry the line and column', () => {
+    assert.deepEqual(syntaxError('a: 1\nb: "open\n'), { name: 'YamlSyntaxError', reason: 'unterminated double-quoted scalar', line: 2, column: 4 });
+    assert.deepEqual(syntaxError('a: 1\na: 2\n'), { name: 'YamlSyntaxError', reason: 'duplicate mapping key "a"', line: 2, column: 1 });
+    assert.deepEqual(syntaxError('a: [1, 2\n'), { name: 'YamlSyntaxError', reason: 'expected "," or "]" in flow sequence', line: 2, column: 1 });
+    assert.equal(syntaxError('a: 1\n---\nb: 2\n').reason, 'multiple YAML documents are not supported');
+});
+
+test('alias expansion stops at the node budget', () => {
+    // 9 levels of 9 aliases: in about 400 bytes that would expand to about 3.9e8 nodes
+    const bomb = aliasBomb(9, 9);
+    assert.ok(bomb.length < 512);
+    assert.deepEqual(syntaxError(bomb), { name: 'YamlSyntaxError', reason: 'aliases expand to more than 100000 nodes', line: 6, column: 10 });
+    // Counted per reference, so sharing below the budget parses
+    assert.equal(v.parseYaml(aliasBomb(3, 9)).l2.length, 9);
+    assert.equal(syntaxError(aliasBomb(3, 9), { maxAliasNodes: 50 }).reason, 'aliases expand to more than 50 nodes');
+});
+
+test('meta files past the alias budget are a yaml.syntax issue', () => {
+    const api = { readFile: () => Buffer.from(aliasBomb(9, 9)) };
+    const issues = v.validateMetaYaml(api, 'data/2026/x/meta.yaml', {}, null);
+    assert.deepEqual(issues.map((i) => [i.code, i.line, i.column]), [['yaml.syntax', 6, 10]]);
+    assert.match(issues[0].message, /^invalid YAML: aliases expand to more than 100000 nodes/);
+});